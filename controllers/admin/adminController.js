@@ -5,6 +5,8 @@
 
 const { db } = require('../../config/firebase');
 const logger = require('../../utils/logger');
+const revenueAnalyticsService = require('../../services/analytics/revenueAnalyticsService');
+const { parseRangeQuery } = require('../../services/analytics/revenueAggregates');
 
 /**
  * Update agent creators to ensure they have username and role fields
@@ -158,7 +160,8 @@ exports.getDashboardStats = async (req, res) => {
       },
       orders: {
         total: 0,
-        revenue: 0
+        revenue: 0,
+        refunded: 0
       }
     };
     
@@ -201,13 +204,16 @@ exports.getDashboardStats = async (req, res) => {
       
       ordersSnapshot.forEach(doc => {
         const order = doc.data();
-        if (order.amount) {
-          stats.orders.revenue += parseFloat(order.amount) || 0;
-        }
+        const amount = parseFloat(order.total ?? order.amount) || 0;
+        // Refunds are recorded on the order, keep revenue net so it matches issued credit notes
+        const refunded = parseFloat(order.refundedAmount) || 0;
+        stats.orders.revenue += amount - refunded;
+        stats.orders.refunded += refunded;
       });
       
       // Format revenue to 2 decimal places
       stats.orders.revenue = parseFloat(stats.orders.revenue.toFixed(2));
+      stats.orders.refunded = parseFloat(stats.orders.refunded.toFixed(2));
     } catch (err) {
       logger.warn('Could not fetch order stats:', err.message);
     }
@@ -224,4 +230,60 @@ exports.getDashboardStats = async (req, res) => {
       error: error.message
     });
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Get revenue analytics from the incrementally maintained aggregates
+ * Query: granularity (day|week|month), from, to, top
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getRevenueAnalytics = async (req, res) => {
+  try {
+    const range = parseRangeQuery(req.query);
+    if (!range.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid analytics range',
+        errors: range.errors
+      });
+    }
+
+    const analytics = await revenueAnalyticsService.getRevenueAnalytics(range);
+    return res.status(200).json({
+      success: true,
+      from: range.from,
+      to: range.to,
+      ...analytics
+    });
+  } catch (error) {
+    logger.error(`Error getting revenue analytics: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get revenue analytics',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Recompute the revenue aggregates from all orders
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.rebuildRevenueAnalytics = async (req, res) => {
+  try {
+    const result = await revenueAnalyticsService.rebuildAggregates();
+    return res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error(`Error rebuilding revenue analytics: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to rebuild revenue analytics',
+      error: error.message
+    });
+  }
+};
@@ -6,14 +6,42 @@ const admin = require('firebase-admin');
 const logger = require('../../utils/logger');
 const { getCache, setCache, deleteCache, deleteCacheByPattern, generateAgentCategoryCacheKey, generateAgentSearchCacheKey, generateAgentCacheKey, generateAgentCountCacheKey } = require('../../utils/cache');
 const { incrementCounter } = require('../../utils/cache');
+const { hasSubscriptionAccess } = require('../../services/subscription/subscriptionLifecycle');
+const { buildSearchIndex, search, highlight } = require('../../services/search/searchIndex');
+const { computeAgentFacets, agentCategories, agentIntegrations, agentPrice, agentRating } = require('../../services/search/agentFacets');
+const { toTimeValue, sortByKeys, decodeCursor, paginateSorted } = require('../../utils/cursorPagination');
+const { countedEntries } = require('../../services/search/suggestionTrie');
+const suggestionService = require('../../services/search/suggestionService');
+const { getClientIp } = require('../../utils/clientIp');
+const searchAnalyticsService = require('../../services/search/searchAnalyticsService');
+const { noStore } = require('../../middleware/cache');
 
 // ==========================================
 // IN-MEMORY CACHE FOR ALL AGENTS
 // ==========================================
 let allAgentsCache = null;
+let agentsSearchIndex = null;
 let cacheLastUpdated = null;
 const CACHE_REFRESH_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
 
+// Fields of the agents search index and their ranking weights
+const AGENT_SEARCH_FIELDS = [
+  { name: 'title', weight: 3, get: agent => agent.title },
+  { name: 'name', weight: 3, get: agent => agent.name },
+  { name: 'tags', weight: 2, get: agent => agent.tags },
+  { name: 'categories', weight: 1.5, get: agent => [agent.category, ...(Array.isArray(agent.categories) ? agent.categories : [])] },
+  { name: 'integrations', weight: 1.2, get: agent => agent.workflowMetadata?.integrations },
+  { name: 'features', weight: 1, get: agent => agent.features },
+  { name: 'businessValue', weight: 1, get: agent => agent.businessValue },
+  { name: 'description', weight: 1, get: agent => agent.description },
+  {
+    name: 'deliverables',
+    weight: 0.5,
+    get: agent => (Array.isArray(agent.deliverables) ? agent.deliverables : [])
+      .flatMap(deliverable => [deliverable?.description, deliverable?.fileName])
+  }
+];
+
 /**
  * Load all agents from Firebase into memory cache
  */
@@ -75,10 +103,20 @@ const refreshAgentsCache = async () => {
       });
     });
     
+    agentsSearchIndex = buildSearchIndex(allAgentsCache, AGENT_SEARCH_FIELDS);
+    suggestionService.setCatalog('agents', {
+      titles: allAgentsCache.map(agent => ({
+        text: agent.title || agent.name,
+        id: agent.id,
+        weight: agent.usersCount || agent.views || agent.downloadCount || 0
+      })),
+      categories: countedEntries(allAgentsCache, agentCategories),
+      integrations: countedEntries(allAgentsCache, agentIntegrations)
+    });
     cacheLastUpdated = new Date();
     const loadTime = Date.now() - startTime;
     
-    logger.info(`✅ Loaded ${allAgentsCache.length} agents into memory cache in ${loadTime}ms`);
+    logger.info(`✅ Loaded ${allAgentsCache.length} agents into memory cache in ${loadTime}ms (${agentsSearchIndex.vocabulary.length} search terms indexed)`);
     
     await setCache('agents:count:total', allAgentsCache.length);
     return true;
@@ -105,103 +143,51 @@ const ensureCacheLoaded = async () => {
 };
 
 /**
- * UPDATED: Smart search function that works on ALL agents in memory
- * Now searches: title, description, category, categories, businessValue, integrations, features, tags
+ * Relevance-ranked search over the agents in memory
+ * Uses the index built with the cache (title and name weigh most, then tags
+ * and categories, then descriptive fields). Every term must match, by prefix
+ * or within a typo; "quoted phrases" must match as written.
+ * Matching agents are returned best first with searchScore and searchMatches.
  */
 const searchAgents = (agents, searchQuery) => {
   if (!searchQuery || !searchQuery.trim()) {
     logger.info('No search query, returning all agents');
     return agents;
   }
-  
-  const searchTerms = searchQuery.toLowerCase().trim().split(/\s+/);
-  logger.info(`🔍 Searching ${agents.length} agents for terms: [${searchTerms.join(', ')}]`);
-  
-  const results = agents.filter(agent => {
-    return searchTerms.every(term => {
-      const matches = [];
-      
-      // Search in title
-      if (agent.title && agent.title.toLowerCase().includes(term)) {
-        matches.push('title');
-      }
-      
-      // Search in description  
-      if (agent.description && agent.description.toLowerCase().includes(term)) {
-        matches.push('description');
-      }
-      
-      // Search in old category field (for backward compatibility)
-      if (agent.category && agent.category.toLowerCase().includes(term)) {
-        matches.push('category');
-      }
-      
-      // 🆕 Search in new categories array
-      if (agent.categories && Array.isArray(agent.categories)) {
-        const hasCategoryMatch = agent.categories.some(category => 
-          category.toLowerCase().includes(term)
-        );
-        if (hasCategoryMatch) {
-          matches.push('categories');
-        }
-      }
-      
-      // 🆕 Search in businessValue field
-      if (agent.businessValue && agent.businessValue.toLowerCase().includes(term)) {
-        matches.push('businessValue');
-      }
-      
-      // Search in integrations array
-      if (agent.workflowMetadata && agent.workflowMetadata.integrations) {
-        const hasIntegrationMatch = agent.workflowMetadata.integrations.some(integration => 
-          integration.toLowerCase().includes(term)
-        );
-        if (hasIntegrationMatch) {
-          matches.push('integrations');
-        }
-      }
-      
-      // Search in features
-      if (agent.features && agent.features.some(feature => 
-        feature.toLowerCase().includes(term))) {
-        matches.push('features');
-      }
-      
-      // Search in tags
-      if (agent.tags && agent.tags.some(tag => 
-        tag.toLowerCase().includes(term))) {
-        matches.push('tags');
-      }
-      
-      // Search in name field
-      if (agent.name && agent.name.toLowerCase().includes(term)) {
-        matches.push('name');
-      }
 
-      // 🆕 Search in deliverables descriptions
-      if (agent.deliverables && Array.isArray(agent.deliverables)) {
-        const hasDeliverableMatch = agent.deliverables.some(deliverable => 
-          (deliverable.description && deliverable.description.toLowerCase().includes(term)) ||
-          (deliverable.fileName && deliverable.fileName.toLowerCase().includes(term))
-        );
-        if (hasDeliverableMatch) {
-          matches.push('deliverables');
-        }
-      }
-      
-      const hasMatch = matches.length > 0;
-      if (hasMatch) {
-        logger.info(`✅ Match found for "${term}" in agent ${agent.id} (${matches.join(', ')})`);
-      }
-      
-      return hasMatch;
-    });
-  });
-  
+  const index = agentsSearchIndex || buildSearchIndex(agents, AGENT_SEARCH_FIELDS);
+  const agentsById = new Map(agents.map(agent => [agent.id, agent]));
+  logger.info(`🔍 Searching ${agents.length} agents for "${searchQuery}"`);
+
+  const results = search(index, searchQuery)
+    .filter(hit => agentsById.has(hit.id))
+    .map(hit => ({
+      ...agentsById.get(hit.id),
+      searchScore: hit.score,
+      searchMatches: hit.matches
+    }));
+
   logger.info(`🎯 Search "${searchQuery}" found ${results.length} matches`);
   return results;
 };
 
+/**
+ * Highlighted snippets of an agent's title and description for a search hit
+ * Replaces searchMatches with highlights: { title, description } (null when
+ * the field did not match).
+ */
+const withSearchHighlights = (agent) => {
+  if (!agent.searchMatches) return agent;
+  const { searchMatches, ...rest } = agent;
+  return {
+    ...rest,
+    highlights: {
+      title: highlight(agent.title || agent.name, [...(searchMatches.title || []), ...(searchMatches.name || [])]),
+      description: highlight(agent.description, searchMatches.description, { maxLength: 200 })
+    }
+  };
+};
+
 /**
  * UPDATED: Filter agents by various criteria - now supports both category and categories
  */
@@ -303,6 +289,18 @@ const filterAgents = (agents, filters) => {
     });
     appliedFilters.push(`features:${filters.features.join(',')}`);
   }
+
+  // Filter by integrations (agents must use at least one of the specified integrations)
+  if (filters.integrations && Array.isArray(filters.integrations) && filters.integrations.length > 0) {
+    const wanted = filters.integrations.map(integration => integration.toLowerCase());
+    filtered = filtered.filter(agent => {
+      const agentIntegrations = agent.workflowMetadata?.integrations || [];
+      return agentIntegrations.some(integration =>
+        integration && typeof integration === 'string' && wanted.includes(integration.toLowerCase())
+      );
+    });
+    appliedFilters.push(`integrations:${filters.integrations.join(',')}`);
+  }
   
   if (appliedFilters.length > 0) {
     logger.info(`🔧 Applied filters: ${appliedFilters.join(', ')} | ${filtered.length} results`);
@@ -311,10 +309,42 @@ const filterAgents = (agents, filters) => {
   return filtered;
 };
 
+/**
+ * Sort keys of the agents list per `filter` value
+ * Each ends with the agent ID so the order is total and cursors stay stable.
+ */
+const getAgentSort = (sortFilter) => {
+  const createdAt = agent => toTimeValue(agent.createdAt);
+  const listPrice = agent => agentPrice(agent) || agent.priceDetails?.discountedPrice || agent.priceDetails?.basePrice || 0;
+
+  switch (sortFilter) {
+    case 'relevance':
+      return { keyOf: agent => [agent.searchScore || 0, createdAt(agent), agent.id], directions: ['desc', 'desc', 'desc'] };
+    case 'Top Rated':
+    case 'top-rated':
+      return { keyOf: agent => [agentRating(agent), agent.rating?.count || 0, agent.id], directions: ['desc', 'desc', 'desc'] };
+    case 'Most Popular':
+    case 'popular':
+      return {
+        keyOf: agent => [agent.usersCount || agent.views || agent.rating?.count || 0, agentRating(agent), agent.id],
+        directions: ['desc', 'desc', 'desc']
+      };
+    case 'Price: Low to High':
+    case 'price-low':
+      return { keyOf: agent => [listPrice(agent), agent.id], directions: ['asc', 'asc'] };
+    case 'Price: High to Low':
+    case 'price-high':
+      return { keyOf: agent => [listPrice(agent), agent.id], directions: ['desc', 'desc'] };
+    default:
+      // 'Hot & New' / 'newest'
+      return { keyOf: agent => [createdAt(agent), agent.id], directions: ['desc', 'desc'] };
+  }
+};
+
 /**
  * Generate cache key for search/filter results
  */
-const generateResultsCacheKey = (searchQuery, filters, limit, offset, sortFilter = null) => {
+const generateResultsCacheKey = (searchQuery, filters, limit, offset, sortFilter = null, cursor = null) => {
   const parts = ['agents:results'];
   
   if (searchQuery) parts.push(`search:${searchQuery}`);
@@ -327,12 +357,13 @@ const generateResultsCacheKey = (searchQuery, filters, limit, offset, sortFilter
   if (filters.rating) parts.push(`rating:${filters.rating}`);
   if (filters.tags && Array.isArray(filters.tags)) parts.push(`tags:${filters.tags.sort().join(',')}`);
   if (filters.features && Array.isArray(filters.features)) parts.push(`features:${filters.features.sort().join(',')}`);
+  if (filters.integrations && Array.isArray(filters.integrations)) parts.push(`integrations:${filters.integrations.sort().join(',')}`);
   
   // Include sort filter in cache key (critical for correct sorting)
   if (sortFilter) parts.push(`sort:${sortFilter.replace(/\s+/g, '_')}`);
   
   parts.push(`limit:${limit}`);
-  parts.push(`offset:${offset}`);
+  parts.push(cursor ? `cursor:${cursor}` : `offset:${offset}`);
   
   return parts.join(':');
 };
@@ -458,7 +489,9 @@ const getAgents = async (req, res) => {
       rating, // Add rating filter
       tags, // Add tags filter (comma-separated)
       features, // Add features filter (comma-separated)
+      integrations, // Integrations filter (comma-separated)
       lastVisibleId, // Keep for backward compatibility
+      cursor, // nextCursor / prevCursor of a previous page
       filter, // Keep for backward compatibility - used for sorting
       // paddleCompliant, // 🆕 New filter
       limit = 20,
@@ -473,6 +506,7 @@ const getAgents = async (req, res) => {
     // Parse tags and features from comma-separated strings
     const tagsArray = tags ? (typeof tags === 'string' ? tags.split(',').map(t => t.trim()) : tags) : undefined;
     const featuresArray = features ? (typeof features === 'string' ? features.split(',').map(f => f.trim()) : features) : undefined;
+    const integrationsArray = integrations ? (typeof integrations === 'string' ? integrations.split(',').map(i => i.trim()) : integrations) : undefined;
     
     const filters = {
       category,
@@ -483,13 +517,14 @@ const getAgents = async (req, res) => {
       complexity,
       rating: rating ? parseFloat(rating) : undefined,
       tags: tagsArray,
-      features: featuresArray
+      features: featuresArray,
+      integrations: integrationsArray
     };
     
     logger.info(`📊 getAgents called:`, {
       searchQuery: finalSearchQuery,
       filters,
-      sortFilter: filter || 'Hot & New',
+      sortFilter: filter || (finalSearchQuery ? 'relevance' : 'Hot & New'),
       limit: parsedLimit,
       offset: parsedOffset
     });
@@ -507,16 +542,37 @@ const getAgents = async (req, res) => {
     }
     
     // 2. Check Redis cache for this specific query (include sort filter in cache key)
-    const sortFilter = filter || 'Hot & New';
-    const cacheKey = generateResultsCacheKey(finalSearchQuery, filters, parsedLimit, parsedOffset, sortFilter);
+    // Searches are ordered by relevance unless another order is asked for
+    const sortFilter = filter || (finalSearchQuery ? 'relevance' : 'Hot & New');
+    const cursorContext = { sort: sortFilter, search: finalSearchQuery || null, filters };
+    const after = cursor ? decodeCursor(String(cursor), cursorContext) : null;
+    if (cursor && !after) {
+      return res.status(400).json({
+        error: 'Invalid cursor',
+        details: 'The cursor is malformed or belongs to a different search, sort or filters'
+      });
+    }
+    const isFirstPage = !after && parsedOffset === 0;
+    // First-page searches are logged and counted per request, so no HTTP cache may answer them
+    if (finalSearchQuery && isFirstPage) {
+      noStore(res);
+    }
+    const cacheKey = generateResultsCacheKey(finalSearchQuery, filters, parsedLimit, parsedOffset, sortFilter, after ? String(cursor) : null);
     const cachedResult = await getCache(cacheKey);
     
     if (cachedResult) {
       const responseTime = Date.now() - startTime;
       logger.info(`⚡ Cache HIT for ${cacheKey} | Response time: ${responseTime}ms`);
+      if (finalSearchQuery && isFirstPage && cachedResult.totalCount > 0) {
+        suggestionService.recordQuery('agents', finalSearchQuery, req.user?.uid || getClientIp(req));
+      }
+      const searchId = finalSearchQuery && isFirstPage
+        ? searchAnalyticsService.logSearch({ catalog: 'agents', query: finalSearchQuery, resultCount: cachedResult.totalCount, filters, sort: sortFilter })
+        : null;
       
       return res.status(200).json({
         ...cachedResult,
+        searchId,
         responseTime,
         fromCache: true
       });
@@ -532,85 +588,41 @@ const getAgents = async (req, res) => {
       results = searchAgents(results, finalSearchQuery);
     }
     
-    // 5. Apply filters
+    // 5. Facet counts (each ignoring its own filter), then apply filters
+    const facets = computeAgentFacets(results, filters, filterAgents);
     results = filterAgents(results, filters);
     
     // 6. Sort results based on filter parameter (sortFilter already extracted above for cache key)
     logger.info(`🔄 Sorting ${results.length} results by: ${sortFilter}`);
-    results.sort((a, b) => {
-      switch (sortFilter) {
-        case 'Hot & New':
-        case 'newest':
-          // Sort by newest first (default)
-          if (a.createdAt && b.createdAt) {
-            return new Date(b.createdAt) - new Date(a.createdAt);
-          }
-          return 0;
-          
-        case 'Top Rated':
-        case 'top-rated':
-          // Sort by rating average (descending), then by rating count
-          const aRating = a.rating?.average || a.rating || 0;
-          const bRating = b.rating?.average || b.rating || 0;
-          const aCount = a.rating?.count || 0;
-          const bCount = b.rating?.count || 0;
-          if (aRating !== bRating) {
-            return bRating - aRating;
-          }
-          return bCount - aCount;
-          
-        case 'Most Popular':
-        case 'popular':
-          // Sort by popularity metrics (views, usersCount, rating count)
-          const aPopularity = a.usersCount || a.views || a.rating?.count || 0;
-          const bPopularity = b.usersCount || b.views || b.rating?.count || 0;
-          if (aPopularity !== bPopularity) {
-            return bPopularity - aPopularity;
-          }
-          // Secondary sort by rating
-          const aRatingPop = a.rating?.average || a.rating || 0;
-          const bRatingPop = b.rating?.average || b.rating || 0;
-          return bRatingPop - aRatingPop;
-          
-        case 'Price: Low to High':
-        case 'price-low':
-          // Sort by price ascending
-          const aPrice = a.price || a.priceDetails?.discountedPrice || a.priceDetails?.basePrice || 0;
-          const bPrice = b.price || b.priceDetails?.discountedPrice || b.priceDetails?.basePrice || 0;
-          return aPrice - bPrice;
-          
-        case 'Price: High to Low':
-        case 'price-high':
-          // Sort by price descending
-          const aPriceHigh = a.price || a.priceDetails?.discountedPrice || a.priceDetails?.basePrice || 0;
-          const bPriceHigh = b.price || b.priceDetails?.discountedPrice || b.priceDetails?.basePrice || 0;
-          return bPriceHigh - aPriceHigh;
-          
-        default:
-          // Default to newest first
-          if (a.createdAt && b.createdAt) {
-            return new Date(b.createdAt) - new Date(a.createdAt);
-          }
-          return 0;
-      }
-    });
+    const agentSort = getAgentSort(sortFilter);
+    results = sortByKeys(results, agentSort);
     
-    // 7. Calculate pagination
+    // 7. Calculate pagination (from the cursor if given, else from offset)
     const totalCount = results.length;
-    const hasMore = parsedOffset + parsedLimit < totalCount;
-    const paginatedResults = results.slice(parsedOffset, parsedOffset + parsedLimit);
+    const page = paginateSorted(results, {
+      sort: agentSort,
+      limit: parsedLimit,
+      cursor: after,
+      offset: parsedOffset,
+      context: cursorContext
+    });
+    const paginatedResults = page.items.map(withSearchHighlights);
     
     // 8. Prepare response
     const response = {
       agents: paginatedResults,
       totalCount,
-      currentPage: Math.floor(parsedOffset / parsedLimit) + 1,
+      currentPage: Math.floor(page.offset / parsedLimit) + 1,
       totalPages: Math.ceil(totalCount / parsedLimit),
-      hasMore,
+      hasMore: page.hasMore,
+      hasPrevious: page.hasPrevious,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
       limit: parsedLimit,
-      offset: parsedOffset,
+      offset: page.offset,
       searchQuery: finalSearchQuery || null,
       filters: filters,
+      facets,
       fromCache: false,
       responseTime: Date.now() - startTime,
       lastVisibleId: paginatedResults.length > 0 ? paginatedResults[paginatedResults.length - 1].id : null,
@@ -619,6 +631,15 @@ const getAgents = async (req, res) => {
     // 9. Cache the result
     await setCache(cacheKey, response);
     
+    // Searches that found something feed the popular query suggestions
+    if (finalSearchQuery && isFirstPage && totalCount > 0) {
+      suggestionService.recordQuery('agents', finalSearchQuery, req.user?.uid || getClientIp(req));
+    }
+    // Sampled search log; its ID comes back with track-view when a result is opened
+    const searchId = finalSearchQuery && isFirstPage
+      ? searchAnalyticsService.logSearch({ catalog: 'agents', query: finalSearchQuery, resultCount: totalCount, filters, sort: sortFilter })
+      : null;
+    
     logger.info(`✅ Query processed successfully:`, {
       totalFound: totalCount,
       returned: paginatedResults.length,
@@ -627,7 +648,7 @@ const getAgents = async (req, res) => {
       cached: true
     });
     
-    return res.status(200).json(response);
+    return res.status(200).json({ ...response, searchId });
     
   } catch (error) {
     logger.error('❌ Error in getAgents:', error);
@@ -1789,6 +1810,38 @@ const getSearchResultsCount = async (req, res) => {
   }
 };
 
+/**
+ * Autocomplete suggestions for the agents search box
+ * Prefix matches on titles, categories, integrations and popular searches,
+ * served from the tries built with the agents cache.
+ */
+const getSearchSuggestions = async (req, res) => {
+  try {
+    const startTime = Date.now();
+    const { q = '', limit } = req.query;
+    const parsedLimit = Math.min(Math.max(parseInt(limit) || 5, 1), 10);
+
+    const cacheLoaded = await ensureCacheLoaded();
+    if (!cacheLoaded) {
+      throw new Error('Failed to load agents cache');
+    }
+
+    return res.status(200).json({
+      success: true,
+      query: q,
+      suggestions: suggestionService.suggest('agents', String(q), parsedLimit),
+      responseTime: Date.now() - startTime
+    });
+  } catch (error) {
+    logger.error('Error in getSearchSuggestions:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get search suggestions',
+      details: error.message
+    });
+  }
+};
+
 const refreshCache = async (req, res) => {
   try {
     logger.info('🔄 Manual cache refresh requested');
@@ -1853,6 +1906,19 @@ const getCacheStats = async (req, res) => {
   }
 };
 
+/**
+ * Reload the in-memory agents cache and drop cached agent responses
+ * For agent changes made outside this controller (e.g. price campaigns).
+ */
+const invalidateAgentsCache = async () => {
+  const success = await refreshAgentsCache();
+  await deleteCacheByPattern('agents:results:*');
+  await deleteCacheByPattern('agents:search:*');
+  await deleteCacheByPattern('agent:*');
+  logger.info('🧹 Agents cache invalidated');
+  return success;
+};
+
 const initializeCache = async () => {
   logger.info('🚀 Initializing agents cache on startup...');
   const success = await refreshAgentsCache();
@@ -1914,7 +1980,6 @@ const getUserEntitlements = async (userId) => {
   if (cached) return cached;
   const userDoc = await db.collection('users').doc(userId).get();
   const data = userDoc.exists ? userDoc.data() : {};
-  const nowTs = Date.now();
   const subscription = data.subscription || {};
   const currentPeriodEnd = subscription.currentPeriodEnd
     ? new Date(subscription.currentPeriodEnd).getTime()
@@ -1923,7 +1988,8 @@ const getUserEntitlements = async (userId) => {
     isAdmin: data.role === 'admin' || data.roles?.includes?.('admin') === true,
     purchases: Array.isArray(data.purchases) ? data.purchases.map(p => p.agentId || p.productId).filter(Boolean) : [],
     downloads: Array.isArray(data.downloads) ? data.downloads.map(d => d.agentId || d.id).filter(Boolean) : [],
-    isSubscriber: (subscription.status === 'active' || subscription.status === 'trialing') && currentPeriodEnd > nowTs,
+    // Covers the grace period after a failed renewal and cancelled-but-paid periods
+    isSubscriber: hasSubscriptionAccess(subscription),
     planId: subscription.planId || null,
     currentPeriodEnd
   };
@@ -2151,12 +2217,14 @@ const functionsToExport = {
   // Count and search endpoints
   getAgentCount,
   getSearchResultsCount,
+  getSearchSuggestions,
   searchAgents,
   
   // Cache management
   refreshCache,
   getCacheStats,
   initializeCache,
+  invalidateAgentsCache,
 
   // Reviews
   addAgentReview_controller,
@@ -11,10 +11,15 @@
 const { db } = require('../../config/firebase');
 const { 
   validatePrice, 
+  validatePricingModel,
+  getPricingDisplay,
   createPriceHistoryEntry, 
   isDiscountValid,
-  calculateFinalPrice 
+  calculateFinalPrice,
+  calculateQuotedPrice
 } = require('../../models/priceModel');
+const fxRateService = require('../../services/currency/fxRateService');
+const { normalizeCurrency, validateCurrencyOverrides } = require('../../services/currency/fxRates');
 
 // Collection references
 const pricesCollection = db.collection('prices');
@@ -53,19 +58,21 @@ const normalizeAgentId = (agentId) => {
 const createNormalizedPriceObject = (priceData, agentId) => {
   const normalizedAgentId = normalizeAgentId(agentId);
   const timestamp = new Date().toISOString();
+  const { basePrice: modelBasePrice, ...model } = validatePricingModel(priceData);
   
-  // Ensure basePrice is a number
-  const basePrice = typeof priceData.basePrice === 'number' 
+  // Ensure basePrice is a number (tip, pay-what-you-want and tiered models derive it)
+  const basePrice = modelBasePrice ?? (typeof priceData.basePrice === 'number' 
     ? priceData.basePrice 
-    : parseFloat(priceData.basePrice) || 0;
+    : parseFloat(priceData.basePrice) || 0);
   
-  // Calculate or use provided discounted price
+  // Calculate or use provided discounted price (only fixed prices carry one)
+  const isFixed = modelBasePrice === null;
   let discountedPrice = basePrice;
-  if (typeof priceData.discountedPrice === 'number' || priceData.discountedPrice) {
+  if (isFixed && (typeof priceData.discountedPrice === 'number' || priceData.discountedPrice)) {
     discountedPrice = typeof priceData.discountedPrice === 'number'
       ? priceData.discountedPrice
       : parseFloat(priceData.discountedPrice) || basePrice;
-  } else if (typeof priceData.finalPrice === 'number' || priceData.finalPrice) {
+  } else if (isFixed && (typeof priceData.finalPrice === 'number' || priceData.finalPrice)) {
     discountedPrice = typeof priceData.finalPrice === 'number'
       ? priceData.finalPrice
       : parseFloat(priceData.finalPrice) || basePrice;
@@ -85,6 +92,7 @@ const createNormalizedPriceObject = (priceData, agentId) => {
     currency: priceData.currency || 'USD',
     isFree: basePrice === 0 || !!priceData.isFree,
     isSubscription: !!priceData.isSubscription,
+    ...model,
     createdAt: priceData.createdAt || timestamp,
     updatedAt: timestamp
   };
@@ -96,9 +104,10 @@ const createNormalizedPriceObject = (priceData, agentId) => {
  * @param {string} agentId - The agent ID
  * @param {string} userId - The user ID making the change
  * @param {string} changeType - The type of change
+ * @param {object} details - Extra context stored with the record (e.g. the campaign)
  * @returns {Promise<string>} The ID of the new price history record
  */
-const recordPriceHistory = async (priceData, agentId, userId = null, changeType = 'manual_price_change') => {
+const recordPriceHistory = async (priceData, agentId, userId = null, changeType = 'manual_price_change', details = null) => {
   try {
     const normalizedAgentId = normalizeAgentId(agentId);
     const timestamp = new Date().toISOString();
@@ -115,6 +124,12 @@ const recordPriceHistory = async (priceData, agentId, userId = null, changeType
       changedBy: userId || 'system',
       changeType
     };
+    if (priceData.currencyOverrides) {
+      historyData.currencyOverrides = priceData.currencyOverrides;
+    }
+    if (details) {
+      historyData.details = details;
+    }
     
     // Add to the main price_history collection (source of truth for price history)
     const historyRef = await db.collection('price_history').add(historyData);
@@ -127,6 +142,49 @@ const recordPriceHistory = async (priceData, agentId, userId = null, changeType
   }
 };
 
+/**
+ * Attach a regional tax quote when the request names a customer country
+ * @param {Object} priceData - Price data with basePrice/finalPrice
+ * @param {Object} query - Request query ({ country, vatId })
+ * @returns {Object} - Price data, with a quote block if a country was given
+ */
+const withTaxQuote = (priceData, query = {}) => {
+  if (!query.country) {
+    return priceData;
+  }
+  const discount = priceData.discount && isDiscountValid(priceData.discount) ? priceData.discount : null;
+  const basePrice = discount ? priceData.basePrice : (priceData.finalPrice ?? priceData.basePrice ?? 0);
+  return {
+    ...priceData,
+    quote: calculateQuotedPrice(basePrice, discount, { country: query.country, vatId: query.vatId })
+  };
+};
+
+/**
+ * Send a price, converted when the request asks for a currency and with a
+ * tax quote when it names a country
+ * @param {Object} res - Express response object
+ * @param {Object} priceData - Price data in the agent's own currency
+ * @param {Object} query - Request query ({ currency, country, vatId })
+ */
+const sendPrice = async (res, priceData, query = {}) => {
+  if (!query.currency) {
+    return res.status(200).json(withTaxQuote(priceData, query));
+  }
+
+  if (!normalizeCurrency(query.currency)) {
+    return res.status(400).json({ error: 'Invalid currency', details: 'Expected an ISO 4217 code such as EUR' });
+  }
+  const converted = await fxRateService.priceInCurrency(priceData, query.currency);
+  if (!converted) {
+    return res.status(400).json({
+      error: 'Currency not supported',
+      details: `No exchange rate from ${priceData.currency || 'USD'} to ${query.currency.toUpperCase()}`
+    });
+  }
+  return res.status(200).json(withTaxQuote(converted, query));
+};
+
 /**
  * Get the price details for a specific agent
  */
@@ -160,7 +218,7 @@ const getPriceById = async (req, res) => {
           updatedAt: new Date().toISOString()
         };
         
-        return res.status(200).json(legacyPrice);
+        return sendPrice(res, legacyPrice, req.query);
       } else if (typeof agentData.price !== 'undefined') {
         // Even more legacy format with direct price field
         const price = agentData.price;
@@ -188,7 +246,7 @@ const getPriceById = async (req, res) => {
           updatedAt: agentData.updatedAt || new Date().toISOString()
         };
         
-        return res.status(200).json(legacyPrice);
+        return sendPrice(res, legacyPrice, req.query);
       }
       
       // No price found at all
@@ -206,7 +264,7 @@ const getPriceById = async (req, res) => {
       priceData.finalPrice = priceData.basePrice;
     }
     
-    return res.status(200).json(priceData);
+    return sendPrice(res, priceData, req.query);
   } catch (error) {
     console.error('Error getting price:', error);
     return res.status(500).json({ error: 'Failed to get price details' });
@@ -242,7 +300,15 @@ const updatePrice = async (req, res) => {
     };
     
     // Validate the price data
-    const validPrice = validatePrice(newPriceData);
+    let validPrice;
+    try {
+      validPrice = validatePrice(newPriceData);
+    } catch (validationError) {
+      if (validationError.name === 'PriceValidationError') {
+        return res.status(400).json({ error: 'Invalid price', details: validationError.message });
+      }
+      throw validationError;
+    }
     
     // If price exists, add to history
     if (existingPrice && existingPrice.basePrice !== validPrice.basePrice) {
@@ -271,7 +337,8 @@ const updatePrice = async (req, res) => {
         basePrice: validPrice.basePrice,
         discountedPrice: validPrice.finalPrice,
         currency: validPrice.currency
-      }
+      },
+      pricing: getPricingDisplay(validPrice)
     });
     
     return res.status(200).json({
@@ -446,7 +513,7 @@ const getAgentPrice = async (req, res) => {
     // This should be queried separately if needed
     const { priceHistory, ...cleanPriceData } = priceData;
     
-    return res.status(200).json(cleanPriceData);
+    return sendPrice(res, cleanPriceData, req.query);
     
   } catch (error) {
     console.error('Error getting agent price:', error);
@@ -461,6 +528,25 @@ const getAgentPrice = async (req, res) => {
  */
 const updateAgentPrice = async (req, res) => {
   try {
+    // Per-currency overrides replace the stored set; null clears them
+    let currencyOverrides;
+    if (req.body && req.body.currencyOverrides !== undefined) {
+      const validation = validateCurrencyOverrides(req.body.currencyOverrides, req.body.currency || 'USD');
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Invalid currency overrides', details: validation.errors });
+      }
+      currencyOverrides = validation.overrides;
+    }
+
+    try {
+      validatePricingModel(req.body || {});
+    } catch (validationError) {
+      if (validationError.name === 'PriceValidationError') {
+        return res.status(400).json({ error: 'Invalid price', details: validationError.message });
+      }
+      throw validationError;
+    }
+
     // Start a Firestore transaction for data consistency
     const result = await db.runTransaction(async (transaction) => {
       // Get agent ID and normalize it
@@ -481,6 +567,9 @@ const updateAgentPrice = async (req, res) => {
       
       // Create a normalized price object
       const normalizedPrice = createNormalizedPriceObject(priceData, agentId);
+      if (currencyOverrides) {
+        normalizedPrice.currencyOverrides = currencyOverrides;
+      }
       
       // Reference to the price document
       const priceRef = db.collection('prices').doc(agentId);
@@ -523,6 +612,7 @@ const updateAgentPrice = async (req, res) => {
         isFree: normalizedPrice.isFree,
         isSubscription: normalizedPrice.isSubscription,
         discountPercentage: normalizedPrice.discountPercentage,
+        pricing: getPricingDisplay(normalizedPrice),
         updatedAt: normalizedPrice.updatedAt
       });
       
@@ -4,6 +4,7 @@ const { admin, db } = require('../../config/firebase');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const emailService = require('../../services/email/emailService');
+const cartService = require('../../services/cart/cartService');
 const logger = require('../../utils/logger');
 
 // Collection reference
@@ -274,8 +275,21 @@ exports.createSession = async (req, res) => {
       maxAge: 24 * 60 * 60 * 1000 // 24 hours
     });
 
+    // Carry over anything the user added to a cart before signing in
+    let cart = { merged: false, itemCount: 0 };
+    const guestCartId = req.body.cartId || req.cookies?.cartId || req.headers['x-cart-id'];
+    if (guestCartId) {
+      try {
+        cart = await cartService.mergeGuestCart(guestCartId, uid);
+        res.clearCookie('cartId', { path: '/' });
+      } catch (cartError) {
+        logger.error(`Failed to merge guest cart for user ${uid}:`, cartError);
+      }
+    }
+
     return res.json({
       message: 'Session created successfully',
+      cart,
       user: {
         uid,
         username: userData.username,
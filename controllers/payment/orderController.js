@@ -10,12 +10,61 @@ const { v4: uuidv4 } = require('uuid');
 const emailService = require('../../services/email/emailService');
 const configEmail = require('../../config/email');
 const invoiceService = require('../../services/invoice/invoiceService');
+const { calculateOrderTax, toVatInfo } = require('../../services/tax/taxEngine');
+const couponService = require('../../services/coupon/couponService');
+const cartService = require('../../services/cart/cartService');
+const revenueAnalyticsService = require('../../services/analytics/revenueAnalyticsService');
+const checkoutRecoveryService = require('../../services/checkout/checkoutRecoveryService');
+const riskService = require('../../services/risk/riskService');
+const { getProvider } = require('../../services/payment/paymentProviders');
+const templateAccessService = require('../../services/template/templateAccessService');
+const { resolvePolicy, remainingDownloads } = require('../../services/template/templateAccessPolicy');
+const { planBundle } = require('../../services/template/templateBundle');
+const { PRICING_MODELS, getTierDeliverables } = require('../../models/priceModel');
+const { clampLimit, encodeCursor, decodeCursor, toOrderSummary, buildReceipt } = require('../../services/order/orderHistory');
 const logger = require('../../utils/logger');
 const { deleteCache } = require('../../utils/cache');
 
 // Initialize Firestore
 const db = admin.firestore();
 
+/**
+ * Error for a review decision on an order that is not held
+ */
+function orderReviewError(message, reason) {
+  const error = new Error(message);
+  error.name = 'OrderReviewError';
+  error.reason = reason;
+  return error;
+}
+
+/**
+ * Error for a refund that cannot be applied to an order
+ */
+function orderRefundError(message, reason) {
+  const error = new Error(message);
+  error.name = 'OrderRefundError';
+  error.reason = reason;
+  return error;
+}
+
+/**
+ * Amount a refund request would refund from an order
+ * Defaults to the remaining balance when no amount is given.
+ * @throws {Error} OrderRefundError for a non-positive amount or one above the remaining balance
+ */
+function resolveRefundAmount(order, amount) {
+  const remaining = Math.round(Math.max(0, (order.total || 0) - (order.refundedAmount || 0)) * 100) / 100;
+  const refundAmount = amount !== undefined && amount !== null ? parseFloat(amount) : remaining;
+  if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+    throw orderRefundError(`Refund amount must be greater than zero for order ${order.id}`, 'invalid_amount');
+  }
+  if (refundAmount > remaining + 0.005) {
+    throw orderRefundError(`Refund amount ${refundAmount} exceeds the refundable balance ${remaining} of order ${order.id}`, 'exceeds_remaining');
+  }
+  return refundAmount;
+}
+
 class OrderController {
   constructor() {
     this.supportedProcessors = ['paypal', 'google_direct'];
@@ -84,6 +133,29 @@ class OrderController {
     }
   }
 
+  /**
+   * Plan the ZIP bundle of an agent: its template plus every deliverable
+   * @param {string} agentId - The agent ID
+   * @param {string|null} licenseTier - Licence tier bought, for tiered agents
+   * @returns {Promise<Object>} - { agent, bundle } (see templateBundle.planBundle)
+   */
+  async getAgentBundle(agentId, licenseTier = null) {
+    const templateJson = await this.getAgentTemplate(agentId);
+    const [agentDoc, priceDoc] = await Promise.all([
+      db.collection('agents').doc(agentId).get(),
+      db.collection('prices').doc(agentId).get()
+    ]);
+    const agent = agentDoc.data();
+
+    // A licence tier may include only some of the deliverables
+    const priceData = priceDoc.exists ? priceDoc.data() : {};
+    const pricingTiers = priceData.pricingModel === PRICING_MODELS.TIERED ? priceData.pricingTiers || [] : [];
+    const tier = pricingTiers.find(entry => entry.id === licenseTier) || null;
+    const licensed = { ...agent, deliverables: getTierDeliverables(agent.deliverables || [], tier, pricingTiers) };
+
+    return { agent: licensed, bundle: planBundle(licensed, templateJson) };
+  }
+
   /**
    * Generate a basic template based on agent information
    * @param {Object} agent - The agent data
@@ -128,13 +200,38 @@ Remember to be respectful, maintain user privacy, and clarify when you're uncert
     try {
       // Generate order ID if not provided
       const orderId = orderData.orderId || uuidv4();
+      const items = orderData.items || [];
+      
+      // Net/tax/gross per line from the customer's country and VAT ID
+      const tax = orderData.tax || calculateOrderTax({
+        items,
+        total: orderData.total,
+        country: orderData.customerCountry,
+        vatId: orderData.vatId
+      });
+      if (tax.totalMismatch) {
+        logger.warn(`Order ${orderId} total does not match its items after tax`, {
+          total: orderData.total,
+          calculatedGross: tax.gross,
+          difference: tax.totalMismatch
+        });
+      }
       
       // Create order object
       const order = {
         id: orderId,
         userId: orderData.userId,
         userEmail: orderData.userEmail,
-        items: orderData.items || [],
+        items: items.map((item, index) => {
+          const line = tax.lines[index];
+          return line ? {
+            ...item,
+            netAmount: line.net,
+            taxAmount: line.tax,
+            grossAmount: line.gross,
+            taxRate: line.rate
+          } : item;
+        }),
         total: orderData.total || 0,
         currency: orderData.currency || 'USD',
         status: orderData.status || 'pending',
@@ -146,7 +243,20 @@ Remember to be respectful, maintain user privacy, and clarify when you're uncert
         deliveryStatus: 'pending',
         metadata: orderData.metadata || {},
         // Enhanced fields for new system
-        vatInfo: orderData.vatInfo || null,
+        vatInfo: orderData.vatInfo || toVatInfo(tax),
+        tax: {
+          country: tax.country,
+          scheme: tax.scheme,
+          rate: tax.rate,
+          reverseCharge: tax.reverseCharge,
+          vatId: tax.vatIdValid ? tax.vatId : null,
+          pricesIncludeTax: tax.pricesIncludeTax,
+          net: tax.net,
+          tax: tax.tax,
+          gross: tax.gross
+        },
+        coupon: orderData.coupon || null,
+        risk: orderData.risk || null,
         invoiceId: null, // Will be set when invoice is created
         templateAccessTokens: [],
         
@@ -202,6 +312,7 @@ Remember to be respectful, maintain user privacy, and clarify when you're uncert
       
       // Determine payment characteristics
       const paymentInfo = this.analyzePaymentMethod(paymentData, processor);
+      const customerInfo = this.extractCustomerInfo(paymentData, metadata);
       
       // Extract order details with UniPay specific handling
       const orderData = {
@@ -226,6 +337,9 @@ Remember to be respectful, maintain user privacy, and clarify when you're uncert
           }
         },
         vatInfo: paymentData.vatInfo || null,
+        coupon: paymentData.coupon || null,
+        customerCountry: customerInfo.country,
+        vatId: customerInfo.vatId,
         
         // UniPay specific fields (NEW)
         uniPayOrderHashId: metadata.order_hash_id || paymentData.orderHashId || null,
@@ -233,45 +347,25 @@ Remember to be respectful, maintain user privacy, and clarify when you're uncert
         conversionInfo: paymentData.conversionInfo || null
       };
       
+      // Screen the checkout; high-risk orders are held for review before delivery
+      const risk = await this.assessCheckoutRisk(orderData, metadata);
+      const heldForReview = !!risk?.hold;
+      if (heldForReview) {
+        orderData.status = 'review';
+      }
+      orderData.risk = risk;
+
       // Create order record
       const order = await this.createOrder(orderData);
+      if (heldForReview) {
+        logger.warn(`Order ${order.id} held for review (risk score ${risk.score})`, {
+          reasons: risk.reasons.map(reason => reason.code)
+        });
+      }
 
-      // Persist purchases on user profile (entitlement) if we have a userId
-      if (userId && items.length > 0) {
-        try {
-          const userRef = db.collection('users').doc(userId);
-          await db.runTransaction(async (tx) => {
-            const snap = await tx.get(userRef);
-            const data = snap.exists ? snap.data() : {};
-            const purchases = Array.isArray(data.purchases) ? [...data.purchases] : [];
-            const existingAgentIds = new Set(
-              purchases.map((p) => (p.agentId || p.productId)).filter(Boolean)
-            );
-            const nowIso = new Date().toISOString();
-            for (const item of items) {
-              const agentId = item.id || item.agentId || item.productId;
-              if (!agentId) continue;
-              if (existingAgentIds.has(agentId)) continue;
-              purchases.push({
-                agentId,
-                productId: agentId,
-                orderId: order.id,
-                price: item.price || (order.total || 0),
-                currency: order.currency,
-                processor: processor,
-                paymentId: order.paymentId,
-                purchasedAt: nowIso
-              });
-              existingAgentIds.add(agentId);
-            }
-            tx.set(userRef, { purchases }, { merge: true });
-          });
-          // Invalidate entitlement cache so UI reflects purchase immediately
-          try { await deleteCache(`user:${userId}:entitlements`); } catch (e) { logger.warn('Failed to invalidate entitlement cache after purchase:', e.message); }
-          logger.info(`Recorded purchases for user ${userId} on order ${order.id}`);
-        } catch (purchaseErr) {
-          logger.error('Failed to record purchases on user profile:', purchaseErr);
-        }
+      // Persist purchases on user profile (entitlement) unless the order is held
+      if (!heldForReview) {
+        await this.recordPurchases(order, items, userId);
       }
 
       // Create invoice immediately for all successful payments
@@ -283,8 +377,8 @@ Remember to be respectful, maintain user privacy, and clarify when you're uncert
             processor,
             paymentMethod: paymentInfo.method
           },
-          orderData,
-          this.extractCustomerInfo(paymentData, metadata)
+          { ...orderData, tax: order.tax, items: order.items },
+          customerInfo
         );
         
         // Update order with invoice ID
@@ -294,6 +388,10 @@ Remember to be respectful, maintain user privacy, and clarify when you're uncert
           updatedAt: new Date().toISOString()
         });
         
+        // Keep the in-memory order in sync so template access and emails reference the invoice
+        order.invoiceId = invoice.invoiceId;
+        order.invoiceNumber = invoice.invoiceNumber;
+        
         logger.info(`Invoice created for order: ${order.id}`, {
           invoiceId: invoice.invoiceId,
           invoiceNumber: invoice.invoiceNumber,
@@ -304,35 +402,75 @@ Remember to be respectful, maintain user privacy, and clarify when you're uncert
         // Continue processing even if invoice creation fails
       }
       
+      // Count the promo code redemption against its usage caps
+      if (order.coupon?.code) {
+        try {
+          // Redeemed against the signed-in customer the code was checked for
+          const redeemedBy = order.coupon.redeemedBy || { userId, email };
+          await couponService.redeemCoupon({
+            code: order.coupon.code,
+            orderId: order.id,
+            userId: redeemedBy.userId || null,
+            email: redeemedBy.email || null,
+            discountTotal: order.coupon.discountTotal || 0,
+            currency: order.currency,
+            invoiceId: order.invoiceId || null
+          });
+        } catch (couponError) {
+          logger.error(`Failed to record coupon redemption for order ${order.id}:`, couponError);
+        }
+      }
+
+      // Add the order to the revenue aggregates behind the admin analytics
+      // (held orders are added when approved)
+      try {
+        await revenueAnalyticsService.recordOrder(order);
+      } catch (analyticsError) {
+        logger.error(`Failed to record revenue analytics for order ${order.id}:`, analyticsError);
+      }
+
+      // Close the checkout session and attribute the order to a recovery email
+      try {
+        await checkoutRecoveryService.recordConversion(order);
+      } catch (recoveryError) {
+        logger.error(`Failed to record checkout conversion for order ${order.id}:`, recoveryError);
+      }
+      
       // Generate download links for templates (immediate delivery for most payment methods)
       const templates = [];
-      const shouldDeliverImmediately = paymentInfo.immediateDelivery;
+      const shouldDeliverImmediately = paymentInfo.immediateDelivery && !heldForReview;
       
       if (shouldDeliverImmediately) {
         logger.info(`Preparing templates for immediate delivery for order ${order.id}`);
         
-        // Process each item to create template access
-        for (const item of items) {
-          try {
-            const templateResult = await this.createTemplateAccess(item, order, email, userId);
-            if (templateResult) {
-              templates.push(templateResult);
-            }
-          } catch (templateError) {
-            logger.error(`Error preparing template for agent ${item.id}: ${templateError.message}`);
-          }
+        // Access for every agent in the order is granted together or not at all
+        try {
+          templates.push(...await this.createTemplateAccessForOrder(items, order, email, userId));
+        } catch (templateError) {
+          logger.error(`Error creating template access for order ${order.id}: ${templateError.message}`);
+        }
+      }
+      
+      // Checkout from a server-side cart: drop the purchased agents from the buyer's cart
+      if (metadata.cartId) {
+        try {
+          await cartService.consumeCart(metadata.cartId, items.map(item => item.id).filter(Boolean), { id: order.id, userId });
+        } catch (cartError) {
+          logger.error(`Failed to consume cart ${metadata.cartId} for order ${order.id}:`, cartError);
         }
       }
       
-      // Handle email delivery
-      const deliveryResult = await this.handleEmailDelivery(
-        order, 
-        templates, 
-        email, 
-        userId, 
-        paymentInfo,
-        metadata
-      );
+      // Handle email delivery; held orders are delivered when an admin approves them
+      const deliveryResult = heldForReview
+        ? { status: 'held_for_review', results: [] }
+        : await this.handleEmailDelivery(
+          order, 
+          templates, 
+          email, 
+          userId, 
+          paymentInfo,
+          metadata
+        );
       
       // Update order with final delivery status
       await db.collection('orders').doc(order.id).update({
@@ -351,6 +489,7 @@ Remember to be respectful, maintain user privacy, and clarify when you're uncert
         templates: shouldDeliverImmediately ? templates : [],
         paymentProcessor: processor,
         paymentMethod: paymentInfo.method,
+        heldForReview,
         // UniPay specific fields
         uniPayOrderHashId: order.uniPayOrderHashId,
         merchantOrderId: order.merchantOrderId
@@ -371,6 +510,188 @@ Remember to be respectful, maintain user privacy, and clarify when you're uncert
     }
   }
 
+  /**
+   * Score a checkout with the risk rules
+   * Screening never blocks a paid order: when it fails the order goes through.
+   * @returns {Promise<Object|null>} - Risk assessment, or null when screening failed
+   */
+  async assessCheckoutRisk(orderData, metadata = {}) {
+    try {
+      return await riskService.assessCheckout({
+        userId: orderData.userId,
+        email: orderData.userEmail,
+        ip: metadata.clientIp || null,
+        ipCountry: metadata.ipCountry || null,
+        country: orderData.customerCountry,
+        amount: orderData.total
+      });
+    } catch (error) {
+      logger.error(`Risk screening failed for order ${orderData.orderId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Persist purchases on the user profile (entitlement)
+   */
+  async recordPurchases(order, items, userId) {
+    if (!userId || items.length === 0) return;
+
+    const processor = order.paymentProcessor;
+    try {
+      const userRef = db.collection('users').doc(userId);
+      await db.runTransaction(async (tx) => {
+        const snap = await tx.get(userRef);
+        const data = snap.exists ? snap.data() : {};
+        const purchases = Array.isArray(data.purchases) ? [...data.purchases] : [];
+        const existingAgentIds = new Set(
+          purchases.map((p) => (p.agentId || p.productId)).filter(Boolean)
+        );
+        const nowIso = new Date().toISOString();
+        for (const item of items) {
+          const agentId = item.id || item.agentId || item.productId;
+          if (!agentId) continue;
+          if (existingAgentIds.has(agentId)) continue;
+          purchases.push({
+            agentId,
+            productId: agentId,
+            orderId: order.id,
+            price: item.price || (order.total || 0),
+            currency: order.currency,
+            processor: processor,
+            paymentId: order.paymentId,
+            purchasedAt: nowIso
+          });
+          existingAgentIds.add(agentId);
+        }
+        tx.set(userRef, { purchases }, { merge: true });
+      });
+      // Invalidate entitlement cache so UI reflects purchase immediately
+      try { await deleteCache(`user:${userId}:entitlements`); } catch (e) { logger.warn('Failed to invalidate entitlement cache after purchase:', e.message); }
+      logger.info(`Recorded purchases for user ${userId} on order ${order.id}`);
+    } catch (purchaseErr) {
+      logger.error('Failed to record purchases on user profile:', purchaseErr);
+    }
+  }
+
+  /**
+   * Orders held for review by the risk screening, oldest first
+   */
+  async getHeldOrders() {
+    const snapshot = await db.collection('orders').where('status', '==', 'review').get();
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  }
+
+  /**
+   * Take a held order out of the review queue
+   * @returns {Promise<Object>} - The order as it was before the decision
+   */
+  async claimHeldOrder(orderId, status, review) {
+    const ref = db.collection('orders').doc(orderId);
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) {
+        throw orderReviewError(`Order not found: ${orderId}`, 'not_found');
+      }
+      if (doc.data().status !== 'review') {
+        throw orderReviewError(`Order ${orderId} is not awaiting review (status: ${doc.data().status})`, 'not_held');
+      }
+      transaction.update(ref, {
+        status,
+        review: { ...review, reviewedAt: new Date().toISOString() },
+        updatedAt: new Date().toISOString()
+      });
+      return { id: doc.id, ...doc.data() };
+    });
+  }
+
+  /**
+   * Approve a held order and deliver it as if the payment had just succeeded
+   * @param {string} orderId - Held order
+   * @param {Object} decision - { reviewedBy, note }
+   * @returns {Promise<Object>} - { orderId, status, deliveryStatus, templates }
+   */
+  async approveHeldOrder(orderId, { reviewedBy, note = null } = {}) {
+    const order = await this.claimHeldOrder(orderId, 'completed', { decision: 'approved', reviewedBy, note });
+    order.status = 'completed';
+    order.review = { decision: 'approved', reviewedBy, note };
+    const items = Array.isArray(order.items) ? order.items : [];
+    const email = order.userEmail || null;
+    const paymentInfo = this.analyzePaymentMethod({ metadata: order.metadata }, order.paymentProcessor);
+
+    await this.recordPurchases(order, items, order.userId);
+
+    // Held orders only count as revenue once approved
+    try {
+      await revenueAnalyticsService.recordOrder(order);
+    } catch (analyticsError) {
+      logger.error(`Failed to record revenue analytics for approved order ${orderId}:`, analyticsError);
+    }
+
+    const templates = [];
+    try {
+      templates.push(...await this.createTemplateAccessForOrder(items, order, email, order.userId));
+    } catch (templateError) {
+      logger.error(`Error creating template access for approved order ${orderId}: ${templateError.message}`);
+    }
+
+    const deliveryResult = await this.handleEmailDelivery(order, templates, email, order.userId, paymentInfo, order.metadata || {});
+    await db.collection('orders').doc(orderId).update({
+      deliveryStatus: deliveryResult.status,
+      deliveryResults: deliveryResult.results || [],
+      templateAccessTokens: templates.map(t => t.accessToken),
+      updatedAt: new Date().toISOString()
+    });
+
+    logger.info(`Held order ${orderId} approved by ${reviewedBy}`, { deliveryStatus: deliveryResult.status });
+    return { orderId, status: 'completed', deliveryStatus: deliveryResult.status, templates };
+  }
+
+  /**
+   * Reject a held order and refund the payment
+   * The refund goes through the order's payment provider when the capture is
+   * known; otherwise the order is flagged for a manual refund.
+   * @param {string} orderId - Held order
+   * @param {Object} decision - { reviewedBy, reason }
+   * @returns {Promise<Object>} - { orderId, status, refund }
+   */
+  async rejectHeldOrder(orderId, { reviewedBy, reason = null } = {}) {
+    const order = await this.claimHeldOrder(orderId, 'rejected', { decision: 'rejected', reviewedBy, reason });
+    // UniPay orders held before the capture reference was stored refund by order hash
+    const captureId = order.metadata?.originalPaymentData?.transaction_id
+      || (order.paymentProcessor === 'unipay' ? order.uniPayOrderHashId : null)
+      || null;
+
+    let refund = { status: 'manual_required', refundId: null };
+    if (captureId && order.total > 0) {
+      try {
+        const providerRefund = await getProvider(order.paymentProcessor).refund(captureId, {
+          amount: order.total,
+          currency: order.currency,
+          reason: reason || 'Order rejected after review'
+        });
+        await this.processOrderRefund(orderId, {
+          refund_id: providerRefund.refundId,
+          amount: order.total,
+          reason: reason || 'Order rejected after review'
+        });
+        refund = { status: 'refunded', refundId: providerRefund.refundId };
+      } catch (refundError) {
+        logger.error(`Automatic refund failed for rejected order ${orderId}: ${refundError.message}`);
+        refund = { status: 'manual_required', refundId: null, error: refundError.message };
+      }
+    } else if (!(order.total > 0)) {
+      refund = { status: 'not_required', refundId: null };
+    }
+
+    // processOrderRefund marks the order refunded; the review decision takes precedence
+    await this.updateOrderStatus(orderId, 'rejected', { 'review.refund': refund });
+    logger.info(`Held order ${orderId} rejected by ${reviewedBy}`, { refundStatus: refund.status });
+    return { orderId, status: 'rejected', refund };
+  }
+
   /**
    * Analyze payment method and determine characteristics (Updated for UniPay)
    */
@@ -386,6 +707,8 @@ Remember to be respectful, maintain user privacy, and clarify when you're uncert
       method = 'paypal';
     } else if (metadata.payment_method === 'google_direct' || processor === 'google_direct' || paymentTypes.includes('google_direct')) {
       method = 'google_direct';
+    } else if (processor === 'fake') {
+      method = 'sandbox';
     }
     
     // Determine if immediate delivery should happen
@@ -400,61 +723,95 @@ Remember to be respectful, maintain user privacy, and clarify when you're uncert
   }
 
   /**
-   * Create template access for an item
+   * Create template access for every agent in an order
+   * Templates are prepared first and the access tokens are written in a
+   * single batch, so either every agent in the order gets access or none does.
+   * @param {Array<Object>} items - Order items
+   * @param {Object} order - The order
+   * @param {string} email - Customer email
+   * @param {string} userId - Customer user ID
+   * @returns {Promise<Array<Object>>} - Template access results, one per agent
    */
-  async createTemplateAccess(item, order, email, userId) {
+  async createTemplateAccessForOrder(items, order, email, userId) {
+    // A multi-agent order may list the same agent on several lines; one token per agent is enough
+    const uniqueItems = [...new Map(items.filter(item => item.id).map(item => [item.id, item])).values()];
+    if (uniqueItems.length === 0) {
+      return [];
+    }
+
+    const prepared = await Promise.all(
+      uniqueItems.map(item => this.prepareTemplateAccess(item, order, email, userId))
+    );
+
+    const batch = db.batch();
+    prepared.forEach(({ record, result }) => {
+      batch.set(db.collection('templateAccess').doc(result.accessToken), record);
+    });
+    batch.update(db.collection('orders').doc(order.id), {
+      templateAccessTokens: prepared.map(({ result }) => result.accessToken),
+      updatedAt: new Date().toISOString()
+    });
+    await batch.commit();
+
+    logger.info(`Template access created for ${prepared.length} agent(s) in order ${order.id}`, {
+      agentIds: prepared.map(({ result }) => result.agentId),
+      uniPayOrderHashId: order.uniPayOrderHashId
+    });
+
+    return prepared.map(({ result }) => result);
+  }
+
+  /**
+   * Prepare template access for an item without writing it
+   * @returns {Promise<Object>} - { record, result }; throws when the agent's template cannot be loaded
+   */
+  async prepareTemplateAccess(item, order, email, userId) {
+    const agentId = item.id;
+    
+    // Get template content
+    const templateContent = await this.getAgentTemplate(agentId);
+    
+    // Get agent details
+    let agentName = item.title || 'AI Agent';
+    let downloadPolicy = null;
     try {
-      const agentId = item.id;
-      
-      // Get template content
-      const templateContent = await this.getAgentTemplate(agentId);
-      
-      // Get agent details
-      let agentName = item.title || 'AI Agent';
-      try {
-        const agentDoc = await db.collection('agents').doc(agentId).get();
-        if (agentDoc.exists) {
-          const agent = agentDoc.data();
-          agentName = agent.title || agent.name || agentName;
-        }
-      } catch (agentError) {
-        logger.warn(`Couldn't fetch agent details for ${agentId}: ${agentError.message}`);
+      const agentDoc = await db.collection('agents').doc(agentId).get();
+      if (agentDoc.exists) {
+        const agent = agentDoc.data();
+        agentName = agent.title || agent.name || agentName;
+        downloadPolicy = agent.downloadPolicy || null;
       }
+    } catch (agentError) {
+      logger.warn(`Couldn't fetch agent details for ${agentId}: ${agentError.message}`);
+    }
 
-      // Generate a secure token for template access
-      const accessToken = uuidv4();
-      
-      // Store the template access token in the database
-      await db.collection('templateAccess').doc(accessToken).set({
-        orderId: order.id,
-        agentId,
-        userId,
-        email,
-        createdAt: new Date().toISOString(),
-        expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(), // 30 days expiry
-        used: false,
-        invoiceId: order.invoiceId || null,
-        // UniPay specific tracking
-        uniPayOrderHashId: order.uniPayOrderHashId || null,
-        merchantOrderId: order.merchantOrderId || null
-      });
-      
-      const result = {
+    // Generate a secure token for template access
+    const accessToken = uuidv4();
+    
+    // Expiry and download limits come from the agent's policy at the time of purchase
+    const record = templateAccessService.buildAccessRecord({
+      orderId: order.id,
+      agentId,
+      userId,
+      email,
+      invoiceId: order.invoiceId || null,
+      // Tiered agents only deliver the files of the licence bought
+      licenseTier: item.licenseTier || null,
+      // UniPay specific tracking
+      uniPayOrderHashId: order.uniPayOrderHashId || null,
+      merchantOrderId: order.merchantOrderId || null
+    }, resolvePolicy(downloadPolicy));
+    
+    return {
+      record,
+      result: {
         agentId,
         agentName,
         accessToken,
-        downloadUrl: `/api/templates/download/${agentId}?orderId=${order.id}&token=${accessToken}`,
+        downloadUrl: templateAccessService.getDownloadUrl(accessToken, record),
         templateContent
-      };
-      
-      logger.info(`Template access created for agent ${agentId} in order ${order.id}`, {
-        uniPayOrderHashId: order.uniPayOrderHashId
-      });
-      return result;
-    } catch (error) {
-      logger.error(`Error creating template access for agent ${item.id}:`, error);
-      return null;
-    }
+      }
+    };
   }
 
   /**
@@ -595,6 +952,7 @@ Remember to be respectful, maintain user privacy, and clarify when you're uncert
         templateContent: templateContent,
         agentId: agentId,
         // Enhanced fields
+        invoiceId: order.invoiceId || null,
         invoiceNumber: order.invoiceNumber || null,
         vatInfo: order.vatInfo || null,
         // UniPay specific fields
@@ -636,6 +994,8 @@ Remember to be respectful, maintain user privacy, and clarify when you're uncert
       name: paymentData.customer?.name || metadata.customerName || null,
       phone: paymentData.customer?.phone || metadata.customerPhone || null,
       country: metadata.customerCountry || metadata.country || null,
+      vatId: metadata.customerVatId || metadata.vatId || null,
+      companyName: metadata.customerCompany || metadata.companyName || null,
       address: metadata.customerAddress || null,
       city: metadata.customerCity || null,
       postalCode: metadata.customerPostalCode || null,
@@ -697,6 +1057,85 @@ Remember to be respectful, maintain user privacy, and clarify when you're uncert
     }
   }
 
+  /**
+   * Paginated order history of a user, newest first
+   * @param {string} userId - The user ID
+   * @param {Object} options - { limit, cursor }
+   * @returns {Promise<Object>} - { orders, nextCursor, hasMore }
+   */
+  async getUserOrderHistory(userId, { limit, cursor } = {}) {
+    const pageSize = clampLimit(limit);
+    let query = db.collection('orders')
+      .where('userId', '==', userId)
+      .orderBy('createdAt', 'desc')
+      .orderBy('id', 'desc');
+
+    const after = decodeCursor(cursor);
+    if (after) {
+      query = query.startAfter(after.createdAt, after.id);
+    }
+
+    // One extra document tells whether there is a next page
+    const snapshot = await query.limit(pageSize + 1).get();
+    const page = snapshot.docs.slice(0, pageSize).map(doc => ({ id: doc.id, ...doc.data() }));
+
+    const orders = await Promise.all(page.map(async order =>
+      toOrderSummary(order, await this.getOrderRelations(order))
+    ));
+
+    const hasMore = snapshot.docs.length > pageSize;
+    return {
+      orders,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+    };
+  }
+
+  /**
+   * Receipt for an order
+   * @param {Object} order - Order document
+   */
+  async getOrderReceipt(order) {
+    return buildReceipt(order, await this.getOrderRelations(order));
+  }
+
+  /**
+   * Invoices, credit notes and download links of an order
+   * @returns {Promise<Object>} - { invoices, downloads }
+   */
+  async getOrderRelations(order) {
+    const [invoiceResult, accessSnapshot] = await Promise.all([
+      invoiceService.getInvoicesByOrderId(order.id).catch(error => {
+        logger.warn(`Could not load invoices for order ${order.id}: ${error.message}`);
+        return { invoices: [] };
+      }),
+      db.collection('templateAccess').where('orderId', '==', order.id).get()
+    ]);
+
+    // Re-issued links leave revoked tokens behind; show the active one per agent
+    const byAgent = new Map();
+    accessSnapshot.docs.forEach(doc => {
+      const access = doc.data();
+      const current = byAgent.get(access.agentId);
+      if (!current || (current.revoked && !access.revoked) ||
+          (current.revoked === !!access.revoked && access.createdAt > current.createdAt)) {
+        byAgent.set(access.agentId, {
+          agentId: access.agentId,
+          createdAt: access.createdAt,
+          expiresAt: access.expiresAt,
+          revoked: !!access.revoked,
+          remainingDownloads: remainingDownloads(access),
+          downloadUrl: templateAccessService.getDownloadUrl(doc.id, access)
+        });
+      }
+    });
+
+    return {
+      invoices: invoiceResult.invoices || [],
+      downloads: [...byAgent.values()]
+    };
+  }
+
   /**
    * Update order status
    */
@@ -723,36 +1162,173 @@ Remember to be respectful, maintain user privacy, and clarify when you're uncert
     }
   }
 
+  /**
+   * Check a refund against an order before it is sent to the payment provider
+   * @param {string} orderId - Order to refund
+   * @param {number} amount - Requested amount; omit for the remaining balance
+   * @returns {Promise<number>} - The amount that would be refunded
+   */
+  async checkRefund(orderId, amount) {
+    const order = await this.getOrderById(orderId);
+    return resolveRefundAmount({ ...order, id: orderId }, amount);
+  }
+
+  /**
+   * Add a refund to an order against its current refundable balance
+   * @param {string} orderId
+   * @param {Object} entry - Refund entry for `refunds`; its amount is filled in
+   * @param {number} amount - Requested amount; omit for the remaining balance
+   * @returns {Promise<Object|null>} - { refundAmount, refundedAmount, isFullRefund, status, previousStatus, entry }, null when the refund ID is already applied
+   * @throws {Error} OrderRefundError for an amount the order cannot take
+   */
+  async reserveRefund(orderId, entry, amount) {
+    const orderRef = db.collection('orders').doc(orderId);
+    return db.runTransaction(async (transaction) => {
+      const current = (await transaction.get(orderRef)).data() || {};
+      const refunds = current.refunds || [];
+      if (entry.refundId && refunds.some(refund => refund.refundId === entry.refundId)) {
+        return null;
+      }
+
+      const refundAmount = resolveRefundAmount({ ...current, id: orderId }, amount);
+      const refundedAmount = Math.round(((current.refundedAmount || 0) + refundAmount) * 100) / 100;
+      const isFullRefund = refundedAmount >= (current.total || 0) - 0.005;
+      const status = isFullRefund ? 'refunded' : 'partially_refunded';
+      const reserved = { ...entry, amount: refundAmount };
+
+      transaction.update(orderRef, {
+        status,
+        updatedAt: entry.refundedAt,
+        refundId: entry.refundId,
+        refundAmount,
+        refundedAmount,
+        refundedAt: entry.refundedAt,
+        refundReason: entry.reason,
+        refunds: [...refunds, reserved]
+      });
+      return { refundAmount, refundedAmount, isFullRefund, status, previousStatus: current.status || null, entry: reserved };
+    });
+  }
+
+  /**
+   * Take back a reserved refund that could not be credited
+   * @param {string} orderId
+   * @param {Object} reservation - Result of reserveRefund
+   */
+  async releaseRefund(orderId, { entry, previousStatus }) {
+    const orderRef = db.collection('orders').doc(orderId);
+    await db.runTransaction(async (transaction) => {
+      const current = (await transaction.get(orderRef)).data() || {};
+      const refunds = (current.refunds || []).filter(refund =>
+        !(refund.refundId === entry.refundId && refund.refundedAt === entry.refundedAt && refund.amount === entry.amount));
+      const refundedAmount = Math.max(0, Math.round(((current.refundedAmount || 0) - entry.amount) * 100) / 100);
+
+      let status = 'partially_refunded';
+      if (refundedAmount <= 0) status = previousStatus || 'completed';
+      else if (refundedAmount >= (current.total || 0) - 0.005) status = 'refunded';
+
+      transaction.update(orderRef, { status, refundedAmount, refunds, updatedAt: new Date().toISOString() });
+    });
+    logger.warn(`Released refund of ${entry.amount} on order ${orderId} after the credit note failed`);
+  }
+
+  /**
+   * Record the credit note of a refund on its entry in `refunds`
+   */
+  async attachCreditNote(orderId, entry, creditNote) {
+    const orderRef = db.collection('orders').doc(orderId);
+    await db.runTransaction(async (transaction) => {
+      const current = (await transaction.get(orderRef)).data() || {};
+      const refunds = (current.refunds || []).map(refund =>
+        (refund.refundId === entry.refundId && refund.refundedAt === entry.refundedAt
+          ? { ...refund, creditNoteId: creditNote.creditNoteId, creditNoteNumber: creditNote.creditNoteNumber }
+          : refund));
+      transaction.update(orderRef, { refunds });
+    });
+  }
+
   /**
    * Process refund for order (Enhanced for UniPay)
+   * Supports full and partial refunds; every refund issues a credit note
+   * against the order's invoice.
    */
   async processOrderRefund(orderId, refundData) {
     try {
       const order = await this.getOrderById(orderId);
-      
-      // Update order status
-      await this.updateOrderStatus(orderId, 'refunded', {
-        refundId: refundData.refund_id,
-        refundAmount: refundData.amount,
-        refundedAt: new Date().toISOString(),
-        refundReason: refundData.reason || null
+      const refundId = refundData.refund_id || null;
+      const refundedAt = new Date().toISOString();
+
+      // A redelivered or replayed refund must not be applied twice
+      const duplicateResult = (existing) => ({
+        success: true,
+        duplicate: true,
+        orderId,
+        refundId,
+        refundAmount: existing.amount,
+        isFullRefund: existing.isFullRefund,
+        creditNoteId: existing.creditNoteId || null,
+        creditNoteNumber: existing.creditNoteNumber || null,
+        uniPayOrderHashId: order.uniPayOrderHashId
       });
+      const recorded = refundId ? (order.refunds || []).find(refund => refund.refundId === refundId) : null;
+      if (recorded) {
+        logger.info(`Refund ${refundId} already applied to order ${orderId}`);
+        return duplicateResult({ ...recorded, isFullRefund: order.status === 'refunded' });
+      }
+
+      // Reserve the amount on the order first so concurrent refunds cannot exceed its total
+      const entry = {
+        refundId,
+        amount: null,
+        reason: refundData.reason || null,
+        creditNoteId: null,
+        creditNoteNumber: null,
+        refundedAt
+      };
+      const applied = await this.reserveRefund(orderId, entry, refundData.amount);
+      if (!applied) {
+        logger.info(`Refund ${refundId} already applied to order ${orderId}`);
+        const recordedNow = ((await this.getOrderById(orderId)).refunds || []).find(refund => refund.refundId === refundId) || {};
+        return duplicateResult({ ...recordedNow, isFullRefund: false });
+      }
+      const { refundAmount, refundedAmount, isFullRefund } = applied;
+      logger.info(`Updated order status: ${orderId} -> ${applied.status}`);
 
-      // Update invoice if exists
+      // Credit the reserved amount; a failure hands the reservation back
+      let creditNote = null;
       if (order.invoiceId) {
-        await invoiceService.updateInvoiceStatus(order.invoiceId, 'refunded', {
-          refundId: refundData.refund_id,
-          refundedAt: new Date().toISOString()
-        });
+        try {
+          creditNote = await invoiceService.createCreditNote(order.invoiceId, {
+            refundId,
+            amount: refundAmount,
+            reason: refundData.reason || null,
+            processor: order.paymentProcessor
+          });
+        } catch (creditError) {
+          await this.releaseRefund(orderId, applied);
+          throw creditError;
+        }
+        if (creditNote?.duplicate) {
+          logger.info(`Refund ${refundId} of order ${orderId} was already credited as ${creditNote.creditNoteNumber}`);
+        }
+        await this.attachCreditNote(orderId, applied.entry, creditNote);
+      } else {
+        logger.warn(`Order ${orderId} has no invoice; refund recorded without a credit note`);
+      }
+
+      try {
+        await revenueAnalyticsService.recordRefund({ ...order, id: orderId }, refundAmount, refundedAt, refundId);
+      } catch (analyticsError) {
+        logger.error(`Failed to record refund of order ${orderId} in revenue analytics:`, analyticsError);
       }
 
       // Update UniPay order if exists (NEW)
       if (order.uniPayOrderHashId) {
         try {
           await db.collection('uniPayOrders').doc(order.uniPayOrderHashId).update({
-            status: 'refunded',
-            refundedAt: new Date().toISOString(),
-            refundAmount: refundData.amount,
+            status: isFullRefund ? 'refunded' : 'partially_refunded',
+            refundedAt,
+            refundAmount: refundedAmount,
             refundReason: refundData.reason || null
           });
         } catch (uniPayError) {
@@ -760,25 +1336,18 @@ Remember to be respectful, maintain user privacy, and clarify when you're uncert
         }
       }
 
-      // Revoke template access tokens
-      if (order.templateAccessTokens && order.templateAccessTokens.length > 0) {
-        const batch = db.batch();
-        
-        for (const token of order.templateAccessTokens) {
-          const tokenRef = db.collection('templateAccess').doc(token);
-          batch.update(tokenRef, {
-            revoked: true,
-            revokedAt: new Date().toISOString(),
-            revokedReason: 'order_refunded'
-          });
-        }
-        
-        await batch.commit();
+      // Revoke template access tokens - partial refunds keep access
+      if (isFullRefund && order.templateAccessTokens && order.templateAccessTokens.length > 0) {
+        await templateAccessService.revokeAccess(order.templateAccessTokens, {
+          reason: 'order_refunded',
+          revokedAt: refundedAt
+        });
       }
 
-      logger.info(`Processed refund for order: ${orderId}`, {
+      logger.info(`Processed ${isFullRefund ? 'full' : 'partial'} refund for order: ${orderId}`, {
         refundId: refundData.refund_id,
-        amount: refundData.amount,
+        amount: refundAmount,
+        creditNoteNumber: creditNote?.creditNoteNumber || null,
         uniPayOrderHashId: order.uniPayOrderHashId
       });
 
@@ -786,6 +1355,10 @@ Remember to be respectful, maintain user privacy, and clarify when you're uncert
         success: true,
         orderId,
         refundId: refundData.refund_id,
+        refundAmount,
+        isFullRefund,
+        creditNoteId: creditNote?.creditNoteId || null,
+        creditNoteNumber: creditNote?.creditNoteNumber || null,
         uniPayOrderHashId: order.uniPayOrderHashId
       };
     } catch (error) {
@@ -15,6 +15,7 @@ const {
   generatePostCacheKey,
   generateCommentsCacheKey,
 } = require('../../utils/cache');
+const { encodeCursor, decodeCursor } = require('../../utils/cursorPagination');
 
 const postsCollection = admin.firestore().collection('posts');
 const commentsCollection = admin.firestore().collection('comments');
@@ -98,12 +99,28 @@ const createPost = async (req, res) => {
   }
 };
 
+/**
+ * Sort key of a post document: createdAt (to the nanosecond), then document ID
+ */
+const postSortKey = (doc) => {
+  const createdAt = doc.get('createdAt');
+  return [createdAt ? createdAt.seconds : null, createdAt ? createdAt.nanoseconds : null, doc.id];
+};
+
 const getPosts = async (req, res) => {
   try {
-    const { category = 'All', limit = 10, startAfter = null } = req.query;
+    const { category = 'All', limit = 10, startAfter = null, cursor = null } = req.query;
+    const pageSize = parseInt(limit) || 10;
+
+    // Cursors are tied to the category they were issued for
+    const cursorContext = { category };
+    const position = cursor ? decodeCursor(String(cursor), cursorContext) : null;
+    if (cursor && (!position || !Number.isInteger(position.key[0]) || !Number.isInteger(position.key[1]))) {
+      return res.status(400).json({ error: 'Invalid cursor.' });
+    }
     
     // Generate cache key
-    const cacheKey = generatePostsCacheKey({ category, limit, startAfter });
+    const cacheKey = generatePostsCacheKey({ category, limit: pageSize, startAfter, cursor });
     
     // Try to get from cache first
     const cachedData = await getCache(cacheKey);
@@ -111,35 +128,59 @@ const getPosts = async (req, res) => {
       return res.json(cachedData);
     }
 
-    // If not in cache, query Firestore
-    let query = postsCollection.orderBy('createdAt', 'desc');
+    // If not in cache, query Firestore (document ID breaks createdAt ties)
+    let query = postsCollection
+      .orderBy('createdAt', 'desc')
+      .orderBy(admin.firestore.FieldPath.documentId(), 'desc');
     
     if (category !== 'All') {
       query = query.where('category', '==', category);
     }
     
-    if (startAfter) {
-      const startAfterDoc = await postsCollection.doc(startAfter).get();
-      if (startAfterDoc.exists) {
-        query = query.startAfter(startAfterDoc);
+    let hasPrevious = false;
+    if (position) {
+      const [seconds, nanoseconds, id] = position.key;
+      const boundary = [new admin.firestore.Timestamp(seconds, nanoseconds), id];
+      // One extra document tells whether there is a page beyond this one
+      query = position.direction === 'prev'
+        ? query.endBefore(...boundary).limitToLast(pageSize + 1)
+        : query.startAfter(...boundary).limit(pageSize + 1);
+      hasPrevious = position.direction === 'next';
+    } else {
+      if (startAfter) {
+        const startAfterDoc = await postsCollection.doc(startAfter).get();
+        if (startAfterDoc.exists) {
+          query = query.startAfter(startAfterDoc);
+          hasPrevious = true;
+        }
       }
+      query = query.limit(pageSize + 1);
     }
     
-    query = query.limit(parseInt(limit));
-    
     const snapshot = await query.get();
-    const posts = [];
-    let lastDoc = null;
+    let docs = snapshot.docs;
+    let hasMore;
+    if (position && position.direction === 'prev') {
+      hasPrevious = docs.length > pageSize;
+      docs = docs.slice(-pageSize);
+      hasMore = true;
+    } else {
+      hasMore = docs.length > pageSize;
+      docs = docs.slice(0, pageSize);
+    }
 
-    snapshot.forEach((doc) => {
-      posts.push({ id: doc.id, ...doc.data() });
-      lastDoc = doc;
-    });
+    const posts = docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const lastDoc = docs.length > 0 ? docs[docs.length - 1] : null;
 
     const response = {
       posts,
       lastPostId: lastDoc ? lastDoc.id : null,
-      hasMore: posts.length === parseInt(limit)
+      hasMore,
+      hasPrevious,
+      nextCursor: hasMore && lastDoc ? encodeCursor(postSortKey(lastDoc), { context: cursorContext }) : null,
+      prevCursor: hasPrevious && docs.length > 0
+        ? encodeCursor(postSortKey(docs[0]), { direction: 'prev', context: cursorContext })
+        : null
     };
 
     // Cache the response
@@ -1,6 +1,7 @@
 const { db } = require('../config/firebase');
 const { fetchVideoMetadata, extractVideoId } = require('../services/videoMetadata');
 const { getCache, setCache, deleteCacheByPattern } = require('../utils/cache');
+const { toTimeValue, sortByKeys, decodeCursor, paginateSorted } = require('../utils/cursorPagination');
 
 const VIDEO_CACHE_TTL = parseInt(process.env.VIDEO_CACHE_TTL) || 300;
 const PAGE_SIZE = 50;
@@ -20,6 +21,11 @@ let videosCacheLastUpdated = {
 };
 const VIDEO_CACHE_REFRESH_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours
 
+// List order per platform: TikTok by engagement, others newest first; ID last keeps cursors stable
+const getVideoSort = (platform) => (platform === 'tiktok'
+  ? { keyOf: video => [video.engagementScore || 0, toTimeValue(video.createdAt), video.id], directions: ['desc', 'desc', 'desc'] }
+  : { keyOf: video => [toTimeValue(video.createdAt), video.id], directions: ['desc', 'desc'] });
+
 const normalizeVideoDoc = (doc) => {
   const data = doc.data();
   const normalized = {
@@ -181,10 +187,11 @@ const addVideo = async (req, res) => {
 /**
  * List videos with pagination and caching
  * GET /api/videos?platform=youtube&page=1
+ * GET /api/videos?platform=youtube&cursor=<nextCursor>&limit=20
  */
 const listVideos = async (req, res) => {
   try {
-    const { platform, page = 1 } = req.query;
+    const { platform, page = 1, cursor, limit } = req.query;
 
     // Validate platform parameter
     if (!platform) {
@@ -210,8 +217,18 @@ const listVideos = async (req, res) => {
       });
     }
 
+    const pageSize = Math.min(Math.max(parseInt(limit) || PAGE_SIZE, 1), PAGE_SIZE);
+    const cursorContext = { platform };
+    const after = cursor ? decodeCursor(String(cursor), cursorContext) : null;
+    if (cursor && !after) {
+      return res.status(400).json({
+        error: 'Invalid cursor',
+        message: 'cursor is malformed or belongs to another platform'
+      });
+    }
+
     // Check Redis cache first
-    const cacheKey = `video_list:${platform}:page=${pageNum}`;
+    const cacheKey = `video_list:${platform}:limit=${pageSize}:${after ? `cursor=${cursor}` : `page=${pageNum}`}`;
     const cached = await getCache(cacheKey);
     if (cached) {
       console.log(`Cache hit for video list: ${platform}, page ${pageNum}`);
@@ -226,12 +243,13 @@ const listVideos = async (req, res) => {
     // Compute totals from in-memory cache
     const allForPlatform = videosCacheByPlatform[platform] || [];
     const totalVideos = allForPlatform.length;
-    const totalPages = Math.ceil(totalVideos / PAGE_SIZE);
+    const totalPages = Math.ceil(totalVideos / pageSize);
 
     // Paginate from in-memory cache
-    const offset = (pageNum - 1) * PAGE_SIZE;
+    const offset = (pageNum - 1) * pageSize;
 
     let videos = [];
+    let videoPage = { offset, hasMore: false, hasPrevious: offset > 0, nextCursor: null, prevCursor: null };
 
     if (totalVideos > 0) {
       // Get all documents for this platform
@@ -299,27 +317,30 @@ const listVideos = async (req, res) => {
         allVideos.push(videoData);
       }
       
-      // Sort TikTok videos by engagement score (highest first)
-      if (platform === 'tiktok') {
-        allVideos.sort((a, b) => {
-          const scoreA = a.engagementScore || 0;
-          const scoreB = b.engagementScore || 0;
-          return scoreB - scoreA; // Descending order
-        });
-      }
+      // Sort TikTok videos by engagement score (highest first), others newest first
+      const videoSort = getVideoSort(platform);
       
-      // Apply pagination
-      const allDocs = allVideos.slice(offset, offset + PAGE_SIZE);
-      videos = allDocs;
+      // Apply pagination (from the cursor if given, else from the page number)
+      videoPage = paginateSorted(sortByKeys(allVideos, videoSort), {
+        sort: videoSort,
+        limit: pageSize,
+        cursor: after,
+        offset,
+        context: cursorContext
+      });
+      videos = videoPage.items;
     }
 
+    const currentPage = Math.floor(videoPage.offset / pageSize) + 1;
     const response = {
-      videos: paginated,
-      currentPage: pageNum,
+      videos,
+      currentPage,
       totalPages,
       totalVideos,
-      hasNextPage: pageNum < totalPages,
-      hasPreviousPage: pageNum > 1
+      hasNextPage: videoPage.hasMore,
+      hasPreviousPage: videoPage.hasPrevious,
+      nextCursor: videoPage.nextCursor,
+      prevCursor: videoPage.prevCursor
     };
 
     // Cache the response with platform-specific TTL
@@ -9,6 +9,7 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 const logger = require('./utils/logger');
+const { parseTrustProxy } = require('./utils/clientIp');
 const { initializePassport } = require('./config/passport');
 const { db } = require('./config/firebase');
 const { initializeSettings } = require('./models/siteSettings');
@@ -24,6 +25,9 @@ const swaggerSpec = require('./config/swagger');
 // Initialize express
 const app = express();
 
+// Resolve req.ip from X-Forwarded-For only across our own proxies
+app.set('trust proxy', parseTrustProxy());
+
 // Basic health check route - must be before ANY middleware
 app.get('/_health', (_, res) => res.send('OK'));
 
@@ -422,6 +426,45 @@ const server = app.listen(PORT, async () => {
     console.error('❌ Failed to set up video channel sync:', error);
     logger.error('Failed to set up video channel sync', { error: error.message });
   }
+
+  // Start and end price campaigns as their windows open and close
+  cron.schedule('* * * * *', async () => {
+    try {
+      const campaignService = require('./services/campaign/campaignService');
+      const result = await campaignService.processDueCampaigns();
+      if (result.started.length || result.ended.length || result.expired.length || result.restored.length || result.failed.length) {
+        logger.info('Price campaigns processed', result);
+      }
+    } catch (error) {
+      logger.error('Price campaign processing failed', { error: error.message });
+    }
+  });
+
+  // Cancel at PayPal the subscriptions whose paid period ended after the user cancelled
+  cron.schedule('17 * * * *', async () => {
+    try {
+      const subscriptionService = require('./services/subscription/subscriptionService');
+      const result = await subscriptionService.cancelEndedSubscriptions();
+      if (result.cancelled.length || result.failed.length) {
+        logger.info('Ended subscriptions cancelled at PayPal', result);
+      }
+    } catch (error) {
+      logger.error('Ended subscription processing failed', { error: error.message });
+    }
+  });
+
+  // Email customers whose checkout was left unfinished
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      const checkoutRecoveryService = require('./services/checkout/checkoutRecoveryService');
+      const result = await checkoutRecoveryService.sendDueRecoveryEmails();
+      if (result.sent || result.expired || result.failed) {
+        logger.info('Checkout recovery emails processed', result);
+      }
+    } catch (error) {
+      logger.error('Checkout recovery processing failed', { error: error.message });
+    }
+  });
 });
 
 // Add error handler for the server
@@ -59,7 +59,8 @@ const auth = async (req, res, next) => {
     // Set up basic user object with authentication info
     req.user = {
       uid: decodedToken.uid,
-      email: decodedToken.email
+      email: decodedToken.email,
+      emailVerified: decodedToken.email_verified === true
     };
 
     // Check if this is a custom token from our secure service
@@ -154,6 +155,7 @@ const validateFirebaseToken = async (req, res, next) => {
     req.user = {
       uid: decodedToken.uid,
       email: decodedToken.email,
+      emailVerified: decodedToken.email_verified === true,
       role: userData.role || 'authenticated',
       username: userData.username
     };
@@ -214,6 +216,19 @@ const validateFirebaseToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware for routes that serve both guests and signed-in users
+ * Validates the token like validateFirebaseToken when one is sent,
+ * otherwise continues without req.user
+ */
+const optionalFirebaseToken = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+  return validateFirebaseToken(req, res, next);
+};
+
 /**
  * Middleware to check if user is an admin
  * Should be used after validateFirebaseToken
@@ -255,5 +270,6 @@ const isAdmin = async (req, res, next) => {
 module.exports = {
   auth,
   validateFirebaseToken,
+  optionalFirebaseToken,
   isAdmin
 }; 
\ No newline at end of file
@@ -153,7 +153,19 @@ const conditionalGet = () => (req, res, next) => {
   next();
 };
 
+/**
+ * Keep a response out of browser and CDN caches
+ * For responses whose handler must run on every request, e.g. logged searches.
+ * @param {Object} res - Express response
+ */
+const noStore = (res) => {
+  res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
+  res.setHeader('Pragma', 'no-cache');
+  res.setHeader('Expires', '0');
+};
+
 module.exports = {
+  noStore,
   cacheControl,
   etagCache,
   varyHeader,
@@ -5,6 +5,100 @@
  * It provides validation functions and helps maintain consistency in the pricing data.
  */
 
+const { quotePrice } = require('../services/tax/taxEngine');
+
+// How the customer's price is determined
+const PRICING_MODELS = {
+  FIXED: 'fixed',                         // basePrice, optionally discounted
+  FREE_TIP: 'free_tip',                   // free, with an optional tip at checkout
+  PAY_WHAT_YOU_WANT: 'pay_what_you_want', // any amount from minimumPrice up
+  TIERED: 'tiered'                        // one price per licence tier
+};
+
+const LICENSE_TIERS = ['personal', 'commercial', 'agency'];
+
+// Upper bound for customer-chosen amounts unless the creator sets one
+const DEFAULT_MAXIMUM_PRICE = 10000;
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Error for pricing model fields rejected by validatePricingModel
+ */
+function invalidPrice(message) {
+  const error = new Error(message);
+  error.name = 'PriceValidationError';
+  return error;
+}
+
+function toAmount(value, field, { required = false, positive = false } = {}) {
+  if (value === undefined || value === null || value === '') {
+    if (required) throw invalidPrice(`${field} is required`);
+    return null;
+  }
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0 || (positive && amount === 0)) {
+    throw invalidPrice(`${field} must be a ${positive ? 'positive' : 'non-negative'} number`);
+  }
+  return roundAmount(amount);
+}
+
+/**
+ * Validate the pricing model fields of a price
+ * @param {Object} priceData - { pricingModel, suggestedTips, minimumPrice, suggestedPrice, maximumPrice, pricingTiers }
+ * @returns {Object} - Normalized model fields, including the basePrice the model implies (null for fixed)
+ */
+const validatePricingModel = (priceData = {}) => {
+  const pricingModel = priceData.pricingModel || PRICING_MODELS.FIXED;
+  if (!Object.values(PRICING_MODELS).includes(pricingModel)) {
+    throw invalidPrice(`pricingModel must be one of: ${Object.values(PRICING_MODELS).join(', ')}`);
+  }
+
+  if (pricingModel === PRICING_MODELS.FREE_TIP) {
+    const suggestedTips = Array.isArray(priceData.suggestedTips)
+      ? priceData.suggestedTips.map(tip => toAmount(tip, 'suggestedTips', { positive: true }))
+      : [];
+    const maximumPrice = toAmount(priceData.maximumPrice, 'maximumPrice', { positive: true }) || DEFAULT_MAXIMUM_PRICE;
+    return { pricingModel, basePrice: 0, suggestedTips, maximumPrice };
+  }
+
+  if (pricingModel === PRICING_MODELS.PAY_WHAT_YOU_WANT) {
+    const minimumPrice = toAmount(priceData.minimumPrice, 'minimumPrice', { required: true });
+    const suggestedPrice = toAmount(priceData.suggestedPrice, 'suggestedPrice') ?? minimumPrice;
+    const maximumPrice = toAmount(priceData.maximumPrice, 'maximumPrice', { positive: true }) || DEFAULT_MAXIMUM_PRICE;
+    if (suggestedPrice < minimumPrice || maximumPrice < suggestedPrice) {
+      throw invalidPrice('Prices must satisfy minimumPrice <= suggestedPrice <= maximumPrice');
+    }
+    return { pricingModel, basePrice: minimumPrice, minimumPrice, suggestedPrice, maximumPrice };
+  }
+
+  if (pricingModel === PRICING_MODELS.TIERED) {
+    if (!Array.isArray(priceData.pricingTiers) || priceData.pricingTiers.length === 0) {
+      throw invalidPrice('Tiered pricing needs at least one entry in pricingTiers');
+    }
+    const seen = new Set();
+    const pricingTiers = priceData.pricingTiers.map(tier => {
+      if (!LICENSE_TIERS.includes(tier?.id) || seen.has(tier.id)) {
+        throw invalidPrice(`Each tier needs a unique id from: ${LICENSE_TIERS.join(', ')}`);
+      }
+      seen.add(tier.id);
+      return {
+        id: tier.id,
+        name: tier.name || `${tier.id.charAt(0).toUpperCase()}${tier.id.slice(1)} licence`,
+        price: toAmount(tier.price, `${tier.id} price`, { required: true }),
+        description: tier.description || '',
+        // File names from the agent's deliverables; empty means all of them
+        deliverables: Array.isArray(tier.deliverables) ? tier.deliverables.filter(name => typeof name === 'string') : []
+      };
+    }).sort((a, b) => LICENSE_TIERS.indexOf(a.id) - LICENSE_TIERS.indexOf(b.id));
+    return { pricingModel, basePrice: Math.min(...pricingTiers.map(tier => tier.price)), pricingTiers };
+  }
+
+  return { pricingModel, basePrice: null };
+};
+
 /**
  * Validates a price object before saving to the database
  * @param {Object} priceData - The price data to validate
@@ -16,13 +110,17 @@ const validatePrice = (priceData) => {
     throw new Error('Price must have an associated agentId');
   }
 
+  const { basePrice: modelBasePrice, ...model } = validatePricingModel(priceData);
+  const basePrice = modelBasePrice ?? (priceData.basePrice || 0);
+
   // Set default values if not provided
   const price = {
     agentId: priceData.agentId,
-    basePrice: priceData.basePrice || 0,
+    basePrice,
     currency: priceData.currency || 'USD',
-    isFree: priceData.basePrice === 0 || priceData.isFree === true,
+    isFree: (modelBasePrice ?? priceData.basePrice) === 0 || priceData.isFree === true,
     isSubscription: priceData.isSubscription || false,
+    ...model,
     updatedAt: new Date().toISOString()
   };
 
@@ -45,11 +143,6 @@ const validatePrice = (priceData) => {
     price.finalPrice = price.basePrice;
   }
 
-  // Handle pricing tiers
-  if (priceData.pricingTiers && Array.isArray(priceData.pricingTiers)) {
-    price.pricingTiers = priceData.pricingTiers;
-  }
-
   // Initialize or preserve price history
   if (priceData.priceHistory && Array.isArray(priceData.priceHistory)) {
     price.priceHistory = priceData.priceHistory;
@@ -117,9 +210,142 @@ const calculateFinalPrice = (basePrice, discount) => {
   return basePrice;
 };
 
+/**
+ * Quotes the final price for a customer's region
+ * EU prices are quoted including VAT, other regions exclude tax (added at checkout).
+ * @param {number} basePrice - The base price (net)
+ * @param {Object} discount - Discount object
+ * @param {Object} customer - { country, vatId }
+ * @returns {Object} - Net, tax and gross amounts plus displayPrice and taxInclusive
+ */
+const calculateQuotedPrice = (basePrice, discount, customer = {}) => {
+  return quotePrice(calculateFinalPrice(basePrice, discount), customer);
+};
+
+/**
+ * Price the customer pays for a model and their choice
+ * Discounts apply to fixed and tiered prices; amounts chosen by the
+ * customer (tips, pay-what-you-want) are taken as they are.
+ * @param {Object} priceData - Price document
+ * @param {Object} choice - { tier, amount } from the cart or checkout item
+ * @returns {Object} - { valid, reason, unitPrice, pricingModel, tier }
+ */
+const resolvePricingChoice = (priceData, choice = {}) => {
+  const pricingModel = priceData.pricingModel || PRICING_MODELS.FIXED;
+  const invalid = reason => ({ valid: false, reason, unitPrice: null, pricingModel, tier: null });
+  const hasAmount = choice.amount !== undefined && choice.amount !== null && choice.amount !== '';
+  const amount = hasAmount ? Number(choice.amount) : null;
+  if (hasAmount && (!Number.isFinite(amount) || amount < 0)) {
+    return invalid('invalid_amount');
+  }
+
+  switch (pricingModel) {
+    case PRICING_MODELS.FREE_TIP: {
+      const tip = roundAmount(amount || 0);
+      if (tip > (priceData.maximumPrice || DEFAULT_MAXIMUM_PRICE)) return invalid('above_maximum');
+      return { valid: true, reason: null, unitPrice: tip, pricingModel, tier: null };
+    }
+    case PRICING_MODELS.PAY_WHAT_YOU_WANT: {
+      if (!hasAmount) return invalid('amount_required');
+      const chosen = roundAmount(amount);
+      if (chosen < (priceData.minimumPrice || 0)) return invalid('below_minimum');
+      if (chosen > (priceData.maximumPrice || DEFAULT_MAXIMUM_PRICE)) return invalid('above_maximum');
+      return { valid: true, reason: null, unitPrice: chosen, pricingModel, tier: null };
+    }
+    case PRICING_MODELS.TIERED: {
+      if (!choice.tier) return invalid('tier_required');
+      const tier = (priceData.pricingTiers || []).find(entry => entry.id === choice.tier);
+      if (!tier) return invalid('unknown_tier');
+      return {
+        valid: true,
+        reason: null,
+        unitPrice: roundAmount(calculateFinalPrice(tier.price, priceData.discount)),
+        pricingModel,
+        tier: tier.id
+      };
+    }
+    default:
+      return {
+        valid: true,
+        reason: null,
+        unitPrice: priceData.isFree ? 0 : roundAmount(calculateFinalPrice(priceData.basePrice || 0, priceData.discount)),
+        pricingModel,
+        tier: null
+      };
+  }
+};
+
+/**
+ * Pricing summary shown with an agent
+ * @param {Object} priceData - Price document
+ * @returns {Object} - { model, currency, fromPrice, ... } with the fields of the model
+ */
+const getPricingDisplay = (priceData) => {
+  const pricingModel = priceData.pricingModel || PRICING_MODELS.FIXED;
+  const display = { model: pricingModel, currency: priceData.currency || 'USD' };
+
+  switch (pricingModel) {
+    case PRICING_MODELS.FREE_TIP:
+      return { ...display, fromPrice: 0, isFree: true, tipsEnabled: true, suggestedTips: priceData.suggestedTips || [] };
+    case PRICING_MODELS.PAY_WHAT_YOU_WANT:
+      return {
+        ...display,
+        fromPrice: priceData.minimumPrice || 0,
+        isFree: !priceData.minimumPrice,
+        minimumPrice: priceData.minimumPrice || 0,
+        suggestedPrice: priceData.suggestedPrice ?? priceData.minimumPrice ?? 0,
+        maximumPrice: priceData.maximumPrice || DEFAULT_MAXIMUM_PRICE
+      };
+    case PRICING_MODELS.TIERED: {
+      const tiers = (priceData.pricingTiers || []).map(tier => ({
+        id: tier.id,
+        name: tier.name,
+        description: tier.description,
+        price: tier.price,
+        finalPrice: roundAmount(calculateFinalPrice(tier.price, priceData.discount)),
+        deliverables: tier.deliverables
+      }));
+      return {
+        ...display,
+        fromPrice: tiers.length ? Math.min(...tiers.map(tier => tier.finalPrice)) : 0,
+        isFree: false,
+        tiers
+      };
+    }
+    default: {
+      const finalPrice = priceData.isFree ? 0 : roundAmount(calculateFinalPrice(priceData.basePrice || 0, priceData.discount));
+      return { ...display, fromPrice: finalPrice, isFree: finalPrice === 0, basePrice: priceData.basePrice || 0, finalPrice };
+    }
+  }
+};
+
+/**
+ * Deliverables included with a licence tier
+ * An access without a known tier on a tiered agent gets the cheapest tier's files.
+ * @param {Array<Object>} deliverables - Agent deliverables
+ * @param {Object|null} tier - Tier from pricingTiers (null: the cheapest of pricingTiers)
+ * @param {Array<Object>} pricingTiers - Tiers of the agent (empty: not tiered, everything)
+ */
+const getTierDeliverables = (deliverables = [], tier = null, pricingTiers = []) => {
+  const licensed = tier || (pricingTiers.length > 0
+    ? pricingTiers.reduce((cheapest, entry) => (entry.price < cheapest.price ? entry : cheapest))
+    : null);
+  if (!licensed || !Array.isArray(licensed.deliverables) || licensed.deliverables.length === 0) {
+    return deliverables;
+  }
+  return deliverables.filter(deliverable => licensed.deliverables.includes(deliverable.fileName));
+};
+
 module.exports = {
+  PRICING_MODELS,
+  LICENSE_TIERS,
+  validatePricingModel,
+  resolvePricingChoice,
+  getPricingDisplay,
+  getTierDeliverables,
   validatePrice,
   createPriceHistoryEntry,
   isDiscountValid,
-  calculateFinalPrice
+  calculateFinalPrice,
+  calculateQuotedPrice
 }; 
\ No newline at end of file
@@ -11,6 +11,16 @@ const { validateFirebaseToken, isAdmin } = require('../../middleware/authenticat
 const { getSettings, updateSettings, resetSettings } = require('../../models/siteSettings');
 const { db } = require('../../config/firebase');
 const adminController = require('../../controllers/admin/adminController');
+const orderController = require('../../controllers/payment/orderController');
+const paymentEventLedger = require('../../services/payment/paymentEventLedger');
+const { EVENT_STATUS } = require('../../services/payment/paymentEvents');
+const templateAccessService = require('../../services/template/templateAccessService');
+const { validatePolicy } = require('../../services/template/templateAccessPolicy');
+const fxRateService = require('../../services/currency/fxRateService');
+const checkoutRecoveryService = require('../../services/checkout/checkoutRecoveryService');
+const searchAnalyticsService = require('../../services/search/searchAnalyticsService');
+const { CATALOGS: SEARCH_CATALOGS } = require('../../services/search/searchAnalytics');
+const { BASE_CURRENCY, validateRateTable, selectRateTable } = require('../../services/currency/fxRates');
 
 // Apply authentication middleware to all admin routes
 router.use(validateFirebaseToken);
@@ -118,6 +128,346 @@ router.post('/update-agent-creators', adminController.updateAgentCreators);
  */
 router.get('/dashboard-stats', adminController.getDashboardStats);
 
+/**
+ * @route   GET /api/admin/analytics/revenue
+ * @desc    Revenue time series, top-selling agents, refunds, average order value,
+ *          new vs returning buyers and payment methods, in the base currency
+ * @query   granularity - day, week or month (default day), from, to, top (default 10)
+ * @access  Admin
+ */
+router.get('/analytics/revenue', adminController.getRevenueAnalytics);
+
+/**
+ * @route   POST /api/admin/analytics/revenue/rebuild
+ * @desc    Recompute the revenue aggregates from all orders (for orders paid before they existed)
+ * @access  Admin
+ */
+router.post('/analytics/revenue/rebuild', adminController.rebuildRevenueAnalytics);
+
+/**
+ * @route   GET /api/admin/analytics/checkout-recovery
+ * @desc    Recovery emails sent in a range, how many were resumed and how many
+ *          turned into orders, with the recovered revenue per currency
+ * @query   from, to - ISO dates (default: the last 30 days)
+ * @access  Admin
+ */
+router.get('/analytics/checkout-recovery', async (req, res) => {
+  try {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      return res.status(400).json({ error: 'Invalid date range', details: 'from and to must be valid dates' });
+    }
+
+    const stats = await checkoutRecoveryService.getRecoveryStats({ from: from.toISOString(), to: to.toISOString() });
+    res.json({ success: true, data: { from: from.toISOString(), to: to.toISOString(), ...stats } });
+  } catch (error) {
+    console.error('Error getting checkout recovery stats:', error);
+    res.status(500).json({ error: 'Failed to get checkout recovery stats', details: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/admin/analytics/search
+ * @desc    Top search queries with their click-through rate, and queries that
+ *          found nothing, estimated from the sampled search logs
+ * @query   from, to - ISO dates (default: the last 30 days), catalog - agents or prompts,
+ *          top - queries per list (default 20, max 100)
+ * @access  Admin
+ */
+router.get('/analytics/search', async (req, res) => {
+  try {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      return res.status(400).json({ error: 'Invalid date range', details: 'from and to must be valid dates' });
+    }
+    const catalog = req.query.catalog || null;
+    if (catalog && !SEARCH_CATALOGS.includes(catalog)) {
+      return res.status(400).json({ error: 'Invalid catalog', details: `Expected one of: ${SEARCH_CATALOGS.join(', ')}` });
+    }
+    const top = Math.min(Math.max(parseInt(req.query.top, 10) || 20, 1), 100);
+
+    const report = await searchAnalyticsService.getSearchAnalytics({ from: from.toISOString(), to: to.toISOString(), catalog, top });
+    res.json({ success: true, data: { from: from.toISOString(), to: to.toISOString(), catalog, ...report } });
+  } catch (error) {
+    console.error('Error getting search analytics:', error);
+    res.status(500).json({ error: 'Failed to get search analytics', details: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/admin/payment-events
+ * @desc    List payment webhook events from the ledger (failed and dead-lettered by default)
+ * @query   status - Comma separated statuses, provider, limit
+ * @access  Admin
+ */
+router.get('/payment-events', async (req, res) => {
+  try {
+    const statuses = req.query.status
+      ? String(req.query.status).split(',').map(s => s.trim()).filter(Boolean)
+      : undefined;
+    const validStatuses = Object.values(EVENT_STATUS);
+    const invalid = (statuses || []).filter(s => !validStatuses.includes(s));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid status', details: `Expected one of: ${validStatuses.join(', ')}` });
+    }
+
+    const events = await paymentEventLedger.listEvents({
+      statuses,
+      provider: req.query.provider || null,
+      limit: req.query.limit
+    });
+    res.json({ success: true, data: events, count: events.length });
+  } catch (error) {
+    console.error('Error listing payment events:', error);
+    res.status(500).json({ error: 'Failed to list payment events', details: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/admin/payment-events/:eventKey
+ * @desc    Get a single payment event including its payload
+ * @access  Admin
+ */
+router.get('/payment-events/:eventKey', async (req, res) => {
+  try {
+    const event = await paymentEventLedger.getEvent(req.params.eventKey);
+    if (!event) {
+      return res.status(404).json({ error: 'Payment event not found' });
+    }
+    res.json({ success: true, data: event });
+  } catch (error) {
+    console.error('Error getting payment event:', error);
+    res.status(500).json({ error: 'Failed to get payment event', details: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/admin/payment-events/:eventKey/replay
+ * @desc    Re-run the handler of a failed or dead-lettered payment event
+ * @access  Admin
+ */
+router.post('/payment-events/:eventKey/replay', async (req, res) => {
+  try {
+    const outcome = await paymentEventLedger.replayEvent(req.params.eventKey, req.user.uid);
+    if (!outcome) {
+      return res.status(404).json({ error: 'Payment event not found' });
+    }
+    if (!outcome.replayed) {
+      return res.status(409).json({ error: 'Payment event cannot be replayed', details: outcome });
+    }
+    res.status(outcome.processed ? 200 : 502).json({ success: outcome.processed, data: outcome });
+  } catch (error) {
+    console.error('Error replaying payment event:', error);
+    res.status(500).json({ error: 'Failed to replay payment event', details: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/admin/template-downloads
+ * @desc    Query the template download audit log
+ * @query   agentId, orderId, userId, email, outcome (served|denied), since, until, limit
+ * @access  Admin
+ */
+router.get('/template-downloads', async (req, res) => {
+  try {
+    const { agentId, orderId, userId, email, outcome, since, until, limit } = req.query;
+    if (outcome && !['served', 'denied'].includes(outcome)) {
+      return res.status(400).json({ error: 'Invalid outcome', details: 'Expected served or denied' });
+    }
+    if ([since, until].some(date => date && Number.isNaN(new Date(date).getTime()))) {
+      return res.status(400).json({ error: 'Invalid date', details: 'since and until must be ISO dates' });
+    }
+
+    const downloads = await templateAccessService.listDownloads({ agentId, orderId, userId, email, outcome, since, until, limit });
+    res.json({ success: true, data: downloads, count: downloads.length });
+  } catch (error) {
+    console.error('Error listing template downloads:', error);
+    res.status(500).json({ error: 'Failed to list template downloads', details: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/admin/agents/:agentId/download-policy
+ * @desc    Get the effective template download policy of an agent
+ * @access  Admin
+ */
+router.get('/agents/:agentId/download-policy', async (req, res) => {
+  try {
+    const policy = await templateAccessService.getAgentPolicy(req.params.agentId);
+    res.json({ success: true, data: policy });
+  } catch (error) {
+    console.error('Error getting download policy:', error);
+    res.status(500).json({ error: 'Failed to get download policy', details: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/agents/:agentId/download-policy
+ * @desc    Set the template download policy of an agent (applies to new and re-issued links)
+ * @body    expiryDays, maxDownloads, singleUse, bindToIp, ipWindowMinutes, maxDownloadsPerIp
+ * @access  Admin
+ */
+router.put('/agents/:agentId/download-policy', async (req, res) => {
+  try {
+    const { valid, errors, policy } = validatePolicy(req.body || {});
+    if (!valid) {
+      return res.status(400).json({ error: 'Invalid download policy', details: errors });
+    }
+
+    const effective = await templateAccessService.setAgentPolicy(req.params.agentId, policy);
+    if (!effective) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    res.json({ success: true, data: effective });
+  } catch (error) {
+    console.error('Error updating download policy:', error);
+    res.status(500).json({ error: 'Failed to update download policy', details: error.message });
+  }
+});
+
+function sendReviewError(res, error, action) {
+  if (error.name === 'OrderReviewError') {
+    return res.status(error.reason === 'not_found' ? 404 : 409).json({ error: error.message });
+  }
+  console.error(`Error trying to ${action}:`, error);
+  return res.status(500).json({ error: `Failed to ${action}`, details: error.message });
+}
+
+/**
+ * @route   GET /api/admin/orders/review
+ * @desc    Orders held by the risk screening, oldest first, with their risk score and reasons
+ * @access  Admin
+ */
+router.get('/orders/review', async (req, res) => {
+  try {
+    const orders = await orderController.getHeldOrders();
+    res.json({
+      success: true,
+      data: orders.map(order => ({
+        id: order.id,
+        createdAt: order.createdAt,
+        userId: order.userId || null,
+        userEmail: order.userEmail || null,
+        total: order.total,
+        currency: order.currency,
+        paymentProcessor: order.paymentProcessor,
+        items: (order.items || []).map(item => ({ id: item.id, title: item.title || item.name || null, price: item.price, quantity: item.quantity || 1 })),
+        risk: order.risk
+      })),
+      count: orders.length
+    });
+  } catch (error) {
+    return sendReviewError(res, error, 'list orders held for review');
+  }
+});
+
+/**
+ * @route   POST /api/admin/orders/:id/approve
+ * @desc    Approve a held order; its templates are delivered as after a normal payment
+ * @body    note (optional)
+ * @access  Admin
+ */
+router.post('/orders/:id/approve', async (req, res) => {
+  try {
+    const result = await orderController.approveHeldOrder(req.params.id, {
+      reviewedBy: req.user.uid,
+      note: req.body?.note || null
+    });
+    res.json({ success: true, data: { ...result, templates: result.templates.map(t => ({ agentId: t.agentId, downloadUrl: t.downloadUrl })) } });
+  } catch (error) {
+    return sendReviewError(res, error, 'approve order');
+  }
+});
+
+/**
+ * @route   POST /api/admin/orders/:id/reject
+ * @desc    Reject a held order and refund it through its payment provider
+ *          (refund.status manual_required when that is not possible)
+ * @body    reason (optional)
+ * @access  Admin
+ */
+router.post('/orders/:id/reject', async (req, res) => {
+  try {
+    const result = await orderController.rejectHeldOrder(req.params.id, {
+      reviewedBy: req.user.uid,
+      reason: req.body?.reason || null
+    });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    return sendReviewError(res, error, 'reject order');
+  }
+});
+
+/**
+ * @route   GET /api/admin/fx-rates
+ * @desc    List FX rate tables (newest first) and the one currently in force
+ * @access  Admin
+ */
+router.get('/fx-rates', async (req, res) => {
+  try {
+    const tables = await fxRateService.getRateTables();
+    const current = selectRateTable(tables);
+    res.json({
+      success: true,
+      data: {
+        baseCurrency: BASE_CURRENCY,
+        currentTableId: current ? current.id : null,
+        tables
+      }
+    });
+  } catch (error) {
+    console.error('Error listing FX rates:', error);
+    res.status(500).json({ error: 'Failed to list FX rates', details: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/admin/fx-rates
+ * @desc    Add an FX rate table; it replaces the previous table from its effective date
+ * @body    effectiveFrom (ISO date, default now), rates ({ EUR: 0.92 } per unit of the base currency), note
+ * @access  Admin
+ */
+router.post('/fx-rates', async (req, res) => {
+  try {
+    const { valid, errors, table } = validateRateTable(req.body || {});
+    if (!valid) {
+      return res.status(400).json({ error: 'Invalid FX rate table', details: errors });
+    }
+
+    const stored = await fxRateService.createRateTable(table, req.user.uid);
+    res.status(201).json({ success: true, data: stored });
+  } catch (error) {
+    console.error('Error creating FX rate table:', error);
+    res.status(500).json({ error: 'Failed to create FX rate table', details: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/fx-rates/:id
+ * @desc    Delete an FX rate table that has not taken effect yet
+ * @access  Admin
+ */
+router.delete('/fx-rates/:id', async (req, res) => {
+  try {
+    const result = await fxRateService.deleteRateTable(req.params.id);
+    if (result.reason === 'not_found') {
+      return res.status(404).json({ error: 'FX rate table not found' });
+    }
+    if (result.reason === 'already_effective') {
+      return res.status(409).json({
+        error: 'FX rate table already in effect',
+        details: 'Past rates are kept for invoice reporting; add a new table instead'
+      });
+    }
+    res.json({ success: true, message: 'FX rate table deleted' });
+  } catch (error) {
+    console.error('Error deleting FX rate table:', error);
+    res.status(500).json({ error: 'Failed to delete FX rate table', details: error.message });
+  }
+});
+
 /**
  * @route   GET /api/admin/tools/update-creators
  * @desc    Serve the admin page for updating agent creators
@@ -139,9 +139,20 @@ router.get('/refresh-cache', validateFirebaseToken, (req, res) => {
  *           default: false
  *         description: Force refresh the agents cache from database (useful for development and testing)
  *         example: true
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor or prevCursor of a previous page, requested with the same search, filters and sort (takes precedence over offset)
+ *       - in: query
+ *         name: integrations
+ *         schema:
+ *           type: string
+ *         description: Comma-separated list of integrations to filter by
+ *         example: "Gmail,Slack"
  *     responses:
  *       200:
- *         description: List of agents retrieved successfully
+ *         description: List of agents retrieved successfully, with nextCursor and prevCursor (null at either end)
  *         content:
  *           application/json:
  *             schema:
@@ -153,6 +164,8 @@ router.get('/refresh-cache', validateFirebaseToken, (req, res) => {
  *                       type: array
  *                       items:
  *                         $ref: '#/components/schemas/Agent'
+ *       400:
+ *         description: Invalid cursor
  *       500:
  *         description: Internal server error
  *         content:
@@ -349,6 +362,87 @@ router.get('/count', publicCacheMiddleware({ duration: getDefaultCacheDuration()
  */
 router.get('/search/count', publicCacheMiddleware({ duration: getDefaultCacheDuration() }), agentsController.getSearchResultsCount);
 
+/**
+ * @swagger
+ * /api/agents/suggest:
+ *   get:
+ *     summary: Search autocomplete
+ *     description: Agent titles, categories, integrations and popular searches starting with the typed prefix (or with a later word of them)
+ *     tags: [Agents]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Text typed so far
+ *         example: "gma"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10
+ *           default: 5
+ *         description: Suggestions per group
+ *     responses:
+ *       200:
+ *         description: Suggestions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 suggestions:
+ *                   type: object
+ *                   properties:
+ *                     titles:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           text:
+ *                             type: string
+ *                           id:
+ *                             type: string
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           text:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     integrations:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           text:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     queries:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           text:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/suggest', publicCacheMiddleware({ duration: 60 }), agentsController.getSearchSuggestions);
+
 // ==========================================
 // HEALTH CHECK ENDPOINT - NEW
 // ==========================================
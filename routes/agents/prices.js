@@ -19,6 +19,23 @@ const publicCacheMiddleware = require('../../middleware/publicCacheMiddleware');
  *           type: string
  *         description: Price ID
  *         example: "price-123"
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *         description: Customer country code; adds a tax quote (VAT-inclusive for EU countries)
+ *         example: "DE"
+ *       - in: query
+ *         name: vatId
+ *         schema:
+ *           type: string
+ *         description: Customer EU VAT ID; a valid-format ID from another member state is quoted as reverse charge
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Currency to express the price in; uses the agent's override for that currency or the current FX rate
+ *         example: "EUR"
  *     responses:
  *       200:
  *         description: Price retrieved successfully
@@ -32,6 +49,8 @@ const publicCacheMiddleware = require('../../middleware/publicCacheMiddleware');
  *                   example: true
  *                 data:
  *                   $ref: '#/components/schemas/AgentPrice'
+ *       400:
+ *         description: Invalid or unsupported currency
  *       404:
  *         description: Price not found
  *       500:
@@ -226,6 +245,12 @@ router.patch('/:id/discount', validateFirebaseToken, priceController.applyDiscou
  *           type: string
  *         description: Agent ID
  *         example: "agent-123"
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Currency to express the price in; uses the agent's override for that currency or the current FX rate
+ *         example: "EUR"
  *     responses:
  *       200:
  *         description: Agent price retrieved successfully
@@ -239,6 +264,8 @@ router.patch('/:id/discount', validateFirebaseToken, priceController.applyDiscou
  *                   example: true
  *                 data:
  *                   $ref: '#/components/schemas/AgentPrice'
+ *       400:
+ *         description: Invalid or unsupported currency
  *       404:
  *         description: Agent not found
  *       500:
@@ -282,6 +309,11 @@ router.patch('/:id/discount', validateFirebaseToken, priceController.applyDiscou
  *                 type: boolean
  *                 description: Whether the agent is free
  *                 example: false
+ *               currencyOverrides:
+ *                 type: object
+ *                 nullable: true
+ *                 description: Fixed prices per currency, replacing FX conversion for that currency (null clears them)
+ *                 example: { "EUR": { "basePrice": 9, "discountedPrice": 8 } }
  *     responses:
  *       200:
  *         description: Agent price updated successfully
@@ -3,6 +3,7 @@ const router = express.Router();
 const { db, admin } = require('../../config/firebase');
 const validateFirebaseToken = require('../../middleware/authenticationMiddleware').validateFirebaseToken;
 const logger = require('../../utils/logger');
+const searchAnalyticsService = require('../../services/search/searchAnalyticsService');
 
 /**
  * @swagger
@@ -820,6 +821,12 @@ async function getPopularAgents(limit, excludeId) {
  *                 type: string
  *                 description: ID of the product being viewed
  *                 example: "agent-123"
+ *               searchId:
+ *                 type: string
+ *                 description: searchId of the agents or prompts search the product was opened from
+ *               position:
+ *                 type: integer
+ *                 description: Zero-based position of the product in those search results
  *     responses:
  *       200:
  *         description: View tracked successfully
@@ -851,7 +858,7 @@ router.post('/track-view', async (req, res) => {
   });
 
   try {
-    const { productId } = req.body;
+    const { productId, searchId, position } = req.body;
     
     if (!productId) {
       return res.status(400).json({ error: 'Product ID is required' });
@@ -895,6 +902,13 @@ router.post('/track-view', async (req, res) => {
           });
       }
       
+      // Opened from a logged search: count it as that search's click
+      if (searchId) {
+        await searchAnalyticsService.recordClick(searchId, productId, position).catch(error => {
+          logger.warn(`Failed to record search click for ${searchId}: ${error.message}`);
+        });
+      }
+      
       console.log('Successfully tracked view for product:', productId, 'by user:', userId);
       return res.status(200).json({ success: true });
     } catch (dbError) {
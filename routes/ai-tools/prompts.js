@@ -17,6 +17,12 @@ const {
   generatePromptCountCacheKey,
   generatePromptSearchCacheKey 
 } = require('../../utils/cache');
+const suggestionService = require('../../services/search/suggestionService');
+const { getClientIp } = require('../../utils/clientIp');
+const searchAnalyticsService = require('../../services/search/searchAnalyticsService');
+const { noStore } = require('../../middleware/cache');
+const { countedEntries } = require('../../services/search/suggestionTrie');
+const { toTimeValue, sortByKeys, decodeCursor, paginateSorted } = require('../../utils/cursorPagination');
 
 // Collection reference - Prompts only
 const COLLECTION_NAME = 'prompts';
@@ -65,6 +71,16 @@ const refreshPromptsCache = async () => {
       });
     });
     
+    suggestionService.setCatalog('prompts', {
+      titles: allPromptsCache.map(prompt => ({
+        text: prompt.title,
+        id: prompt.id,
+        weight: prompt.views || prompt.likes?.length || 0
+      })),
+      categories: countedEntries(allPromptsCache, prompt => [prompt.category]),
+      tags: countedEntries(allPromptsCache, prompt => prompt.tags)
+    });
+    
     cacheLastUpdated = new Date();
     const loadTime = Date.now() - startTime;
     
@@ -202,7 +218,7 @@ const filterPrompts = (prompts, filters) => {
 /**
  * Generate cache key for search/filter results
  */
-const generateResultsCacheKey = (searchQuery, filters, limit, offset) => {
+const generateResultsCacheKey = (searchQuery, filters, limit, offset, cursor = null) => {
   const parts = ['prompts:results'];
   
   if (searchQuery) parts.push(`search:${searchQuery}`);
@@ -212,11 +228,17 @@ const generateResultsCacheKey = (searchQuery, filters, limit, offset) => {
   if (filters.createdBy) parts.push(`creator:${filters.createdBy}`);
   
   parts.push(`limit:${limit}`);
-  parts.push(`offset:${offset}`);
+  parts.push(cursor ? `cursor:${cursor}` : `offset:${offset}`);
   
   return parts.join(':');
 };
 
+// Prompts list order: newest first, then by ID so cursors stay stable
+const PROMPT_SORT = {
+  keyOf: prompt => [toTimeValue(prompt.createdAt), prompt.id],
+  directions: ['desc', 'desc']
+};
+
 /**
  * @swagger
  * /api/prompts:
@@ -276,9 +298,14 @@ const generateResultsCacheKey = (searchQuery, filters, limit, offset) => {
  *           minimum: 0
  *           default: 0
  *         description: Number of prompts to skip
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor or prevCursor of a previous page, requested with the same search and filters (takes precedence over offset)
  *     responses:
  *       200:
- *         description: Prompts retrieved successfully
+ *         description: Prompts retrieved successfully, with nextCursor and prevCursor (null at either end)
  *         content:
  *           application/json:
  *             schema:
@@ -321,6 +348,7 @@ router.get('/', async (req, res) => {
       tags,
       featured,
       createdBy,
+      cursor,
       limit = 20,
       offset = 0
     } = req.query;
@@ -349,22 +377,43 @@ router.get('/', async (req, res) => {
       throw new Error('Failed to load prompts cache');
     }
     
+    const cursorContext = { search: finalSearchQuery || null, filters };
+    const after = cursor ? decodeCursor(String(cursor), cursorContext) : null;
+    if (cursor && !after) {
+      return res.status(400).json({
+        error: 'Invalid cursor',
+        details: 'The cursor is malformed or belongs to a different search or filters'
+      });
+    }
+    const isFirstPage = !after && parsedOffset === 0;
+    
     // 2. Check Redis cache for this specific query
-    const cacheKey = generateResultsCacheKey(finalSearchQuery, filters, parsedLimit, parsedOffset);
+    const cacheKey = generateResultsCacheKey(finalSearchQuery, filters, parsedLimit, parsedOffset, after ? String(cursor) : null);
     const cachedResult = await getCache(cacheKey);
     
     if (cachedResult) {
       const responseTime = Date.now() - startTime;
       logger.info(`⚡ Cache HIT for ${cacheKey} | Response time: ${responseTime}ms`);
+      if (finalSearchQuery && isFirstPage && cachedResult.totalCount > 0) {
+        suggestionService.recordQuery('prompts', finalSearchQuery, req.user?.uid || getClientIp(req));
+      }
+      const searchId = finalSearchQuery && isFirstPage
+        ? searchAnalyticsService.logSearch({ catalog: 'prompts', query: finalSearchQuery, resultCount: cachedResult.totalCount, filters })
+        : null;
       
-      // Set cache headers for browser caching
-      res.set({
-        'Cache-Control': 'public, max-age=300', // 5 minutes
-        'ETag': `W/"prompts-${cacheKey}-${Date.now()}"`
-      });
+      // Set cache headers for browser caching; first-page searches are logged per request
+      if (finalSearchQuery && isFirstPage) {
+        noStore(res);
+      } else {
+        res.set({
+          'Cache-Control': 'public, max-age=300', // 5 minutes
+          'ETag': `W/"prompts-${cacheKey}-${Date.now()}"`
+        });
+      }
       
       return res.status(200).json({
         ...cachedResult,
+        searchId,
         responseTime,
         fromCache: true
       });
@@ -384,28 +433,31 @@ router.get('/', async (req, res) => {
     results = filterPrompts(results, filters);
     
     // 6. Sort results (newest first)
-    results.sort((a, b) => {
-      if (a.createdAt && b.createdAt) {
-        return new Date(b.createdAt.toDate ? b.createdAt.toDate() : b.createdAt) - 
-               new Date(a.createdAt.toDate ? a.createdAt.toDate() : a.createdAt);
-      }
-      return 0;
-    });
+    results = sortByKeys(results, PROMPT_SORT);
     
-    // 7. Calculate pagination
+    // 7. Calculate pagination (from the cursor if given, else from offset)
     const totalCount = results.length;
-    const hasMore = parsedOffset + parsedLimit < totalCount;
-    const paginatedResults = results.slice(parsedOffset, parsedOffset + parsedLimit);
+    const page = paginateSorted(results, {
+      sort: PROMPT_SORT,
+      limit: parsedLimit,
+      cursor: after,
+      offset: parsedOffset,
+      context: cursorContext
+    });
+    const paginatedResults = page.items;
     
     // 8. Prepare response
     const response = {
       prompts: paginatedResults,
       totalCount,
-      currentPage: Math.floor(parsedOffset / parsedLimit) + 1,
+      currentPage: Math.floor(page.offset / parsedLimit) + 1,
       totalPages: Math.ceil(totalCount / parsedLimit),
-      hasMore,
+      hasMore: page.hasMore,
+      hasPrevious: page.hasPrevious,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
       limit: parsedLimit,
-      offset: parsedOffset,
+      offset: page.offset,
       searchQuery: finalSearchQuery || null,
       filters: filters,
       fromCache: false,
@@ -415,6 +467,15 @@ router.get('/', async (req, res) => {
     // 9. Cache the result
     await setCache(cacheKey, response);
     
+    // Searches that found something feed the popular query suggestions
+    if (finalSearchQuery && isFirstPage && totalCount > 0) {
+      suggestionService.recordQuery('prompts', finalSearchQuery, req.user?.uid || getClientIp(req));
+    }
+    // Sampled search log; its ID comes back with track-view when a result is opened
+    const searchId = finalSearchQuery && isFirstPage
+      ? searchAnalyticsService.logSearch({ catalog: 'prompts', query: finalSearchQuery, resultCount: totalCount, filters })
+      : null;
+    
     logger.info(`✅ Query processed successfully:`, {
       totalFound: totalCount,
       returned: paginatedResults.length,
@@ -422,13 +483,17 @@ router.get('/', async (req, res) => {
       cached: true
     });
     
-    // Set cache headers for browser caching
-    res.set({
-      'Cache-Control': 'public, max-age=300', // 5 minutes
-      'ETag': `W/"prompts-${cacheKey}-${Date.now()}"`
-    });
+    // Set cache headers for browser caching; first-page searches are logged per request
+    if (finalSearchQuery && isFirstPage) {
+      noStore(res);
+    } else {
+      res.set({
+        'Cache-Control': 'public, max-age=300', // 5 minutes
+        'ETag': `W/"prompts-${cacheKey}-${Date.now()}"`
+      });
+    }
     
-    return res.status(200).json(response);
+    return res.status(200).json({ ...response, searchId });
     
   } catch (error) {
     logger.error('❌ Error in getPrompts:', error);
@@ -440,6 +505,71 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/prompts/suggest:
+ *   get:
+ *     summary: Search autocomplete
+ *     description: Prompt titles, categories, tags and popular searches starting with the typed prefix (or with a later word of them)
+ *     tags: [Prompts]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Text typed so far
+ *         example: "mark"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10
+ *           default: 5
+ *         description: Suggestions per group
+ *     responses:
+ *       200:
+ *         description: Suggestions grouped as titles, categories, tags and queries
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+/**
+ * @route   GET /api/prompts/suggest
+ * @desc    Autocomplete suggestions for the prompts search box
+ * @access  Public
+ */
+router.get('/suggest', async (req, res) => {
+  try {
+    const startTime = Date.now();
+    const { q = '', limit } = req.query;
+    const parsedLimit = Math.min(Math.max(parseInt(limit) || 5, 1), 10);
+
+    const cacheLoaded = await ensureCacheLoaded();
+    if (!cacheLoaded) {
+      throw new Error('Failed to load prompts cache');
+    }
+
+    res.set('Cache-Control', 'public, max-age=60');
+    return res.status(200).json({
+      success: true,
+      query: q,
+      suggestions: suggestionService.suggest('prompts', String(q), parsedLimit),
+      responseTime: Date.now() - startTime
+    });
+  } catch (error) {
+    logger.error('❌ Error in prompts suggest:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to get search suggestions',
+      details: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/prompts/count:
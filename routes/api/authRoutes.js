@@ -104,6 +104,9 @@ router.post('/signup', authController.signup);
  *                 type: string
  *                 description: Firebase ID token
  *                 example: "firebase-id-token-here"
+ *               cartId:
+ *                 type: string
+ *                 description: Guest cart ID to merge into the user's cart (also read from the cartId cookie)
  *     responses:
  *       200:
  *         description: Session created successfully
@@ -117,6 +120,9 @@ router.post('/signup', authController.signup);
  *                   example: true
  *                 user:
  *                   $ref: '#/components/schemas/User'
+ *                 cart:
+ *                   type: object
+ *                   description: Result of merging the guest cart ({ merged, itemCount })
  *                 token:
  *                   type: string
  *                   description: JWT token
@@ -0,0 +1,134 @@
+/**
+ * Campaign Routes - Scheduled price campaigns and flash sales
+ *
+ * Public list of running sales plus admin scheduling and cancellation
+ */
+
+const express = require('express');
+const router = express.Router();
+const campaignService = require('../../services/campaign/campaignService');
+const { CAMPAIGN_STATUS } = require('../../services/campaign/campaignRules');
+const logger = require('../../utils/logger');
+const { validateFirebaseToken, isAdmin } = require('../../middleware/authenticationMiddleware');
+
+function sendCampaignError(res, error, action) {
+  if (error.name === 'CampaignValidationError') {
+    return res.status(400).json({ error: 'Invalid campaign', details: error.details });
+  }
+  if (error.name === 'CampaignStateError') {
+    return res.status(409).json({ error: error.message });
+  }
+  logger.error(`Error trying to ${action}:`, error);
+  return res.status(500).json({
+    error: `Failed to ${action}`,
+    details: error.message
+  });
+}
+
+/**
+ * Running campaigns for storefront banners
+ * GET /api/campaigns/active
+ */
+router.get('/active', async (req, res) => {
+  try {
+    const campaigns = await campaignService.listCampaigns({ status: CAMPAIGN_STATUS.ACTIVE });
+    return res.status(200).json({
+      success: true,
+      campaigns: campaigns.map(campaign => ({
+        id: campaign.id,
+        name: campaign.name,
+        description: campaign.description,
+        discountType: campaign.discountType,
+        discountValue: campaign.discountValue,
+        currency: campaign.currency,
+        categories: campaign.categories,
+        tags: campaign.tags,
+        endsAt: campaign.endsAt
+      }))
+    });
+  } catch (error) {
+    return sendCampaignError(res, error, 'list active campaigns');
+  }
+});
+
+/**
+ * List campaigns (admin only)
+ * GET /api/campaigns?status=scheduled
+ */
+router.get('/', validateFirebaseToken, isAdmin, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !Object.values(CAMPAIGN_STATUS).includes(status)) {
+      return res.status(400).json({ error: 'Invalid status', details: `Expected one of: ${Object.values(CAMPAIGN_STATUS).join(', ')}` });
+    }
+    const campaigns = await campaignService.listCampaigns({ status });
+    return res.status(200).json({ success: true, campaigns, count: campaigns.length });
+  } catch (error) {
+    return sendCampaignError(res, error, 'list campaigns');
+  }
+});
+
+/**
+ * Schedule a campaign (admin only); it starts at once if startsAt has passed
+ * POST /api/campaigns
+ * Body: name, description, discountType (percentage|fixed), discountValue, currency,
+ *       agentIds, categories, tags, startsAt, endsAt
+ */
+router.post('/', validateFirebaseToken, isAdmin, async (req, res) => {
+  try {
+    const campaign = await campaignService.createCampaign(req.body || {}, req.user.uid);
+    return res.status(201).json({ success: true, campaign });
+  } catch (error) {
+    return sendCampaignError(res, error, 'create campaign');
+  }
+});
+
+/**
+ * Campaign details (admin only)
+ * GET /api/campaigns/:id
+ */
+router.get('/:id', validateFirebaseToken, isAdmin, async (req, res) => {
+  try {
+    const campaign = await campaignService.getCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    return res.status(200).json({ success: true, campaign });
+  } catch (error) {
+    return sendCampaignError(res, error, 'get campaign');
+  }
+});
+
+/**
+ * Update a campaign (admin only); running campaigns accept name, description and endsAt
+ * PATCH /api/campaigns/:id
+ */
+router.patch('/:id', validateFirebaseToken, isAdmin, async (req, res) => {
+  try {
+    const campaign = await campaignService.updateCampaign(req.params.id, req.body || {});
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    return res.status(200).json({ success: true, campaign });
+  } catch (error) {
+    return sendCampaignError(res, error, 'update campaign');
+  }
+});
+
+/**
+ * Cancel a campaign (admin only); prices of a running one are restored
+ * POST /api/campaigns/:id/cancel
+ */
+router.post('/:id/cancel', validateFirebaseToken, isAdmin, async (req, res) => {
+  try {
+    const campaign = await campaignService.cancelCampaign(req.params.id, req.user.uid);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    return res.status(200).json({ success: true, campaign });
+  } catch (error) {
+    return sendCampaignError(res, error, 'cancel campaign');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+/**
+ * Cart Routes - Server-side shopping cart API
+ *
+ * Works for guests (cart ID cookie / X-Cart-Id header) and signed-in users.
+ * Every response re-prices the cart from the current agent prices.
+ */
+
+const express = require('express');
+const router = express.Router();
+const cartService = require('../../services/cart/cartService');
+const logger = require('../../utils/logger');
+const { optionalFirebaseToken } = require('../../middleware/authenticationMiddleware');
+
+const CART_COOKIE_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+router.use(optionalFirebaseToken);
+
+/**
+ * Remember a newly issued guest cart ID in a cookie
+ */
+function rememberGuestCart(res, owner) {
+  if (owner.isNew) {
+    res.cookie('cartId', owner.guestId, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: process.env.NODE_ENV === 'production' ? 'strict' : 'lax',
+      path: '/',
+      maxAge: CART_COOKIE_MAX_AGE
+    });
+  }
+}
+
+function handleCartError(res, error, action) {
+  if (error.name === 'PricingChoiceError') {
+    return res.status(400).json({ error: error.message, agentId: error.agentId, reason: error.reason });
+  }
+  if (error.message.includes('not found') || error.message.includes('not in cart')) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes('required') || error.message.includes('must be') || error.message.includes('cannot hold')) {
+    return res.status(400).json({ error: error.message });
+  }
+  logger.error(`Error trying to ${action}:`, error);
+  return res.status(500).json({
+    error: `Failed to ${action}`,
+    details: error.message
+  });
+}
+
+/**
+ * Get the current cart with fresh prices
+ * GET /api/cart
+ */
+router.get('/', async (req, res) => {
+  try {
+    const owner = cartService.resolveOwner(req);
+    if (!owner) {
+      return res.status(200).json({ success: true, cart: { cartId: null, items: [], itemCount: 0, subtotal: 0, currency: 'USD', mixedCurrencies: false } });
+    }
+
+    const cart = await cartService.getCart(owner);
+    return res.status(200).json({ success: true, cart });
+  } catch (error) {
+    return handleCartError(res, error, 'get cart');
+  }
+});
+
+/**
+ * Add an agent to the cart
+ * POST /api/cart/items
+ * Body: { agentId, quantity, tier, amount } (tier for tiered licences, amount for tips and pay-what-you-want)
+ */
+router.post('/items', async (req, res) => {
+  try {
+    const { agentId, quantity = 1, tier, amount } = req.body;
+    const owner = cartService.resolveOwner(req, true);
+
+    const cart = await cartService.addItem(owner, agentId, quantity, { tier, amount });
+    rememberGuestCart(res, owner);
+
+    return res.status(200).json({ success: true, cart });
+  } catch (error) {
+    return handleCartError(res, error, 'add item to cart');
+  }
+});
+
+/**
+ * Change the quantity of an agent in the cart (0 removes it), or its tier or amount
+ * PATCH /api/cart/items/:agentId
+ */
+router.patch('/items/:agentId', async (req, res) => {
+  try {
+    const owner = cartService.resolveOwner(req);
+    if (!owner) {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+
+    const { quantity, tier, amount } = req.body;
+    const cart = await cartService.updateItem(owner, req.params.agentId, quantity, { tier, amount });
+    return res.status(200).json({ success: true, cart });
+  } catch (error) {
+    return handleCartError(res, error, 'update cart item');
+  }
+});
+
+/**
+ * Remove an agent from the cart
+ * DELETE /api/cart/items/:agentId
+ */
+router.delete('/items/:agentId', async (req, res) => {
+  try {
+    const owner = cartService.resolveOwner(req);
+    if (!owner) {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+
+    const cart = await cartService.removeItem(owner, req.params.agentId);
+    return res.status(200).json({ success: true, cart });
+  } catch (error) {
+    return handleCartError(res, error, 'remove cart item');
+  }
+});
+
+/**
+ * Empty the cart
+ * DELETE /api/cart
+ */
+router.delete('/', async (req, res) => {
+  try {
+    const owner = cartService.resolveOwner(req);
+    if (!owner) {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+
+    const cart = await cartService.clearCart(owner);
+    return res.status(200).json({ success: true, cart });
+  } catch (error) {
+    return handleCartError(res, error, 'clear cart');
+  }
+});
+
+module.exports = router;
@@ -7,22 +7,23 @@
 const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
-const axios = require('axios');
 
 // Services
 const uniPayService = require('../../services/payment/uniPayService');
+const uniPayProvider = require('../../services/payment/providers/uniPayProvider');
+const paypalProvider = require('../../services/payment/providers/paypalProvider');
+const { toPaymentData } = require('../../services/payment/checkoutFlow');
 const invoiceService = require('../../services/invoice/invoiceService');
 const orderController = require('../../controllers/payment/orderController');
+const cartService = require('../../services/cart/cartService');
+const { getIpCountry } = require('../../services/risk/riskRules');
+const { getClientIp } = require('../../utils/clientIp');
 const emailService = require('../../services/email/emailService');
 const logger = require('../../utils/logger');
+const paymentEventLedger = require('../../services/payment/paymentEventLedger');
+const { decideFulfilmentClaim } = require('../../services/payment/paymentEvents');
 const { db } = require('../../config/firebase');
 
-// PayPal configuration (direct integration) - keeping existing PayPal code
-const PAYPAL_CLIENT_ID = process.env.PAYPAL_CLIENT_ID || 'test_client_id';
-const PAYPAL_CLIENT_SECRET = process.env.PAYPAL_CLIENT_SECRET || 'test_client_secret';
-const PAYPAL_BASE_URL = process.env.NODE_ENV === 'production'
-  ? 'https://api-m.paypal.com'
-  : 'https://api-m.sandbox.paypal.com';
 
 /**
  * Health check endpoint
@@ -181,6 +182,14 @@ router.post('/process-redirect', async (req, res) => {
     }
 
     const orderData = orderDoc.data();
+
+    // The buyer's browser passes here on its way to the payment page; keep
+    // where it came from for the risk screening when the payment succeeds
+    if (!orderData.client) {
+      await db.collection('uniPayOrders').doc(orderHashId).update({
+        client: { ip: getClientIp(req), country: getIpCountry(req.headers) }
+      });
+    }
     
     logger.info(`Processing redirect payment for order: ${orderHashId}`);
 
@@ -255,7 +264,8 @@ router.post('/confirm-order', async (req, res) => {
 
     logger.info(`Confirming UniPay order: ${orderHashId}`);
 
-    const result = await uniPayService.confirmOrder(orderHashId, amount);
+    const capture = await uniPayProvider.capture(orderHashId, { amount });
+    const result = capture.raw;
     
     // Update order status in database
     await db.collection('uniPayOrders').doc(orderHashId).update({
@@ -313,7 +323,8 @@ router.get('/status/:orderHashId', async (req, res) => {
     const { orderHashId } = req.params;
     
     // Get UniPay status
-    const uniPayStatus = await uniPayService.getPaymentStatus(orderHashId);
+    const providerStatus = await uniPayProvider.getStatus(orderHashId);
+    const uniPayStatus = providerStatus.raw;
     
     // Get order data from our database
     const orderDoc = await db.collection('uniPayOrders').doc(orderHashId).get();
@@ -324,6 +335,7 @@ router.get('/status/:orderHashId', async (req, res) => {
       orderHashId,
       orderData,
       uniPayStatus: uniPayStatus,
+      status: providerStatus.status,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -390,42 +402,56 @@ router.post('/refund', async (req, res) => {
       reason
     });
 
-    const result = await uniPayService.createRefund(orderHashId, amount, reason);
-    
-    // Update order status in database
-    await db.collection('uniPayOrders').doc(orderHashId).update({
-      status: 'refunded',
-      refundedAt: new Date().toISOString(),
-      refundAmount: amount,
-      refundReason: reason || null
-    });
-
-    // Process order refund
+    // Reject amounts the order cannot take before refunding at UniPay
     const orderDoc = await db.collection('uniPayOrders').doc(orderHashId).get();
-    if (orderDoc.exists) {
-      const orderData = orderDoc.data();
-      if (orderData.orderId) {
-        try {
-          await orderController.processOrderRefund(orderData.orderId, {
-            refund_id: `unipay_${orderHashId}`,
-            amount: amount,
-            reason: reason
-          });
-        } catch (orderError) {
-          logger.error(`Error processing order refund: ${orderError.message}`);
-        }
+    const linkedOrderId = orderDoc.exists ? orderDoc.data().orderId : null;
+    if (linkedOrderId) {
+      try {
+        await orderController.checkRefund(linkedOrderId, amount);
+      } catch (checkError) {
+        if (checkError.name !== 'OrderRefundError') throw checkError;
+        return res.status(400).json({ error: checkError.message, reason: checkError.reason });
+      }
+    }
+
+    const refund = await uniPayProvider.refund(orderHashId, { amount, reason });
+    const result = refund.raw;
+    
+    // Process order refund - this also updates the UniPay order and issues a credit note
+    let orderRefund = null;
+    if (linkedOrderId) {
+      try {
+        orderRefund = await orderController.processOrderRefund(linkedOrderId, {
+          // Partial refunds on the same order need distinct IDs so each gets its own credit note
+          refund_id: result.refundId || `unipay_${orderHashId}_${Date.now()}`,
+          amount: amount,
+          reason: reason
+        });
+      } catch (orderError) {
+        logger.error(`Error processing order refund: ${orderError.message}`);
       }
+    } else {
+      // No linked order - record the refund on the UniPay order only
+      await db.collection('uniPayOrders').doc(orderHashId).update({
+        status: 'refunded',
+        refundedAt: new Date().toISOString(),
+        refundAmount: amount,
+        refundReason: reason || null
+      });
     }
     
     logger.info(`Refund created: ${orderHashId}`, {
       amount,
-      status: result.success
+      status: result.success,
+      creditNoteNumber: orderRefund?.creditNoteNumber || null
     });
 
     return res.status(200).json({
       success: true,
       orderHashId,
-      ...result
+      ...result,
+      creditNoteId: orderRefund?.creditNoteId || null,
+      creditNoteNumber: orderRefund?.creditNoteNumber || null
     });
   } catch (error) {
     logger.error(`Error creating refund for order ${req.body.orderHashId}:`, error);
@@ -463,44 +489,39 @@ router.post('/refund', async (req, res) => {
  */
 router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
   try {
-    const payload = req.body.toString();
-    let event;
-    
+    let verification;
     try {
-      event = JSON.parse(payload);
+      verification = await uniPayProvider.verifyWebhook({ rawBody: req.body });
     } catch (parseError) {
       logger.error('Invalid webhook payload:', parseError);
       return res.status(400).json({ error: 'Invalid JSON payload' });
     }
+    const event = verification.payload;
     
     logger.info(`Received UniPay webhook:`, {
       event: event
     });
 
-    // Check for duplicate processing if webhook has ID
-    if (event.id) {
-      const eventDoc = await db.collection('webhookEvents').doc(event.id).get();
-      if (eventDoc.exists) {
-        logger.info(`Duplicate webhook event ignored: ${event.id}`);
-        return res.status(200).json({ received: true, duplicate: true });
-      }
-
-      // Store event for deduplication
-      await db.collection('webhookEvents').doc(event.id).set({
-        eventId: event.id,
-        type: event.type || 'unknown',
-        orderHashId: event.OrderHashID,
-        processedAt: new Date().toISOString(),
-        data: event
-      });
+    if (!verification.verified) {
+      return res.status(200).json({ received: true, ignored: true });
     }
 
-    // Process the webhook event
-    if (event.OrderHashID) {
-      await handleUniPayWebhook(event);
+    // Deduplicate redeliveries against the payment event ledger
+    const outcome = await paymentEventLedger.handleEvent({
+      provider: 'unipay',
+      eventId: verification.eventId,
+      type: verification.type,
+      payload: event
+    });
+
+    if (outcome.duplicate) {
+      return res.status(200).json({ received: true, duplicate: true, status: outcome.status });
+    }
+    if (outcome.status === 'failed') {
+      return res.status(500).json({ error: 'Webhook processing failed', eventKey: outcome.key });
     }
 
-    return res.status(200).json({ received: true });
+    return res.status(200).json({ received: true, status: outcome.status });
   } catch (error) {
     logger.error('Error processing UniPay webhook:', error);
     return res.status(500).json({ error: 'Webhook processing failed' });
@@ -549,8 +570,12 @@ router.get('/success', async (req, res) => {
     });
 
     if (order_hash_id && status === 'success') {
-      // Process successful payment
-      await handlePaymentSuccess(order_hash_id);
+      // Process successful payment; the webhook may already be fulfilling it
+      try {
+        await handlePaymentSuccess(order_hash_id);
+      } catch (error) {
+        if (error.name !== 'PaymentInProgressError') throw error;
+      }
     }
 
     // Redirect to frontend success page
@@ -727,27 +752,6 @@ router.get('/statuses', async (req, res) => {
  * PayPal direct integration endpoints (keeping existing code)
  */
 
-// Generate PayPal access token
-async function generatePayPalAccessToken() {
-  try {
-    const auth = Buffer.from(`${PAYPAL_CLIENT_ID}:${PAYPAL_CLIENT_SECRET}`).toString('base64');
-    const response = await axios({
-      method: 'post',
-      url: `${PAYPAL_BASE_URL}/v1/oauth2/token`,
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Authorization': `Basic ${auth}`
-      },
-      data: 'grant_type=client_credentials'
-    });
-    
-    return response.data.access_token;
-  } catch (error) {
-    logger.error('Failed to generate PayPal access token:', error);
-    throw new Error('Failed to generate PayPal access token');
-  }
-}
-
 // Create PayPal order
 /**
  * @swagger
@@ -798,14 +802,18 @@ async function generatePayPalAccessToken() {
  */
 router.post('/paypal/create-order', async (req, res) => {
   try {
-    const { amount, currency, items, customerInfo, metadata = {} } = req.body;
+    const { amount, currency, customerInfo, metadata = {} } = req.body;
+    let { items } = req.body;
     
-    if (!amount || !items) {
+    if (!amount || !Array.isArray(items) || items.length === 0) {
       return res.status(400).json({ error: 'Amount and items are required' });
     }
 
+    // Tip, pay-what-you-want and tiered agents are charged what their model allows
+    items = await cartService.enforceCheckoutPricing(items);
+
     // Mock response for development if PayPal not configured
-    if (!PAYPAL_CLIENT_ID || PAYPAL_CLIENT_ID === 'test_client_id') {
+    if (!paypalProvider.isConfigured()) {
       const mockOrderId = `MOCK-PAYPAL-${uuidv4()}`;
       logger.info('Using mock PayPal order (credentials not configured)');
       
@@ -817,81 +825,49 @@ router.post('/paypal/create-order', async (req, res) => {
       });
     }
 
-    const accessToken = await generatePayPalAccessToken();
     const orderId = metadata.orderId || uuidv4();
+    const currencyCode = (currency || 'USD').toUpperCase();
 
-    // Format line items for PayPal
-    const lineItems = items.map(item => ({
-      name: item.title || item.name || 'Product',
-      unit_amount: {
-        currency_code: (currency || 'USD').toUpperCase(),
-        value: (item.price || 0).toFixed(2)
-      },
-      quantity: (item.quantity || 1).toString(),
-      category: 'DIGITAL_GOODS'
-    }));
-
-    const totalAmount = lineItems.reduce((sum, item) => {
-      return sum + (parseFloat(item.unit_amount.value) * parseInt(item.quantity));
+    const totalAmount = items.reduce((sum, item) => {
+      return sum + Math.round((item.price || 0) * 100) / 100 * (parseInt(item.quantity, 10) || 1);
     }, 0);
 
-    // Create PayPal order payload
-    const payload = {
-      intent: 'CAPTURE',
-      purchase_units: [{
-        reference_id: orderId,
-        amount: {
-          currency_code: (currency || 'USD').toUpperCase(),
-          value: totalAmount.toFixed(2),
-          breakdown: {
-            item_total: {
-              currency_code: (currency || 'USD').toUpperCase(),
-              value: totalAmount.toFixed(2)
-            }
-          }
-        },
-        items: lineItems
-      }],
-      application_context: {
-        brand_name: 'AI Waverider',
-        landing_page: 'NO_PREFERENCE',
-        user_action: 'PAY_NOW',
-        return_url: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/checkout/success?payment_id=${orderId}&status=success&type=paypal`,
-        cancel_url: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/checkout?canceled=true`
-      }
-    };
-
-    const response = await axios({
-      method: 'post',
-      url: `${PAYPAL_BASE_URL}/v2/checkout/orders`,
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${accessToken}`
-      },
-      data: payload
+    const checkout = await paypalProvider.createCheckout({
+      orderId,
+      currency: currencyCode,
+      items,
+      itemTotal: totalAmount,
+      total: totalAmount,
+      returnUrl: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/checkout/success?payment_id=${orderId}&status=success&type=paypal`,
+      cancelUrl: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/checkout?canceled=true`
     });
 
     // Store PayPal order in database
-    await db.collection('paypalOrders').doc(response.data.id).set({
-      paypalOrderId: response.data.id,
+    await db.collection('paypalOrders').doc(checkout.providerOrderId).set({
+      paypalOrderId: checkout.providerOrderId,
       orderId,
       amount: totalAmount,
-      currency: (currency || 'USD').toUpperCase(),
+      currency: currencyCode,
       items,
       customerInfo,
       metadata,
+      // Checkout origin for the risk screening at capture
+      client: { ip: getClientIp(req), country: getIpCountry(req.headers) },
       status: 'created',
       createdAt: new Date().toISOString()
     });
 
-    logger.info(`Created PayPal order: ${response.data.id}`, { orderId, amount: totalAmount });
+    logger.info(`Created PayPal order: ${checkout.providerOrderId}`, { orderId, amount: totalAmount });
 
     return res.json({
       success: true,
-      id: response.data.id,
+      id: checkout.providerOrderId,
       orderId
     });
   } catch (error) {
+    if (error.name === 'PricingChoiceError') {
+      return res.status(400).json({ error: error.message, agentId: error.agentId, reason: error.reason });
+    }
     logger.error('Error creating PayPal order:', error);
     return res.status(500).json({
       error: 'Failed to create PayPal order',
@@ -941,17 +917,6 @@ router.post('/paypal/capture', async (req, res) => {
       return res.status(400).json({ error: 'PayPal Order ID is required' });
     }
 
-    const accessToken = await generatePayPalAccessToken();
-
-    const response = await axios({
-      method: 'post',
-      url: `${PAYPAL_BASE_URL}/v2/checkout/orders/${orderID}/capture`,
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${accessToken}`
-      }
-    });
-
     // Get our stored order data
     const paypalOrderDoc = await db.collection('paypalOrders').doc(orderID).get();
     const paypalOrderData = paypalOrderDoc.exists ? paypalOrderDoc.data() : null;
@@ -961,54 +926,27 @@ router.post('/paypal/capture', async (req, res) => {
       return res.status(404).json({ error: 'PayPal order not found' });
     }
 
+    const capture = await paypalProvider.capture(orderID);
+
     // Update PayPal order status
     await db.collection('paypalOrders').doc(orderID).update({
       status: 'captured',
       capturedAt: new Date().toISOString(),
-      paypalResponse: response.data
+      captureId: capture.captureId,
+      paypalResponse: capture.raw
     });
 
-    // Process the order
+    // Process the order (also creates the invoice)
     try {
-      const orderResult = await orderController.processPaymentSuccess({
-        id: orderID,
-        amount: paypalOrderData.amount * 100, // Convert to cents
-        currency: paypalOrderData.currency.toLowerCase(),
-        status: 'succeeded',
-        payment_method_types: ['paypal'],
-        customer: {
-          id: paypalOrderData.customerInfo?.userId || null,
-          email: paypalOrderData.customerInfo?.email || null
-        },
-        metadata: {
-          ...paypalOrderData.metadata,
-          payment_method: 'paypal',
-          order_id: paypalOrderData.orderId
-        },
-        items: paypalOrderData.items
-      });
+      const orderResult = await orderController.processPaymentSuccess(toPaymentData('paypal', orderID, paypalOrderData, capture));
 
-      // Create invoice
-      const invoice = await invoiceService.createInvoice(
-        {
-          id: orderID,
-          processor: 'paypal',
-          paymentMethod: 'paypal',
-          transaction_id: orderID
-        },
-        {
-          orderId: paypalOrderData.orderId,
-          items: paypalOrderData.items,
-          total: paypalOrderData.amount,
-          currency: paypalOrderData.currency,
-          metadata: paypalOrderData.metadata
-        },
-        paypalOrderData.customerInfo
-      );
+      const invoice = orderResult?.invoiceId
+        ? (await invoiceService.getInvoiceById(orderResult.invoiceId)).invoice
+        : null;
 
       logger.info(`Successfully processed PayPal order: ${orderID}`, {
         orderId: paypalOrderData.orderId,
-        invoiceId: invoice.invoiceId
+        invoiceId: orderResult?.invoiceId || null
       });
 
       return res.json({
@@ -1016,8 +954,8 @@ router.post('/paypal/capture', async (req, res) => {
         orderID,
         orderId: paypalOrderData.orderId,
         orderResult,
-        invoice: invoice.invoice,
-        ...response.data
+        invoice,
+        ...capture.raw
       });
     } catch (orderError) {
       logger.error(`Error processing PayPal order: ${orderError.message}`);
@@ -1028,14 +966,14 @@ router.post('/paypal/capture', async (req, res) => {
         orderID,
         orderId: paypalOrderData.orderId,
         orderProcessingError: orderError.message,
-        ...response.data
+        ...capture.raw
       });
     }
   } catch (error) {
     logger.error('Error capturing PayPal payment:', error);
     return res.status(500).json({
       error: 'Failed to capture PayPal payment',
-      details: error.message
+      details: error.details || error.message
     });
   }
 });
@@ -1045,118 +983,159 @@ router.post('/paypal/capture', async (req, res) => {
  */
 
 // Handle UniPay webhook event
+// Called through the payment event ledger; errors propagate so the ledger records the failure.
 async function handleUniPayWebhook(event) {
-  try {
-    const orderHashId = event.OrderHashID;
-    
-    // Get order data
-    const orderDoc = await db.collection('uniPayOrders').doc(orderHashId).get();
-    if (!orderDoc.exists) {
-      logger.error(`UniPay webhook: Order not found: ${orderHashId}`);
-      return;
-    }
+  const orderHashId = event.OrderHashID;
 
-    const orderData = orderDoc.data();
-    
-    // Update order status based on event
-    const updateData = {
-      status: event.Status || 'unknown',
-      lastWebhookAt: new Date().toISOString(),
-      webhookData: event
-    };
-
-    // Handle different event types
-    if (event.Status === 'Success' || event.Status === 'success' || event.Status === 'Succeeded') {
-      updateData.status = 'success';
-      updateData.paidAt = new Date().toISOString();
-      
-      // Process successful payment
-      await handlePaymentSuccess(orderHashId);
-    } else if (event.Status === 'Failed' || event.Status === 'failed' || event.Status === 'Error') {
-      updateData.status = 'failed';
-      updateData.failedAt = new Date().toISOString();
-      updateData.failureReason = event.FailureReason || event.ErrorMessage || 'Unknown';
-    }
+  // Get order data
+  const orderDoc = await db.collection('uniPayOrders').doc(orderHashId).get();
+  if (!orderDoc.exists) {
+    throw new Error(`UniPay webhook: Order not found: ${orderHashId}`);
+  }
 
-    await db.collection('uniPayOrders').doc(orderHashId).update(updateData);
-    
-    logger.info(`UniPay webhook processed: ${orderHashId}`, {
-      status: event.Status
-    });
-  } catch (error) {
-    logger.error('Error handling UniPay webhook:', error);
+  // Update order status based on event
+  const updateData = {
+    status: event.Status || 'unknown',
+    lastWebhookAt: new Date().toISOString(),
+    webhookData: event
+  };
+
+  // Handle different event types
+  if (event.Status === 'Success' || event.Status === 'success' || event.Status === 'Succeeded') {
+    updateData.status = 'success';
+    updateData.paidAt = new Date().toISOString();
+
+    // Process successful payment
+    await handlePaymentSuccess(orderHashId);
+  } else if (event.Status === 'Failed' || event.Status === 'failed' || event.Status === 'Error') {
+    updateData.status = 'failed';
+    updateData.failedAt = new Date().toISOString();
+    updateData.failureReason = event.FailureReason || event.ErrorMessage || 'Unknown';
   }
+
+  await db.collection('uniPayOrders').doc(orderHashId).update(updateData);
+
+  logger.info(`UniPay webhook processed: ${orderHashId}`, {
+    status: event.Status
+  });
+
+  return { orderHashId, status: updateData.status };
+}
+
+/**
+ * Error for a payment whose fulfilment another request is still running
+ * Thrown so the webhook ledger records a failure and the event is retried.
+ */
+function paymentInProgressError(orderHashId) {
+  const error = new Error(`UniPay payment ${orderHashId} is still being processed`);
+  error.name = 'PaymentInProgressError';
+  return error;
 }
 
 // Handle successful payment
+// The success redirect and the webhook both land here, so the order is
+// claimed first and processed only once. A claim left behind by a crash is
+// taken over once it is older than the ledger's processing timeout.
 async function handlePaymentSuccess(orderHashId) {
   try {
-    // Get order data
-    const orderDoc = await db.collection('uniPayOrders').doc(orderHashId).get();
-    if (!orderDoc.exists) {
-      throw new Error(`Order not found: ${orderHashId}`);
-    }
-    
-    const orderData = orderDoc.data();
-    
-    // Process order success
-    const orderResult = await orderController.processPaymentSuccess({
-      id: orderHashId,
-      amount: orderData.originalAmount * 100, // Convert to cents using original amount
-      currency: orderData.originalCurrency?.toLowerCase() || 'usd',
-      status: 'succeeded',
-      payment_method_types: ['unipay'],
-      customer: {
-        id: orderData.customerInfo?.userId || null,
-        email: orderData.customerInfo?.email || null
-      },
-      metadata: {
-        ...orderData.metadata,
-        order_hash_id: orderHashId,
-        order_id: orderData.orderId
-      },
-      items: orderData.items,
-      processor: 'unipay',
-      vatInfo: orderData.vatInfo
+    const orderRef = db.collection('uniPayOrders').doc(orderHashId);
+    const claimId = uuidv4();
+
+    const claim = await db.runTransaction(async (transaction) => {
+      const orderDoc = await transaction.get(orderRef);
+      if (!orderDoc.exists) {
+        throw new Error(`Order not found: ${orderHashId}`);
+      }
+
+      const data = orderDoc.data();
+      const decision = decideFulfilmentClaim(data);
+      if (decision.process) {
+        transaction.update(orderRef, {
+          orderProcessing: true,
+          processingStartedAt: new Date().toISOString(),
+          processingClaimId: claimId
+        });
+      }
+      return { ...decision, data };
     });
 
-    // Create invoice
-    const invoice = await invoiceService.createInvoice(
-      {
+    if (claim.reason === 'duplicate') {
+      logger.info(`UniPay payment ${orderHashId} already processed; skipping`);
+      return null;
+    }
+    if (claim.reason === 'in_progress') {
+      throw paymentInProgressError(orderHashId);
+    }
+    if (claim.reason === 'stale_claim') {
+      logger.warn(`Taking over stale processing claim on UniPay payment ${orderHashId}`, {
+        processingStartedAt: claim.data.processingStartedAt || null
+      });
+    }
+    const orderData = claim.data;
+
+    let orderResult;
+    try {
+      // Process order success (also creates the invoice)
+      orderResult = await orderController.processPaymentSuccess({
         id: orderHashId,
-        processor: 'unipay',
-        paymentMethod: 'unipay',
+        // UniPay refunds by order hash, so it is also the capture reference
         transaction_id: orderHashId,
-        vatInfo: orderData.vatInfo
-      },
-      {
-        orderId: orderData.orderId,
+        amount: orderData.originalAmount * 100, // Convert to cents using original amount
+        currency: orderData.originalCurrency?.toLowerCase() || 'usd',
+        status: 'succeeded',
+        payment_method_types: ['unipay'],
+        customer: {
+          id: orderData.customerInfo?.userId || null,
+          email: orderData.customerInfo?.email || null
+        },
+        metadata: {
+          ...orderData.metadata,
+          order_hash_id: orderHashId,
+          order_id: orderData.orderId,
+          clientIp: orderData.client?.ip || null,
+          ipCountry: orderData.client?.country || null
+        },
         items: orderData.items,
-        total: orderData.originalAmount,
-        currency: orderData.originalCurrency,
-        metadata: orderData.metadata
-      },
-      orderData.customerInfo
-    );
+        processor: 'unipay',
+        vatInfo: orderData.vatInfo
+      });
+    } catch (processError) {
+      // Release the claim so a webhook retry or replay can try again,
+      // unless another request has taken it over meanwhile
+      await db.runTransaction(async (transaction) => {
+        const orderDoc = await transaction.get(orderRef);
+        if (orderDoc.data()?.processingClaimId === claimId) {
+          transaction.update(orderRef, { orderProcessing: false });
+        }
+      });
+      throw processError;
+    }
 
     // Update UniPay order with processing results
-    await db.collection('uniPayOrders').doc(orderHashId).update({
+    await orderRef.update({
       orderProcessed: true,
+      orderProcessing: false,
       processedAt: new Date().toISOString(),
-      invoiceId: invoice.invoiceId,
+      invoiceId: orderResult.invoiceId || null,
       orderResult: orderResult
     });
 
     logger.info(`Successfully processed UniPay payment: ${orderHashId}`, {
       orderId: orderData.orderId,
-      invoiceId: invoice.invoiceId
+      invoiceId: orderResult.invoiceId || null
     });
 
-    return { orderResult, invoice };
+    return { orderResult };
   } catch (error) {
+    if (error.name === 'PaymentInProgressError') {
+      logger.info(error.message);
+      throw error;
+    }
     logger.error(`Error processing UniPay payment success for ${orderHashId}:`, error);
     throw error;
   }
 }
 
+paymentEventLedger.registerHandler('unipay', handleUniPayWebhook);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,162 @@
+/**
+ * Coupon Routes - Promo code API
+ *
+ * Public validation for checkout plus admin management and redemption stats
+ */
+
+const express = require('express');
+const router = express.Router();
+const couponService = require('../../services/coupon/couponService');
+const logger = require('../../utils/logger');
+const { validateFirebaseToken, optionalFirebaseToken, isAdmin } = require('../../middleware/authenticationMiddleware');
+
+/**
+ * Validate a promo code against a cart
+ * POST /api/coupons/validate
+ */
+router.post('/validate', optionalFirebaseToken, async (req, res) => {
+  try {
+    const { code, items = [], currency = 'USD' } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Coupon code is required' });
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Items are required to validate a coupon' });
+    }
+
+    const result = await couponService.validateCoupon({
+      code,
+      items,
+      currency,
+      userId: req.user?.uid || null,
+      email: req.user?.email || null
+    });
+
+    return res.status(200).json(result);
+  } catch (error) {
+    logger.error('Error validating coupon:', error);
+    return res.status(500).json({
+      error: 'Failed to validate coupon',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Redemption statistics for all coupons (admin only)
+ * GET /api/coupons/stats
+ */
+router.get('/stats', validateFirebaseToken, isAdmin, async (req, res) => {
+  try {
+    const stats = await couponService.getRedemptionStats();
+    return res.status(200).json({ success: true, ...stats });
+  } catch (error) {
+    logger.error('Error getting coupon stats:', error);
+    return res.status(500).json({
+      error: 'Failed to get coupon stats',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * List coupons (admin only)
+ * GET /api/coupons?active=true
+ */
+router.get('/', validateFirebaseToken, isAdmin, async (req, res) => {
+  try {
+    const { active } = req.query;
+    const coupons = await couponService.listCoupons({
+      active: active === undefined ? undefined : active === 'true'
+    });
+    return res.status(200).json({ success: true, coupons, count: coupons.length });
+  } catch (error) {
+    logger.error('Error listing coupons:', error);
+    return res.status(500).json({
+      error: 'Failed to list coupons',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Create a coupon (admin only)
+ * POST /api/coupons
+ */
+router.post('/', validateFirebaseToken, isAdmin, async (req, res) => {
+  try {
+    const coupon = await couponService.createCoupon(req.body, req.user.uid);
+    return res.status(201).json({ success: true, coupon });
+  } catch (error) {
+    // Firestore ALREADY_EXISTS
+    if (error.code === 6) {
+      return res.status(409).json({ error: 'Coupon code already exists' });
+    }
+    if (error.name === 'CouponValidationError') {
+      return res.status(400).json({ error: 'Invalid coupon', details: error.message });
+    }
+    logger.error('Error creating coupon:', error);
+    return res.status(500).json({
+      error: 'Failed to create coupon',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Update a coupon (admin only)
+ * PATCH /api/coupons/:code
+ */
+router.patch('/:code', validateFirebaseToken, isAdmin, async (req, res) => {
+  try {
+    const coupon = await couponService.updateCoupon(req.params.code, req.body);
+    return res.status(200).json({ success: true, coupon });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: 'Coupon not found', code: req.params.code });
+    }
+    if (error.name === 'CouponValidationError') {
+      return res.status(400).json({ error: 'Invalid coupon', details: error.message });
+    }
+    logger.error(`Error updating coupon ${req.params.code}:`, error);
+    return res.status(500).json({
+      error: 'Failed to update coupon',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Coupon details with redemption stats and recent redemptions (admin only)
+ * GET /api/coupons/:code
+ */
+router.get('/:code', validateFirebaseToken, isAdmin, async (req, res) => {
+  try {
+    const coupon = await couponService.getCoupon(req.params.code);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found', code: req.params.code });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const [stats, redemptions] = await Promise.all([
+      couponService.getRedemptionStats(coupon.code),
+      couponService.getRedemptions(coupon.code, limit)
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      coupon,
+      stats: stats.coupons[0] || null,
+      redemptions
+    });
+  } catch (error) {
+    logger.error(`Error getting coupon ${req.params.code}:`, error);
+    return res.status(500).json({
+      error: 'Failed to get coupon',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -17,6 +17,10 @@ const testRoutes = require('./test');
 const paymentsRoutes = require('./payments/payments'); // Your updated main payment routes
 const invoiceRoutes = require('./invoice/invoiceRoutes'); // New invoice management
 const templateRoutes = require('./template/templateRoutes'); // New template downloads
+const couponRoutes = require('./coupon/couponRoutes'); // Promo codes
+const cartRoutes = require('./cart/cartRoutes'); // Server-side shopping cart
+const ordersRoutes = require('./orders/orders'); // Customer order history and receipts
+const campaignRoutes = require('./campaign/campaignRoutes'); // Price campaigns and flash sales
 
 const recommendationsRoutes = require('./agents/recommendations');
 const aiToolsRoutes = require('./ai-tools/ai-tools');
@@ -65,9 +69,13 @@ router.use('/ai-tools', aiToolsRoutes);
 router.use('/prompts', promptsRoutes);
 
 // Payment system routes (PayPal only)
+router.use('/cart', cartRoutes);
 router.use('/payments', paymentsRoutes);
 router.use('/invoices', invoiceRoutes);     // Invoice management API
 router.use('/templates', templateRoutes);   // Secure template downloads
+router.use('/coupons', couponRoutes);       // Promo code validation and admin stats
+router.use('/orders', ordersRoutes);        // Order history and receipts
+router.use('/campaigns', campaignRoutes);   // Scheduled price campaigns
 
 // Admin routes
 router.use('/admin', adminRoutes);
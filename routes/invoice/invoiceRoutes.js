@@ -9,6 +9,12 @@ const router = express.Router();
 const invoiceService = require('../../services/invoice/invoiceService');
 const logger = require('../../utils/logger');
 const { db } = require('../../config/firebase');
+const { validateFirebaseToken, isAdmin } = require('../../middleware/authenticationMiddleware');
+const { EXPORT_FORMATS, excludeSandbox, buildExportFiles, streamExportZip } = require('../../services/invoice/invoiceExport');
+
+// Export limits - above the threshold CSV/DATEV exports are streamed as a ZIP
+const EXPORT_LIMIT = parseInt(process.env.INVOICE_EXPORT_LIMIT || '5000', 10);
+const EXPORT_ZIP_THRESHOLD = parseInt(process.env.INVOICE_EXPORT_ZIP_THRESHOLD || '500', 10);
 
 /**
  * Get invoice by ID
@@ -223,7 +229,7 @@ router.put('/:invoiceId/status', async (req, res) => {
       });
     }
     
-    const validStatuses = ['paid', 'pending', 'overdue', 'cancelled', 'refunded', 'disputed'];
+    const validStatuses = ['paid', 'pending', 'overdue', 'cancelled', 'refunded', 'partially_refunded', 'disputed'];
     if (!validStatuses.includes(status)) {
       return res.status(400).json({
         error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
@@ -249,34 +255,121 @@ router.put('/:invoiceId/status', async (req, res) => {
 });
 
 /**
- * Generate invoice PDF
- * GET /api/invoices/:invoiceId/pdf
+ * Get credit notes issued against an invoice
+ * GET /api/invoices/:invoiceId/credit-notes
  */
-router.get('/:invoiceId/pdf', async (req, res) => {
+router.get('/:invoiceId/credit-notes', async (req, res) => {
   try {
     const { invoiceId } = req.params;
     
-    logger.info(`PDF generation requested for invoice: ${invoiceId}`);
+    logger.info(`Retrieving credit notes for invoice: ${invoiceId}`);
     
-    const result = await invoiceService.generateInvoicePDF(invoiceId);
+    const result = await invoiceService.getCreditNotesForInvoice(invoiceId);
     
-    if (result.pdfUrl) {
-      // For now, redirect to the PDF URL or return the URL
-      return res.status(200).json({
-        success: true,
-        invoiceId,
-        invoiceNumber: result.invoiceNumber,
-        pdfUrl: result.pdfUrl,
-        message: result.message
+    return res.status(200).json({
+      success: true,
+      invoiceId,
+      creditNotes: result.creditNotes
+    });
+  } catch (error) {
+    logger.error(`Error retrieving credit notes for invoice ${req.params.invoiceId}:`, error);
+    return res.status(500).json({
+      error: 'Failed to retrieve credit notes',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Issue a credit note manually (admin only)
+ * POST /api/invoices/:invoiceId/credit-notes
+ * Refunds that go through the payment providers issue credit notes automatically;
+ * this covers refunds settled outside the platform.
+ */
+router.post('/:invoiceId/credit-notes', validateFirebaseToken, isAdmin, async (req, res) => {
+  try {
+    const { invoiceId } = req.params;
+    const { amount, reason, refundId } = req.body;
+    
+    if (amount !== undefined && !(parseFloat(amount) > 0)) {
+      return res.status(400).json({
+        error: 'Amount must be a positive number'
       });
-    } else {
-      return res.status(501).json({
-        error: 'PDF generation not implemented',
-        message: 'Please implement PDF generation using a library like puppeteer or jsPDF'
+    }
+    
+    logger.info(`Manual credit note requested for invoice: ${invoiceId}`, {
+      amount: amount || 'full',
+      requestedBy: req.user.uid
+    });
+    
+    const result = await invoiceService.createCreditNote(invoiceId, {
+      refundId: refundId || null,
+      amount,
+      reason: reason || 'manual_credit',
+      processor: 'manual'
+    });
+    
+    return res.status(result.duplicate ? 200 : 201).json({
+      success: true,
+      creditNote: result.creditNote,
+      creditNoteId: result.creditNoteId,
+      creditNoteNumber: result.creditNoteNumber
+    });
+  } catch (error) {
+    logger.error(`Error issuing credit note for invoice ${req.params.invoiceId}:`, error);
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Invoice not found',
+        invoiceId: req.params.invoiceId
       });
     }
+    
+    if (error.message.includes('exceeds refundable') || error.message.includes('greater than zero') || error.message.includes('Cannot credit')) {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      error: 'Failed to issue credit note',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Download invoice PDF
+ * GET /api/invoices/:invoiceId/pdf
+ */
+router.get('/:invoiceId/pdf', async (req, res) => {
+  try {
+    const { invoiceId } = req.params;
+    const disposition = req.query.download === 'false' ? 'inline' : 'attachment';
+    
+    logger.info(`PDF generation requested for invoice: ${invoiceId}`);
+    
+    const { filename, stream } = await invoiceService.createInvoicePDFStream(invoiceId);
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `${disposition}; filename="${filename}"`);
+    
+    stream.on('error', (streamError) => {
+      logger.error(`Error streaming PDF for invoice ${invoiceId}:`, streamError);
+      res.destroy(streamError);
+    });
+    
+    return stream.pipe(res);
   } catch (error) {
     logger.error(`Error generating PDF for invoice ${req.params.invoiceId}:`, error);
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Invoice not found',
+        invoiceId: req.params.invoiceId
+      });
+    }
+    
     return res.status(500).json({
       error: 'Failed to generate PDF',
       details: error.message
@@ -284,6 +377,26 @@ router.get('/:invoiceId/pdf', async (req, res) => {
   }
 });
 
+/**
+ * Verify invoice number sequences (admin only)
+ * GET /api/invoices/numbering/verify
+ */
+router.get('/numbering/verify', validateFirebaseToken, isAdmin, async (req, res) => {
+  try {
+    logger.info('Invoice numbering verification requested', { requestedBy: req.user.uid });
+    
+    const report = await invoiceService.verifyInvoiceNumbering();
+    
+    return res.status(200).json(report);
+  } catch (error) {
+    logger.error('Error verifying invoice numbering:', error);
+    return res.status(500).json({
+      error: 'Failed to verify invoice numbering',
+      details: error.message
+    });
+  }
+});
+
 /**
  * Get invoice statistics
  * GET /api/invoices/stats/:period
@@ -318,40 +431,67 @@ router.get('/stats/:period', async (req, res) => {
 });
 
 /**
- * Export invoices to CSV
+ * Export invoices for accounting
  * POST /api/invoices/export
+ * Body: { searchParams, format: json|csv|datev|ubl, zip, includePdf }
+ * searchParams take the same filters as /search (status, startDate, endDate, customerEmail, ...).
+ * Large exports, UBL exports with more than one document and exports with PDFs are streamed as a ZIP.
  */
 router.post('/export', async (req, res) => {
   try {
-    const { searchParams = {}, format = 'json' } = req.body;
+    const { searchParams = {}, format = 'json', zip = false, includePdf = false } = req.body;
+    
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
     
-    logger.info('Exporting invoices', { format, searchParams });
+    logger.info('Exporting invoices', { format, zip, includePdf, searchParams });
     
     // Get invoices based on search parameters
     const result = await invoiceService.searchInvoices({
       ...searchParams,
-      limit: 1000 // Limit for export
-    });
-    
-    if (format === 'csv') {
-      // Convert to CSV format
-      const csvData = convertInvoicesToCSV(result.invoices);
-      
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="invoices-${new Date().toISOString().split('T')[0]}.csv"`);
-      return res.send(csvData);
-    } else {
-      // Return JSON
+      limit: EXPORT_LIMIT
+    });
+    // Sandbox checkouts are not bookings
+    const invoices = excludeSandbox(result.invoices);
+    
+    if (format === 'json') {
       return res.status(200).json({
         success: true,
         format,
-        invoices: result.invoices,
-        count: result.count,
+        invoices,
+        count: invoices.length,
         exportedAt: new Date().toISOString()
       });
     }
+    
+    const dateStamp = new Date().toISOString().split('T')[0];
+    const shouldZip = zip === true
+      || includePdf === true
+      || invoices.length > EXPORT_ZIP_THRESHOLD
+      || (format === 'ubl' && invoices.length !== 1);
+    
+    if (shouldZip) {
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="invoices-${format}-${dateStamp}.zip"`);
+      await streamExportZip(invoices, format, res, { includePdf: includePdf === true });
+      return;
+    }
+    
+    const [file] = buildExportFiles(invoices, format);
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.name}"`);
+    return res.send(file.content);
   } catch (error) {
     logger.error('Error exporting invoices:', error);
+    
+    // A ZIP stream may already be partially sent
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    
     return res.status(500).json({
       error: 'Failed to export invoices',
       details: error.message
@@ -396,49 +536,4 @@ router.delete('/:invoiceId', async (req, res) => {
   }
 });
 
-/**
- * Helper function to convert invoices to CSV
- */
-function convertInvoicesToCSV(invoices) {
-  if (!invoices || invoices.length === 0) {
-    return 'No invoices found';
-  }
-  
-  const headers = [
-    'Invoice Number',
-    'Invoice ID',
-    'Order ID',
-    'Customer Email',
-    'Customer Name',
-    'Status',
-    'Total Amount',
-    'Currency',
-    'Issue Date',
-    'Paid Date',
-    'Payment Method',
-    'Payment Processor'
-  ];
-  
-  const rows = invoices.map(invoice => [
-    invoice.invoiceNumber || '',
-    invoice.id || '',
-    invoice.order?.id || '',
-    invoice.customer?.email || '',
-    invoice.customer?.name || '',
-    invoice.status || '',
-    invoice.totalAmount || 0,
-    invoice.currency || '',
-    invoice.issueDate || '',
-    invoice.paidDate || '',
-    invoice.payment?.method || '',
-    invoice.payment?.processor || ''
-  ]);
-  
-  const csvContent = [headers, ...rows]
-    .map(row => row.map(field => `"${field}"`).join(','))
-    .join('\n');
-  
-  return csvContent;
-}
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,88 @@
+/**
+ * Order Routes - Customer order history and receipts
+ *
+ * Orders of the signed-in user with their line items, invoices, credit
+ * notes, template download links and refund status.
+ */
+
+const express = require('express');
+const router = express.Router();
+const orderController = require('../../controllers/payment/orderController');
+const logger = require('../../utils/logger');
+const { validateFirebaseToken } = require('../../middleware/authenticationMiddleware');
+const { decodeCursor } = require('../../services/order/orderHistory');
+
+router.use(validateFirebaseToken);
+
+/**
+ * Load an order the signed-in user owns (admins may read any order)
+ * Sends the 404/403 response and returns null when not allowed.
+ */
+async function loadOwnedOrder(req, res) {
+  let order;
+  try {
+    order = await orderController.getOrderById(req.params.orderId);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: 'Order not found' });
+      return null;
+    }
+    throw error;
+  }
+
+  if (order.userId !== req.user.uid && req.user.role !== 'admin') {
+    res.status(403).json({ error: 'Order belongs to another user' });
+    return null;
+  }
+  return { ...order, id: order.id || req.params.orderId };
+}
+
+/**
+ * Order history of the signed-in user, newest first
+ * GET /api/orders?limit=20&cursor=...
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { limit, cursor } = req.query;
+    if (cursor && !decodeCursor(cursor)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const result = await orderController.getUserOrderHistory(req.user.uid, { limit, cursor });
+    return res.status(200).json({
+      success: true,
+      orders: result.orders,
+      count: result.orders.length,
+      hasMore: result.hasMore,
+      nextCursor: result.nextCursor
+    });
+  } catch (error) {
+    logger.error(`Error getting order history for ${req.user.uid}:`, error);
+    return res.status(500).json({
+      error: 'Failed to get order history',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Receipt for an order
+ * GET /api/orders/:orderId/receipt
+ */
+router.get('/:orderId/receipt', async (req, res) => {
+  try {
+    const order = await loadOwnedOrder(req, res);
+    if (!order) return;
+
+    const receipt = await orderController.getOrderReceipt(order);
+    return res.status(200).json({ success: true, receipt });
+  } catch (error) {
+    logger.error(`Error getting receipt for order ${req.params.orderId}:`, error);
+    return res.status(500).json({
+      error: 'Failed to get receipt',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
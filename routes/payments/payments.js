@@ -17,6 +17,12 @@ const { v4: uuidv4 } = require('uuid');
 const logger = require('../../utils/logger');
 const orderController = require('../../controllers/payment/orderController');
 const invoiceService = require('../../services/invoice/invoiceService');
+const couponService = require('../../services/coupon/couponService');
+const cartService = require('../../services/cart/cartService');
+const checkoutRecoveryService = require('../../services/checkout/checkoutRecoveryService');
+const { buildCheckoutSession } = require('../../services/checkout/checkoutRecovery');
+const { optionalFirebaseToken } = require('../../middleware/authenticationMiddleware');
+const { listProviders, isFakeProviderEnabled } = require('../../services/payment/paymentProviders');
 // const uniPayService = null;
 const { db } = require('../../config/firebase');
 
@@ -245,6 +251,13 @@ router.get('/payment-methods', async (req, res) => {
  *                   name:
  *                     type: string
  *                     example: "John Doe"
+ *               useCart:
+ *                 type: boolean
+ *                 description: Use the caller's server-side cart (re-priced) instead of the items in the request
+ *               couponCode:
+ *                 type: string
+ *                 description: Optional promo code; rejected with 400 and a reason when it cannot be applied
+ *                 example: "LAUNCH20"
  *     responses:
  *       200:
  *         description: Payment session created successfully
@@ -267,15 +280,75 @@ router.get('/payment-methods', async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-router.post('/create-session', async (req, res) => {
+router.post('/create-session', optionalFirebaseToken, async (req, res) => {
   // Deprecated: Only PayPal is supported; instruct client to use PayPal order creation
   try {
     const orderId = req.body?.metadata?.orderId || uuidv4();
+    const couponCode = req.body?.couponCode || req.body?.metadata?.couponCode || null;
+    let { items = [], currency = 'USD' } = req.body || {};
+
+    // Checkout from the server-side cart returns the re-priced cart to pay for
+    let cart = null;
+    if (req.body?.useCart) {
+      const owner = cartService.resolveOwner(req);
+      if (!owner) {
+        return res.status(400).json({ error: 'No cart found for this checkout' });
+      }
+      const checkout = await cartService.getCheckoutItems(owner);
+      if (checkout.items.length === 0) {
+        return res.status(400).json({ error: 'Cart is empty' });
+      }
+      cart = checkout.cart;
+      items = checkout.items;
+      currency = cart.currency;
+    }
+
+    // Check the promo code up front so the client can show the discounted total
+    let coupon = null;
+    if (couponCode) {
+      const couponResult = await couponService.validateCoupon({
+        code: couponCode,
+        items: Array.isArray(items) ? items : [],
+        currency: currency.toUpperCase(),
+        userId: req.user?.uid || null,
+        email: req.user?.email || null
+      });
+      if (!couponResult.valid) {
+        return res.status(400).json({ error: 'Invalid coupon code', code: couponResult.code, reason: couponResult.reason });
+      }
+      coupon = {
+        code: couponResult.code,
+        discountTotal: couponResult.discountTotal,
+        originalSubtotal: couponResult.originalSubtotal,
+        subtotal: couponResult.subtotal
+      };
+    }
+
+    // Keep the checkout so a recovery email can follow if no order comes in;
+    // only signed-in customers are emailed, at their verified address
+    const session = req.user?.emailVerified ? buildCheckoutSession({
+      email: req.user.email,
+      userId: req.user.uid,
+      items,
+      currency,
+      couponCode: coupon?.code || null,
+      fromCart: !!cart
+    }) : null;
+    if (session) {
+      try {
+        await checkoutRecoveryService.trackCheckout(orderId, session);
+      } catch (trackError) {
+        logger.warn(`Failed to track checkout ${orderId} for recovery: ${trackError.message}`);
+      }
+    }
+
     return res.status(200).json({
       success: true,
       provider: 'paypal_direct',
       sessionType: 'paypal',
       orderId,
+      coupon,
+      cart,
       message: 'Use /api/payments/paypal/create-order to create PayPal order'
     });
   } catch (error) {
@@ -283,6 +356,82 @@ router.post('/create-session', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/payments/checkout/resume:
+ *   get:
+ *     summary: Resume an abandoned checkout
+ *     description: Opens the checkout behind the signed link of a recovery email. Restart checkout with the returned checkoutId as metadata.orderId so the order is attributed to the email.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Checkout items, currency, coupon code and whether to check out from the cart
+ *       400:
+ *         description: Invalid link
+ *       404:
+ *         description: Checkout not found
+ *       409:
+ *         description: Checkout already completed
+ *       410:
+ *         description: Link expired
+ */
+router.get('/checkout/resume', async (req, res) => {
+  try {
+    const checkout = await checkoutRecoveryService.resumeCheckout(req.query.token);
+    return res.status(200).json({ success: true, ...checkout });
+  } catch (error) {
+    if (error.name === 'CheckoutRecoveryError') {
+      const status = { expired: 410, not_found: 404, completed: 409 }[error.reason] || 400;
+      return res.status(status).json({ error: error.message, reason: error.reason });
+    }
+    logger.error('Error resuming checkout:', error);
+    return res.status(500).json({ error: 'Failed to resume checkout', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/checkout/unsubscribe:
+ *   post:
+ *     summary: Stop checkout recovery emails
+ *     description: Opts the address of a recovery email's unsubscribe link out of further recovery emails and closes its open checkouts.
+ *     tags: [Payments]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Address opted out
+ *       400:
+ *         description: Invalid link
+ */
+router.post('/checkout/unsubscribe', async (req, res) => {
+  try {
+    await checkoutRecoveryService.optOut(req.body?.token || req.query.token);
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    if (error.name === 'CheckoutRecoveryError') {
+      return res.status(400).json({ error: error.message, reason: error.reason });
+    }
+    logger.error('Error opting out of checkout recovery:', error);
+    return res.status(500).json({ error: 'Failed to unsubscribe', details: error.message });
+  }
+});
+
 /**
  * Direct Google Pay processing (cost-optimized) - UNCHANGED
  */
@@ -692,43 +841,17 @@ router.get('/status/:id', async (req, res) => {
 });
 
 /**
- * Environment switching endpoint (admin only) - UNCHANGED
+ * Available payment providers
+ * The fake provider is listed when PAYMENT_FAKE_PROVIDER=true; use /api/payments/sandbox
+ * to run a checkout against it.
  */
-router.post('/switch-environment', async (req, res) => {
-  try {
-    const { environment, adminKey } = req.body;
-    
-    // Basic admin key check (implement proper admin authentication)
-    if (adminKey !== process.env.ADMIN_KEY) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    if (!['production', 'test'].includes(environment)) {
-      return res.status(400).json({ error: 'Invalid environment. Use "production" or "test"' });
-    }
-
-    // This would require restarting the server with new environment variables
-    // For now, just return the instruction
-    logger.info(`Environment switch requested: ${environment}`);
-
-    return res.status(200).json({
-      success: true,
-      message: `To switch to ${environment} environment:`,
-      instructions: [
-        `Set UNIPAY_ENVIRONMENT=${environment}`,
-        `Restart the server`,
-        `Verify with GET /api/payments/test`
-      ],
-      currentEnvironment: isProduction ? 'production' : 'test',
-      requestedEnvironment: environment
-    });
-  } catch (error) {
-    logger.error('Error switching environment:', error);
-    return res.status(500).json({
-      error: 'Failed to switch environment',
-      details: error.message
-    });
-  }
+router.get('/providers', (req, res) => {
+  return res.status(200).json({
+    success: true,
+    environment: isProduction ? 'production' : 'test',
+    providers: listProviders(),
+    sandboxEnabled: isFakeProviderEnabled()
+  });
 });
 
 /**
@@ -833,4 +956,8 @@ function getRecommendedMethod(countryCode) {
 const paypalRoutes = require('./paypal');
 router.use('/paypal', paypalRoutes);
 
+// Mount sandbox (fake provider) routes
+const sandboxRoutes = require('./sandbox');
+router.use('/sandbox', sandboxRoutes);
+
 module.exports = router;
\ No newline at end of file
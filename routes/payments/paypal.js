@@ -7,38 +7,27 @@ const logger = require('../../utils/logger');
 const { db } = require('../../config/firebase');
 const orderController = require('../../controllers/payment/orderController');
 const invoiceService = require('../../services/invoice/invoiceService');
-const { validateFirebaseToken } = require('../../middleware/authenticationMiddleware');
+const { calculateTax } = require('../../services/tax/taxEngine');
+const couponService = require('../../services/coupon/couponService');
+const { validateFirebaseToken, optionalFirebaseToken } = require('../../middleware/authenticationMiddleware');
+const cartService = require('../../services/cart/cartService');
+const paymentEventLedger = require('../../services/payment/paymentEventLedger');
+const paypalProvider = require('../../services/payment/providers/paypalProvider');
+const subscriptionService = require('../../services/subscription/subscriptionService');
+const { toPaymentData } = require('../../services/payment/checkoutFlow');
+const { getIpCountry } = require('../../services/risk/riskRules');
+const { getClientIp } = require('../../utils/clientIp');
 
 // Optional env for Subscriptions
 const PAYPAL_SUBS_PRODUCT_ID = process.env.PAYPAL_SUBS_PRODUCT_ID || null;
 const PAYPAL_SUBS_PLAN_ID = process.env.PAYPAL_SUBS_PLAN_ID || null;
 
-// PayPal configuration
-const PAYPAL_CLIENT_ID = process.env.PAYPAL_CLIENT_ID || 'test_client_id';
-const PAYPAL_CLIENT_SECRET = process.env.PAYPAL_CLIENT_SECRET || 'test_client_secret';
-// Determine PayPal environment explicitly: 'live' or 'sandbox'
-const PAYPAL_ENV = (process.env.PAYPAL_ENV || '').toLowerCase() || (process.env.NODE_ENV === 'production' ? 'live' : 'sandbox');
-const PAYPAL_BASE_URL = PAYPAL_ENV === 'live'
-  ? 'https://api-m.paypal.com'
-  : 'https://api-m.sandbox.paypal.com';
+// PayPal configuration lives in the provider adapter
+const PAYPAL_ENV = paypalProvider.env;
+const PAYPAL_BASE_URL = paypalProvider.baseUrl;
 
-async function generatePayPalAccessToken() {
-  try {
-    const auth = Buffer.from(`${PAYPAL_CLIENT_ID}:${PAYPAL_CLIENT_SECRET}`).toString('base64');
-    const response = await axios({
-      method: 'post',
-      url: `${PAYPAL_BASE_URL}/v1/oauth2/token`,
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Authorization': `Basic ${auth}`
-      },
-      data: 'grant_type=client_credentials'
-    });
-    return response.data.access_token;
-  } catch (error) {
-    logger.error('Failed to generate PayPal access token:', error);
-    throw new Error('Failed to generate PayPal access token');
-  }
+function generatePayPalAccessToken() {
+  return paypalProvider.getAccessToken();
 }
 
 /**
@@ -92,7 +81,22 @@ async function generatePayPalAccessToken() {
  *                   name:
  *                     type: string
  *                     example: "John Doe"
+ *                   country:
+ *                     type: string
+ *                     description: ISO country code, used to derive the VAT rate
+ *                     example: "DE"
+ *                   vatId:
+ *                     type: string
+ *                     description: EU VAT ID; a valid-format ID from another member state applies reverse charge
+ *                     example: "FR40303265045"
  *                 description: Customer information
+ *               useCart:
+ *                 type: boolean
+ *                 description: Take items and prices from the caller's server-side cart instead of the request body
+ *               couponCode:
+ *                 type: string
+ *                 description: Optional promo code applied to the net item prices before tax
+ *                 example: "LAUNCH20"
  *               metadata:
  *                 type: object
  *                 properties:
@@ -119,6 +123,9 @@ async function generatePayPalAccessToken() {
  *                   type: string
  *                   description: Internal order ID
  *                   example: "order-123"
+ *                 tax:
+ *                   type: object
+ *                   description: Tax applied on top of the net item prices (country, scheme, rate, reverseCharge, net, tax, gross)
  *                 mock:
  *                   type: boolean
  *                   description: Whether this is a mock order (development mode)
@@ -135,9 +142,40 @@ async function generatePayPalAccessToken() {
  *       500:
  *         description: Internal server error
  */
-router.post('/create-order', async (req, res) => {
+router.post('/create-order', optionalFirebaseToken, async (req, res) => {
   try {
-    const { amount, currency, items = [], customerInfo = {}, metadata = {} } = req.body;
+    let { amount, currency, items = [], metadata = {} } = req.body;
+    const { customerInfo = {} } = req.body;
+    const couponCode = req.body.couponCode || metadata.couponCode || null;
+
+    // Checkout from the server-side cart: items and prices come from the cart, not the client
+    if (req.body.useCart) {
+      const owner = cartService.resolveOwner(req);
+      if (!owner) {
+        return res.status(400).json({ error: 'No cart found for this checkout' });
+      }
+      const { cart, items: cartItems } = await cartService.getCheckoutItems(owner);
+      if (cartItems.length === 0) {
+        return res.status(400).json({ error: 'Cart is empty' });
+      }
+      if (cart.mixedCurrencies) {
+        return res.status(400).json({ error: 'Cart contains agents priced in different currencies' });
+      }
+      items = cartItems;
+      amount = cart.subtotal;
+      currency = cart.currency;
+      metadata = { ...metadata, cartId: cart.id };
+      if (cart.userId && !metadata.userId) {
+        metadata.userId = cart.userId;
+      }
+    } else if (Array.isArray(items) && items.length > 0) {
+      // Tip, pay-what-you-want and tiered agents are charged what their model allows
+      items = await cartService.enforceCheckoutPricing(items);
+      if (items.some(item => item.pricingModel)) {
+        const enforcedTotal = items.reduce((sum, item) => sum + (Number(item.price) || 0) * (parseInt(item.quantity, 10) || 1), 0);
+        amount = Math.round(enforcedTotal * 100) / 100;
+      }
+    }
 
     // Validate amount as a number
     const parsedAmount = typeof amount === 'number' ? amount : parseFloat(amount);
@@ -155,8 +193,67 @@ router.post('/create-order', async (req, res) => {
       return res.status(400).json({ error: `Unsupported currency. Allowed: ${allowedCurrencies.join(', ')}` });
     }
 
+    // Coerce item prices (net) and quantities safely
+    let pricedItems = items.map((item) => {
+      const unitPrice = typeof item.price === 'number' ? item.price : parseFloat(item.price);
+      const quantity = typeof item.quantity === 'number' ? item.quantity : parseInt(item.quantity, 10) || 1;
+      return {
+        ...item,
+        price: Number.isFinite(unitPrice) && unitPrice >= 0 ? unitPrice : 0,
+        quantity: Number.isFinite(quantity) && quantity > 0 ? quantity : 1
+      };
+    });
+
+    // Promo code discounts are applied to the net prices before tax
+    let coupon = null;
+    if (couponCode) {
+      const couponResult = await couponService.validateCoupon({
+        code: couponCode,
+        items: pricedItems,
+        currency: requestedCurrency,
+        userId: req.user?.uid || null,
+        email: req.user?.email || null
+      });
+      if (!couponResult.valid) {
+        return res.status(400).json({ error: 'Invalid coupon code', code: couponResult.code, reason: couponResult.reason });
+      }
+      pricedItems = couponResult.items;
+      coupon = {
+        code: couponResult.code,
+        type: couponResult.type,
+        value: couponResult.value,
+        discountTotal: couponResult.discountTotal,
+        originalSubtotal: couponResult.originalSubtotal,
+        // Signed-in customer the code is checked and redeemed against
+        redeemedBy: { userId: req.user?.uid || null, email: req.user?.email || null }
+      };
+      if (!(couponResult.subtotal > 0)) {
+        return res.status(400).json({ error: 'Order total after discount must be greater than zero', code: coupon.code });
+      }
+    }
+
+    // VAT from the customer's country; reverse charge for valid EU VAT IDs
+    const tax = calculateTax({
+      items: pricedItems,
+      country: customerInfo.country,
+      vatId: customerInfo.vatId
+    });
+
+    // PayPal checks tax_total against the sum of per-unit item tax
+    const unitTaxes = tax.lines.map(line => Math.round((line.tax / line.quantity) * 100) / 100);
+    const taxTotal = pricedItems.reduce((sum, item, index) => sum + unitTaxes[index] * item.quantity, 0);
+    const taxSummary = {
+      country: tax.country,
+      scheme: tax.scheme,
+      rate: tax.rate,
+      reverseCharge: tax.reverseCharge,
+      vatId: tax.vatIdValid ? tax.vatId : null,
+      net: tax.net,
+      tax: Math.round(taxTotal * 100) / 100
+    };
+
     // Mock response for development if PayPal not configured
-    if (!PAYPAL_CLIENT_ID || PAYPAL_CLIENT_ID === 'test_client_id') {
+    if (!paypalProvider.isConfigured()) {
       const mockOrderId = `MOCK-PAYPAL-${uuidv4()}`;
       logger.info('Using mock PayPal order (credentials not configured)');
 
@@ -164,99 +261,64 @@ router.post('/create-order', async (req, res) => {
         success: true,
         id: mockOrderId,
         orderId: metadata.orderId || uuidv4(),
+        tax: { ...taxSummary, gross: Math.round((tax.net + taxTotal) * 100) / 100 },
+        coupon,
         mock: true
       });
     }
 
-    const accessToken = await generatePayPalAccessToken();
     const orderId = metadata.orderId || uuidv4();
 
-    // Format line items for PayPal, coercing values safely
-    const lineItems = items.map((item) => {
-      const unitPrice = typeof item.price === 'number' ? item.price : parseFloat(item.price);
-      const quantity = typeof item.quantity === 'number' ? item.quantity : parseInt(item.quantity, 10) || 1;
-      const safeUnitPrice = Number.isFinite(unitPrice) && unitPrice >= 0 ? unitPrice : 0;
-      const safeQuantity = Number.isFinite(quantity) && quantity > 0 ? quantity : 1;
-      return {
-        name: item.title || item.name || 'Product',
-        unit_amount: {
-          currency_code: requestedCurrency,
-          value: safeUnitPrice.toFixed(2)
-        },
-        quantity: safeQuantity.toString(),
-        category: 'DIGITAL_GOODS'
-      };
-    });
-
-    const totalAmountFromItems = lineItems.reduce((sum, item) => sum + (parseFloat(item.unit_amount.value) * parseInt(item.quantity, 10)), 0);
+    const itemTotalFromItems = pricedItems.reduce((sum, item) => sum + Math.round(item.price * 100) / 100 * item.quantity, 0);
 
     // Prefer cart sum from items if provided, otherwise use provided amount
-    const totalAmount = Number.isFinite(totalAmountFromItems) && totalAmountFromItems > 0
-      ? totalAmountFromItems
+    const itemTotal = Number.isFinite(itemTotalFromItems) && (itemTotalFromItems > 0 || coupon)
+      ? itemTotalFromItems
       : parsedAmount;
+    const totalAmount = itemTotal + taxTotal;
+    taxSummary.gross = Math.round(totalAmount * 100) / 100;
 
-    // Create PayPal order payload
-    const payload = {
-      intent: 'CAPTURE',
-      purchase_units: [{
-        reference_id: orderId,
-        amount: {
-          currency_code: requestedCurrency,
-          value: totalAmount.toFixed(2),
-          breakdown: {
-            item_total: {
-              currency_code: requestedCurrency,
-              value: totalAmount.toFixed(2)
-            }
-          }
-        },
-        items: lineItems
-      }],
-      application_context: {
-        brand_name: 'AI Waverider',
-        landing_page: 'NO_PREFERENCE',
-        user_action: 'PAY_NOW',
-        shipping_preference: 'NO_SHIPPING',
-        return_url: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/checkout/success?payment_id=${orderId}&status=success&type=paypal`,
-        cancel_url: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/checkout?canceled=true`
-      }
-    };
-
-    let response;
+    let checkout;
     try {
-      response = await axios({
-        method: 'post',
-        url: `${PAYPAL_BASE_URL}/v2/checkout/orders`,
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${accessToken}`
-        },
-        data: payload
+      checkout = await paypalProvider.createCheckout({
+        orderId,
+        currency: requestedCurrency,
+        items: pricedItems.map((item, index) => ({ ...item, tax: unitTaxes[index] })),
+        itemTotal,
+        taxTotal,
+        total: totalAmount,
+        returnUrl: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/checkout/success?payment_id=${orderId}&status=success&type=paypal`,
+        cancelUrl: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/checkout?canceled=true`
       });
     } catch (err) {
-      const paypalStatus = err.response?.status;
-      const paypalData = err.response?.data;
-      logger.error('PayPal create order API error', { status: paypalStatus, data: paypalData, message: err.message });
-      return res.status(502).json({ error: 'PayPal API error', status: paypalStatus, details: paypalData || err.message });
+      if (err.name !== 'PaymentProviderError') throw err;
+      return res.status(err.statusCode).json({ error: err.message, status: err.details?.status, details: err.details?.details || err.details });
     }
 
     // Store PayPal order in database
-    await db.collection('paypalOrders').doc(response.data.id).set({
-      paypalOrderId: response.data.id,
+    await db.collection('paypalOrders').doc(checkout.providerOrderId).set({
+      paypalOrderId: checkout.providerOrderId,
       orderId,
-      amount: totalAmount,
+      amount: Math.round(totalAmount * 100) / 100,
       currency: requestedCurrency,
-      items,
+      items: pricedItems,
+      tax: taxSummary,
+      coupon,
       customerInfo,
       metadata,
+      // Checkout origin for the risk screening at capture
+      client: { ip: getClientIp(req), country: getIpCountry(req.headers) },
       status: 'created',
       createdAt: new Date().toISOString()
     });
 
-    logger.info(`Created PayPal order: ${response.data.id}`, { orderId, amount: totalAmount });
+    logger.info(`Created PayPal order: ${checkout.providerOrderId}`, { orderId, amount: totalAmount, tax: taxSummary.tax });
 
-    return res.json({ success: true, id: response.data.id, orderId });
+    return res.json({ success: true, id: checkout.providerOrderId, orderId, approvalUrl: checkout.approvalUrl, tax: taxSummary, coupon });
   } catch (error) {
+    if (error.name === 'PricingChoiceError') {
+      return res.status(400).json({ error: error.message, agentId: error.agentId, reason: error.reason });
+    }
     logger.error('Error creating PayPal order:', error);
     return res.status(500).json({ error: 'Failed to create PayPal order', details: error.message });
   }
@@ -313,17 +375,6 @@ router.post('/capture', async (req, res) => {
       return res.status(400).json({ error: 'PayPal Order ID is required' });
     }
 
-    const accessToken = await generatePayPalAccessToken();
-
-    const response = await axios({
-      method: 'post',
-      url: `${PAYPAL_BASE_URL}/v2/checkout/orders/${orderID}/capture`,
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${accessToken}`
-      }
-    });
-
     // Get our stored order data
     const paypalOrderDoc = await db.collection('paypalOrders').doc(orderID).get();
     const paypalOrderData = paypalOrderDoc.exists ? paypalOrderDoc.data() : null;
@@ -333,39 +384,47 @@ router.post('/capture', async (req, res) => {
       return res.status(404).json({ error: 'PayPal order not found' });
     }
 
+    // Re-check the promo code before taking the money; caps may have been reached since the order was created
+    if (paypalOrderData.coupon?.code) {
+      const couponResult = await couponService.validateCoupon({
+        code: paypalOrderData.coupon.code,
+        items: (paypalOrderData.items || []).map(item => ({ ...item, price: item.originalPrice ?? item.price })),
+        currency: paypalOrderData.currency,
+        userId: paypalOrderData.coupon.redeemedBy?.userId || null,
+        email: paypalOrderData.coupon.redeemedBy?.email || null
+      });
+      if (!couponResult.valid) {
+        logger.warn(`Coupon ${paypalOrderData.coupon.code} no longer valid for PayPal order ${orderID}: ${couponResult.reason}`);
+        return res.status(409).json({ error: 'Coupon is no longer valid', code: couponResult.code, reason: couponResult.reason });
+      }
+    }
+
+    let capture;
+    try {
+      capture = await paypalProvider.capture(orderID);
+    } catch (err) {
+      if (err.name !== 'PaymentProviderError') throw err;
+      return res.status(err.statusCode).json({ error: 'Failed to capture PayPal payment', details: err.details });
+    }
+
     // Update PayPal order status
     await db.collection('paypalOrders').doc(orderID).update({
       status: 'captured',
       capturedAt: new Date().toISOString(),
-      paypalResponse: response.data
+      captureId: capture.captureId,
+      paypalResponse: capture.raw
     });
 
-    // Process the order (deliver templates + email)
+    // Process the order (deliver templates + email + invoice)
+    let orderResult = null;
     try {
-      const orderResult = await orderController.processPaymentSuccess({
-        id: orderID,
-        amount: paypalOrderData.amount * 100, // cents
-        currency: paypalOrderData.currency.toLowerCase(),
-        status: 'succeeded',
-        payment_method_types: ['paypal'],
-        customer: {
-          id: paypalOrderData.customerInfo?.userId || null,
-          email: paypalOrderData.customerInfo?.email || null
-        },
-        metadata: {
-          ...paypalOrderData.metadata,
-          payment_method: 'paypal',
-          order_id: paypalOrderData.orderId
-        },
-        items: paypalOrderData.items,
-        processor: 'paypal'
-      });
+      orderResult = await orderController.processPaymentSuccess(toPaymentData('paypal', orderID, paypalOrderData, capture));
 
       const templates = Array.isArray(orderResult?.templates) ? orderResult.templates : [];
 
       // Record minimal delivery evidence without storing extra PII
       const requestInfo = {
-        ip: req.headers['x-forwarded-for'] || req.ip || null,
+        ip: getClientIp(req),
         userAgent: req.headers['user-agent'] || null
       };
       await db.collection('paypalOrders').doc(orderID).update({
@@ -373,27 +432,14 @@ router.post('/capture', async (req, res) => {
         deliveredAt: new Date().toISOString()
       });
 
-      // Create invoice
-      const invoice = await invoiceService.createInvoice(
-        {
-          id: orderID,
-          processor: 'paypal',
-          paymentMethod: 'paypal',
-          transaction_id: orderID
-        },
-        {
-          orderId: paypalOrderData.orderId,
-          items: paypalOrderData.items,
-          total: paypalOrderData.amount,
-          currency: paypalOrderData.currency,
-          metadata: paypalOrderData.metadata
-        },
-        paypalOrderData.customerInfo
-      );
+      // The invoice is issued by processPaymentSuccess together with the order's tax breakdown
+      const invoice = orderResult?.invoiceId
+        ? (await invoiceService.getInvoiceById(orderResult.invoiceId)).invoice
+        : null;
 
       logger.info(`Successfully processed PayPal order: ${orderID}`, {
         orderId: paypalOrderData.orderId,
-        invoiceId: invoice.invoiceId
+        invoiceId: invoice?.id || null
       });
 
       return res.json({
@@ -401,9 +447,9 @@ router.post('/capture', async (req, res) => {
         orderID,
         orderId: paypalOrderData.orderId,
         orderResult,
-        invoice: invoice.invoice,
+        invoice,
         templates, // include created template access tokens for immediate UI use
-        ...response.data
+        ...capture.raw
       });
     } catch (orderError) {
       logger.error(`Error processing PayPal order: ${orderError.message}`);
@@ -414,7 +460,7 @@ router.post('/capture', async (req, res) => {
         orderId: paypalOrderData.orderId,
         orderProcessingError: orderError.message,
         templates: Array.isArray(orderResult?.templates) ? orderResult.templates : [],
-        ...response.data
+        ...capture.raw
       });
     }
   } catch (error) {
@@ -468,61 +514,17 @@ router.post('/subscriptions/confirm', validateFirebaseToken, async (req, res) =>
 
     if (!subscriptionID) return res.status(400).json({ success: false, error: 'subscriptionID is required' });
 
-    const accessToken = await generatePayPalAccessToken();
-
-    // Retrieve subscription details from PayPal
-    const subResp = await axios({
-      method: 'get',
-      url: `${PAYPAL_BASE_URL}/v1/billing/subscriptions/${subscriptionID}`,
-      headers: { 'Authorization': `Bearer ${accessToken}` }
-    });
-
-    const sub = subResp.data || {};
-    const status = (sub.status || 'APPROVAL_PENDING').toLowerCase();
-    const planId = sub.plan_id || PAYPAL_SUBS_PLAN_ID || null;
-    const billingInfo = sub.billing_info || {};
-    const nextBillingTime = billingInfo.next_billing_time || null;
-    const startTime = sub.start_time || new Date().toISOString();
-
-    // Persist subscription
-    await db.collection('subscriptions').doc(subscriptionID).set({
-      id: subscriptionID,
-      provider: 'paypal',
-      planId,
+    const { status, planId, nextBillingTime } = await subscriptionService.confirmSubscription(subscriptionID, {
       userId,
       email,
-      status,
-      startTime,
-      nextBillingTime,
-      raw: sub,
-      updatedAt: new Date().toISOString()
-    }, { merge: true });
-
-    // Mirror summary on user
-    if (userId) {
-      await db.collection('users').doc(userId).set({
-        subscription: {
-          provider: 'paypal',
-          id: subscriptionID,
-          planId,
-          status,
-          currentPeriodEnd: nextBillingTime || null
-        }
-      }, { merge: true });
-    }
-
-    // Invalidate entitlement cache
-    try {
-      const { deleteCache } = require('../../utils/cache');
-      await deleteCache(`user:${userId}:entitlements`);
-    } catch (e) {
-      logger.warn('Failed to invalidate entitlement cache after subscription confirm:', e.message);
-    }
+      country: req.body.country || null,
+      vatId: req.body.vatId || null
+    });
 
     return res.json({ success: true, id: subscriptionID, status, planId, nextBillingTime });
   } catch (error) {
-    logger.error('Error confirming PayPal subscription:', error.response?.data || error.message);
-    return res.status(500).json({ success: false, error: 'Failed to confirm subscription', details: error.response?.data || error.message });
+    logger.error('Error confirming PayPal subscription:', error.details || error.message);
+    return res.status(500).json({ success: false, error: 'Failed to confirm subscription', details: error.details || error.message });
   }
 });
 
@@ -699,6 +701,168 @@ router.get('/subscriptions/:id', async (req, res) => {
   }
 });
 
+/**
+ * Load a subscription for its owner (or an admin)
+ * Sends the 404/403 response and returns null when not allowed.
+ */
+async function loadOwnedSubscription(req, res) {
+  const subscription = await subscriptionService.getSubscription(req.params.id);
+  if (!subscription) {
+    res.status(404).json({ success: false, error: 'Subscription not found' });
+    return null;
+  }
+  if (subscription.userId !== req.user.uid && req.user.role !== 'admin') {
+    res.status(403).json({ success: false, error: 'Not allowed to manage this subscription' });
+    return null;
+  }
+  return subscription;
+}
+
+function sendSubscriptionError(res, error, action) {
+  if (error.name === 'SubscriptionStateError') {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+  if (error.name === 'PaymentProviderError') {
+    return res.status(error.statusCode).json({ success: false, error: error.message, details: error.details });
+  }
+  logger.error(`Error trying to ${action}:`, error.message);
+  return res.status(500).json({ success: false, error: `Failed to ${action}`, details: error.message });
+}
+
+// Cancel a subscription at the end of the paid period
+/**
+ * @swagger
+ * /api/payments/paypal/subscriptions/{id}/cancel:
+ *   post:
+ *     summary: Cancel PayPal subscription
+ *     description: Stop billing; subscriber access continues until the current period ends
+ *     tags: [PayPal Integration]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PayPal subscription ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Subscription cancelled at period end
+ *       403:
+ *         description: Subscription belongs to another user
+ *       404:
+ *         description: Subscription not found
+ *       409:
+ *         description: Subscription cannot be cancelled in its current state
+ */
+router.post('/subscriptions/:id/cancel', validateFirebaseToken, async (req, res) => {
+  try {
+    const subscription = await loadOwnedSubscription(req, res);
+    if (!subscription) return;
+
+    const updated = await subscriptionService.cancelSubscription(subscription, req.body?.reason || null);
+    return res.json({
+      success: true,
+      id: updated.id,
+      status: updated.status,
+      cancelAtPeriodEnd: updated.cancelAtPeriodEnd,
+      accessUntil: updated.currentPeriodEnd || null
+    });
+  } catch (error) {
+    return sendSubscriptionError(res, error, 'cancel subscription');
+  }
+});
+
+// Resume a cancelled or suspended subscription
+/**
+ * @swagger
+ * /api/payments/paypal/subscriptions/{id}/resume:
+ *   post:
+ *     summary: Resume PayPal subscription
+ *     description: Reactivate a subscription cancelled by the user or suspended after failed payments
+ *     tags: [PayPal Integration]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PayPal subscription ID
+ *     responses:
+ *       200:
+ *         description: Subscription resumed
+ *       403:
+ *         description: Subscription belongs to another user
+ *       404:
+ *         description: Subscription not found
+ *       409:
+ *         description: Subscription cannot be resumed in its current state
+ */
+router.post('/subscriptions/:id/resume', validateFirebaseToken, async (req, res) => {
+  try {
+    const subscription = await loadOwnedSubscription(req, res);
+    if (!subscription) return;
+
+    const updated = await subscriptionService.resumeSubscription(subscription);
+    return res.json({ success: true, id: updated.id, status: updated.status });
+  } catch (error) {
+    return sendSubscriptionError(res, error, 'resume subscription');
+  }
+});
+
+// Billing history of a subscription
+/**
+ * @swagger
+ * /api/payments/paypal/subscriptions/{id}/billing-history:
+ *   get:
+ *     summary: Subscription billing history
+ *     description: Renewals, failed payments and refunds, newest first, with invoice references
+ *     tags: [PayPal Integration]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PayPal subscription ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Billing history retrieved successfully
+ *       403:
+ *         description: Subscription belongs to another user
+ *       404:
+ *         description: Subscription not found
+ */
+router.get('/subscriptions/:id/billing-history', validateFirebaseToken, async (req, res) => {
+  try {
+    const subscription = await loadOwnedSubscription(req, res);
+    if (!subscription) return;
+
+    const history = await subscriptionService.getBillingHistory(subscription.id, req.query.limit);
+    return res.json({ success: true, id: subscription.id, status: subscription.status, history });
+  } catch (error) {
+    return sendSubscriptionError(res, error, 'fetch billing history');
+  }
+});
+
 // PayPal Webhook - verify and process subscription events
 /**
  * @swagger
@@ -724,76 +888,46 @@ router.get('/subscriptions/:id', async (req, res) => {
  */
 router.post('/webhook', async (req, res) => {
   try {
-    const webhookId = process.env.PAYPAL_WEBHOOK_ID;
-    if (!webhookId) {
-      logger.warn('PAYPAL_WEBHOOK_ID not configured; skipping verification');
-      return res.status(400).json({ error: 'Webhook not configured' });
-    }
-
-    const transmissionId = req.header('paypal-transmission-id');
-    const transmissionTime = req.header('paypal-transmission-time');
-    const certUrl = req.header('paypal-cert-url');
-    const authAlgo = req.header('paypal-auth-algo');
-    const transmissionSig = req.header('paypal-transmission-sig');
     const body = req.body;
 
-    const accessToken = await generatePayPalAccessToken();
-
-    // Verify signature
-    const verifyResp = await axios({
-      method: 'post',
-      url: `${PAYPAL_BASE_URL}/v1/notifications/verify-webhook-signature`,
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${accessToken}`
-      },
-      data: {
-        auth_algo: authAlgo,
-        cert_url: certUrl,
-        transmission_id: transmissionId,
-        transmission_sig: transmissionSig,
-        transmission_time: transmissionTime,
-        webhook_id: webhookId,
-        webhook_event: body
-      }
-    });
+    let verification;
+    try {
+      verification = await paypalProvider.verifyWebhook({ headers: req.headers, body });
+    } catch (err) {
+      if (err.name !== 'PaymentProviderError') throw err;
+      logger.warn(`PayPal webhook verification error: ${err.message}`);
+      return res.status(err.statusCode === 400 ? 400 : 500).json({ error: err.message });
+    }
 
-    if (verifyResp.data?.verification_status !== 'SUCCESS') {
-      logger.warn('PayPal webhook verification failed', verifyResp.data);
+    if (!verification.verified) {
+      logger.warn('PayPal webhook verification failed', verification.raw);
       return res.status(400).json({ error: 'Invalid signature' });
     }
 
     const eventType = body.event_type || '';
-    logger.info(`PayPal webhook received: ${eventType}`);
-
-    if (eventType.startsWith('BILLING.SUBSCRIPTION') || eventType.startsWith('PAYMENT.SALE')) {
-      try {
-        const resource = body.resource || {};
-        const subscriptionId = resource.id || resource.billing_agreement_id || resource.subscription_id;
-        const status = (resource.status || body.summary || '').toLowerCase();
-        const nextBillingTime = resource.billing_info?.next_billing_time || null;
-
-        // Update subscription doc if present
-        if (subscriptionId) {
-          await db.collection('subscriptions').doc(subscriptionId).set({
-            id: subscriptionId,
-            provider: 'paypal',
-            status,
-            nextBillingTime: nextBillingTime || null,
-            lastEvent: eventType,
-            rawLastEvent: body,
-            updatedAt: new Date().toISOString()
-          }, { merge: true });
-        }
+    logger.info(`PayPal webhook received: ${eventType}`, { eventId: body.id });
 
-        // Try to mirror on user if we previously linked
-        // We purposely do not try to guess the user here without linkage
-      } catch (e) {
-        logger.error('Failed to persist webhook event:', e);
-      }
+    if (!body.id) {
+      return res.status(400).json({ error: 'Webhook event ID is required' });
+    }
+
+    // Deduplicate redeliveries against the payment event ledger
+    const outcome = await paymentEventLedger.handleEvent({
+      provider: 'paypal',
+      eventId: body.id,
+      type: eventType,
+      payload: body
+    });
+
+    if (outcome.duplicate) {
+      return res.status(200).json({ received: true, duplicate: true, status: outcome.status });
+    }
+    if (outcome.status === 'failed') {
+      // Non-2xx makes PayPal redeliver the event
+      return res.status(500).json({ error: 'Webhook processing failed', eventKey: outcome.key });
     }
 
-    return res.status(200).json({ received: true });
+    return res.status(200).json({ received: true, status: outcome.status });
   } catch (error) {
     logger.error('Webhook handler error:', error.message);
     return res.status(500).json({ error: 'Webhook handler failed' });
@@ -942,4 +1076,18 @@ router.get('/config', (req, res) => {
   });
 });
 
-module.exports = router; 
\ No newline at end of file
+/**
+ * Ledger handler for verified PayPal webhook events
+ * Subscription and sale events drive the subscription lifecycle.
+ */
+async function processPayPalWebhookEvent(event) {
+  const eventType = event.event_type || '';
+  if (eventType.startsWith('BILLING.SUBSCRIPTION') || eventType.startsWith('PAYMENT.SALE')) {
+    return subscriptionService.handleWebhookEvent(event);
+  }
+  return { ignored: true };
+}
+
+paymentEventLedger.registerHandler('paypal', processPayPalWebhookEvent);
+
+module.exports = router;
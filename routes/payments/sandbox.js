@@ -0,0 +1,319 @@
+/**
+ * Sandbox Payment Routes - Local checkout through the fake provider
+ *
+ * Runs the real purchase flow (order, invoice, template access, emails)
+ * against the in-memory fake provider, so checkout can be exercised without
+ * PayPal or UniPay credentials. Disabled unless PAYMENT_FAKE_PROVIDER=true,
+ * and admin only since a capture fulfils an order without payment. Sandbox
+ * invoices are numbered in their own series, outside the legal sequence.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+
+const logger = require('../../utils/logger');
+const { db } = require('../../config/firebase');
+const orderController = require('../../controllers/payment/orderController');
+const cartService = require('../../services/cart/cartService');
+const paymentEventLedger = require('../../services/payment/paymentEventLedger');
+const { calculateTax } = require('../../services/tax/taxEngine');
+const { getProvider, isFakeProviderEnabled } = require('../../services/payment/paymentProviders');
+const { captureAndFulfil } = require('../../services/payment/checkoutFlow');
+const { validateFirebaseToken, isAdmin } = require('../../middleware/authenticationMiddleware');
+const { getIpCountry } = require('../../services/risk/riskRules');
+const { getClientIp } = require('../../utils/clientIp');
+
+const SANDBOX_COLLECTION = 'sandboxCheckouts';
+
+router.use((req, res, next) => {
+  if (!isFakeProviderEnabled()) {
+    return res.status(404).json({ error: 'Sandbox payments are disabled' });
+  }
+  next();
+});
+router.use(validateFirebaseToken);
+router.use(isAdmin);
+
+function sendProviderError(res, error, action) {
+  if (error.name === 'PaymentProviderError') {
+    return res.status(error.statusCode).json({ error: error.message, details: error.details });
+  }
+  if (error.name === 'PricingChoiceError') {
+    return res.status(400).json({ error: error.message, agentId: error.agentId, reason: error.reason });
+  }
+  if (error.name === 'OrderRefundError') {
+    return res.status(400).json({ error: error.message, reason: error.reason });
+  }
+  logger.error(`Sandbox payment error trying to ${action}:`, error);
+  return res.status(500).json({ error: `Failed to ${action}`, details: error.message });
+}
+
+/**
+ * Claim a sandbox checkout and fulfil it once
+ * Shared by the capture endpoint and the sandbox webhook.
+ */
+async function fulfilSandboxCheckout(providerOrderId) {
+  const ref = db.collection(SANDBOX_COLLECTION).doc(providerOrderId);
+
+  const record = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) {
+      throw new Error(`Sandbox checkout not found: ${providerOrderId}`);
+    }
+    const data = doc.data();
+    if (data.status !== 'created') {
+      return null;
+    }
+    transaction.update(ref, { status: 'capturing', updatedAt: new Date().toISOString() });
+    return data;
+  });
+
+  if (!record) {
+    return null;
+  }
+
+  try {
+    const { capture, orderResult } = await captureAndFulfil(getProvider('fake'), providerOrderId, record);
+
+    await ref.update({
+      status: 'captured',
+      captureId: capture.captureId,
+      capturedAt: new Date().toISOString(),
+      orderResultId: orderResult.orderId,
+      invoiceId: orderResult.invoiceId || null,
+      updatedAt: new Date().toISOString()
+    });
+
+    return { capture, orderResult };
+  } catch (error) {
+    await ref.update({ status: 'failed', lastError: error.message, updatedAt: new Date().toISOString() });
+    throw error;
+  }
+}
+
+/**
+ * Create a sandbox checkout
+ * POST /api/payments/sandbox/checkout
+ * Body: { items: [{ id, title, price, quantity }], currency, customerInfo, metadata } or { useCart: true, ... }
+ */
+router.post('/checkout', async (req, res) => {
+  try {
+    let { items = [], currency = 'USD', metadata = {} } = req.body;
+    const { customerInfo = {} } = req.body;
+
+    if (req.body.useCart) {
+      const owner = cartService.resolveOwner(req);
+      if (!owner) {
+        return res.status(400).json({ error: 'No cart found for this checkout' });
+      }
+      const { cart, items: cartItems } = await cartService.getCheckoutItems(owner);
+      if (cartItems.length === 0) {
+        return res.status(400).json({ error: 'Cart is empty' });
+      }
+      items = cartItems;
+      currency = cart.currency;
+      metadata = { ...metadata, cartId: cart.id };
+    } else if (Array.isArray(items) && items.length > 0) {
+      items = await cartService.enforceCheckoutPricing(items);
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Items are required' });
+    }
+
+    const pricedItems = items.map(item => ({
+      ...item,
+      price: Math.max(0, parseFloat(item.price) || 0),
+      quantity: Math.max(1, parseInt(item.quantity, 10) || 1)
+    }));
+
+    const tax = calculateTax({ items: pricedItems, country: customerInfo.country, vatId: customerInfo.vatId });
+    const orderId = metadata.orderId || uuidv4();
+    const buyer = req.user ? { userId: req.user.uid, email: req.user.email } : {};
+    const record = {
+      orderId,
+      amount: tax.gross,
+      currency: currency.toUpperCase(),
+      items: pricedItems,
+      tax: {
+        country: tax.country,
+        scheme: tax.scheme,
+        rate: tax.rate,
+        reverseCharge: tax.reverseCharge,
+        vatId: tax.vatIdValid ? tax.vatId : null,
+        net: tax.net,
+        tax: tax.tax,
+        gross: tax.gross
+      },
+      coupon: null,
+      customerInfo: { ...customerInfo, ...buyer },
+      metadata,
+      client: { ip: getClientIp(req), country: getIpCountry(req.headers) }
+    };
+
+    const checkout = await getProvider('fake').createCheckout({
+      orderId,
+      currency: record.currency,
+      items: pricedItems,
+      itemTotal: tax.net,
+      taxTotal: tax.tax,
+      total: tax.gross
+    });
+
+    await db.collection(SANDBOX_COLLECTION).doc(checkout.providerOrderId).set({
+      ...record,
+      providerOrderId: checkout.providerOrderId,
+      provider: 'fake',
+      status: 'created',
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+
+    logger.info(`Created sandbox checkout ${checkout.providerOrderId}`, { orderId, amount: tax.gross });
+
+    return res.status(201).json({
+      success: true,
+      id: checkout.providerOrderId,
+      orderId,
+      amount: tax.gross,
+      currency: record.currency,
+      tax: record.tax
+    });
+  } catch (error) {
+    return sendProviderError(res, error, 'create sandbox checkout');
+  }
+});
+
+/**
+ * Capture a sandbox checkout and run order fulfilment
+ * POST /api/payments/sandbox/checkout/:id/capture
+ */
+router.post('/checkout/:id/capture', async (req, res) => {
+  try {
+    const result = await fulfilSandboxCheckout(req.params.id);
+    if (!result) {
+      return res.status(409).json({ error: 'Sandbox checkout already processed' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      id: req.params.id,
+      captureId: result.capture.captureId,
+      orderResult: result.orderResult
+    });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    return sendProviderError(res, error, 'capture sandbox checkout');
+  }
+});
+
+/**
+ * Make the buyer decline a sandbox checkout (the next capture fails)
+ * POST /api/payments/sandbox/checkout/:id/decline
+ */
+router.post('/checkout/:id/decline', async (req, res) => {
+  try {
+    const checkout = getProvider('fake').decline(req.params.id);
+    return res.status(200).json({ success: true, id: req.params.id, status: checkout.status });
+  } catch (error) {
+    return sendProviderError(res, error, 'decline sandbox checkout');
+  }
+});
+
+/**
+ * Provider-side status of a sandbox checkout
+ * GET /api/payments/sandbox/checkout/:id
+ */
+router.get('/checkout/:id', async (req, res) => {
+  try {
+    const status = await getProvider('fake').getStatus(req.params.id);
+    return res.status(200).json({ success: true, ...status });
+  } catch (error) {
+    return sendProviderError(res, error, 'get sandbox checkout status');
+  }
+});
+
+/**
+ * Refund a captured sandbox checkout and issue the credit note
+ * POST /api/payments/sandbox/checkout/:id/refund
+ * Body: { amount?, reason? } - omit amount for a full refund
+ */
+router.post('/checkout/:id/refund', async (req, res) => {
+  try {
+    const doc = await db.collection(SANDBOX_COLLECTION).doc(req.params.id).get();
+    if (!doc.exists || !doc.data().captureId) {
+      return res.status(404).json({ error: 'Captured sandbox checkout not found' });
+    }
+    const record = doc.data();
+    await orderController.checkRefund(record.orderResultId, req.body.amount);
+
+    const refund = await getProvider('fake').refund(record.captureId, {
+      amount: req.body.amount,
+      reason: req.body.reason || null
+    });
+
+    const orderRefund = await orderController.processOrderRefund(record.orderResultId, {
+      refund_id: refund.refundId,
+      amount: refund.amount,
+      reason: req.body.reason || null
+    });
+
+    return res.status(200).json({
+      success: true,
+      refund,
+      creditNoteId: orderRefund?.creditNoteId || null,
+      creditNoteNumber: orderRefund?.creditNoteNumber || null
+    });
+  } catch (error) {
+    return sendProviderError(res, error, 'refund sandbox checkout');
+  }
+});
+
+/**
+ * Signed sandbox webhook, deduplicated through the payment event ledger
+ * POST /api/payments/sandbox/webhook
+ * Event: { id, type: 'CHECKOUT.APPROVED', resource: { providerOrderId } }
+ */
+router.post('/webhook', async (req, res) => {
+  try {
+    const verification = await getProvider('fake').verifyWebhook({ headers: req.headers, body: req.body });
+    if (!verification.verified) {
+      return res.status(400).json({ error: 'Invalid signature' });
+    }
+    if (!verification.eventId) {
+      return res.status(400).json({ error: 'Webhook event ID is required' });
+    }
+
+    const outcome = await paymentEventLedger.handleEvent({
+      provider: 'fake',
+      eventId: verification.eventId,
+      type: verification.type,
+      payload: verification.payload
+    });
+
+    if (outcome.duplicate) {
+      return res.status(200).json({ received: true, duplicate: true, status: outcome.status });
+    }
+    if (outcome.status === 'failed') {
+      return res.status(500).json({ error: 'Webhook processing failed', eventKey: outcome.key });
+    }
+    return res.status(200).json({ received: true, status: outcome.status });
+  } catch (error) {
+    return sendProviderError(res, error, 'process sandbox webhook');
+  }
+});
+
+async function processSandboxWebhookEvent(event) {
+  if (event.type === 'CHECKOUT.APPROVED' && event.resource?.providerOrderId) {
+    const result = await fulfilSandboxCheckout(event.resource.providerOrderId);
+    return { orderId: result?.orderResult?.orderId || null };
+  }
+  return { ignored: true };
+}
+
+paymentEventLedger.registerHandler('fake', processSandboxWebhookEvent);
+
+module.exports = router;
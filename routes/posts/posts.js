@@ -102,9 +102,14 @@ router.get('/health', (req, res) => {
  *           enum: [asc, desc]
  *           default: desc
  *         description: Sort order
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor or prevCursor of a previous page, requested with the same category
  *     responses:
  *       200:
- *         description: Posts retrieved successfully
+ *         description: Posts retrieved successfully, with nextCursor and prevCursor (null at either end)
  *         content:
  *           application/json:
  *             schema:
@@ -116,6 +121,8 @@ router.get('/health', (req, res) => {
  *                       type: array
  *                       items:
  *                         $ref: '#/components/schemas/Post'
+ *       400:
+ *         description: Invalid cursor
  *       500:
  *         description: Internal server error
  */
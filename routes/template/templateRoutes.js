@@ -8,8 +8,25 @@ const express = require('express');
 const router = express.Router();
 const orderController = require('../../controllers/payment/orderController');
 const logger = require('../../utils/logger');
+const { getClientIp } = require('../../utils/clientIp');
 const { db } = require('../../config/firebase');
 const { validateFirebaseToken } = require('../../middleware/authenticationMiddleware');
+const templateAccessService = require('../../services/template/templateAccessService');
+const { remainingDownloads, resolvePolicy } = require('../../services/template/templateAccessPolicy');
+const { verifySignedDownload } = require('../../services/template/signedDownloadUrl');
+const { streamTemplateBundle } = require('../../services/template/templateBundle');
+const { hasSubscriptionAccess } = require('../../services/subscription/subscriptionLifecycle');
+
+const DENIAL_RESPONSES = {
+  invalid_token: { status: 403, error: 'Invalid or expired access token' },
+  token_mismatch: { status: 403, error: 'Access token does not match request parameters' },
+  expired: { status: 403, error: 'Access token has expired' },
+  revoked: { status: 403, error: 'Access token has been revoked' },
+  single_use_consumed: { status: 403, error: 'This download link has already been used' },
+  download_limit_reached: { status: 403, error: 'Download limit reached for this link' },
+  ip_mismatch: { status: 403, error: 'This download link is bound to another device' },
+  ip_throttled: { status: 429, error: 'Too many downloads from this address, try again later' }
+};
 
 /**
  * Download agent template
@@ -18,73 +35,88 @@ const { validateFirebaseToken } = require('../../middleware/authenticationMiddle
 router.get('/download/:agentId', async (req, res) => {
   try {
     const { agentId } = req.params;
-    const { orderId, token, format = 'json' } = req.query;
+    const { orderId, token, sig, format = 'json' } = req.query;
     
-    if (!orderId || !token) {
+    if (!orderId || (!token && !sig)) {
       return res.status(400).json({
-        error: 'Missing required parameters: orderId and token are required'
+        error: 'Missing required parameters: orderId and token (or a signed link) are required'
       });
     }
     
     logger.info(`Template download requested: ${agentId}`, {
       orderId,
-      token: token.substring(0, 8) + '...',
+      token: sig ? 'signed' : token.substring(0, 8) + '...',
       format
     });
     
-    // Verify template access token
-    const accessDoc = await db.collection('templateAccess').doc(token).get();
-    
-    if (!accessDoc.exists) {
-      logger.warn(`Invalid template access token: ${token.substring(0, 8)}...`);
-      return res.status(403).json({
-        error: 'Invalid or expired access token'
-      });
+    const request = {
+      ip: getClientIp(req),
+      userAgent: req.headers['user-agent'] || null,
+      format
+    };
+
+    // Signed links are checked statelessly first; token links need the token document
+    let decision;
+    if (sig) {
+      const verification = verifySignedDownload({ ...req.query, agentId });
+      if (!verification.valid) {
+        logger.warn(`Rejected signed template link for ${agentId}: ${verification.reason}`, { orderId });
+        return res.status(403).json({
+          error: verification.reason === 'expired' ? 'Access token has expired' : 'Invalid or expired access token',
+          reason: verification.reason
+        });
+      }
+      decision = await templateAccessService.authorizeSignedDownload(verification.claims, request);
+    } else {
+      // Verify the token and count the download against its policy
+      decision = await templateAccessService.authorizeDownload(token, { agentId, orderId, ...request });
     }
-    
-    const accessData = accessDoc.data();
-    
-    // Verify token matches request
-    if (accessData.orderId !== orderId || accessData.agentId !== agentId) {
-      logger.warn(`Token mismatch for template download: ${agentId}`, {
-        tokenOrderId: accessData.orderId,
-        requestOrderId: orderId,
-        tokenAgentId: accessData.agentId,
-        requestAgentId: agentId
-      });
-      return res.status(403).json({
-        error: 'Access token does not match request parameters'
+
+    if (!decision.allowed) {
+      const denial = DENIAL_RESPONSES[decision.reason] || { status: 403, error: 'Access denied' };
+      return res.status(denial.status).json({
+        error: denial.error,
+        reason: decision.reason === 'revoked' ? decision.access.revokedReason || 'Unknown' : decision.reason
       });
     }
+
+    const accessData = decision.access;
     
-    // Check if token has expired
-    const expiresAt = new Date(accessData.expiresAt);
-    if (expiresAt < new Date()) {
-      logger.warn(`Expired template access token: ${token.substring(0, 8)}...`);
-      return res.status(403).json({
-        error: 'Access token has expired'
+    // ZIP bundle of the template and every deliverable, assembled on the fly
+    if (format === 'zip') {
+      let planned;
+      try {
+        planned = await orderController.getAgentBundle(agentId, accessData.licenseTier || null);
+      } catch (bundleError) {
+        logger.error(`Error preparing template bundle for ${agentId}:`, bundleError);
+        return res.status(500).json({
+          error: 'Failed to prepare template bundle',
+          details: bundleError.message
+        });
+      }
+
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${planned.bundle.name}.zip"`);
+
+      const results = await streamTemplateBundle(planned.agent, planned.bundle, res, {
+        agentId,
+        orderId,
+        onFileError: (file, fileError) => logger.warn(`Deliverable ${file.path} of ${agentId} left out of bundle: ${fileError.message}`)
       });
-    }
-    
-    // Check if token has been revoked
-    if (accessData.revoked) {
-      logger.warn(`Revoked template access token: ${token.substring(0, 8)}...`);
-      return res.status(403).json({
-        error: 'Access token has been revoked',
-        reason: accessData.revokedReason || 'Unknown'
+
+      logger.info(`Template bundle downloaded successfully: ${agentId}`, {
+        orderId,
+        files: results.length,
+        unavailable: results.filter(result => result.status !== 'included').length,
+        email: accessData.email
       });
+      return;
     }
     
     // Get template content
     try {
       const templateContent = await orderController.getAgentTemplate(agentId);
       
-      // Mark token as used (optional, for analytics)
-      await db.collection('templateAccess').doc(token).update({
-        lastUsed: new Date().toISOString(),
-        useCount: (accessData.useCount || 0) + 1
-      });
-      
       // Get agent details for filename
       let agentName = 'ai-agent';
       try {
@@ -140,6 +172,10 @@ router.get('/download/:agentId', async (req, res) => {
     }
   } catch (error) {
     logger.error(`Error processing template download for ${req.params.agentId}:`, error);
+    if (res.headersSent) {
+      // A bundle was already streaming; cut the connection so the client sees a broken download
+      return res.destroy(error);
+    }
     return res.status(500).json({
       error: 'Template download failed',
       details: error.message
@@ -220,11 +256,13 @@ router.get('/access/:token', async (req, res) => {
         revoked: accessData.revoked || false,
         revokedReason: accessData.revokedReason || null,
         lastUsed: accessData.lastUsed || null,
-        useCount: accessData.useCount || 0
+        useCount: accessData.downloadCount ?? accessData.useCount ?? 0,
+        remainingDownloads: remainingDownloads(accessData),
+        policy: resolvePolicy(accessData.policy)
       },
       agent: agentDetails,
       order: orderDetails,
-      downloadUrl: `/api/templates/download/${accessData.agentId}?orderId=${accessData.orderId}&token=${token}`
+      downloadUrl: templateAccessService.getDownloadUrl(token, accessData)
     });
   } catch (error) {
     logger.error(`Error getting template access info for ${req.params.token}:`, error);
@@ -308,8 +346,9 @@ router.get('/order/:orderId', async (req, res) => {
           expiresAt: accessData.expiresAt,
           isExpired: new Date(accessData.expiresAt) < new Date(),
           lastUsed: accessData.lastUsed || null,
-          useCount: accessData.useCount || 0,
-          downloadUrl: `/api/templates/download/${accessData.agentId}?orderId=${orderId}&token=${accessDoc.id}`
+          useCount: accessData.downloadCount ?? accessData.useCount ?? 0,
+          remainingDownloads: remainingDownloads(accessData),
+          downloadUrl: templateAccessService.getDownloadUrl(accessDoc.id, accessData)
         });
       } catch (agentError) {
         logger.error(`Error getting agent details for ${accessData.agentId}:`, agentError);
@@ -349,13 +388,14 @@ router.post('/revoke/:token', async (req, res) => {
     
     logger.info(`Admin revocation requested for template access: ${token.substring(0, 8)}...`);
     
-    // Update template access token
-    await db.collection('templateAccess').doc(token).update({
-      revoked: true,
-      revokedAt: new Date().toISOString(),
-      revokedBy: 'admin',
-      revokedReason: reason || 'admin_revocation'
+    // Revoke the token and every signed link issued for it
+    const revoked = await templateAccessService.revokeAccess([token], {
+      reason: reason || 'admin_revocation',
+      revokedBy: 'admin'
     });
+    if (revoked === 0) {
+      return res.status(404).json({ error: 'Access token not found' });
+    }
     
     return res.status(200).json({
       success: true,
@@ -387,10 +427,7 @@ router.post('/access', validateFirebaseToken, async (req, res) => {
     // Load user and entitlement
     const userDoc = await db.collection('users').doc(userId).get();
     const userData = userDoc.exists ? userDoc.data() : {};
-    const subscription = userData.subscription || {};
-    const nowTs = Date.now();
-    const currentPeriodEnd = subscription.currentPeriodEnd ? new Date(subscription.currentPeriodEnd).getTime() : 0;
-    const isSubscriber = (subscription.status === 'active' || subscription.status === 'trialing') && currentPeriodEnd > nowTs;
+    const isSubscriber = hasSubscriptionAccess(userData.subscription);
 
     // Purchases fallback
     const purchases = Array.isArray(userData.purchases) ? userData.purchases.map(p => p.agentId || p.productId) : [];
@@ -405,18 +442,18 @@ router.post('/access', validateFirebaseToken, async (req, res) => {
     const token = uuidv4();
     const orderId = `SUBSCR_${userId}_${Date.now()}`;
 
-    await db.collection('templateAccess').doc(token).set({
+    const policy = await templateAccessService.getAgentPolicy(agentId);
+
+    const record = templateAccessService.buildAccessRecord({
       orderId,
       agentId,
       userId,
       email,
-      createdAt: new Date().toISOString(),
-      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
-      used: false,
       subscriber: isSubscriber === true
-    });
+    }, policy);
+    await db.collection('templateAccess').doc(token).set(record);
 
-    const downloadUrl = `/api/templates/download/${agentId}?orderId=${orderId}&token=${token}`;
+    const downloadUrl = templateAccessService.getDownloadUrl(token, record);
     return res.status(200).json({ success: true, token, orderId, downloadUrl });
   } catch (error) {
     logger.error('Error creating template access token:', error);
@@ -424,6 +461,56 @@ router.post('/access', validateFirebaseToken, async (req, res) => {
   }
 });
 
+/**
+ * Re-issue a download link for a purchased agent
+ * Revokes every active link for the order item and returns a fresh one.
+ * POST /api/templates/reissue
+ * Body: { orderId, agentId }
+ */
+router.post('/reissue', validateFirebaseToken, async (req, res) => {
+  try {
+    const { orderId, agentId } = req.body || {};
+    if (!orderId || !agentId) {
+      return res.status(400).json({ success: false, error: 'orderId and agentId are required' });
+    }
+
+    const orderDoc = await db.collection('orders').doc(orderId).get();
+    if (!orderDoc.exists) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+    const order = { id: orderDoc.id, ...orderDoc.data() };
+
+    const isOwner = (order.userId && order.userId === req.user.uid) ||
+      (order.userEmail && req.user.email && order.userEmail.toLowerCase() === req.user.email.toLowerCase());
+    if (!isOwner && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, error: 'Order belongs to another user' });
+    }
+
+    if (!templateAccessService.canReissue(order)) {
+      return res.status(409).json({
+        success: false,
+        error: order.status === 'refunded' ? 'Order has been refunded' : 'Order has not been delivered'
+      });
+    }
+    if (!(order.items || []).some(item => item.id === agentId)) {
+      return res.status(404).json({ success: false, error: 'Agent is not part of this order' });
+    }
+
+    const result = await templateAccessService.reissueAccess(order, agentId, {
+      userId: req.user.uid,
+      email: req.user.email || null
+    });
+
+    return res.status(200).json({ success: true, orderId, agentId, ...result });
+  } catch (error) {
+    if (error.name === 'TemplateAccessError') {
+      return res.status(409).json({ success: false, error: error.message, reason: error.reason });
+    }
+    logger.error('Error re-issuing template access:', error);
+    return res.status(500).json({ success: false, error: 'Failed to re-issue download link', details: error.message });
+  }
+});
+
 /**
  * Get template download statistics
  * GET /api/templates/stats
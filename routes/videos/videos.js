@@ -31,12 +31,17 @@ const adminAuth = require('../../middleware/adminAuth');
  *         schema:
  *           type: integer
  *           minimum: 1
- *           maximum: 100
- *           default: 10
+ *           maximum: 50
+ *           default: 50
  *         description: Number of videos per page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor or prevCursor of a previous page for the same platform (takes precedence over page)
  *     responses:
  *       200:
- *         description: Videos retrieved successfully
+ *         description: Videos retrieved successfully, with nextCursor and prevCursor (null at either end)
  *         content:
  *           application/json:
  *             schema:
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * Verify Invoice Numbers
+ * 
+ * Scans the invoices collection and reports gaps and duplicates in the
+ * per-fiscal-year invoice and credit note number sequences. Numbers issued
+ * before sequential numbering was introduced are listed as legacy.
+ * 
+ * Usage:
+ *   node scripts/verifyInvoiceNumbers.js [--json] [--help]
+ * 
+ * Options:
+ *   --json  Print the full report as JSON
+ *   --help  Show help message
+ * 
+ * Exits with code 1 when gaps or duplicates are found.
+ */
+
+// Load environment variables
+require('dotenv').config();
+
+// Firebase must be initialised before the invoice service is loaded
+require('../config/firebase');
+const invoiceService = require('../services/invoice/invoiceService');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const asJson = args.includes('--json');
+const showHelp = args.includes('--help');
+
+if (showHelp) {
+  console.log(`
+  Verify Invoice Numbers
+  
+  Reports gaps and duplicates in the invoice and credit note number sequences.
+
+  Usage:
+    node scripts/verifyInvoiceNumbers.js [--json] [--help]
+  
+  Options:
+    --json  Print the full report as JSON
+    --help  Show help message
+  `);
+  process.exit(0);
+}
+
+async function verifyInvoiceNumbers() {
+  try {
+    console.log('Scanning invoices collection...');
+    const report = await invoiceService.verifyInvoiceNumbering();
+
+    if (asJson) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      console.log(`\nScanned ${report.documentCount} documents`);
+
+      report.sequences.forEach(sequence => {
+        console.log(`\n${sequence.series} ${sequence.fiscalYear}: ${sequence.ok ? '✅ OK' : '❌ issues found'}`);
+        console.log(`- Issued: ${sequence.issuedCount}, highest sequence: ${sequence.highestSequence}, counter: ${sequence.counterValue ?? 'n/a'}`);
+
+        if (sequence.missing.length > 0) {
+          console.log(`- Missing numbers (${sequence.missing.length}): ${sequence.missing.slice(0, 20).join(', ')}${sequence.missing.length > 20 ? ', ...' : ''}`);
+        }
+        sequence.duplicates.forEach(duplicate => {
+          console.log(`- Duplicate ${duplicate.invoiceNumber}: ${duplicate.documentIds.join(', ')}`);
+        });
+      });
+
+      if (report.legacy.length > 0) {
+        console.log(`\n${report.legacy.length} documents use legacy or unrecognised numbers (not checked)`);
+      }
+    }
+
+    process.exit(report.ok ? 0 : 1);
+  } catch (error) {
+    console.error('Error verifying invoice numbers:', error);
+    process.exit(1);
+  }
+}
+
+verifyInvoiceNumbers();
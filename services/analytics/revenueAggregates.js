@@ -0,0 +1,277 @@
+/**
+ * Revenue Aggregates - Incrementally maintained revenue totals per period
+ *
+ * Every paid order and refund adds its amounts to one aggregate document per
+ * granularity (day, ISO week, month), so revenue analytics read a handful of
+ * documents instead of scanning orders. Amounts are in the base currency.
+ * Pure functions; the revenue analytics service does the Firestore work.
+ */
+
+const crypto = require('crypto');
+
+const GRANULARITIES = ['day', 'week', 'month'];
+
+// Upper bound on the points of one time series
+const MAX_POINTS = 366;
+
+// Range shown when none is requested, in periods of the granularity
+const DEFAULT_POINTS = { day: 30, week: 12, month: 12 };
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Start of the period containing a date (UTC; weeks start on Monday)
+ */
+function periodStart(date, granularity) {
+  const d = new Date(date);
+  const start = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), granularity === 'month' ? 1 : d.getUTCDate()));
+  if (granularity === 'week') {
+    const day = start.getUTCDay() || 7;
+    start.setUTCDate(start.getUTCDate() - (day - 1));
+  }
+  return start;
+}
+
+/**
+ * Key of the period containing a date: 2026-05-04, 2026-W19 or 2026-05
+ */
+function periodKey(date, granularity) {
+  const d = new Date(date);
+  if (granularity === 'month') {
+    return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}`;
+  }
+  if (granularity === 'week') {
+    // ISO week: the week belongs to the year of its Thursday
+    const thursday = periodStart(d, 'week');
+    thursday.setUTCDate(thursday.getUTCDate() + 3);
+    const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((thursday.getTime() - yearStart) / 86400000 + 1) / 7);
+    return `${thursday.getUTCFullYear()}-W${pad(week)}`;
+  }
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+}
+
+/**
+ * Periods between two dates, oldest first
+ * @returns {Array<Object>|null} - [{ key, start }], or null past MAX_POINTS
+ */
+function listPeriods(from, to, granularity) {
+  const periods = [];
+  const end = new Date(to).getTime();
+  const cursor = periodStart(from, granularity);
+
+  while (cursor.getTime() <= end) {
+    if (periods.length === MAX_POINTS) return null;
+    periods.push({ key: periodKey(cursor, granularity), start: cursor.toISOString() });
+    if (granularity === 'month') cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    else cursor.setUTCDate(cursor.getUTCDate() + (granularity === 'week' ? 7 : 1));
+  }
+  return periods;
+}
+
+/**
+ * Validate the query of a revenue analytics request
+ * @param {Object} query - { granularity, from, to, top }
+ * @returns {Object} - { valid, errors, granularity, from, to, top, periods }
+ */
+function parseRangeQuery(query = {}, now = new Date()) {
+  const errors = [];
+  const granularity = query.granularity || 'day';
+  if (!GRANULARITIES.includes(granularity)) {
+    errors.push(`granularity must be one of: ${GRANULARITIES.join(', ')}`);
+  }
+
+  const to = query.to ? new Date(query.to) : now;
+  if (Number.isNaN(to.getTime())) errors.push('to must be a valid date');
+
+  let from = query.from ? new Date(query.from) : null;
+  if (from && Number.isNaN(from.getTime())) errors.push('from must be a valid date');
+
+  const top = query.top === undefined ? 10 : parseInt(query.top, 10);
+  if (!Number.isInteger(top) || top < 1 || top > 100) errors.push('top must be between 1 and 100');
+
+  if (errors.length > 0) return { valid: false, errors };
+
+  if (!from) {
+    from = periodStart(to, granularity);
+    const points = DEFAULT_POINTS[granularity] - 1;
+    if (granularity === 'month') from.setUTCMonth(from.getUTCMonth() - points);
+    else from.setUTCDate(from.getUTCDate() - points * (granularity === 'week' ? 7 : 1));
+  }
+  if (from > to) return { valid: false, errors: ['from must be before to'] };
+
+  const periods = listPeriods(from, to, granularity);
+  if (!periods) return { valid: false, errors: [`range is limited to ${MAX_POINTS} ${granularity} periods`] };
+
+  return { valid: true, errors, granularity, from: from.toISOString(), to: to.toISOString(), top, periods };
+}
+
+/**
+ * Key identifying a buyer across orders: the user ID, else the email address
+ * Hashed so it can be used as a document ID without storing the email again.
+ * @returns {string|null}
+ */
+function buyerKey(order) {
+  const identity = order.userId
+    ? `user:${order.userId}`
+    : (order.userEmail ? `email:${String(order.userEmail).trim().toLowerCase()}` : null);
+  return identity ? crypto.createHash('sha256').update(identity).digest('hex') : null;
+}
+
+/**
+ * Amounts an order adds to the aggregates of its periods
+ * Item revenue is the line's share of the order total, so coupons and tax
+ * are spread over the lines the way they were charged.
+ * @param {Object} order - Order document
+ * @param {Object} options - { baseAmount (null when no rate was available), isNewBuyer }
+ * @returns {Object} - Contribution to add to each aggregate document
+ */
+function buildOrderContribution(order, { baseAmount, isNewBuyer }) {
+  const method = order.paymentMethod || 'unknown';
+  const buyers = isNewBuyer === null || isNewBuyer === undefined
+    ? {}
+    : (isNewBuyer ? { newBuyers: 1 } : { returningBuyers: 1 });
+
+  if (baseAmount === null || baseAmount === undefined) {
+    return { orders: 1, unconvertedOrders: 1, ...buyers, paymentMethods: { [method]: { orders: 1 } } };
+  }
+
+  const items = Array.isArray(order.items) ? order.items : [];
+  const lineTotal = items.reduce((sum, item) => sum + (Number(item.grossAmount ?? (item.price || 0) * (item.quantity || 1)) || 0), 0);
+  const agents = {};
+  items.forEach(item => {
+    const agentId = item.id || item.agentId || item.productId;
+    if (!agentId) return;
+    const line = Number(item.grossAmount ?? (item.price || 0) * (item.quantity || 1)) || 0;
+    const entry = agents[agentId] || { title: item.title || item.name || agentId, units: 0, orders: 0, revenue: 0 };
+    entry.units += item.quantity || 1;
+    entry.orders = 1;
+    entry.revenue = roundAmount(entry.revenue + (lineTotal > 0 ? (line / lineTotal) * baseAmount : 0));
+    agents[agentId] = entry;
+  });
+
+  return {
+    orders: 1,
+    grossRevenue: roundAmount(baseAmount),
+    ...buyers,
+    paymentMethods: { [method]: { orders: 1, revenue: roundAmount(baseAmount) } },
+    agents
+  };
+}
+
+/**
+ * Amounts a refund adds to the aggregates of the periods it was made in
+ * @param {number|null} baseAmount - Refund in the base currency, null when no rate was available
+ */
+function buildRefundContribution(baseAmount) {
+  if (baseAmount === null || baseAmount === undefined) {
+    return { refundCount: 1, unconvertedRefunds: 1 };
+  }
+  return { refundCount: 1, refunds: roundAmount(baseAmount) };
+}
+
+/**
+ * Copy a contribution with every number passed through a function
+ * The service maps numbers to FieldValue.increment for atomic updates.
+ */
+function mapAmounts(contribution, fn) {
+  return Object.fromEntries(Object.entries(contribution).map(([key, value]) => {
+    if (typeof value === 'number') return [key, fn(value)];
+    if (value && typeof value === 'object') return [key, mapAmounts(value, fn)];
+    return [key, value];
+  }));
+}
+
+/**
+ * Add a contribution or aggregate into another (numbers are summed, labels kept)
+ * @returns {Object} - The target, modified
+ */
+function addInto(target, source = {}) {
+  Object.entries(source).forEach(([key, value]) => {
+    if (typeof value === 'number') {
+      target[key] = roundAmount((target[key] || 0) + value);
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      target[key] = addInto(target[key] && typeof target[key] === 'object' ? target[key] : {}, value);
+    } else if (value !== undefined && typeof value !== 'function') {
+      target[key] = value;
+    }
+  });
+  return target;
+}
+
+function toPoint(aggregate = {}) {
+  const orders = aggregate.orders || 0;
+  const convertedOrders = orders - (aggregate.unconvertedOrders || 0);
+  const grossRevenue = roundAmount(aggregate.grossRevenue);
+  const refunds = roundAmount(aggregate.refunds);
+  return {
+    grossRevenue,
+    refunds,
+    netRevenue: roundAmount(grossRevenue - refunds),
+    orders,
+    refundCount: aggregate.refundCount || 0,
+    averageOrderValue: convertedOrders > 0 ? roundAmount(grossRevenue / convertedOrders) : 0,
+    newBuyers: aggregate.newBuyers || 0,
+    returningBuyers: aggregate.returningBuyers || 0,
+    unconvertedOrders: aggregate.unconvertedOrders || 0
+  };
+}
+
+/**
+ * Time series, totals, top agents and payment methods for a range
+ * @param {Map<string,Object>} aggregates - Aggregate documents by period key
+ * @param {Array<Object>} periods - From listPeriods
+ * @param {Object} options - { top }
+ */
+function summarizeRange(aggregates, periods, { top = 10 } = {}) {
+  const combined = {};
+  const series = periods.map(period => {
+    const aggregate = aggregates.get(period.key) || {};
+    addInto(combined, aggregate);
+    return { period: period.key, start: period.start, ...toPoint(aggregate) };
+  });
+
+  const totals = toPoint(combined);
+  const topAgents = Object.entries(combined.agents || {})
+    .map(([agentId, agent]) => ({
+      agentId,
+      title: agent.title || agentId,
+      units: agent.units || 0,
+      orders: agent.orders || 0,
+      revenue: roundAmount(agent.revenue)
+    }))
+    .sort((a, b) => b.revenue - a.revenue || b.units - a.units)
+    .slice(0, top);
+
+  const paymentMethods = Object.entries(combined.paymentMethods || {})
+    .map(([method, stats]) => ({
+      method,
+      orders: stats.orders || 0,
+      revenue: roundAmount(stats.revenue),
+      share: totals.grossRevenue > 0 ? roundAmount(((stats.revenue || 0) / totals.grossRevenue) * 100) : 0
+    }))
+    .sort((a, b) => b.revenue - a.revenue || b.orders - a.orders);
+
+  return { series, totals, topAgents, paymentMethods };
+}
+
+module.exports = {
+  GRANULARITIES,
+  MAX_POINTS,
+  periodStart,
+  periodKey,
+  listPeriods,
+  parseRangeQuery,
+  buyerKey,
+  buildOrderContribution,
+  buildRefundContribution,
+  mapAmounts,
+  addInto,
+  summarizeRange
+};
@@ -0,0 +1,255 @@
+/**
+ * Revenue Analytics Service - Aggregate documents behind /api/admin/analytics/revenue
+ *
+ * Paid orders and refunds are added to `revenue_aggregates` as they happen,
+ * one document per day, ISO week and month, using atomic increments. Buyers
+ * are tracked in `revenue_buyers` so each order can be counted as coming from
+ * a new or a returning buyer. rebuildAggregates recomputes everything from
+ * the orders collection for data that predates the aggregates. Sandbox
+ * orders are never counted, and orders held by the risk screening only
+ * count once approved.
+ */
+
+const admin = require('firebase-admin');
+const logger = require('../../utils/logger');
+const fxRateService = require('../currency/fxRateService');
+const { BASE_CURRENCY, toBaseCurrency } = require('../currency/fxRates');
+const { isSandboxPayment } = require('../payment/providers/paymentProvider');
+const {
+  GRANULARITIES,
+  periodKey,
+  periodStart,
+  buyerKey,
+  buildOrderContribution,
+  buildRefundContribution,
+  mapAmounts,
+  addInto,
+  summarizeRange
+} = require('./revenueAggregates');
+
+// Initialize Firestore
+const db = admin.firestore();
+const { FieldValue } = admin.firestore;
+
+const AGGREGATES_COLLECTION = 'revenue_aggregates';
+const BUYERS_COLLECTION = 'revenue_buyers';
+
+// Order statuses that were paid (refunds are counted separately)
+const PAID_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+const WRITES_PER_BATCH = 400;
+
+function aggregateId(granularity, key) {
+  return `${granularity}_${key}`;
+}
+
+// Held by the risk screening and not approved: the payment is not revenue,
+// and a refund of it (automatic or manual) only returns it
+function isHeldBack(order) {
+  return !!order.risk?.hold && order.review?.decision !== 'approved';
+}
+
+function isRevenueOrder(order) {
+  return PAID_STATUSES.includes(order.status) && !isSandboxPayment(order) && !isHeldBack(order);
+}
+
+// Marker of a refund in an order's analytics.refundIds
+function refundKey(refund) {
+  return refund.refundId || refund.refundedAt;
+}
+
+class RevenueAnalyticsService {
+  /**
+   * Fields of one aggregate document
+   */
+  aggregateFields(granularity, at, amounts) {
+    return {
+      granularity,
+      period: periodKey(at, granularity),
+      start: periodStart(at, granularity).toISOString(),
+      currency: BASE_CURRENCY,
+      updatedAt: new Date().toISOString(),
+      ...amounts
+    };
+  }
+
+  /**
+   * Increment the day, week and month aggregates of a moment
+   * @param {Object} writer - Firestore transaction or batch
+   */
+  addToAggregates(writer, contribution, at) {
+    const increments = mapAmounts(contribution, value => FieldValue.increment(value));
+    GRANULARITIES.forEach(granularity => {
+      const ref = db.collection(AGGREGATES_COLLECTION).doc(aggregateId(granularity, periodKey(at, granularity)));
+      writer.set(ref, this.aggregateFields(granularity, at, increments), { merge: true });
+    });
+  }
+
+  /**
+   * Add a paid order to the aggregates
+   * The order is marked as recorded in the same transaction, so running this
+   * twice for one order counts it once.
+   * @param {Object} order - Order as created by OrderController.createOrder
+   * @returns {Promise<boolean>} - False when the order was already recorded or is not revenue
+   *   (sandbox, or held for review and not approved)
+   */
+  async recordOrder(order) {
+    if (!isRevenueOrder(order)) return false;
+    const rateTables = await fxRateService.getRateTables();
+    const recordedAt = order.createdAt || new Date().toISOString();
+    const baseAmount = toBaseCurrency(order.total || 0, order.currency, recordedAt, rateTables);
+    const buyer = buyerKey(order);
+    const orderRef = db.collection('orders').doc(order.id);
+    const buyerRef = buyer ? db.collection(BUYERS_COLLECTION).doc(buyer) : null;
+
+    const recorded = await db.runTransaction(async (transaction) => {
+      const [orderDoc, buyerDoc] = await Promise.all([
+        transaction.get(orderRef),
+        buyerRef ? transaction.get(buyerRef) : null
+      ]);
+      if (orderDoc.exists && orderDoc.data().analytics?.recordedAt) return false;
+
+      const isNewBuyer = buyerDoc ? !buyerDoc.exists : null;
+      this.addToAggregates(transaction, buildOrderContribution(order, { baseAmount, isNewBuyer }), recordedAt);
+
+      if (buyerRef) {
+        transaction.set(buyerRef, {
+          ...(isNewBuyer ? { firstOrderId: order.id, firstOrderAt: recordedAt } : {}),
+          orders: FieldValue.increment(1),
+          lastOrderAt: recordedAt
+        }, { merge: true });
+      }
+      transaction.set(orderRef, {
+        analytics: { recordedAt: new Date().toISOString(), baseCurrency: BASE_CURRENCY, baseAmount, newBuyer: isNewBuyer }
+      }, { merge: true });
+      return true;
+    });
+
+    if (baseAmount === null) {
+      logger.warn(`No ${order.currency} rate for order ${order.id}; counted in revenue analytics without an amount`);
+    }
+    return recorded;
+  }
+
+  /**
+   * Add a refund to the aggregates of the period it was made in
+   * The refund is marked on the order in the same transaction (like
+   * recordOrder), so running this twice for one refund counts it once.
+   * @param {Object} order - Refunded order
+   * @param {number} amount - Refunded amount in the order's currency
+   * @param {string} refundedAt - ISO date of the refund
+   * @param {string|null} refundId - Provider refund ID (refundedAt identifies refunds without one)
+   * @returns {Promise<boolean>} - False when the refund was already recorded or its order
+   *   is not revenue (sandbox, or held for review and not approved)
+   */
+  async recordRefund(order, amount, refundedAt, refundId = null) {
+    if (isSandboxPayment(order)) return false;
+    const rateTables = await fxRateService.getRateTables();
+    const baseAmount = toBaseCurrency(amount, order.currency, refundedAt, rateTables);
+    const key = refundKey({ refundId, refundedAt });
+    const orderRef = db.collection('orders').doc(order.id);
+
+    return db.runTransaction(async (transaction) => {
+      const orderDoc = await transaction.get(orderRef);
+      const current = orderDoc.exists ? orderDoc.data() : order;
+      if (isHeldBack(current) || (current.analytics?.refundIds || []).includes(key)) return false;
+
+      this.addToAggregates(transaction, buildRefundContribution(baseAmount), refundedAt);
+      transaction.set(orderRef, { analytics: { refundIds: FieldValue.arrayUnion(key) } }, { merge: true });
+      return true;
+    });
+  }
+
+  /**
+   * Revenue analytics for a range checked with parseRangeQuery
+   * @param {Object} range - { granularity, periods, top }
+   */
+  async getRevenueAnalytics({ granularity, periods, top }) {
+    const refs = periods.map(period => db.collection(AGGREGATES_COLLECTION).doc(aggregateId(granularity, period.key)));
+    const docs = refs.length > 0 ? await db.getAll(...refs) : [];
+    const aggregates = new Map();
+    docs.forEach((doc, index) => {
+      if (doc.exists) aggregates.set(periods[index].key, doc.data());
+    });
+
+    return { baseCurrency: BASE_CURRENCY, granularity, ...summarizeRange(aggregates, periods, { top }) };
+  }
+
+  /**
+   * Recompute all aggregates and buyers from the orders collection
+   * Replaces the stored aggregates and marks every order and refund it
+   * counted as recorded; orders paid while it runs may be missed, so run it
+   * when checkout traffic is low.
+   * @returns {Promise<Object>} - { orders, aggregates, buyers }
+   */
+  async rebuildAggregates() {
+    const [ordersSnapshot, rateTables] = await Promise.all([
+      db.collection('orders').orderBy('createdAt', 'asc').get(),
+      fxRateService.getRateTables()
+    ]);
+
+    const aggregates = new Map();
+    const buyers = new Map();
+    // Counted orders are marked as recorded so recordOrder and recordRefund skip them
+    const recorded = new Map();
+    const add = (contribution, at) => {
+      GRANULARITIES.forEach(granularity => {
+        const id = aggregateId(granularity, periodKey(at, granularity));
+        const aggregate = aggregates.get(id) || this.aggregateFields(granularity, at, {});
+        aggregates.set(id, addInto(aggregate, contribution));
+      });
+    };
+
+    let orderCount = 0;
+    ordersSnapshot.forEach(doc => {
+      const order = { id: doc.id, ...doc.data() };
+      if (!isRevenueOrder(order) || !order.createdAt) return;
+      orderCount++;
+
+      const buyer = buyerKey(order);
+      const isNewBuyer = buyer ? !buyers.has(buyer) : null;
+      if (buyer) {
+        const stored = buyers.get(buyer) || { firstOrderId: order.id, firstOrderAt: order.createdAt, orders: 0 };
+        buyers.set(buyer, { ...stored, orders: stored.orders + 1, lastOrderAt: order.createdAt });
+      }
+      const baseAmount = toBaseCurrency(order.total || 0, order.currency, order.createdAt, rateTables);
+      add(buildOrderContribution(order, { baseAmount, isNewBuyer }), order.createdAt);
+
+      // Orders refunded before refunds were itemised only carry refundedAmount
+      const refunds = Array.isArray(order.refunds) && order.refunds.length > 0
+        ? order.refunds
+        : (order.refundedAmount > 0 ? [{ amount: order.refundedAmount, refundedAt: order.refundedAt || order.updatedAt }] : []);
+      refunds.forEach(refund => {
+        const refundedAt = refund.refundedAt || order.updatedAt || order.createdAt;
+        add(buildRefundContribution(toBaseCurrency(refund.amount || 0, order.currency, refundedAt, rateTables)), refundedAt);
+      });
+
+      recorded.set(doc.id, {
+        recordedAt: new Date().toISOString(),
+        baseCurrency: BASE_CURRENCY,
+        baseAmount,
+        newBuyer: isNewBuyer,
+        refundIds: refunds.map(refund => refundKey(refund)).filter(Boolean)
+      });
+    });
+
+    const existing = await db.collection(AGGREGATES_COLLECTION).get();
+    const writes = [
+      ...existing.docs.filter(doc => !aggregates.has(doc.id)).map(doc => batch => batch.delete(doc.ref)),
+      ...[...aggregates].map(([id, aggregate]) => batch => batch.set(db.collection(AGGREGATES_COLLECTION).doc(id), aggregate)),
+      ...[...buyers].map(([id, buyer]) => batch => batch.set(db.collection(BUYERS_COLLECTION).doc(id), buyer)),
+      ...[...recorded].map(([id, analytics]) => batch => batch.set(db.collection('orders').doc(id), { analytics }, { merge: true }))
+    ];
+    for (let i = 0; i < writes.length; i += WRITES_PER_BATCH) {
+      const batch = db.batch();
+      writes.slice(i, i + WRITES_PER_BATCH).forEach(write => write(batch));
+      await batch.commit();
+    }
+
+    logger.info(`Revenue aggregates rebuilt from ${orderCount} orders`, { aggregates: aggregates.size, buyers: buyers.size });
+    return { orders: orderCount, aggregates: aggregates.size, buyers: buyers.size };
+  }
+}
+
+// Export singleton instance
+module.exports = new RevenueAnalyticsService();
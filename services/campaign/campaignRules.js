@@ -0,0 +1,242 @@
+/**
+ * Campaign Rules - Flash sales that discount a set of agents for a window
+ *
+ * A campaign targets agents by explicit ID, category or tag and applies a
+ * percentage or fixed discount between startsAt and endsAt. Pure functions;
+ * the campaign service loads campaigns, agents and prices and passes them in.
+ */
+
+const CAMPAIGN_STATUS = {
+  SCHEDULED: 'scheduled',
+  ACTIVE: 'active',
+  ENDED: 'ended',
+  CANCELLED: 'cancelled'
+};
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+// Fields an admin may still change once a campaign has started
+const ACTIVE_EDITABLE_FIELDS = ['name', 'description', 'endsAt'];
+
+/**
+ * Error for a change the campaign's status does not allow
+ */
+function campaignStateError(message) {
+  const error = new Error(message);
+  error.name = 'CampaignStateError';
+  return error;
+}
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function toList(value) {
+  if (!Array.isArray(value)) return [];
+  return [...new Set(value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim()))];
+}
+
+/**
+ * Validate campaign fields from an admin request
+ * @param {Object} input - { name, description, discountType, discountValue, currency, agentIds, categories, tags, startsAt, endsAt }
+ * @param {Object} existing - Stored campaign when updating (missing fields are kept)
+ * @returns {Object} - { valid, errors, campaign }
+ */
+function validateCampaign(input = {}, existing = null) {
+  const data = { ...(existing || {}), ...input };
+  const errors = [];
+
+  const name = typeof data.name === 'string' ? data.name.trim() : '';
+  if (!name) errors.push('name is required');
+
+  if (!DISCOUNT_TYPES.includes(data.discountType)) {
+    errors.push(`discountType must be one of: ${DISCOUNT_TYPES.join(', ')}`);
+  }
+  const discountValue = Number(data.discountValue);
+  if (!Number.isFinite(discountValue) || discountValue <= 0) {
+    errors.push('discountValue must be a positive number');
+  } else if (data.discountType === 'percentage' && discountValue >= 100) {
+    errors.push('percentage discounts must be below 100');
+  }
+
+  const target = {
+    agentIds: toList(data.agentIds),
+    categories: toList(data.categories),
+    tags: toList(data.tags)
+  };
+  if (!target.agentIds.length && !target.categories.length && !target.tags.length) {
+    errors.push('target at least one of agentIds, categories or tags');
+  }
+
+  const startsAt = new Date(data.startsAt);
+  const endsAt = new Date(data.endsAt);
+  if (!data.startsAt || Number.isNaN(startsAt.getTime())) errors.push('startsAt must be a valid date');
+  if (!data.endsAt || Number.isNaN(endsAt.getTime())) errors.push('endsAt must be a valid date');
+  if (errors.length === 0 && endsAt <= startsAt) errors.push('endsAt must be after startsAt');
+
+  if (errors.length > 0) {
+    return { valid: false, errors, campaign: null };
+  }
+
+  return {
+    valid: true,
+    errors,
+    campaign: {
+      name,
+      description: data.description || '',
+      discountType: data.discountType,
+      discountValue: roundAmount(discountValue),
+      // Fixed discounts only apply to agents priced in their own currency
+      currency: data.discountType === 'fixed' ? String(data.currency || 'USD').toUpperCase() : null,
+      ...target,
+      startsAt: startsAt.toISOString(),
+      endsAt: endsAt.toISOString()
+    }
+  };
+}
+
+/**
+ * Check that an update is allowed in the campaign's current status
+ * Scheduled campaigns can be changed freely; running ones only by name,
+ * description and end date.
+ */
+function checkUpdateAllowed(campaign, input = {}) {
+  if (campaign.status === CAMPAIGN_STATUS.SCHEDULED) return;
+  if (campaign.status === CAMPAIGN_STATUS.ACTIVE) {
+    const locked = Object.keys(input).filter(field => !ACTIVE_EDITABLE_FIELDS.includes(field));
+    if (locked.length > 0) {
+      throw campaignStateError(`Cannot change ${locked.join(', ')} of an active campaign`);
+    }
+    return;
+  }
+  throw campaignStateError(`Campaign cannot be changed once ${campaign.status}`);
+}
+
+/**
+ * Whether an agent is targeted by a campaign (categories and tags match case-insensitively)
+ */
+function matchesCampaign(agent, campaign) {
+  if (campaign.agentIds.includes(agent.id)) return true;
+
+  const lower = values => values.map(value => String(value).toLowerCase());
+  const categories = lower([agent.category, ...(Array.isArray(agent.categories) ? agent.categories : [])].filter(Boolean));
+  const tags = lower(Array.isArray(agent.tags) ? agent.tags : []);
+
+  return lower(campaign.categories).some(category => categories.includes(category)) ||
+    lower(campaign.tags).some(tag => tags.includes(tag));
+}
+
+/**
+ * Discount object stored on a price while the campaign runs
+ * Shaped like the discounts of priceController.applyDiscount.
+ */
+function buildCampaignDiscount(campaign) {
+  return {
+    amount: campaign.discountType === 'fixed' ? campaign.discountValue : 0,
+    percentage: campaign.discountType === 'percentage' ? campaign.discountValue : 0,
+    validFrom: campaign.startsAt,
+    validUntil: campaign.endsAt,
+    campaignId: campaign.id,
+    campaignName: campaign.name
+  };
+}
+
+/**
+ * Whether a campaign can be applied to a price
+ * @param {Object} price - { basePrice, currency, isFree, pricingModel, campaign }
+ * @returns {string|null} - Skip reason, or null when it applies
+ */
+function getSkipReason(price, campaign) {
+  if (price.isFree || !(price.basePrice > 0)) return 'free';
+  // Amounts chosen by the customer are never discounted
+  if (['pay_what_you_want', 'free_tip'].includes(price.pricingModel)) return 'customer_priced';
+  if (price.campaign && price.campaign.id !== campaign.id) return 'in_other_campaign';
+  if (campaign.discountType === 'fixed' && (price.currency || 'USD') !== campaign.currency) return 'currency_mismatch';
+  return null;
+}
+
+/**
+ * Price fields while a campaign runs
+ * The discount the price had before is kept under preCampaign and restored
+ * by restorePriceFields when the campaign ends.
+ * @param {Object} price - Price document
+ * @returns {Object} - Fields to update on the price
+ */
+function buildCampaignPriceFields(price, campaign) {
+  const discount = buildCampaignDiscount(campaign);
+  const finalPrice = campaign.discountType === 'fixed'
+    ? Math.max(0, price.basePrice - discount.amount)
+    : price.basePrice * (1 - discount.percentage / 100);
+  const discountedPrice = roundAmount(finalPrice);
+
+  return {
+    discount,
+    finalPrice: discountedPrice,
+    discountedPrice,
+    discountPercentage: Math.round(((price.basePrice - discountedPrice) / price.basePrice) * 100),
+    campaign: { id: campaign.id, name: campaign.name, endsAt: campaign.endsAt },
+    preCampaign: {
+      basePrice: price.basePrice,
+      discount: price.discount || null,
+      finalPrice: price.finalPrice ?? price.discountedPrice ?? price.basePrice,
+      discountedPrice: price.discountedPrice ?? price.finalPrice ?? price.basePrice,
+      discountPercentage: price.discountPercentage || 0
+    }
+  };
+}
+
+/**
+ * Price fields after a campaign ends (campaign and preCampaign are removed by the caller)
+ * A base price changed during the campaign wins over the one saved at its start.
+ */
+function restorePriceFields(price) {
+  const previous = price.preCampaign || {};
+  if (previous.basePrice !== price.basePrice) {
+    return { discount: null, finalPrice: price.basePrice, discountedPrice: price.basePrice, discountPercentage: 0 };
+  }
+  return {
+    discount: previous.discount || null,
+    finalPrice: previous.finalPrice ?? price.basePrice,
+    discountedPrice: previous.discountedPrice ?? price.basePrice,
+    discountPercentage: previous.discountPercentage || 0
+  };
+}
+
+/**
+ * Campaigns that must start or end at a moment
+ * Scheduled campaigns whose window already passed end without starting.
+ * @returns {Object} - { toStart, toEnd, toExpire }
+ */
+function getDueTransitions(campaigns, now = new Date()) {
+  const time = now.getTime();
+  const toStart = [];
+  const toEnd = [];
+  const toExpire = [];
+
+  campaigns.forEach(campaign => {
+    const startsAt = new Date(campaign.startsAt).getTime();
+    const endsAt = new Date(campaign.endsAt).getTime();
+    if (campaign.status === CAMPAIGN_STATUS.SCHEDULED) {
+      if (endsAt <= time) toExpire.push(campaign);
+      else if (startsAt <= time) toStart.push(campaign);
+    } else if (campaign.status === CAMPAIGN_STATUS.ACTIVE && endsAt <= time) {
+      toEnd.push(campaign);
+    }
+  });
+
+  return { toStart, toEnd, toExpire };
+}
+
+module.exports = {
+  CAMPAIGN_STATUS,
+  DISCOUNT_TYPES,
+  ACTIVE_EDITABLE_FIELDS,
+  validateCampaign,
+  checkUpdateAllowed,
+  matchesCampaign,
+  buildCampaignDiscount,
+  getSkipReason,
+  buildCampaignPriceFields,
+  restorePriceFields,
+  getDueTransitions
+};
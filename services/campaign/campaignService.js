@@ -0,0 +1,415 @@
+/**
+ * Campaign Service - Scheduled price campaigns and flash sales
+ *
+ * Campaigns live in `price_campaigns`. A scheduler (see index.js) calls
+ * processDueCampaigns every minute: campaigns whose window opened are
+ * applied to the matching agents' prices, and campaigns past their end are
+ * rolled back to the discount each price had before. A rollback that fails
+ * part-way is finished by a later run. Every price change is
+ * recorded in price history with change type `campaign`, and the agents
+ * cache is invalidated whenever a campaign starts or ends.
+ */
+
+const admin = require('firebase-admin');
+const logger = require('../../utils/logger');
+const { recordPriceHistory } = require('../../controllers/agent/priceController');
+const {
+  CAMPAIGN_STATUS,
+  validateCampaign,
+  checkUpdateAllowed,
+  matchesCampaign,
+  getSkipReason,
+  buildCampaignPriceFields,
+  restorePriceFields,
+  getDueTransitions
+} = require('./campaignRules');
+
+// Initialize Firestore
+const db = admin.firestore();
+const { FieldValue } = admin.firestore;
+
+const CAMPAIGNS_COLLECTION = 'price_campaigns';
+
+// Agents per batch: two writes each keeps well under Firestore's 500-write limit
+const AGENTS_PER_BATCH = 200;
+
+/**
+ * Error for campaign data rejected by validateCampaign
+ */
+function invalidCampaign(errors) {
+  const error = new Error(errors.join('; '));
+  error.name = 'CampaignValidationError';
+  error.details = errors;
+  return error;
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+class CampaignService {
+  /**
+   * Create a campaign; one whose window has already opened starts right away
+   * @param {Object} input - Campaign fields (see validateCampaign)
+   * @param {string} createdBy - Admin user ID
+   */
+  async createCampaign(input, createdBy = null) {
+    const { valid, errors, campaign } = validateCampaign(input);
+    if (!valid) throw invalidCampaign(errors);
+
+    const ref = db.collection(CAMPAIGNS_COLLECTION).doc();
+    const now = new Date().toISOString();
+    const stored = {
+      ...campaign,
+      status: CAMPAIGN_STATUS.SCHEDULED,
+      createdBy,
+      createdAt: now,
+      updatedAt: now
+    };
+    await ref.set(stored);
+    logger.info(`Campaign ${ref.id} "${campaign.name}" scheduled for ${campaign.startsAt} - ${campaign.endsAt}`);
+
+    if (new Date(campaign.startsAt) <= new Date()) {
+      await this.processDueCampaigns();
+      return this.getCampaign(ref.id);
+    }
+    return { id: ref.id, ...stored };
+  }
+
+  async getCampaign(id) {
+    const doc = await db.collection(CAMPAIGNS_COLLECTION).doc(id).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  }
+
+  /**
+   * List campaigns, newest window first
+   * @param {Object} filters - { status }
+   */
+  async listCampaigns({ status } = {}) {
+    let query = db.collection(CAMPAIGNS_COLLECTION);
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+    const snapshot = await query.get();
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => b.startsAt.localeCompare(a.startsAt));
+  }
+
+  /**
+   * Update a campaign
+   * Scheduled campaigns can be changed freely; running ones only by name,
+   * description and end date (moving the end date updates the live prices).
+   */
+  async updateCampaign(id, input) {
+    const existing = await this.getCampaign(id);
+    if (!existing) return null;
+    checkUpdateAllowed(existing, input);
+
+    const { valid, errors, campaign } = validateCampaign(input, existing);
+    if (!valid) throw invalidCampaign(errors);
+
+    const updated = { ...campaign, updatedAt: new Date().toISOString() };
+    await db.collection(CAMPAIGNS_COLLECTION).doc(id).update(updated);
+
+    if (existing.status === CAMPAIGN_STATUS.ACTIVE && campaign.endsAt !== existing.endsAt) {
+      await this.updateLiveEndDate(id, campaign.endsAt);
+    }
+
+    await this.processDueCampaigns();
+    return this.getCampaign(id);
+  }
+
+  /**
+   * Cancel a campaign; a running one is rolled back immediately
+   */
+  async cancelCampaign(id, cancelledBy = null) {
+    const campaign = await this.getCampaign(id);
+    if (!campaign) return null;
+
+    const claimed = await this.claimTransition(id, [CAMPAIGN_STATUS.SCHEDULED, CAMPAIGN_STATUS.ACTIVE], CAMPAIGN_STATUS.CANCELLED, {
+      cancelledAt: new Date().toISOString(),
+      cancelledBy
+    });
+    if (!claimed) {
+      const error = new Error(`Campaign cannot be cancelled once ${campaign.status}`);
+      error.name = 'CampaignStateError';
+      throw error;
+    }
+
+    if (claimed.previousStatus === CAMPAIGN_STATUS.ACTIVE) {
+      await this.rollBackCampaign({ ...campaign, status: CAMPAIGN_STATUS.CANCELLED });
+      await this.invalidateAgentsCache();
+    }
+    return this.getCampaign(id);
+  }
+
+  /**
+   * Start and end the campaigns that are due; run by the scheduler
+   * A campaign that fails is logged and left for the next run; prices still
+   * carrying an ended or cancelled campaign are restored on every run.
+   * @returns {Promise<Object>} - { started, ended, expired, restored, failed } campaign IDs
+   */
+  async processDueCampaigns(now = new Date()) {
+    const snapshot = await db.collection(CAMPAIGNS_COLLECTION)
+      .where('status', 'in', [CAMPAIGN_STATUS.SCHEDULED, CAMPAIGN_STATUS.ACTIVE])
+      .get();
+    const campaigns = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const { toStart, toEnd, toExpire } = getDueTransitions(campaigns, now);
+    const result = { started: [], ended: [], expired: [], restored: [], failed: [] };
+
+    const attempt = async (campaign, action) => {
+      try {
+        await action();
+      } catch (error) {
+        logger.error(`Failed to process campaign ${campaign.id}: ${error.message}`);
+        result.failed.push(campaign.id);
+      }
+    };
+
+    // End first so agents freed by an ending campaign can join one starting now
+    for (const campaign of toEnd) {
+      await attempt(campaign, async () => {
+        if (await this.claimTransition(campaign.id, [CAMPAIGN_STATUS.ACTIVE], CAMPAIGN_STATUS.ENDED, { endedAt: now.toISOString() })) {
+          result.ended.push(campaign.id);
+          await this.rollBackCampaign(campaign);
+        }
+      });
+    }
+    result.restored = await this.restoreFinishedCampaignPrices(result.failed);
+    for (const campaign of toExpire) {
+      await attempt(campaign, async () => {
+        if (await this.claimTransition(campaign.id, [CAMPAIGN_STATUS.SCHEDULED], CAMPAIGN_STATUS.ENDED, { endedAt: now.toISOString(), skippedWindow: true })) {
+          result.expired.push(campaign.id);
+        }
+      });
+    }
+    for (const campaign of toStart) {
+      await attempt(campaign, async () => {
+        if (await this.claimTransition(campaign.id, [CAMPAIGN_STATUS.SCHEDULED], CAMPAIGN_STATUS.ACTIVE, { startedAt: now.toISOString() })) {
+          result.started.push(campaign.id);
+          await this.applyCampaign(campaign);
+        }
+      });
+    }
+
+    if (result.started.length > 0 || result.ended.length > 0 || result.restored.length > 0) {
+      await this.invalidateAgentsCache();
+    }
+    return result;
+  }
+
+  /**
+   * Roll back prices still marked with a campaign that has ended or been cancelled
+   * Finishes rollbacks that failed part-way, which would otherwise keep the
+   * discount and keep the agents out of later campaigns.
+   * @param {Array<string>} failed - Collects the IDs of campaigns that could not be restored
+   * @returns {Promise<Array<string>>} - IDs of the campaigns whose prices were restored
+   */
+  async restoreFinishedCampaignPrices(failed = []) {
+    const restored = [];
+    try {
+      const snapshot = await db.collection('prices').where('campaign.id', '!=', null).get();
+      const campaignIds = [...new Set(snapshot.docs.map(doc => doc.data().campaign.id))];
+      if (campaignIds.length === 0) return restored;
+
+      const campaignDocs = await db.getAll(...campaignIds.map(id => db.collection(CAMPAIGNS_COLLECTION).doc(id)));
+      const finished = campaignDocs
+        .filter(doc => !doc.exists || [CAMPAIGN_STATUS.ENDED, CAMPAIGN_STATUS.CANCELLED].includes(doc.data().status))
+        .map(doc => ({ id: doc.id, ...(doc.exists ? doc.data() : {}) }));
+
+      for (const campaign of finished) {
+        try {
+          if (await this.rollBackCampaign(campaign) > 0) {
+            restored.push(campaign.id);
+          }
+        } catch (error) {
+          logger.error(`Failed to restore prices of finished campaign ${campaign.id}: ${error.message}`);
+          if (!failed.includes(campaign.id)) failed.push(campaign.id);
+        }
+      }
+    } catch (error) {
+      logger.error(`Failed to look up prices of finished campaigns: ${error.message}`);
+    }
+    return restored;
+  }
+
+  /**
+   * Move a campaign to a new status if it is still in one of the expected ones
+   * Only one server instance wins a transition, so prices are changed once.
+   * @returns {Promise<Object|null>} - { previousStatus } or null when another status was found
+   */
+  async claimTransition(id, fromStatuses, toStatus, fields = {}) {
+    const ref = db.collection(CAMPAIGNS_COLLECTION).doc(id);
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists || !fromStatuses.includes(doc.data().status)) return null;
+      transaction.update(ref, { ...fields, status: toStatus, updatedAt: new Date().toISOString() });
+      return { previousStatus: doc.data().status };
+    });
+  }
+
+  /**
+   * Apply a campaign's discount to every matching agent
+   */
+  async applyCampaign(campaign) {
+    const agentsSnapshot = await db.collection('agents').get();
+    const targets = agentsSnapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(agent => matchesCampaign(agent, campaign));
+
+    const applied = [];
+    const skipped = {};
+    for (const group of chunk(targets, AGENTS_PER_BATCH)) {
+      const priceRefs = group.map(agent => db.collection('prices').doc(agent.id));
+      const priceDocs = await db.getAll(...priceRefs);
+      const batch = db.batch();
+      const changes = [];
+
+      group.forEach((agent, index) => {
+        const price = priceDocs[index].exists ? priceDocs[index].data() : this.priceFromAgent(agent);
+        const reason = getSkipReason(price, campaign);
+        if (reason) {
+          skipped[reason] = (skipped[reason] || 0) + 1;
+          return;
+        }
+
+        const fields = buildCampaignPriceFields(price, campaign);
+        batch.set(priceRefs[index], { ...price, ...fields, updatedAt: new Date().toISOString() }, { merge: true });
+        batch.update(db.collection('agents').doc(agent.id), this.agentPriceFields(price, fields, fields.campaign));
+        changes.push({ agentId: agent.id, price: { ...price, ...fields } });
+      });
+
+      if (changes.length > 0) {
+        await batch.commit();
+        await this.recordChanges(changes, campaign, 'start');
+        applied.push(...changes.map(change => change.agentId));
+      }
+    }
+
+    await db.collection(CAMPAIGNS_COLLECTION).doc(campaign.id).update({
+      appliedAgentIds: applied,
+      appliedCount: applied.length,
+      skipped
+    });
+    logger.info(`Campaign ${campaign.id} started on ${applied.length} agents (skipped: ${JSON.stringify(skipped)})`);
+    return { applied, skipped };
+  }
+
+  /**
+   * Restore every price the campaign changed
+   */
+  async rollBackCampaign(campaign) {
+    const snapshot = await db.collection('prices').where('campaign.id', '==', campaign.id).get();
+    let restored = 0;
+
+    for (const group of chunk(snapshot.docs, AGENTS_PER_BATCH)) {
+      const batch = db.batch();
+      const changes = group.map(doc => {
+        const price = doc.data();
+        const fields = restorePriceFields(price);
+        batch.update(doc.ref, {
+          ...fields,
+          campaign: FieldValue.delete(),
+          preCampaign: FieldValue.delete(),
+          updatedAt: new Date().toISOString()
+        });
+        batch.update(db.collection('agents').doc(doc.id), this.agentPriceFields(price, fields, FieldValue.delete()));
+        return { agentId: doc.id, price: { ...price, ...fields } };
+      });
+
+      await batch.commit();
+      await this.recordChanges(changes, campaign, 'end');
+      restored += changes.length;
+    }
+
+    logger.info(`Campaign ${campaign.id} ended, ${restored} prices restored`);
+    return restored;
+  }
+
+  /**
+   * Keep the discount on running prices valid until a moved end date
+   */
+  async updateLiveEndDate(id, endsAt) {
+    const snapshot = await db.collection('prices').where('campaign.id', '==', id).get();
+    for (const group of chunk(snapshot.docs, AGENTS_PER_BATCH)) {
+      const batch = db.batch();
+      group.forEach(doc => {
+        batch.update(doc.ref, { 'discount.validUntil': endsAt, 'campaign.endsAt': endsAt });
+        batch.update(db.collection('agents').doc(doc.id), { 'activeCampaign.endsAt': endsAt });
+      });
+      await batch.commit();
+    }
+    await this.invalidateAgentsCache();
+  }
+
+  /**
+   * Price of an agent without a price document, from its legacy fields
+   */
+  priceFromAgent(agent) {
+    const basePrice = agent.priceDetails?.basePrice ?? agent.basePrice ?? (typeof agent.price === 'number' ? agent.price : 0);
+    return {
+      agentId: agent.id,
+      basePrice,
+      discountedPrice: agent.priceDetails?.discountedPrice ?? basePrice,
+      finalPrice: agent.priceDetails?.discountedPrice ?? basePrice,
+      discountPercentage: agent.discountPercentage || 0,
+      currency: agent.priceDetails?.currency || 'USD',
+      isFree: agent.isFree === true || basePrice === 0,
+      isSubscription: agent.isSubscription === true,
+      priceHistory: []
+    };
+  }
+
+  /**
+   * Price fields mirrored on the agent document (as priceController.updateAgentPrice does)
+   */
+  agentPriceFields(price, fields, activeCampaign) {
+    return {
+      priceDetails: {
+        basePrice: price.basePrice,
+        discountedPrice: fields.discountedPrice,
+        currency: price.currency || 'USD'
+      },
+      discountedPrice: fields.discountedPrice,
+      price: fields.discountedPrice,
+      discountPercentage: fields.discountPercentage,
+      activeCampaign,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  async recordChanges(changes, campaign, phase) {
+    for (const { agentId, price } of changes) {
+      try {
+        await recordPriceHistory(price, agentId, campaign.createdBy, 'campaign', {
+          campaignId: campaign.id,
+          campaignName: campaign.name,
+          phase
+        });
+      } catch (error) {
+        // History is informational; the price change itself is already committed
+        logger.error(`Failed to record campaign price history for ${agentId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Reload the agents cache so listings show campaign prices
+   * Required lazily: the agents controller loads much of the app.
+   */
+  async invalidateAgentsCache() {
+    try {
+      const { invalidateAgentsCache } = require('../../controllers/agent/agentsController');
+      await invalidateAgentsCache();
+    } catch (error) {
+      logger.error('Failed to invalidate agents cache after campaign change:', error);
+    }
+  }
+}
+
+module.exports = new CampaignService();
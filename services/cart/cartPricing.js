@@ -0,0 +1,243 @@
+/**
+ * Cart Pricing - Resolve current agent prices and build cart summaries
+ *
+ * Pure helpers used by the cart service. Prices always come from the
+ * price documents (served under /api/agent-prices), never from the client.
+ */
+
+const { PRICING_MODELS, resolvePricingChoice } = require('../../models/priceModel');
+
+const MAX_QUANTITY = 10;
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Parse a legacy agent price field ("$9.99", "Free", 9.99)
+ */
+function parseLegacyPrice(price) {
+  if (typeof price === 'number') return price;
+  if (typeof price === 'string') {
+    const match = price.match(/\$?(\d+(\.\d+)?)/);
+    return match ? parseFloat(match[1]) : 0;
+  }
+  return 0;
+}
+
+/**
+ * Resolve the current unit price of an agent
+ * Uses the price document when present, falling back to the legacy
+ * priceDetails / price fields on the agent like getPriceById does.
+ * Tip, pay-what-you-want and tiered prices depend on the customer's choice;
+ * an invalid choice is reported as choiceError with a null unitPrice.
+ * @param {Object|null} priceData - Document from the prices collection
+ * @param {Object|null} agentData - Document from the agents collection
+ * @param {Object} choice - { tier, amount } for non-fixed pricing models
+ * @returns {Object} - { unitPrice, basePrice, currency, isFree, discounted, pricingModel, tier, choiceError }
+ */
+function resolveAgentPrice(priceData, agentData = null, choice = {}) {
+  if (priceData && priceData.pricingModel && priceData.pricingModel !== PRICING_MODELS.FIXED) {
+    const basePrice = parseFloat(priceData.basePrice) || 0;
+    const resolved = resolvePricingChoice(priceData, choice);
+    return {
+      unitPrice: resolved.unitPrice,
+      basePrice,
+      currency: (priceData.currency || 'USD').toUpperCase(),
+      isFree: resolved.valid && resolved.unitPrice === 0,
+      discounted: false,
+      pricingModel: resolved.pricingModel,
+      tier: resolved.tier,
+      choiceError: resolved.reason
+    };
+  }
+
+  if (priceData) {
+    const basePrice = parseFloat(priceData.basePrice) || 0;
+    const isFree = priceData.isFree === true || basePrice === 0;
+    const unitPrice = resolvePricingChoice({ ...priceData, basePrice, isFree }).unitPrice;
+    return {
+      unitPrice,
+      basePrice,
+      currency: (priceData.currency || 'USD').toUpperCase(),
+      isFree,
+      discounted: unitPrice < basePrice
+    };
+  }
+
+  const agent = agentData || {};
+  if (agent.priceDetails) {
+    const basePrice = parseFloat(agent.priceDetails.basePrice) || 0;
+    const unitPrice = roundAmount(agent.priceDetails.discountedPrice || basePrice);
+    return {
+      unitPrice: agent.isFree ? 0 : unitPrice,
+      basePrice,
+      currency: (agent.priceDetails.currency || 'USD').toUpperCase(),
+      isFree: agent.isFree === true || unitPrice === 0,
+      discounted: unitPrice < basePrice
+    };
+  }
+
+  const basePrice = agent.isFree ? 0 : roundAmount(parseLegacyPrice(agent.price));
+  return {
+    unitPrice: basePrice,
+    basePrice,
+    currency: 'USD',
+    isFree: basePrice === 0,
+    discounted: false
+  };
+}
+
+/**
+ * Error for a tier or amount that the agent's pricing model does not accept
+ */
+function pricingChoiceError(agentId, reason) {
+  const error = new Error(`Invalid pricing choice for ${agentId}: ${reason}`);
+  error.name = 'PricingChoiceError';
+  error.agentId = agentId;
+  error.reason = reason;
+  return error;
+}
+
+/**
+ * Clamp a requested quantity to the allowed range
+ * @returns {number} - Quantity between 1 and MAX_QUANTITY
+ */
+function clampQuantity(quantity) {
+  const parsed = parseInt(quantity, 10);
+  if (!Number.isInteger(parsed) || parsed < 1) return 1;
+  return Math.min(parsed, MAX_QUANTITY);
+}
+
+/**
+ * Merge two stored cart item lists, keeping the higher quantity for duplicates
+ * @param {Array<Object>} target - Items of the signed-in user's cart
+ * @param {Array<Object>} source - Items of the guest cart
+ * @returns {Array<Object>} - Merged items
+ */
+function mergeCartItems(target = [], source = []) {
+  const merged = new Map(target.map(item => [item.agentId, { ...item }]));
+  source.forEach(item => {
+    const existing = merged.get(item.agentId);
+    if (existing) {
+      existing.quantity = clampQuantity(Math.max(existing.quantity || 1, item.quantity || 1));
+    } else {
+      merged.set(item.agentId, { ...item });
+    }
+  });
+  return [...merged.values()];
+}
+
+/**
+ * Build the priced cart returned to clients
+ * @param {Array<Object>} items - Stored items { agentId, quantity, priceAtAdd, addedAt }
+ * @param {Object} lookups - { prices: Map<agentId, priceData>, agents: Map<agentId, agentData> }
+ * @returns {Object} - { items, subtotal, currency, mixedCurrencies, itemCount }
+ */
+function priceCartItems(items = [], { prices = new Map(), agents = new Map() } = {}) {
+  const priced = items.map(item => {
+    const agent = agents.get(item.agentId) || null;
+    if (!agent) {
+      return { ...item, available: false, unitPrice: 0, lineTotal: 0, currency: null };
+    }
+
+    const price = resolveAgentPrice(prices.get(item.agentId) || null, agent, { tier: item.tier, amount: item.amount });
+    const quantity = clampQuantity(item.quantity);
+    if (price.choiceError) {
+      return {
+        agentId: item.agentId,
+        title: agent.title || agent.name || 'AI Agent',
+        quantity,
+        tier: item.tier || null,
+        amount: item.amount ?? null,
+        available: false,
+        unavailableReason: price.choiceError,
+        unitPrice: 0,
+        lineTotal: 0,
+        currency: price.currency
+      };
+    }
+    return {
+      agentId: item.agentId,
+      title: agent.title || agent.name || 'AI Agent',
+      imageUrl: agent.imageUrl || agent.image || null,
+      quantity,
+      unitPrice: price.unitPrice,
+      basePrice: price.basePrice,
+      currency: price.currency,
+      isFree: price.isFree,
+      lineTotal: roundAmount(price.unitPrice * quantity),
+      priceChanged: item.priceAtAdd !== undefined && item.priceAtAdd !== null && item.priceAtAdd !== price.unitPrice,
+      addedAt: item.addedAt || null,
+      available: true,
+      ...(price.pricingModel && { pricingModel: price.pricingModel, tier: price.tier, amount: item.amount ?? null })
+    };
+  });
+
+  const available = priced.filter(item => item.available);
+  const currencies = [...new Set(available.map(item => item.currency))];
+
+  return {
+    items: priced,
+    itemCount: available.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: roundAmount(available.reduce((sum, item) => sum + item.lineTotal, 0)),
+    currency: currencies[0] || 'USD',
+    mixedCurrencies: currencies.length > 1
+  };
+}
+
+/**
+ * Convert a priced cart into checkout line items (the shape payment routes expect)
+ */
+function toCheckoutItems(pricedCart) {
+  return pricedCart.items
+    .filter(item => item.available)
+    .map(item => ({
+      id: item.agentId,
+      title: item.title,
+      price: item.unitPrice,
+      quantity: item.quantity,
+      ...(item.pricingModel && { pricingModel: item.pricingModel }),
+      ...(item.tier && { licenseTier: item.tier })
+    }));
+}
+
+/**
+ * Enforce pricing models on checkout items sent by the client
+ * Items of tip, pay-what-you-want and tiered agents are re-priced from
+ * their chosen tier or amount; fixed-price items are left as they are.
+ * @param {Array<Object>} items - Checkout items { id, price, quantity, tier, amount }
+ * @param {Object} lookups - { prices: Map<agentId, priceData> }
+ * @returns {Array<Object>} - Items with enforced prices; throws PricingChoiceError
+ */
+function enforceItemPricing(items = [], { prices = new Map() } = {}) {
+  return items.map(item => {
+    const priceData = prices.get(item.id);
+    if (!priceData || !priceData.pricingModel || priceData.pricingModel === PRICING_MODELS.FIXED) {
+      return item;
+    }
+
+    const tier = item.licenseTier || item.tier;
+    const price = resolveAgentPrice(priceData, null, { tier, amount: item.amount ?? item.price });
+    if (price.choiceError) {
+      throw pricingChoiceError(item.id, price.choiceError);
+    }
+    return {
+      ...item,
+      price: price.unitPrice,
+      pricingModel: price.pricingModel,
+      ...(price.tier && { licenseTier: price.tier })
+    };
+  });
+}
+
+module.exports = {
+  MAX_QUANTITY,
+  pricingChoiceError,
+  enforceItemPricing,
+  resolveAgentPrice,
+  clampQuantity,
+  mergeCartItems,
+  priceCartItems,
+  toCheckoutItems
+};
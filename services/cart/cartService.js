@@ -0,0 +1,352 @@
+/**
+ * Cart Service - Server-side shopping carts
+ *
+ * Carts live in the `carts` collection: `user_{uid}` for signed-in users and
+ * `guest_{cartId}` for guests. Only agent IDs and quantities are stored;
+ * prices are looked up again every time the cart is read.
+ */
+
+const admin = require('firebase-admin');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const logger = require('../../utils/logger');
+const {
+  clampQuantity,
+  pricingChoiceError,
+  enforceItemPricing,
+  mergeCartItems,
+  priceCartItems,
+  resolveAgentPrice,
+  toCheckoutItems
+} = require('./cartPricing');
+
+// Initialize Firestore
+const db = admin.firestore();
+
+const CARTS_COLLECTION = 'carts';
+const MAX_CART_ITEMS = 50;
+
+// A user cart belongs to its user; a guest cart ID is only known to the
+// browser holding it, and signed-in checkouts use the user cart
+function isCartOwner(cart, userId) {
+  return cart.userId ? cart.userId === userId : !userId;
+}
+
+class CartService {
+  /**
+   * Resolve the cart owner of a request
+   * Signed-in users (req.user) own `user_` carts; guests are identified by a
+   * cart ID from the X-Cart-Id header, the cartId cookie or the request body.
+   * @param {Object} req - Express request
+   * @param {boolean} createGuest - Issue a new guest cart ID when none was sent
+   * @returns {Object|null} - { userId } or { guestId, isNew }
+   */
+  resolveOwner(req, createGuest = false) {
+    if (req.user?.uid) {
+      return { userId: req.user.uid };
+    }
+
+    const guestId = req.headers['x-cart-id'] || req.cookies?.cartId || req.body?.cartId || null;
+    if (guestId && isUuid(guestId)) {
+      return { guestId };
+    }
+
+    return createGuest ? { guestId: uuidv4(), isNew: true } : null;
+  }
+
+  getCartDocId(owner) {
+    return owner.userId ? `user_${owner.userId}` : `guest_${owner.guestId}`;
+  }
+
+  getCartRef(owner) {
+    return db.collection(CARTS_COLLECTION).doc(this.getCartDocId(owner));
+  }
+
+  /**
+   * Load agents and price documents for a list of agent IDs
+   */
+  async loadPricing(agentIds) {
+    const unique = [...new Set(agentIds)];
+    if (unique.length === 0) {
+      return { agents: new Map(), prices: new Map() };
+    }
+
+    const [agentDocs, priceDocs] = await Promise.all([
+      db.getAll(...unique.map(id => db.collection('agents').doc(id))),
+      db.getAll(...unique.map(id => db.collection('prices').doc(id)))
+    ]);
+
+    return {
+      agents: new Map(agentDocs.filter(doc => doc.exists).map(doc => [doc.id, doc.data()])),
+      prices: new Map(priceDocs.filter(doc => doc.exists).map(doc => [doc.id, doc.data()]))
+    };
+  }
+
+  /**
+   * Get a cart with current prices
+   * @param {Object} owner - { userId } or { guestId }
+   * @returns {Promise<Object>} - Priced cart
+   */
+  async getCart(owner) {
+    const cartDoc = await this.getCartRef(owner).get();
+    const stored = cartDoc.exists ? cartDoc.data() : { items: [] };
+    const items = stored.items || [];
+
+    const pricing = await this.loadPricing(items.map(item => item.agentId));
+    const priced = priceCartItems(items, pricing);
+
+    return {
+      id: this.getCartDocId(owner),
+      cartId: owner.guestId || null,
+      userId: owner.userId || null,
+      ...priced,
+      updatedAt: stored.updatedAt || null
+    };
+  }
+
+  /**
+   * Add an agent to the cart, or increase its quantity
+   * @param {Object} choice - { tier, amount } for tip, pay-what-you-want and tiered agents
+   */
+  async addItem(owner, agentId, quantity = 1, choice = {}) {
+    if (!agentId || typeof agentId !== 'string') {
+      throw new Error('Agent ID is required');
+    }
+
+    const agentRef = db.collection('agents').doc(agentId);
+    const priceRef = db.collection('prices').doc(agentId);
+    const cartRef = this.getCartRef(owner);
+
+    await db.runTransaction(async (transaction) => {
+      const [cartDoc, agentDoc, priceDoc] = await Promise.all([
+        transaction.get(cartRef),
+        transaction.get(agentRef),
+        transaction.get(priceRef)
+      ]);
+
+      if (!agentDoc.exists) {
+        throw new Error(`Agent not found: ${agentId}`);
+      }
+
+      const items = cartDoc.exists ? [...(cartDoc.data().items || [])] : [];
+      const existing = items.find(item => item.agentId === agentId);
+      const now = new Date().toISOString();
+      const price = this.resolveChoice(agentId, priceDoc, agentDoc, existing, choice);
+
+      if (existing) {
+        existing.quantity = clampQuantity((existing.quantity || 1) + (parseInt(quantity, 10) || 1));
+        Object.assign(existing, this.choiceFields(price, choice, existing));
+      } else {
+        if (items.length >= MAX_CART_ITEMS) {
+          throw new Error(`Cart cannot hold more than ${MAX_CART_ITEMS} agents`);
+        }
+        items.push({
+          agentId,
+          quantity: clampQuantity(quantity),
+          priceAtAdd: price.unitPrice,
+          addedAt: now,
+          ...this.choiceFields(price, choice)
+        });
+      }
+
+      transaction.set(cartRef, this.buildCartDocument(owner, items, cartDoc, now));
+    });
+
+    return this.getCart(owner);
+  }
+
+  /**
+   * Set the quantity of an agent in the cart (0 removes it) and/or its tier or amount
+   */
+  async updateItem(owner, agentId, quantity, choice = {}) {
+    const hasChoice = choice.tier !== undefined || choice.amount !== undefined;
+    const parsed = quantity === undefined && hasChoice ? null : parseInt(quantity, 10);
+    if (parsed !== null && (!Number.isInteger(parsed) || parsed < 0)) {
+      throw new Error('Quantity must be a non-negative integer');
+    }
+    if (parsed === 0) {
+      return this.removeItem(owner, agentId);
+    }
+
+    const cartRef = this.getCartRef(owner);
+    await db.runTransaction(async (transaction) => {
+      const [cartDoc, agentDoc, priceDoc] = await Promise.all([
+        transaction.get(cartRef),
+        transaction.get(db.collection('agents').doc(agentId)),
+        transaction.get(db.collection('prices').doc(agentId))
+      ]);
+      const items = cartDoc.exists ? [...(cartDoc.data().items || [])] : [];
+      const existing = items.find(item => item.agentId === agentId);
+      if (!existing) {
+        throw new Error(`Agent not in cart: ${agentId}`);
+      }
+      if (parsed !== null) {
+        existing.quantity = clampQuantity(parsed);
+      }
+      if (hasChoice && agentDoc.exists) {
+        const price = this.resolveChoice(agentId, priceDoc, agentDoc, existing, choice);
+        Object.assign(existing, this.choiceFields(price, choice, existing));
+      }
+      transaction.set(cartRef, this.buildCartDocument(owner, items, cartDoc));
+    });
+
+    return this.getCart(owner);
+  }
+
+  /**
+   * Price an agent for a tier/amount choice, falling back to the choice already in the cart
+   * Throws PricingChoiceError when the agent's pricing model rejects it.
+   */
+  resolveChoice(agentId, priceDoc, agentDoc, existing, choice) {
+    const effective = {
+      tier: choice.tier !== undefined ? choice.tier : existing?.tier,
+      amount: choice.amount !== undefined ? choice.amount : existing?.amount
+    };
+    const price = resolveAgentPrice(priceDoc.exists ? priceDoc.data() : null, agentDoc.data(), effective);
+    if (price.choiceError) {
+      throw pricingChoiceError(agentId, price.choiceError);
+    }
+    return price;
+  }
+
+  /**
+   * Stored choice fields of a cart item (only for agents with a non-fixed pricing model)
+   */
+  choiceFields(price, choice, existing = {}) {
+    if (!price.pricingModel) return {};
+    const amount = choice.amount !== undefined ? choice.amount : existing.amount;
+    return {
+      tier: price.tier || null,
+      amount: amount === undefined || amount === null || amount === '' ? null : Number(amount)
+    };
+  }
+
+  /**
+   * Remove an agent from the cart
+   */
+  async removeItem(owner, agentId) {
+    const cartRef = this.getCartRef(owner);
+    await db.runTransaction(async (transaction) => {
+      const cartDoc = await transaction.get(cartRef);
+      if (!cartDoc.exists) return;
+      const items = (cartDoc.data().items || []).filter(item => item.agentId !== agentId);
+      transaction.set(cartRef, this.buildCartDocument(owner, items, cartDoc));
+    });
+
+    return this.getCart(owner);
+  }
+
+  async clearCart(owner) {
+    const cartRef = this.getCartRef(owner);
+    const cartDoc = await cartRef.get();
+    if (cartDoc.exists) {
+      await cartRef.set(this.buildCartDocument(owner, [], cartDoc));
+    }
+    return this.getCart(owner);
+  }
+
+  buildCartDocument(owner, items, cartDoc = null, now = new Date().toISOString()) {
+    const existing = cartDoc && cartDoc.exists ? cartDoc.data() : {};
+    return {
+      ...existing,
+      userId: owner.userId || null,
+      guestId: owner.guestId || null,
+      items,
+      createdAt: existing.createdAt || now,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Merge a guest cart into a user's cart after sign-in
+   * The guest cart is deleted in the same transaction.
+   * @returns {Promise<Object>} - { merged, itemCount }
+   */
+  async mergeGuestCart(guestId, userId) {
+    if (!guestId || !isUuid(guestId) || !userId) {
+      return { merged: false, itemCount: 0 };
+    }
+
+    const guestRef = this.getCartRef({ guestId });
+    const userOwner = { userId };
+    const userRef = this.getCartRef(userOwner);
+
+    const result = await db.runTransaction(async (transaction) => {
+      const [guestDoc, userDoc] = await Promise.all([transaction.get(guestRef), transaction.get(userRef)]);
+      const guestItems = guestDoc.exists ? guestDoc.data().items || [] : [];
+      if (guestItems.length === 0) {
+        if (guestDoc.exists) transaction.delete(guestRef);
+        return { merged: false, itemCount: 0 };
+      }
+
+      const userItems = userDoc.exists ? userDoc.data().items || [] : [];
+      const items = mergeCartItems(userItems, guestItems).slice(0, MAX_CART_ITEMS);
+
+      transaction.set(userRef, this.buildCartDocument(userOwner, items, userDoc));
+      transaction.delete(guestRef);
+      return { merged: true, itemCount: items.length };
+    });
+
+    if (result.merged) {
+      logger.info(`Merged guest cart ${guestId} into cart of user ${userId}`, { itemCount: result.itemCount });
+    }
+    return result;
+  }
+
+  /**
+   * Remove purchased agents from a cart once their order is paid
+   * Agents added after checkout started stay in the cart. The cart ID can
+   * arrive in client-supplied checkout metadata, so a cart that does not
+   * belong to the order's buyer is left alone.
+   * @param {string} cartDocId - Cart document ID stored on the checkout
+   * @param {Array<string>} agentIds - Agents included in the order
+   * @param {Object} order - The paid order: { id, userId }
+   * @returns {Promise<boolean>} - False when the cart does not exist or is not the buyer's
+   */
+  async consumeCart(cartDocId, agentIds, order) {
+    const cartRef = db.collection(CARTS_COLLECTION).doc(cartDocId);
+    const purchased = new Set(agentIds);
+
+    const consumed = await db.runTransaction(async (transaction) => {
+      const cartDoc = await transaction.get(cartRef);
+      if (!cartDoc.exists || !isCartOwner(cartDoc.data(), order.userId || null)) return false;
+      const items = (cartDoc.data().items || []).filter(item => !purchased.has(item.agentId));
+      transaction.update(cartRef, {
+        items,
+        lastOrderId: order.id,
+        checkedOutAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+      return true;
+    });
+
+    if (consumed) {
+      logger.info(`Cart ${cartDocId} consumed by order ${order.id}`, { agentCount: purchased.size });
+    } else {
+      logger.warn(`Cart ${cartDocId} not consumed by order ${order.id}: missing or not the buyer's cart`);
+    }
+    return consumed;
+  }
+
+  /**
+   * Priced cart as checkout line items
+   */
+  async getCheckoutItems(owner) {
+    const cart = await this.getCart(owner);
+    const invalid = cart.items.find(item => item.unavailableReason);
+    if (invalid) {
+      throw pricingChoiceError(invalid.agentId, invalid.unavailableReason);
+    }
+    return { cart, items: toCheckoutItems(cart) };
+  }
+
+  /**
+   * Enforce pricing models on checkout items sent by the client
+   * @returns {Promise<Array<Object>>} - See enforceItemPricing; throws PricingChoiceError
+   */
+  async enforceCheckoutPricing(items) {
+    const pricing = await this.loadPricing(items.map(item => item.id).filter(Boolean));
+    return enforceItemPricing(items, pricing);
+  }
+}
+
+module.exports = new CartService();
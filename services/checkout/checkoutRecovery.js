@@ -0,0 +1,235 @@
+/**
+ * Checkout Recovery - Follow-up emails for checkouts that were not completed
+ *
+ * Every checkout started with an email address is kept as a session with its
+ * items. When no order follows within a delay the customer gets one email
+ * with a signed link that resumes the checkout; an order placed after that
+ * email (or through the link) is attributed to the recovery. Pure functions;
+ * the checkout recovery service stores the sessions and sends the emails.
+ *
+ *   <FRONTEND_URL>/checkout/resume?token=<payload>.<signature>
+ *   <FRONTEND_URL>/checkout/unsubscribe?token=<payload>.<signature>
+ */
+
+const crypto = require('crypto');
+
+const RECOVERY_STATUS = {
+  PENDING: 'pending',
+  EMAILED: 'emailed',
+  CONVERTED: 'converted',
+  // An order or a later checkout for the same email came from another checkout
+  SUPERSEDED: 'superseded',
+  EXPIRED: 'expired',
+  FAILED: 'failed',
+  // The customer opted out of recovery emails
+  OPTED_OUT: 'opted_out'
+};
+
+// Sessions that can still convert
+const OPEN_STATUSES = [RECOVERY_STATUS.PENDING, RECOVERY_STATUS.EMAILED];
+
+// Send attempts before a session is given up
+const MAX_SEND_ATTEMPTS = 3;
+
+const DEV_SECRET = 'checkout-recovery-dev-secret';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function positiveNumber(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+/**
+ * Recovery timings from the environment
+ * CHECKOUT_RECOVERY_DELAY_MINUTES (60), CHECKOUT_RECOVERY_MAX_AGE_HOURS (72),
+ * CHECKOUT_RECOVERY_LINK_TTL_DAYS (7), CHECKOUT_RECOVERY_ATTRIBUTION_DAYS (7)
+ */
+function getRecoverySettings(env = process.env) {
+  return {
+    delayMinutes: positiveNumber(env.CHECKOUT_RECOVERY_DELAY_MINUTES, 60),
+    maxAgeHours: positiveNumber(env.CHECKOUT_RECOVERY_MAX_AGE_HOURS, 72),
+    linkTtlDays: positiveNumber(env.CHECKOUT_RECOVERY_LINK_TTL_DAYS, 7),
+    attributionDays: positiveNumber(env.CHECKOUT_RECOVERY_ATTRIBUTION_DAYS, 7)
+  };
+}
+
+/**
+ * Signing secret; outside production a development secret is used when unset
+ * @returns {string|null} - null when resume links are disabled
+ */
+function getRecoverySecret() {
+  if (process.env.CHECKOUT_RECOVERY_SECRET) return process.env.CHECKOUT_RECOVERY_SECRET;
+  return process.env.NODE_ENV === 'production' ? null : DEV_SECRET;
+}
+
+/**
+ * Session fields for a started checkout
+ * @param {Object} checkout - { email, userId, items, currency, couponCode, fromCart }
+ * @returns {Object|null} - null when there is no valid email or nothing to buy
+ */
+function buildCheckoutSession(checkout = {}) {
+  const email = typeof checkout.email === 'string' ? checkout.email.trim().toLowerCase() : '';
+  if (!EMAIL_PATTERN.test(email)) return null;
+
+  const items = (Array.isArray(checkout.items) ? checkout.items : [])
+    .filter(item => item && (item.id || item.agentId))
+    .map(item => ({
+      id: item.id || item.agentId,
+      title: String(item.title || item.name || '').slice(0, 200),
+      price: Math.round((Number(item.price) || 0) * 100) / 100,
+      quantity: parseInt(item.quantity, 10) || 1,
+      ...(item.licenseTier || item.tier ? { licenseTier: item.licenseTier || item.tier } : {})
+    }));
+  if (items.length === 0) return null;
+
+  return {
+    email,
+    userId: checkout.userId || null,
+    items,
+    currency: String(checkout.currency || 'USD').toUpperCase(),
+    couponCode: checkout.couponCode || null,
+    fromCart: !!checkout.fromCart
+  };
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Claims of a signed token
+ * @returns {Object} - { claims } or { reason } when the token cannot be read
+ */
+function readSignedToken(token, secret) {
+  if (!secret) return { reason: 'signing_disabled' };
+
+  const [payload, sig] = String(token || '').split('.');
+  if (!payload || !sig) return { reason: 'malformed' };
+
+  const expected = Buffer.from(sign(payload, secret));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { reason: 'bad_signature' };
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims && typeof claims === 'object' ? { claims } : { reason: 'malformed' };
+  } catch (error) {
+    return { reason: 'malformed' };
+  }
+}
+
+/**
+ * Signed token for the resume link of a session
+ * @param {string} checkoutId - Session ID (the checkout's order ID)
+ * @param {Date} expiresAt - When the link stops working
+ * @returns {string|null} - null when signing is disabled
+ */
+function createResumeToken(checkoutId, expiresAt, { secret = getRecoverySecret() } = {}) {
+  if (!secret) return null;
+  const payload = Buffer.from(JSON.stringify({ c: checkoutId, e: Math.floor(new Date(expiresAt).getTime() / 1000) })).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Verify the signature and expiry of a resume token
+ * @returns {Object} - { valid, reason, checkoutId }
+ */
+function verifyResumeToken(token, { secret = getRecoverySecret(), now = new Date() } = {}) {
+  const invalid = reason => ({ valid: false, reason, checkoutId: null });
+  const { claims, reason } = readSignedToken(token, secret);
+  if (!claims) return invalid(reason);
+  if (typeof claims.c !== 'string' || !Number.isInteger(claims.e)) return invalid('malformed');
+  if (claims.e * 1000 < now.getTime()) return { valid: false, reason: 'expired', checkoutId: claims.c };
+
+  return { valid: true, reason: null, checkoutId: claims.c };
+}
+
+/**
+ * Signed token for the opt-out link of recovery emails sent to an address
+ * Opt-out links do not expire.
+ * @returns {string|null} - null when signing is disabled
+ */
+function createOptOutToken(email, { secret = getRecoverySecret() } = {}) {
+  if (!secret) return null;
+  const payload = Buffer.from(JSON.stringify({ o: String(email).trim().toLowerCase() })).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Verify the signature of an opt-out token
+ * @returns {Object} - { valid, reason, email }
+ */
+function verifyOptOutToken(token, { secret = getRecoverySecret() } = {}) {
+  const invalid = reason => ({ valid: false, reason, email: null });
+  const { claims, reason } = readSignedToken(token, secret);
+  if (!claims) return invalid(reason);
+  if (typeof claims.o !== 'string' || !EMAIL_PATTERN.test(claims.o)) return invalid('malformed');
+
+  return { valid: true, reason: null, email: claims.o };
+}
+
+/**
+ * What the scheduled job should do with a session that is due
+ * @returns {string} - 'send', 'expire' or 'skip'
+ */
+function planRecovery(session, now = new Date(), settings = getRecoverySettings()) {
+  if (session.status !== RECOVERY_STATUS.PENDING) return 'skip';
+  const age = now.getTime() - new Date(session.createdAt).getTime();
+  if (age > settings.maxAgeHours * 60 * 60 * 1000) return 'expire';
+  if (age < settings.delayMinutes * 60 * 1000) return 'skip';
+  return 'send';
+}
+
+/**
+ * Whether an order placed for a session counts as recovered by the email
+ * @returns {Object} - { recovered, via: 'link' | 'email' | null }
+ */
+function attributeConversion(session, convertedAt = new Date(), settings = getRecoverySettings()) {
+  const window = settings.attributionDays * 24 * 60 * 60 * 1000;
+  const within = from => from && new Date(convertedAt).getTime() - new Date(from).getTime() <= window;
+
+  if (session.resumedAt && within(session.resumedAt)) return { recovered: true, via: 'link' };
+  if (session.recoveryEmailSentAt && within(session.recoveryEmailSentAt)) return { recovered: true, via: 'email' };
+  return { recovered: false, via: null };
+}
+
+/**
+ * Totals for sessions that were sent a recovery email
+ * @returns {Object} - { emailsSent, resumed, recovered, conversionRate, recoveredRevenue }
+ */
+function summarizeRecovery(sessions) {
+  const emailed = sessions.filter(session => session.recoveryEmailSentAt);
+  const recovered = emailed.filter(session => session.attribution?.recovered);
+  const recoveredRevenue = {};
+  recovered.forEach(session => {
+    const currency = session.orderCurrency || session.currency || 'USD';
+    recoveredRevenue[currency] = Math.round(((recoveredRevenue[currency] || 0) + (Number(session.orderTotal) || 0)) * 100) / 100;
+  });
+
+  return {
+    emailsSent: emailed.length,
+    resumed: emailed.filter(session => session.resumedAt).length,
+    recovered: recovered.length,
+    conversionRate: emailed.length > 0 ? Math.round((recovered.length / emailed.length) * 10000) / 100 : 0,
+    recoveredRevenue
+  };
+}
+
+module.exports = {
+  RECOVERY_STATUS,
+  OPEN_STATUSES,
+  MAX_SEND_ATTEMPTS,
+  getRecoverySettings,
+  getRecoverySecret,
+  buildCheckoutSession,
+  createResumeToken,
+  verifyResumeToken,
+  createOptOutToken,
+  verifyOptOutToken,
+  planRecovery,
+  attributeConversion,
+  summarizeRecovery
+};
@@ -0,0 +1,334 @@
+/**
+ * Checkout Recovery Service - Sessions in `checkout_sessions`
+ *
+ * A session is stored per checkout (keyed by the checkout's order ID) when a
+ * signed-in customer with a verified email calls create-session. Each email
+ * has at most one session waiting for its recovery email: a newer checkout
+ * supersedes it. Waiting sessions carry a remindAt date, which is all the
+ * scheduled job queries; it is removed once the email is sent or the
+ * checkout converts. Addresses that opted out are kept in
+ * `checkout_recovery_optouts` and never tracked again.
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const logger = require('../../utils/logger');
+const emailService = require('../email/emailService');
+const {
+  RECOVERY_STATUS,
+  OPEN_STATUSES,
+  MAX_SEND_ATTEMPTS,
+  getRecoverySettings,
+  createResumeToken,
+  verifyResumeToken,
+  createOptOutToken,
+  verifyOptOutToken,
+  planRecovery,
+  attributeConversion,
+  summarizeRecovery
+} = require('./checkoutRecovery');
+
+// Initialize Firestore
+const db = admin.firestore();
+const { FieldValue } = admin.firestore;
+
+const SESSIONS_COLLECTION = 'checkout_sessions';
+const OPT_OUTS_COLLECTION = 'checkout_recovery_optouts';
+
+// Sessions handled per run of the scheduled job
+const SESSIONS_PER_RUN = 100;
+
+/**
+ * Error for a resume link that cannot be used
+ */
+function checkoutRecoveryError(message, reason) {
+  const error = new Error(message);
+  error.name = 'CheckoutRecoveryError';
+  error.reason = reason;
+  return error;
+}
+
+// Opt-outs are keyed by a hash so the collection does not list addresses
+function optOutId(email) {
+  return crypto.createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex');
+}
+
+class CheckoutRecoveryService {
+  constructor() {
+    this.settings = getRecoverySettings();
+  }
+
+  addMinutes(date, minutes) {
+    return new Date(new Date(date).getTime() + minutes * 60 * 1000).toISOString();
+  }
+
+  /**
+   * Store or refresh the session of a started checkout
+   * A checkout resumed from a recovery email keeps its recovery fields; a
+   * converted one is left alone. Nothing is stored for an address that
+   * opted out, and other sessions of the address still waiting for their
+   * email are superseded.
+   * @param {string} checkoutId - The checkout's order ID
+   * @param {Object} session - From buildCheckoutSession
+   * @returns {Promise<boolean>} - Whether the session is tracked
+   */
+  async trackCheckout(checkoutId, session) {
+    const ref = db.collection(SESSIONS_COLLECTION).doc(checkoutId);
+    const optOutRef = db.collection(OPT_OUTS_COLLECTION).doc(optOutId(session.email));
+    const now = new Date().toISOString();
+
+    const tracked = await db.runTransaction(async (transaction) => {
+      const [doc, optOut] = await Promise.all([transaction.get(ref), transaction.get(optOutRef)]);
+      if (optOut.exists) return false;
+      const existing = doc.exists ? doc.data() : null;
+      if (existing && !OPEN_STATUSES.includes(existing.status)) return false;
+
+      transaction.set(ref, {
+        ...session,
+        updatedAt: now,
+        ...(existing ? {} : {
+          status: RECOVERY_STATUS.PENDING,
+          createdAt: now,
+          remindAt: this.addMinutes(now, this.settings.delayMinutes),
+          sendAttempts: 0,
+          recoveryEmailSentAt: null
+        })
+      }, { merge: true });
+      return true;
+    });
+
+    if (tracked) {
+      await this.closeOpenSessions(session.email, { status: RECOVERY_STATUS.SUPERSEDED, supersededBy: checkoutId }, {
+        except: checkoutId,
+        statuses: [RECOVERY_STATUS.PENDING]
+      });
+    }
+    return tracked;
+  }
+
+  /**
+   * Stop recovery emails to the address of an opt-out link
+   * @returns {Promise<Object>} - { email }
+   */
+  async optOut(token) {
+    const verification = verifyOptOutToken(token);
+    if (!verification.valid) {
+      throw checkoutRecoveryError('Invalid unsubscribe link', verification.reason);
+    }
+
+    const { email } = verification;
+    await db.collection(OPT_OUTS_COLLECTION).doc(optOutId(email)).set({ optedOutAt: new Date().toISOString() });
+    await this.closeOpenSessions(email, { status: RECOVERY_STATUS.OPTED_OUT });
+    logger.info('Checkout recovery emails opted out for an address');
+    return { email };
+  }
+
+  /**
+   * Move a session out of the scheduled job's queue if it is still pending
+   * @returns {Promise<Object|null>} - The session, or null when another run took it
+   */
+  async claimSession(id, fields) {
+    const ref = db.collection(SESSIONS_COLLECTION).doc(id);
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists || doc.data().status !== RECOVERY_STATUS.PENDING || !doc.data().remindAt) return null;
+      transaction.update(ref, { ...fields, remindAt: FieldValue.delete(), updatedAt: new Date().toISOString() });
+      return { id, ...doc.data() };
+    });
+  }
+
+  /**
+   * Send the recovery emails that are due (run by the scheduled job)
+   * @returns {Promise<Object>} - { sent, expired, failed }
+   */
+  async sendDueRecoveryEmails(now = new Date()) {
+    const snapshot = await db.collection(SESSIONS_COLLECTION)
+      .where('remindAt', '<=', now.toISOString())
+      .orderBy('remindAt', 'asc')
+      .limit(SESSIONS_PER_RUN)
+      .get();
+
+    const result = { sent: 0, expired: 0, failed: 0 };
+    for (const doc of snapshot.docs) {
+      const action = planRecovery(doc.data(), now, this.settings);
+      if (action === 'expire') {
+        if (await this.claimSession(doc.id, { status: RECOVERY_STATUS.EXPIRED })) result.expired++;
+      } else if (action === 'send') {
+        const session = await this.claimSession(doc.id, {
+          status: RECOVERY_STATUS.EMAILED,
+          recoveryEmailSentAt: now.toISOString()
+        });
+        if (session) {
+          const sent = await this.sendRecoveryEmail(session, now);
+          result[sent ? 'sent' : 'failed']++;
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Email a claimed session; a failed send is queued again until MAX_SEND_ATTEMPTS
+   * @returns {Promise<boolean>} - Whether the email went out
+   */
+  async sendRecoveryEmail(session, now = new Date()) {
+    const ref = db.collection(SESSIONS_COLLECTION).doc(session.id);
+    const expiresAt = new Date(now.getTime() + this.settings.linkTtlDays * 24 * 60 * 60 * 1000);
+    const token = createResumeToken(session.id, expiresAt);
+    if (!token) {
+      logger.warn('CHECKOUT_RECOVERY_SECRET is not set; recovery emails are disabled');
+      await ref.update({ status: RECOVERY_STATUS.FAILED, failureReason: 'signing_disabled', recoveryEmailSentAt: null });
+      return false;
+    }
+
+    try {
+      const frontendUrl = process.env.FRONTEND_URL || 'https://aiwaverider.com';
+      const result = await emailService.sendCheckoutRecoveryEmail({
+        email: session.email,
+        checkoutId: session.id,
+        items: session.items,
+        currency: session.currency,
+        resumeUrl: `${frontendUrl}/checkout/resume?token=${encodeURIComponent(token)}`,
+        unsubscribeUrl: `${frontendUrl}/checkout/unsubscribe?token=${encodeURIComponent(createOptOutToken(session.email))}`
+      });
+      await ref.update({ recoveryMessageId: result.messageId || null, linkExpiresAt: expiresAt.toISOString() });
+      return true;
+    } catch (error) {
+      const attempts = (session.sendAttempts || 0) + 1;
+      logger.error(`Failed to send checkout recovery email for ${session.id} (attempt ${attempts}): ${error.message}`);
+      await ref.update(attempts < MAX_SEND_ATTEMPTS
+        ? {
+            status: RECOVERY_STATUS.PENDING,
+            sendAttempts: attempts,
+            recoveryEmailSentAt: null,
+            remindAt: this.addMinutes(now, this.settings.delayMinutes)
+          }
+        : { status: RECOVERY_STATUS.FAILED, sendAttempts: attempts, recoveryEmailSentAt: null, failureReason: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Open a checkout from the signed link of a recovery email
+   * The client restarts checkout with the returned checkoutId as its order ID
+   * so the order is attributed to the session.
+   * @returns {Promise<Object>} - { checkoutId, items, currency, couponCode, useCart, email }
+   */
+  async resumeCheckout(token) {
+    const verification = verifyResumeToken(token);
+    if (!verification.valid) {
+      throw checkoutRecoveryError(
+        verification.reason === 'expired' ? 'This checkout link has expired' : 'Invalid checkout link',
+        verification.reason
+      );
+    }
+
+    const ref = db.collection(SESSIONS_COLLECTION).doc(verification.checkoutId);
+    const doc = await ref.get();
+    if (!doc.exists) {
+      throw checkoutRecoveryError('Checkout not found', 'not_found');
+    }
+    const session = doc.data();
+    if (!OPEN_STATUSES.includes(session.status)) {
+      throw checkoutRecoveryError('This checkout was already completed', 'completed');
+    }
+
+    await ref.update({
+      ...(session.resumedAt ? {} : { resumedAt: new Date().toISOString() }),
+      resumeCount: FieldValue.increment(1)
+    });
+
+    return {
+      checkoutId: doc.id,
+      items: session.items,
+      currency: session.currency,
+      couponCode: session.couponCode,
+      useCart: !!session.fromCart,
+      email: session.email
+    };
+  }
+
+  /**
+   * Close the session of a paid order and attribute it to the recovery email
+   * Other open sessions of the same buyer are closed too, so they are not
+   * emailed about a purchase they already made.
+   * @param {Object} order - Order as created by OrderController.createOrder
+   * @returns {Promise<Object|null>} - Attribution, or null when the order had no session
+   */
+  async recordConversion(order) {
+    const ref = db.collection(SESSIONS_COLLECTION).doc(order.id);
+    const convertedAt = new Date().toISOString();
+
+    const attribution = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists || !OPEN_STATUSES.includes(doc.data().status)) return null;
+
+      const session = doc.data();
+      const result = attributeConversion(session, convertedAt, this.settings);
+      transaction.update(ref, {
+        status: RECOVERY_STATUS.CONVERTED,
+        convertedAt,
+        orderId: order.id,
+        orderTotal: order.total || 0,
+        orderCurrency: order.currency || session.currency,
+        attribution: result,
+        remindAt: FieldValue.delete(),
+        updatedAt: convertedAt
+      });
+      if (result.recovered) {
+        transaction.update(db.collection('orders').doc(order.id), {
+          attribution: {
+            source: 'checkout_recovery',
+            via: result.via,
+            checkoutId: order.id,
+            recoveryEmailSentAt: session.recoveryEmailSentAt
+          }
+        });
+      }
+      return result;
+    });
+
+    if (order.userEmail) {
+      await this.closeOpenSessions(order.userEmail, { status: RECOVERY_STATUS.SUPERSEDED, supersededBy: order.id }, { except: order.id });
+    }
+    if (attribution?.recovered) {
+      logger.info(`Order ${order.id} recovered by checkout recovery email (${attribution.via})`);
+    }
+    return attribution;
+  }
+
+  /**
+   * Close the sessions of an address that are still open
+   * @param {Object} fields - { status, ... } set on every closed session
+   * @param {Object} options - { except: session ID to keep, statuses: which open statuses to close }
+   */
+  async closeOpenSessions(email, fields, { except = null, statuses = OPEN_STATUSES } = {}) {
+    const normalized = String(email).trim().toLowerCase();
+    const snapshot = await db.collection(SESSIONS_COLLECTION).where('email', '==', normalized).get();
+    const open = snapshot.docs.filter(doc => doc.id !== except && statuses.includes(doc.data().status));
+    if (open.length === 0) return;
+
+    const batch = db.batch();
+    open.forEach(doc => batch.update(doc.ref, {
+      ...fields,
+      remindAt: FieldValue.delete(),
+      updatedAt: new Date().toISOString()
+    }));
+    await batch.commit();
+  }
+
+  /**
+   * Recovery results for emails sent in a range
+   * @returns {Promise<Object>} - summarizeRecovery totals
+   */
+  async getRecoveryStats({ from, to }) {
+    const snapshot = await db.collection(SESSIONS_COLLECTION)
+      .where('recoveryEmailSentAt', '>=', from)
+      .where('recoveryEmailSentAt', '<=', to)
+      .get();
+    return summarizeRecovery(snapshot.docs.map(doc => doc.data()));
+  }
+}
+
+// Export singleton instance
+module.exports = new CheckoutRecoveryService();
@@ -0,0 +1,235 @@
+/**
+ * Coupon Rules - Validation and discount calculation for promo codes
+ *
+ * Pure functions with no Firestore access; the coupon service loads the
+ * coupon and the customer's history and passes them in.
+ */
+
+const COUPON_TYPES = ['percentage', 'fixed'];
+
+// Reasons returned when a code cannot be applied; the checkout UI maps these to messages
+const REJECTION_REASONS = {
+  NOT_FOUND: 'not_found',
+  INACTIVE: 'inactive',
+  NOT_STARTED: 'not_started',
+  EXPIRED: 'expired',
+  USAGE_LIMIT_REACHED: 'usage_limit_reached',
+  USER_LIMIT_REACHED: 'user_limit_reached',
+  FIRST_PURCHASE_ONLY: 'first_purchase_only',
+  SIGN_IN_REQUIRED: 'sign_in_required',
+  NOT_APPLICABLE: 'not_applicable',
+  CURRENCY_MISMATCH: 'currency_mismatch',
+  MINIMUM_NOT_MET: 'minimum_not_met'
+};
+
+/**
+ * Error for coupon data rejected by validateCouponData
+ */
+function invalidCoupon(message) {
+  const error = new Error(message);
+  error.name = 'CouponValidationError';
+  return error;
+}
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Normalize a promo code for lookup (codes are case-insensitive)
+ * @param {string} code - Code as entered by the customer
+ * @returns {string|null} - Upper-case code or null when empty/invalid
+ */
+function normalizeCode(code) {
+  if (typeof code !== 'string') return null;
+  const normalized = code.trim().toUpperCase();
+  return /^[A-Z0-9_-]{3,40}$/.test(normalized) ? normalized : null;
+}
+
+/**
+ * Validate and normalize coupon data before saving
+ * @param {Object} data - Coupon fields from the admin request
+ * @returns {Object} - Normalized coupon fields
+ */
+function validateCouponData(data = {}) {
+  const code = normalizeCode(data.code);
+  if (!code) {
+    throw invalidCoupon('Coupon code must be 3-40 characters of letters, digits, "-" or "_"');
+  }
+  if (!COUPON_TYPES.includes(data.type)) {
+    throw invalidCoupon(`Coupon type must be one of: ${COUPON_TYPES.join(', ')}`);
+  }
+
+  const value = parseFloat(data.value);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw invalidCoupon('Coupon value must be a positive number');
+  }
+  if (data.type === 'percentage' && value > 100) {
+    throw invalidCoupon('Percentage coupons cannot exceed 100');
+  }
+
+  const optionalPositiveInt = (field) => {
+    if (data[field] === undefined || data[field] === null || data[field] === '') return null;
+    const parsed = parseInt(data[field], 10);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+      throw invalidCoupon(`${field} must be a positive integer`);
+    }
+    return parsed;
+  };
+
+  const optionalDate = (field) => {
+    if (!data[field]) return null;
+    const date = new Date(data[field]);
+    if (isNaN(date.getTime())) {
+      throw invalidCoupon(`${field} must be a valid date`);
+    }
+    return date.toISOString();
+  };
+
+  const startsAt = optionalDate('startsAt');
+  const expiresAt = optionalDate('expiresAt');
+  if (startsAt && expiresAt && startsAt >= expiresAt) {
+    throw invalidCoupon('expiresAt must be after startsAt');
+  }
+
+  return {
+    code,
+    type: data.type,
+    value: roundAmount(value),
+    // Fixed discounts only apply to orders in their own currency
+    currency: data.type === 'fixed' ? (data.currency || 'USD').toUpperCase() : null,
+    description: data.description || '',
+    agentIds: Array.isArray(data.agentIds) ? data.agentIds.filter(Boolean) : [],
+    maxRedemptions: optionalPositiveInt('maxRedemptions'),
+    perUserLimit: optionalPositiveInt('perUserLimit'),
+    minOrderAmount: data.minOrderAmount ? roundAmount(data.minOrderAmount) : null,
+    firstPurchaseOnly: data.firstPurchaseOnly === true,
+    startsAt,
+    expiresAt,
+    active: data.active !== false
+  };
+}
+
+function getItemId(item) {
+  return item.id || item.agentId || item.productId || null;
+}
+
+/**
+ * Check whether a coupon can be used for a checkout
+ * @param {Object} coupon - Stored coupon document (null when the code does not exist)
+ * @param {Object} context - { items, currency, userRedemptions, hasPreviousPurchase, now }
+ * @returns {Object} - { valid, reason }
+ */
+function checkCouponEligibility(coupon, context = {}) {
+  const now = context.now || new Date();
+  const reject = (reason) => ({ valid: false, reason });
+
+  if (!coupon) return reject(REJECTION_REASONS.NOT_FOUND);
+  if (coupon.active === false) return reject(REJECTION_REASONS.INACTIVE);
+  if (coupon.startsAt && new Date(coupon.startsAt) > now) return reject(REJECTION_REASONS.NOT_STARTED);
+  if (coupon.expiresAt && new Date(coupon.expiresAt) <= now) return reject(REJECTION_REASONS.EXPIRED);
+
+  if (coupon.maxRedemptions && (coupon.redemptionCount || 0) >= coupon.maxRedemptions) {
+    return reject(REJECTION_REASONS.USAGE_LIMIT_REACHED);
+  }
+  if (coupon.perUserLimit && (context.userRedemptions || 0) >= coupon.perUserLimit) {
+    return reject(REJECTION_REASONS.USER_LIMIT_REACHED);
+  }
+  if (coupon.firstPurchaseOnly && context.hasPreviousPurchase) {
+    return reject(REJECTION_REASONS.FIRST_PURCHASE_ONLY);
+  }
+
+  const currency = (context.currency || 'USD').toUpperCase();
+  if (coupon.type === 'fixed' && coupon.currency && coupon.currency !== currency) {
+    return reject(REJECTION_REASONS.CURRENCY_MISMATCH);
+  }
+
+  const items = context.items || [];
+  const eligible = getEligibleItems(coupon, items);
+  if (eligible.length === 0) return reject(REJECTION_REASONS.NOT_APPLICABLE);
+
+  if (coupon.minOrderAmount) {
+    const orderAmount = items.reduce((sum, item) => sum + (parseFloat(item.price) || 0) * (item.quantity || 1), 0);
+    if (orderAmount < coupon.minOrderAmount) return reject(REJECTION_REASONS.MINIMUM_NOT_MET);
+  }
+
+  return { valid: true, reason: null };
+}
+
+/**
+ * Items the coupon applies to: all items for catalog-wide codes, otherwise the listed agents
+ */
+function getEligibleItems(coupon, items) {
+  const agentIds = coupon.agentIds || [];
+  return items.filter(item => (parseFloat(item.price) || 0) > 0 &&
+    (agentIds.length === 0 || agentIds.includes(getItemId(item))));
+}
+
+/**
+ * Apply a coupon to line items
+ * Percentage codes discount every eligible line; fixed codes are spread
+ * over the eligible lines in proportion to their amount and never exceed it.
+ * Returned item prices are per unit after discount; originalPrice keeps the list price.
+ * @param {Object} coupon - Coupon document
+ * @param {Array<Object>} items - Items with price (per unit) and quantity
+ * @returns {Object} - { items, discountTotal, subtotal, lines: [{ id, discount }] }
+ */
+function applyCouponToItems(coupon, items = []) {
+  const eligible = new Set(getEligibleItems(coupon, items));
+  const lineAmount = item => roundAmount((parseFloat(item.price) || 0) * (item.quantity || 1));
+  const eligibleTotal = [...eligible].reduce((sum, item) => sum + lineAmount(item), 0);
+
+  const fixedDiscount = coupon.type === 'fixed' ? Math.min(coupon.value, eligibleTotal) : 0;
+  let fixedRemaining = roundAmount(fixedDiscount);
+  const eligibleItems = items.filter(item => eligible.has(item));
+
+  const lines = items.map(item => {
+    if (!eligible.has(item)) {
+      return { id: getItemId(item), discount: 0 };
+    }
+    let discount;
+    if (coupon.type === 'percentage') {
+      discount = roundAmount(lineAmount(item) * coupon.value / 100);
+    } else if (item === eligibleItems[eligibleItems.length - 1]) {
+      // Last eligible line takes the rounding remainder
+      discount = fixedRemaining;
+    } else {
+      discount = roundAmount(fixedDiscount * lineAmount(item) / eligibleTotal);
+      fixedRemaining = roundAmount(fixedRemaining - discount);
+    }
+    return { id: getItemId(item), discount: Math.min(discount, lineAmount(item)) };
+  });
+
+  const discountedItems = items.map((item, index) => {
+    const discount = lines[index].discount;
+    if (!discount) return item;
+    const quantity = item.quantity || 1;
+    return {
+      ...item,
+      originalPrice: parseFloat(item.price) || 0,
+      price: roundAmount((lineAmount(item) - discount) / quantity),
+      discountAmount: discount,
+      couponCode: coupon.code
+    };
+  });
+
+  const discountTotal = roundAmount(lines.reduce((sum, line) => sum + line.discount, 0));
+  const originalSubtotal = roundAmount(items.reduce((sum, item) => sum + lineAmount(item), 0));
+
+  return {
+    items: discountedItems,
+    lines,
+    discountTotal,
+    originalSubtotal,
+    subtotal: roundAmount(originalSubtotal - discountTotal)
+  };
+}
+
+module.exports = {
+  COUPON_TYPES,
+  REJECTION_REASONS,
+  normalizeCode,
+  validateCouponData,
+  checkCouponEligibility,
+  applyCouponToItems
+};
@@ -0,0 +1,292 @@
+/**
+ * Coupon Service - Promo codes for agent checkout
+ *
+ * Coupons are stored by code in the `coupons` collection. Each paid order
+ * that used a code gets one document in `couponRedemptions`; the counters
+ * on the coupon are updated in the same transaction so usage caps hold.
+ */
+
+const admin = require('firebase-admin');
+const logger = require('../../utils/logger');
+const {
+  REJECTION_REASONS,
+  normalizeCode,
+  validateCouponData,
+  checkCouponEligibility,
+  applyCouponToItems
+} = require('./couponRules');
+
+// Initialize Firestore
+const db = admin.firestore();
+
+const COUPONS_COLLECTION = 'coupons';
+const REDEMPTIONS_COLLECTION = 'couponRedemptions';
+
+class CouponService {
+  /**
+   * Create a coupon
+   * @param {Object} data - Coupon fields
+   * @param {string} createdBy - Admin user ID
+   * @returns {Promise<Object>} - The stored coupon
+   */
+  async createCoupon(data, createdBy = null) {
+    const fields = validateCouponData(data);
+    const ref = db.collection(COUPONS_COLLECTION).doc(fields.code);
+    const now = new Date().toISOString();
+
+    const coupon = {
+      ...fields,
+      redemptionCount: 0,
+      totalDiscount: 0,
+      createdBy,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    // create() fails if the code already exists
+    await ref.create(coupon);
+    logger.info(`Created coupon ${coupon.code}`, { type: coupon.type, value: coupon.value, createdBy });
+    return coupon;
+  }
+
+  /**
+   * Update a coupon's rules; the code and redemption counters cannot be changed
+   */
+  async updateCoupon(code, data) {
+    const normalized = normalizeCode(code);
+    const ref = db.collection(COUPONS_COLLECTION).doc(normalized || '_');
+    const doc = await ref.get();
+    if (!normalized || !doc.exists) {
+      throw new Error(`Coupon not found: ${code}`);
+    }
+
+    const current = doc.data();
+    const fields = validateCouponData({ ...current, ...data, code: normalized });
+    const updated = { ...fields, updatedAt: new Date().toISOString() };
+
+    await ref.update(updated);
+    return { ...current, ...updated };
+  }
+
+  async getCoupon(code) {
+    const normalized = normalizeCode(code);
+    if (!normalized) return null;
+    const doc = await db.collection(COUPONS_COLLECTION).doc(normalized).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  async listCoupons({ active } = {}) {
+    let query = db.collection(COUPONS_COLLECTION);
+    if (active !== undefined) {
+      query = query.where('active', '==', active);
+    }
+    const snapshot = await query.get();
+    return snapshot.docs
+      .map(doc => doc.data())
+      .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+  }
+
+  /**
+   * Count redemptions of a code by a customer, matching the user ID or the email
+   */
+  async countUserRedemptions(code, { userId, email }) {
+    const lookups = [];
+    if (userId) lookups.push(['userId', userId]);
+    if (email) lookups.push(['email', email.toLowerCase()]);
+    if (lookups.length === 0) return 0;
+
+    const snapshots = await Promise.all(lookups.map(([field, value]) => db.collection(REDEMPTIONS_COLLECTION)
+      .where('code', '==', code)
+      .where(field, '==', value)
+      .get()));
+    return new Set(snapshots.flatMap(snapshot => snapshot.docs.map(doc => doc.id))).size;
+  }
+
+  /**
+   * Whether the customer already has a completed order under the user ID or the email
+   */
+  async hasPreviousPurchase({ userId, email }) {
+    const queries = [];
+    if (userId) queries.push(db.collection('orders').where('userId', '==', userId));
+    if (email) queries.push(db.collection('orders').where('userEmail', '==', email));
+
+    const snapshots = await Promise.all(queries.map(query => query.where('status', '==', 'completed').limit(1).get()));
+    return snapshots.some(snapshot => !snapshot.empty);
+  }
+
+  /**
+   * Validate a promo code against a checkout and compute the discount
+   * Per-user limited and first-purchase codes need a signed-in customer;
+   * userId and email must come from the verified token, not the request body.
+   * @param {Object} params - { code, items, currency, userId, email }
+   * @returns {Promise<Object>} - { valid, reason, code, discountTotal, items, coupon }
+   */
+  async validateCoupon({ code, items = [], currency = 'USD', userId = null, email = null }) {
+    const normalized = normalizeCode(code);
+    const coupon = normalized ? await this.getCoupon(normalized) : null;
+
+    if (!coupon) {
+      return { valid: false, reason: REJECTION_REASONS.NOT_FOUND, code: normalized };
+    }
+    if ((coupon.perUserLimit || coupon.firstPurchaseOnly) && !userId) {
+      return { valid: false, reason: REJECTION_REASONS.SIGN_IN_REQUIRED, code: coupon.code };
+    }
+
+    const [userRedemptions, hasPreviousPurchase] = await Promise.all([
+      coupon.perUserLimit ? this.countUserRedemptions(coupon.code, { userId, email }) : 0,
+      coupon.firstPurchaseOnly ? this.hasPreviousPurchase({ userId, email }) : false
+    ]);
+
+    const eligibility = checkCouponEligibility(coupon, { items, currency, userRedemptions, hasPreviousPurchase });
+    if (!eligibility.valid) {
+      return { valid: false, reason: eligibility.reason, code: coupon.code };
+    }
+
+    const applied = applyCouponToItems(coupon, items);
+    return {
+      valid: true,
+      reason: null,
+      code: coupon.code,
+      type: coupon.type,
+      value: coupon.value,
+      discountTotal: applied.discountTotal,
+      originalSubtotal: applied.originalSubtotal,
+      subtotal: applied.subtotal,
+      items: applied.items
+    };
+  }
+
+  /**
+   * Record a redemption for a paid order
+   * Idempotent per order; the usage cap is re-checked inside the transaction
+   * but a paid order is always recorded (overruns are logged).
+   * @param {Object} params - { code, orderId, userId, email, discountTotal, currency, invoiceId }
+   * @returns {Promise<Object>} - { recorded, duplicate, overCap }
+   */
+  async redeemCoupon({ code, orderId, userId = null, email = null, discountTotal = 0, currency = 'USD', invoiceId = null }) {
+    const normalized = normalizeCode(code);
+    if (!normalized || !orderId) {
+      throw new Error('Coupon code and order ID are required to record a redemption');
+    }
+
+    const couponRef = db.collection(COUPONS_COLLECTION).doc(normalized);
+    const redemptionRef = db.collection(REDEMPTIONS_COLLECTION).doc(`${normalized}_${orderId}`);
+
+    const result = await db.runTransaction(async (transaction) => {
+      const [couponDoc, redemptionDoc] = await Promise.all([
+        transaction.get(couponRef),
+        transaction.get(redemptionRef)
+      ]);
+
+      if (redemptionDoc.exists) {
+        return { recorded: false, duplicate: true, overCap: false };
+      }
+      if (!couponDoc.exists) {
+        throw new Error(`Coupon not found: ${normalized}`);
+      }
+
+      const coupon = couponDoc.data();
+      const overCap = !!coupon.maxRedemptions && (coupon.redemptionCount || 0) >= coupon.maxRedemptions;
+      const now = new Date().toISOString();
+
+      transaction.set(redemptionRef, {
+        code: normalized,
+        orderId,
+        invoiceId,
+        userId,
+        email: email ? email.toLowerCase() : null,
+        discountTotal,
+        currency,
+        redeemedAt: now
+      });
+      transaction.update(couponRef, {
+        redemptionCount: admin.firestore.FieldValue.increment(1),
+        totalDiscount: admin.firestore.FieldValue.increment(discountTotal),
+        lastRedeemedAt: now,
+        updatedAt: now
+      });
+
+      return { recorded: true, duplicate: false, overCap };
+    });
+
+    if (result.overCap) {
+      logger.warn(`Coupon ${normalized} redeemed beyond its usage cap by order ${orderId}`);
+    }
+    return result;
+  }
+
+  /**
+   * Redemption statistics for admins
+   * @param {string} code - Optional code; all coupons when omitted
+   * @returns {Promise<Object>} - Per-coupon redemption counts, discount totals and unique customers
+   */
+  async getRedemptionStats(code = null) {
+    const normalized = code ? normalizeCode(code) : null;
+    let query = db.collection(REDEMPTIONS_COLLECTION);
+    if (normalized) {
+      query = query.where('code', '==', normalized);
+    }
+
+    const [redemptionSnapshot, coupons] = await Promise.all([
+      query.get(),
+      normalized ? this.getCoupon(normalized).then(coupon => (coupon ? [coupon] : [])) : this.listCoupons()
+    ]);
+
+    const stats = {};
+    coupons.forEach(coupon => {
+      stats[coupon.code] = {
+        code: coupon.code,
+        type: coupon.type,
+        value: coupon.value,
+        active: coupon.active,
+        expiresAt: coupon.expiresAt || null,
+        maxRedemptions: coupon.maxRedemptions || null,
+        redemptions: 0,
+        discountByCurrency: {},
+        customers: new Set(),
+        lastRedeemedAt: null
+      };
+    });
+
+    redemptionSnapshot.forEach(doc => {
+      const redemption = doc.data();
+      const entry = stats[redemption.code];
+      if (!entry) return;
+      entry.redemptions++;
+      const currency = redemption.currency || 'USD';
+      entry.discountByCurrency[currency] = Math.round(((entry.discountByCurrency[currency] || 0) + (redemption.discountTotal || 0)) * 100) / 100;
+      entry.customers.add(redemption.userId || redemption.email || doc.id);
+      if (!entry.lastRedeemedAt || redemption.redeemedAt > entry.lastRedeemedAt) {
+        entry.lastRedeemedAt = redemption.redeemedAt;
+      }
+    });
+
+    const entries = Object.values(stats).map(({ customers, ...entry }) => ({
+      ...entry,
+      uniqueCustomers: customers.size,
+      remaining: entry.maxRedemptions ? Math.max(0, entry.maxRedemptions - entry.redemptions) : null
+    })).sort((a, b) => b.redemptions - a.redemptions);
+
+    return {
+      totalRedemptions: entries.reduce((sum, entry) => sum + entry.redemptions, 0),
+      coupons: entries
+    };
+  }
+
+  /**
+   * List redemptions of a code, newest first
+   */
+  async getRedemptions(code, limit = 50) {
+    const normalized = normalizeCode(code);
+    if (!normalized) return [];
+    const snapshot = await db.collection(REDEMPTIONS_COLLECTION)
+      .where('code', '==', normalized)
+      .get();
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => (b.redeemedAt || '').localeCompare(a.redeemedAt || ''))
+      .slice(0, limit);
+  }
+}
+
+module.exports = new CouponService();
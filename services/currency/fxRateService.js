@@ -0,0 +1,88 @@
+/**
+ * FX Rate Service - Admin-maintained exchange rate tables
+ *
+ * Each document in `fx_rates` is one rate table with an effective date.
+ * Tables are never edited in place: a new table takes over from its
+ * effectiveFrom, and older tables stay so past invoices keep converting at
+ * the rate of their own time. Only tables that are not yet in force can be
+ * deleted. The full list is small and cached in Redis.
+ */
+
+const admin = require('firebase-admin');
+const logger = require('../../utils/logger');
+const { getCache, setCache, deleteCache } = require('../../utils/cache');
+const { selectRateTable, resolveCurrencyPrice } = require('./fxRates');
+
+// Initialize Firestore
+const db = admin.firestore();
+
+const FX_RATES_COLLECTION = 'fx_rates';
+const TABLES_CACHE_KEY = 'fx:rate_tables';
+const TABLES_CACHE_TTL = 10 * 60;
+
+class FxRateService {
+  /**
+   * All rate tables, newest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async getRateTables() {
+    const cached = await getCache(TABLES_CACHE_KEY);
+    if (cached) return cached;
+
+    const snapshot = await db.collection(FX_RATES_COLLECTION).orderBy('effectiveFrom', 'desc').get();
+    const tables = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    await setCache(TABLES_CACHE_KEY, tables, TABLES_CACHE_TTL);
+    return tables;
+  }
+
+  /**
+   * Rate table in force at a moment
+   * @returns {Promise<Object|null>}
+   */
+  async getRateTableAt(at = new Date()) {
+    return selectRateTable(await this.getRateTables(), at);
+  }
+
+  /**
+   * Store a rate table validated with validateRateTable
+   * @param {Object} table - { base, effectiveFrom, rates, note }
+   * @param {string} createdBy - Admin user ID
+   */
+  async createRateTable(table, createdBy = null) {
+    const ref = db.collection(FX_RATES_COLLECTION).doc();
+    const stored = { ...table, createdBy, createdAt: new Date().toISOString() };
+    await ref.set(stored);
+    await deleteCache(TABLES_CACHE_KEY);
+    logger.info(`FX rate table ${ref.id} stored, effective from ${table.effectiveFrom}`);
+    return { id: ref.id, ...stored };
+  }
+
+  /**
+   * Delete a rate table that has not taken effect yet
+   * @returns {Promise<Object>} - { deleted, reason } (reason: not_found | already_effective)
+   */
+  async deleteRateTable(id, now = new Date()) {
+    const ref = db.collection(FX_RATES_COLLECTION).doc(id);
+    const doc = await ref.get();
+    if (!doc.exists) {
+      return { deleted: false, reason: 'not_found' };
+    }
+    if (new Date(doc.data().effectiveFrom).getTime() <= now.getTime()) {
+      return { deleted: false, reason: 'already_effective' };
+    }
+
+    await ref.delete();
+    await deleteCache(TABLES_CACHE_KEY);
+    return { deleted: true, reason: null };
+  }
+
+  /**
+   * Express a price in another currency with the current rates
+   * @returns {Promise<Object|null>} - See resolveCurrencyPrice
+   */
+  async priceInCurrency(price, currency) {
+    return resolveCurrencyPrice(price, currency, await this.getRateTableAt());
+  }
+}
+
+module.exports = new FxRateService();
@@ -0,0 +1,227 @@
+/**
+ * FX Rates - Currency conversion against admin-maintained rate tables
+ *
+ * A rate table lists, for one effective date, how many units of each
+ * currency buy one unit of the base currency ({ EUR: 0.92, GBP: 0.79 }).
+ * The table in force at a moment is the latest one whose effectiveFrom is
+ * not after it, so historic amounts convert at the rate of their own time.
+ * Pure functions; the FX rate service loads the tables and passes them in.
+ */
+
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * @returns {string|null} - Upper-case ISO 4217 code, or null when malformed
+ */
+function normalizeCurrency(code) {
+  if (typeof code !== 'string') return null;
+  const normalized = code.trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(normalized) ? normalized : null;
+}
+
+/**
+ * Validate a rate table from an admin request
+ * @param {Object} input - { effectiveFrom, rates, base, note }
+ * @returns {Object} - { valid, errors, table }
+ */
+function validateRateTable(input = {}) {
+  const errors = [];
+  const base = input.base === undefined ? BASE_CURRENCY : normalizeCurrency(input.base);
+  if (base !== BASE_CURRENCY) {
+    errors.push(`base must be ${BASE_CURRENCY}`);
+  }
+
+  const effectiveFrom = new Date(input.effectiveFrom || Date.now());
+  if (Number.isNaN(effectiveFrom.getTime())) {
+    errors.push('effectiveFrom must be a valid date');
+  }
+
+  const rates = {};
+  if (!input.rates || typeof input.rates !== 'object' || Array.isArray(input.rates)) {
+    errors.push('rates must be an object of currency codes to rates');
+  } else {
+    Object.entries(input.rates).forEach(([code, value]) => {
+      const currency = normalizeCurrency(code);
+      const rate = Number(value);
+      if (!currency) {
+        errors.push(`${code} is not a currency code`);
+      } else if (currency === BASE_CURRENCY) {
+        errors.push(`rates must not include the base currency ${BASE_CURRENCY}`);
+      } else if (!Number.isFinite(rate) || rate <= 0) {
+        errors.push(`rate for ${currency} must be a positive number`);
+      } else {
+        rates[currency] = rate;
+      }
+    });
+    if (errors.length === 0 && Object.keys(rates).length === 0) {
+      errors.push('rates must list at least one currency');
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    table: errors.length === 0
+      ? { base: BASE_CURRENCY, effectiveFrom: effectiveFrom.toISOString(), rates, note: input.note || '' }
+      : null
+  };
+}
+
+/**
+ * Rate table in force at a moment
+ * @param {Array<Object>} tables - Rate tables in any order
+ * @param {Date|string} at - Moment to look up (defaults to now)
+ * @returns {Object|null}
+ */
+function selectRateTable(tables = [], at = new Date()) {
+  const time = new Date(at).getTime();
+  return tables.reduce((current, table) => {
+    const from = new Date(table.effectiveFrom).getTime();
+    if (from > time) return current;
+    return !current || from > new Date(current.effectiveFrom).getTime() ? table : current;
+  }, null);
+}
+
+/**
+ * Units of `to` per unit of `from` under a rate table
+ * @returns {number|null} - null when either currency is missing from the table
+ */
+function getCrossRate(from, to, table) {
+  if (from === to) return 1;
+  if (!table) return null;
+  const rateOf = currency => (currency === table.base ? 1 : table.rates?.[currency]);
+  const fromRate = rateOf(from);
+  const toRate = rateOf(to);
+  return fromRate && toRate ? toRate / fromRate : null;
+}
+
+/**
+ * Convert an amount between currencies
+ * @returns {number|null} - Rounded amount, or null when no rate is known
+ */
+function convertAmount(amount, from, to, table) {
+  const rate = getCrossRate(normalizeCurrency(from) || BASE_CURRENCY, normalizeCurrency(to) || BASE_CURRENCY, table);
+  return rate === null ? null : roundAmount(amount * rate);
+}
+
+/**
+ * Validate per-currency price overrides for an agent
+ * @param {Object|null} overrides - { EUR: { basePrice, discountedPrice } }
+ * @param {string} priceCurrency - Currency of the agent's main price
+ * @returns {Object} - { valid, errors, overrides }
+ */
+function validateCurrencyOverrides(overrides, priceCurrency = BASE_CURRENCY) {
+  if (overrides === null) {
+    return { valid: true, errors: [], overrides: {} };
+  }
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return { valid: false, errors: ['currencyOverrides must be an object keyed by currency code'], overrides: null };
+  }
+
+  const errors = [];
+  const normalized = {};
+  Object.entries(overrides).forEach(([code, value]) => {
+    const currency = normalizeCurrency(code);
+    if (!currency) {
+      errors.push(`${code} is not a currency code`);
+      return;
+    }
+    if (currency === normalizeCurrency(priceCurrency)) {
+      errors.push(`${currency} is the agent's own price currency`);
+      return;
+    }
+    const basePrice = Number(value?.basePrice);
+    if (!Number.isFinite(basePrice) || basePrice < 0) {
+      errors.push(`${currency}.basePrice must be a non-negative number`);
+      return;
+    }
+    const hasDiscount = value.discountedPrice !== undefined && value.discountedPrice !== null;
+    const discountedPrice = hasDiscount ? Number(value.discountedPrice) : basePrice;
+    if (!Number.isFinite(discountedPrice) || discountedPrice < 0 || discountedPrice > basePrice) {
+      errors.push(`${currency}.discountedPrice must be between 0 and basePrice`);
+      return;
+    }
+    normalized[currency] = { basePrice: roundAmount(basePrice), discountedPrice: roundAmount(discountedPrice) };
+  });
+
+  return { valid: errors.length === 0, errors, overrides: errors.length === 0 ? normalized : null };
+}
+
+/**
+ * Express a price in another currency
+ * A per-currency override wins over conversion; otherwise amounts are
+ * converted with the rate table in force.
+ * @param {Object} price - Price data ({ currency, basePrice, finalPrice, discountedPrice, discount, currencyOverrides })
+ * @param {string} currency - Requested currency
+ * @param {Object|null} table - Current rate table
+ * @returns {Object|null} - Price in the requested currency with an fx block, or null when it cannot be expressed
+ */
+function resolveCurrencyPrice(price, currency, table) {
+  const from = normalizeCurrency(price.currency) || BASE_CURRENCY;
+  const to = normalizeCurrency(currency);
+  if (!to) return null;
+  if (to === from) return { ...price, currency: from };
+
+  const source = {
+    currency: from,
+    basePrice: price.basePrice,
+    finalPrice: price.finalPrice ?? price.discountedPrice ?? price.basePrice
+  };
+
+  const override = price.currencyOverrides?.[to];
+  if (override) {
+    return {
+      ...price,
+      currency: to,
+      basePrice: override.basePrice,
+      discountedPrice: override.discountedPrice,
+      finalPrice: override.discountedPrice,
+      discount: null,
+      fx: { source: 'override', rate: null, effectiveFrom: null, original: source }
+    };
+  }
+
+  const rate = getCrossRate(from, to, table);
+  if (rate === null) return null;
+  const convert = value => (typeof value === 'number' ? roundAmount(value * rate) : value);
+
+  return {
+    ...price,
+    currency: to,
+    basePrice: convert(price.basePrice),
+    discountedPrice: convert(price.discountedPrice),
+    finalPrice: convert(price.finalPrice),
+    discount: price.discount ? { ...price.discount, amount: convert(price.discount.amount) } : price.discount,
+    fx: { source: 'rate', rate: Math.round(rate * 1e6) / 1e6, effectiveFrom: table.effectiveFrom, original: source }
+  };
+}
+
+/**
+ * Convert a dated amount to the base currency with the rate of its own time
+ * @param {number} amount - Amount in `currency`
+ * @param {string} currency - Currency of the amount
+ * @param {Date|string} at - When the amount was booked
+ * @param {Array<Object>} tables - All rate tables
+ * @returns {number|null}
+ */
+function toBaseCurrency(amount, currency, at, tables) {
+  const from = normalizeCurrency(currency) || BASE_CURRENCY;
+  if (from === BASE_CURRENCY) return roundAmount(amount);
+  return convertAmount(amount, from, BASE_CURRENCY, selectRateTable(tables, at));
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  normalizeCurrency,
+  validateRateTable,
+  selectRateTable,
+  getCrossRate,
+  convertAmount,
+  validateCurrencyOverrides,
+  resolveCurrencyPrice,
+  toBaseCurrency
+};
@@ -546,6 +546,24 @@ exports.sendAgentPurchaseEmail = async (purchaseData) => {
       }
     }
 
+    // Attach the invoice PDF when an invoice exists for this order
+    if (purchaseData.invoiceId) {
+      try {
+        const invoiceService = require('../invoice/invoiceService');
+        const invoicePdf = await invoiceService.generateInvoicePDF(purchaseData.invoiceId);
+        
+        mailOptions.attachments.push({
+          filename: invoicePdf.filename,
+          content: invoicePdf.pdf,
+          contentType: invoicePdf.contentType
+        });
+        logger.info(`Attached invoice PDF ${invoicePdf.filename} for order ${purchaseData.orderId}`);
+      } catch (invoiceErr) {
+        // The purchase email must still go out even if the invoice cannot be rendered
+        logger.warn(`Failed to attach invoice PDF for invoice ${purchaseData.invoiceId}:`, invoiceErr.message);
+      }
+    }
+
     // Always attach README/Setup guide if available and not SEPA
     try {
       if (!purchaseData.isSepaPayment) {
@@ -699,6 +717,81 @@ exports.sendRefundNotification = async (refundData) => {
   }
 };
 
+/**
+ * Send an abandoned checkout recovery email with a link that resumes the checkout
+ * @param {Object} recoveryData - { email, checkoutId, items, currency, resumeUrl, unsubscribeUrl }
+ * @returns {Promise<Object>} - Email send result
+ */
+exports.sendCheckoutRecoveryEmail = async (recoveryData) => {
+  try {
+    const { email, checkoutId, items = [], currency, resumeUrl, unsubscribeUrl } = recoveryData;
+
+    if (!email || !resumeUrl) {
+      throw new Error('Email and resume URL are required for a checkout recovery email');
+    }
+
+    const escape = value => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    const lines = items.map(item => ({
+      title: item.title || 'AI Agent',
+      price: (Number(item.price) || 0).toFixed(2),
+      quantity: item.quantity || 1
+    }));
+    const subject = lines.length === 1
+      ? `You left ${lines[0].title} in your cart`
+      : 'You left something in your cart';
+
+    // Try to use a checkout recovery template if it exists, otherwise use inline HTML
+    let html;
+    try {
+      const template = await getCompiledTemplate('checkout_recovery');
+      html = template({
+        items: lines,
+        currency: currency || 'USD',
+        resumeUrl,
+        unsubscribeUrl,
+        websiteUrl: config.websiteUrl,
+        supportEmail: config.supportEmail,
+        currentYear: new Date().getFullYear()
+      });
+    } catch (templateError) {
+      // Fallback to inline HTML if template doesn't exist
+      html = `
+        <div style="font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
+          <h2>Your checkout is waiting</h2>
+          <p>You were about to get:</p>
+          <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+            ${lines.map(line => `<p><strong>${escape(line.title)}</strong>${line.quantity > 1 ? ` &times; ${line.quantity}` : ''} - ${line.price} ${escape(currency || 'USD')}</p>`).join('')}
+          </div>
+          <p><a href="${escape(resumeUrl)}" style="background-color: #4a6cf7; color: #fff; padding: 12px 24px; border-radius: 5px; text-decoration: none;">Complete your purchase</a></p>
+          <p>If you have any questions, please contact us at ${config.supportEmail}.</p>
+          <hr>
+          <p style="font-size: 12px; color: #777;">
+            This is an automated message from AI Waverider.
+            ${unsubscribeUrl ? `<a href="${escape(unsubscribeUrl)}">Stop reminders about unfinished checkouts</a>.` : ''}
+          </p>
+        </div>
+      `;
+    }
+
+    const result = await sendEmail({
+      to: email,
+      subject,
+      html,
+      headers: {
+        'X-Checkout-ID': checkoutId,
+        'X-Checkout-Recovery': 'true',
+        ...(unsubscribeUrl ? { 'List-Unsubscribe': `<${unsubscribeUrl}>` } : {})
+      }
+    });
+
+    logger.info(`Checkout recovery email sent to ${email}`, { checkoutId, messageId: result.messageId });
+    return result;
+  } catch (error) {
+    logger.error(`Failed to send checkout recovery email:`, error);
+    throw error;
+  }
+};
+
 /**
  * Send a custom email without a template
  * @param {Object} emailData - Email content and recipient data
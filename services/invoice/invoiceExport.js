@@ -0,0 +1,363 @@
+/**
+ * Invoice Export - Accounting export formats
+ *
+ * Converts stored invoice documents (including credit notes) into the
+ * formats finance imports directly: a flat CSV, a DATEV-style booking
+ * CSV and UBL 2.1 XML e-invoices. Sandbox documents are never exported.
+ */
+
+const archiver = require('archiver');
+const { renderInvoicePDF, getInvoiceFilename } = require('./invoicePdf');
+const { isSandboxPayment } = require('../payment/providers/paymentProvider');
+
+const EXPORT_FORMATS = ['json', 'csv', 'datev', 'ubl'];
+
+// Ledger accounts used for the DATEV booking export (SKR03 defaults)
+const DATEV_ACCOUNTS = {
+  debtor: process.env.DATEV_DEBTOR_ACCOUNT || '1200',
+  revenue: process.env.DATEV_REVENUE_ACCOUNT || '8400'
+};
+
+/**
+ * Leave out documents of sandbox checkouts, which are not real bookings
+ */
+function excludeSandbox(invoices) {
+  return (invoices || []).filter(invoice => !isSandboxPayment(invoice));
+}
+
+function isCreditNote(invoice) {
+  return invoice.documentType === 'credit_note';
+}
+
+function toFixedAmount(value) {
+  return (Math.round((Number(value) || 0) * 100) / 100).toFixed(2);
+}
+
+function escapeCsvField(value, delimiter = ',') {
+  const str = value === null || value === undefined ? '' : String(value);
+  if (str.includes('"') || str.includes(delimiter) || str.includes('\n') || str.includes('\r')) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+function escapeXml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toIsoDate(dateStr) {
+  if (!dateStr) return '';
+  const date = new Date(dateStr);
+  return isNaN(date.getTime()) ? '' : date.toISOString().split('T')[0];
+}
+
+/**
+ * Convert invoices to a flat CSV file
+ * @param {Array<Object>} invoices - Invoice documents
+ * @returns {string} - CSV content
+ */
+function convertInvoicesToCSV(invoices) {
+  if (!invoices || invoices.length === 0) {
+    return 'No invoices found';
+  }
+
+  const headers = [
+    'Invoice Number',
+    'Invoice ID',
+    'Order ID',
+    'Customer Email',
+    'Customer Name',
+    'Status',
+    'Total Amount',
+    'Currency',
+    'Issue Date',
+    'Paid Date',
+    'Payment Method',
+    'Payment Processor',
+    'Document Type',
+    'Net Amount',
+    'VAT Rate',
+    'VAT Amount',
+    'Customer Country',
+    'Original Invoice Number'
+  ];
+
+  const rows = invoices.map(invoice => [
+    invoice.invoiceNumber || '',
+    invoice.id || '',
+    invoice.order?.id || '',
+    invoice.customer?.email || '',
+    invoice.customer?.name || '',
+    invoice.status || '',
+    toFixedAmount(invoice.totalAmount),
+    invoice.currency || '',
+    invoice.issueDate || '',
+    invoice.paidDate || '',
+    invoice.payment?.method || '',
+    invoice.payment?.processor || '',
+    invoice.documentType || 'invoice',
+    toFixedAmount(invoice.subtotal),
+    invoice.vatRate || 0,
+    toFixedAmount(invoice.vatAmount),
+    invoice.customer?.country || '',
+    invoice.originalInvoice?.invoiceNumber || ''
+  ]);
+
+  return [headers, ...rows]
+    .map(row => row.map(field => escapeCsvField(field)).join(','))
+    .join('\n');
+}
+
+/**
+ * Convert invoices to a DATEV-style booking batch (Buchungsstapel)
+ * One booking line per document: invoices debit the debtor account,
+ * credit notes credit it. Amounts use a decimal comma and are unsigned,
+ * the direction is carried by the Soll/Haben flag.
+ * @param {Array<Object>} invoices - Invoice documents
+ * @returns {string} - Semicolon separated booking CSV
+ */
+function convertInvoicesToDATEV(invoices) {
+  const headers = [
+    'Umsatz (ohne Soll/Haben-Kz)',
+    'Soll/Haben-Kennzeichen',
+    'WKZ Umsatz',
+    'Konto',
+    'Gegenkonto (ohne BU-Schlüssel)',
+    'BU-Schlüssel',
+    'Belegdatum',
+    'Belegfeld 1',
+    'Belegfeld 2',
+    'Buchungstext',
+    'EU-Land u. UStID',
+    'EU-Steuersatz'
+  ];
+
+  const rows = (invoices || []).map(invoice => {
+    const date = new Date(invoice.issueDate || invoice.createdAt);
+    const documentDate = isNaN(date.getTime())
+      ? ''
+      : `${String(date.getDate()).padStart(2, '0')}${String(date.getMonth() + 1).padStart(2, '0')}`;
+    const customer = invoice.customer || {};
+    const bookingText = `${isCreditNote(invoice) ? 'Gutschrift' : 'Rechnung'} ${customer.name || customer.email || ''}`.trim();
+
+    return [
+      toFixedAmount(Math.abs(invoice.totalAmount || 0)).replace('.', ','),
+      isCreditNote(invoice) ? 'H' : 'S',
+      invoice.currency || '',
+      DATEV_ACCOUNTS.debtor,
+      DATEV_ACCOUNTS.revenue,
+      '',
+      documentDate,
+      // DATEV limits Belegfeld 1 to 36 characters
+      (invoice.invoiceNumber || '').slice(0, 36),
+      (invoice.originalInvoice?.invoiceNumber || invoice.order?.id || '').slice(0, 12),
+      bookingText.slice(0, 60),
+      customer.vatId ? `${customer.vatId}` : '',
+      invoice.vatRate ? String(Math.round(invoice.vatRate * 10000) / 100).replace('.', ',') : ''
+    ];
+  });
+
+  // BOM so spreadsheet tools and DATEV import detect UTF-8 correctly
+  return '\uFEFF' + [headers, ...rows]
+    .map(row => row.map(field => escapeCsvField(field, ';')).join(';'))
+    .join('\r\n');
+}
+
+function ublCountry(country) {
+  if (!country || !/^[a-z]{2}$/i.test(country)) return '';
+  return `<cac:Country><cbc:IdentificationCode>${escapeXml(country.toUpperCase())}</cbc:IdentificationCode></cac:Country>`;
+}
+
+function ublParty(party = {}, taxId) {
+  return [
+    '<cac:Party>',
+    party.website ? `<cbc:WebsiteURI>${escapeXml(party.website)}</cbc:WebsiteURI>` : '',
+    `<cac:PartyName><cbc:Name>${escapeXml(party.name || party.email || 'Customer')}</cbc:Name></cac:PartyName>`,
+    '<cac:PostalAddress>',
+    party.address ? `<cbc:StreetName>${escapeXml(party.address)}</cbc:StreetName>` : '',
+    party.city ? `<cbc:CityName>${escapeXml(party.city)}</cbc:CityName>` : '',
+    party.postalCode ? `<cbc:PostalZone>${escapeXml(party.postalCode)}</cbc:PostalZone>` : '',
+    ublCountry(party.countryCode || party.country),
+    '</cac:PostalAddress>',
+    taxId
+      ? `<cac:PartyTaxScheme><cbc:CompanyID>${escapeXml(taxId)}</cbc:CompanyID><cac:TaxScheme><cbc:ID>VAT</cbc:ID></cac:TaxScheme></cac:PartyTaxScheme>`
+      : '',
+    `<cac:PartyLegalEntity><cbc:RegistrationName>${escapeXml(party.name || party.email || 'Customer')}</cbc:RegistrationName></cac:PartyLegalEntity>`,
+    party.email || party.phone
+      ? `<cac:Contact>${party.phone ? `<cbc:Telephone>${escapeXml(party.phone)}</cbc:Telephone>` : ''}${party.email ? `<cbc:ElectronicMail>${escapeXml(party.email)}</cbc:ElectronicMail>` : ''}</cac:Contact>`
+      : '',
+    '</cac:Party>'
+  ].join('');
+}
+
+function ublTaxCategory(invoice, tag = 'TaxCategory') {
+  const percent = Math.round((invoice.vatRate || 0) * 10000) / 100;
+  if (invoice.reverseCharge) {
+    // Exemption reasons belong on the document-level category only
+    const reason = tag === 'TaxCategory'
+      ? '<cbc:TaxExemptionReasonCode>VATEX-EU-AE</cbc:TaxExemptionReasonCode><cbc:TaxExemptionReason>Reverse charge</cbc:TaxExemptionReason>'
+      : '';
+    return `<cac:${tag}><cbc:ID>AE</cbc:ID><cbc:Percent>0</cbc:Percent>${reason}<cac:TaxScheme><cbc:ID>VAT</cbc:ID></cac:TaxScheme></cac:${tag}>`;
+  }
+  const categoryId = percent > 0 ? 'S' : 'Z';
+  return `<cac:${tag}><cbc:ID>${categoryId}</cbc:ID><cbc:Percent>${percent}</cbc:Percent><cac:TaxScheme><cbc:ID>VAT</cbc:ID></cac:TaxScheme></cac:${tag}>`;
+}
+
+/**
+ * Convert a single invoice or credit note to a UBL 2.1 XML document
+ * Credit notes become UBL CreditNote documents; all UBL amounts are
+ * positive because the document type carries the direction.
+ * @param {Object} invoice - Invoice document
+ * @returns {string} - UBL 2.1 XML
+ */
+function convertInvoiceToUBL(invoice) {
+  const creditNote = isCreditNote(invoice);
+  const root = creditNote ? 'CreditNote' : 'Invoice';
+  const currency = invoice.currency || 'USD';
+  const amount = value => `currencyID="${escapeXml(currency)}">${toFixedAmount(Math.abs(value || 0))}`;
+  const quantityTag = creditNote ? 'CreditedQuantity' : 'InvoicedQuantity';
+
+  const lines = (invoice.lineItems || []).map((item, index) => [
+    `<cac:${root}Line>`,
+    `<cbc:ID>${index + 1}</cbc:ID>`,
+    `<cbc:${quantityTag} unitCode="C62">${item.quantity || 1}</cbc:${quantityTag}>`,
+    `<cbc:LineExtensionAmount ${amount(item.totalPrice)}</cbc:LineExtensionAmount>`,
+    '<cac:Item>',
+    `<cbc:Name>${escapeXml(item.description || 'AI Agent Template')}</cbc:Name>`,
+    item.sku ? `<cac:SellersItemIdentification><cbc:ID>${escapeXml(item.sku)}</cbc:ID></cac:SellersItemIdentification>` : '',
+    ublTaxCategory(invoice, 'ClassifiedTaxCategory'),
+    '</cac:Item>',
+    `<cac:Price><cbc:PriceAmount ${amount(item.unitPrice)}</cbc:PriceAmount></cac:Price>`,
+    `</cac:${root}Line>`
+  ].join(''));
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<${root} xmlns="urn:oasis:names:specification:ubl:schema:xsd:${root}-2" xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2" xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2">`,
+    '<cbc:UBLVersionID>2.1</cbc:UBLVersionID>',
+    '<cbc:CustomizationID>urn:cen.eu:en16931:2017</cbc:CustomizationID>',
+    `<cbc:ID>${escapeXml(invoice.invoiceNumber)}</cbc:ID>`,
+    `<cbc:IssueDate>${toIsoDate(invoice.issueDate || invoice.createdAt)}</cbc:IssueDate>`,
+    !creditNote && invoice.dueDate ? `<cbc:DueDate>${toIsoDate(invoice.dueDate)}</cbc:DueDate>` : '',
+    creditNote ? '<cbc:CreditNoteTypeCode>381</cbc:CreditNoteTypeCode>' : '<cbc:InvoiceTypeCode>380</cbc:InvoiceTypeCode>',
+    `<cbc:DocumentCurrencyCode>${escapeXml(currency)}</cbc:DocumentCurrencyCode>`,
+    invoice.order?.id ? `<cac:OrderReference><cbc:ID>${escapeXml(invoice.order.id)}</cbc:ID></cac:OrderReference>` : '',
+    creditNote && invoice.originalInvoice
+      ? `<cac:BillingReference><cac:InvoiceDocumentReference><cbc:ID>${escapeXml(invoice.originalInvoice.invoiceNumber)}</cbc:ID>${invoice.originalInvoice.issueDate ? `<cbc:IssueDate>${toIsoDate(invoice.originalInvoice.issueDate)}</cbc:IssueDate>` : ''}</cac:InvoiceDocumentReference></cac:BillingReference>`
+      : '',
+    `<cac:AccountingSupplierParty>${ublParty(invoice.company, invoice.company?.taxId)}</cac:AccountingSupplierParty>`,
+    `<cac:AccountingCustomerParty>${ublParty(invoice.customer, invoice.customer?.vatId)}</cac:AccountingCustomerParty>`,
+    invoice.payment?.transactionId
+      ? `<cac:PaymentMeans><cbc:PaymentMeansCode>48</cbc:PaymentMeansCode><cbc:PaymentID>${escapeXml(invoice.payment.transactionId)}</cbc:PaymentID></cac:PaymentMeans>`
+      : '',
+    '<cac:TaxTotal>',
+    `<cbc:TaxAmount ${amount(invoice.vatAmount)}</cbc:TaxAmount>`,
+    '<cac:TaxSubtotal>',
+    `<cbc:TaxableAmount ${amount(invoice.subtotal)}</cbc:TaxableAmount>`,
+    `<cbc:TaxAmount ${amount(invoice.vatAmount)}</cbc:TaxAmount>`,
+    ublTaxCategory(invoice),
+    '</cac:TaxSubtotal>',
+    '</cac:TaxTotal>',
+    '<cac:LegalMonetaryTotal>',
+    `<cbc:LineExtensionAmount ${amount(invoice.subtotal)}</cbc:LineExtensionAmount>`,
+    `<cbc:TaxExclusiveAmount ${amount(invoice.subtotal)}</cbc:TaxExclusiveAmount>`,
+    `<cbc:TaxInclusiveAmount ${amount(invoice.totalAmount)}</cbc:TaxInclusiveAmount>`,
+    !creditNote && invoice.status === 'paid' ? `<cbc:PrepaidAmount ${amount(invoice.paidAmount ?? invoice.totalAmount)}</cbc:PrepaidAmount>` : '',
+    `<cbc:PayableAmount ${amount(!creditNote && invoice.status === 'paid' ? 0 : invoice.totalAmount)}</cbc:PayableAmount>`,
+    '</cac:LegalMonetaryTotal>',
+    ...lines,
+    `</${root}>`
+  ];
+
+  return xml.filter(Boolean).join('\n');
+}
+
+/**
+ * Build the files that make up an export
+ * @param {Array<Object>} invoices - Invoice documents
+ * @param {string} format - One of csv, datev, ubl
+ * @returns {Array<Object>} - { name, content, contentType }
+ */
+function buildExportFiles(invoices, format) {
+  const date = new Date().toISOString().split('T')[0];
+  const documents = excludeSandbox(invoices);
+
+  switch (format) {
+    case 'csv':
+      return [{ name: `invoices-${date}.csv`, content: convertInvoicesToCSV(documents), contentType: 'text/csv' }];
+    case 'datev':
+      return [{ name: `invoices-datev-${date}.csv`, content: convertInvoicesToDATEV(documents), contentType: 'text/csv; charset=utf-8' }];
+    case 'ubl':
+      return documents.map(invoice => ({
+        name: `${getInvoiceFilename(invoice).replace(/\.pdf$/, '')}.xml`,
+        content: convertInvoiceToUBL(invoice),
+        contentType: 'application/xml'
+      }));
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+/**
+ * Stream an export as a ZIP archive
+ * @param {Array<Object>} invoices - Invoice documents
+ * @param {string} format - One of csv, datev, ubl
+ * @param {stream.Writable} output - Destination stream (e.g. the HTTP response)
+ * @param {Object} options - { includePdf }
+ * @returns {Promise<void>} - Resolves when the archive has been finalised
+ */
+async function streamExportZip(invoices, format, output, options = {}) {
+  const documents = excludeSandbox(invoices);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  let archiveError = null;
+  const finished = new Promise((resolve, reject) => {
+    archive.on('error', (error) => {
+      archiveError = error;
+      reject(error);
+    });
+    output.on('close', resolve);
+    output.on('finish', resolve);
+  });
+  // Awaited once the archive is finalised; an earlier error stops the build below
+  finished.catch(() => {});
+
+  try {
+    archive.pipe(output);
+
+    buildExportFiles(documents, format).forEach(file => {
+      archive.append(file.content, { name: file.name });
+    });
+
+    if (options.includePdf) {
+      // Render sequentially to keep memory bounded on large exports
+      for (const invoice of documents) {
+        if (archiveError) throw archiveError;
+        const pdf = await renderInvoicePDF(invoice);
+        archive.append(pdf, { name: `pdf/${getInvoiceFilename(invoice)}` });
+      }
+    }
+
+    if (archiveError) throw archiveError;
+    await archive.finalize();
+    await finished;
+  } catch (error) {
+    archive.abort();
+    output.destroy();
+    throw error;
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  excludeSandbox,
+  convertInvoicesToCSV,
+  convertInvoicesToDATEV,
+  convertInvoiceToUBL,
+  buildExportFiles,
+  streamExportZip
+};
@@ -0,0 +1,224 @@
+/**
+ * Invoice Numbering - Gapless per-fiscal-year sequences
+ *
+ * Invoice and credit note numbers come from a counter document per series
+ * and fiscal year. The counter is incremented inside the same Firestore
+ * transaction that writes the invoice, so a number is only consumed when
+ * the invoice is actually stored: no gaps, no duplicates under concurrency.
+ */
+
+const SEQUENCES_COLLECTION = 'invoiceSequences';
+
+const NUMBERING_CONFIG = {
+  format: process.env.INVOICE_NUMBER_FORMAT || '{prefix}-{year}-{seq:6}',
+  fiscalYearStartMonth: parseInt(process.env.FISCAL_YEAR_START_MONTH || '1', 10),
+  prefixes: {
+    invoice: process.env.INVOICE_NUMBER_PREFIX || 'AIW',
+    credit_note: process.env.CREDIT_NOTE_NUMBER_PREFIX || 'AIW-CN',
+    sandbox_invoice: process.env.SANDBOX_INVOICE_NUMBER_PREFIX || 'SBX',
+    sandbox_credit_note: process.env.SANDBOX_CREDIT_NOTE_NUMBER_PREFIX || 'SBX-CN'
+  }
+};
+
+// Documents of sandbox (fake provider) payments never consume legal invoice numbers
+const SANDBOX_SERIES = {
+  invoice: 'sandbox_invoice',
+  credit_note: 'sandbox_credit_note'
+};
+
+/**
+ * Get the fiscal year a date belongs to
+ * Fiscal years are labelled by the calendar year they start in.
+ * @param {Date} date - The issue date
+ * @param {number} startMonth - First month of the fiscal year (1-12)
+ * @returns {number} - The fiscal year
+ */
+function getFiscalYear(date = new Date(), startMonth = NUMBERING_CONFIG.fiscalYearStartMonth) {
+  const month = date.getUTCMonth() + 1;
+  return month >= startMonth ? date.getUTCFullYear() : date.getUTCFullYear() - 1;
+}
+
+/**
+ * Number series for a document
+ * @param {string} documentType - 'invoice' or 'credit_note'
+ * @param {Object} options - { sandbox }
+ * @returns {string} - The series name
+ */
+function getSeries(documentType, { sandbox = false } = {}) {
+  return sandbox ? SANDBOX_SERIES[documentType] : documentType;
+}
+
+function getPrefix(series) {
+  const prefix = NUMBERING_CONFIG.prefixes[series];
+  if (!prefix) {
+    throw new Error(`Unknown invoice number series: ${series}`);
+  }
+  return prefix;
+}
+
+/**
+ * Format an invoice number from its parts
+ * Supported placeholders: {prefix}, {year}, {seq} and {seq:N} (zero padded to N digits)
+ * @param {Object} parts - { prefix, fiscalYear, sequence }
+ * @param {string} format - Number format template
+ * @returns {string} - The invoice number
+ */
+function formatInvoiceNumber({ prefix, fiscalYear, sequence }, format = NUMBERING_CONFIG.format) {
+  return format
+    .replace('{prefix}', prefix)
+    .replace('{year}', String(fiscalYear))
+    .replace(/\{seq(?::(\d+))?\}/, (_, width) => String(sequence).padStart(parseInt(width || '1', 10), '0'));
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse an invoice number produced by formatInvoiceNumber
+ * @param {string} invoiceNumber - The number to parse
+ * @param {string} format - Number format template
+ * @returns {Object|null} - { series, prefix, fiscalYear, sequence } or null for foreign/legacy numbers
+ */
+function parseInvoiceNumber(invoiceNumber, format = NUMBERING_CONFIG.format) {
+  if (typeof invoiceNumber !== 'string') return null;
+
+  // Try longer prefixes first so 'AIW-CN' is not mistaken for 'AIW'
+  const series = Object.entries(NUMBERING_CONFIG.prefixes).sort((a, b) => b[1].length - a[1].length);
+
+  for (const [name, prefix] of series) {
+    const pattern = escapeRegex(format)
+      .replace(escapeRegex('{prefix}'), escapeRegex(prefix))
+      .replace(escapeRegex('{year}'), '(?<year>\\d{4})')
+      .replace(/\\\{seq(?::\d+)?\\\}/, '(?<seq>\\d+)');
+    const match = new RegExp(`^${pattern}$`).exec(invoiceNumber);
+
+    if (match) {
+      return {
+        series: name,
+        prefix,
+        fiscalYear: parseInt(match.groups.year, 10),
+        sequence: parseInt(match.groups.seq, 10)
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reserve the next number of a series inside a Firestore transaction
+ * Must be called before any write in the transaction (Firestore requires
+ * all reads to happen first). The counter write is queued on the transaction.
+ * @param {FirebaseFirestore.Firestore} db - Firestore instance
+ * @param {FirebaseFirestore.Transaction} transaction - The running transaction
+ * @param {string} series - From getSeries
+ * @param {Date} issueDate - Date the document is issued
+ * @returns {Promise<Object>} - { invoiceNumber, sequence, fiscalYear, series }
+ */
+async function reserveInvoiceNumber(db, transaction, series, issueDate = new Date()) {
+  const prefix = getPrefix(series);
+  const fiscalYear = getFiscalYear(issueDate);
+  const counterRef = db.collection(SEQUENCES_COLLECTION).doc(`${series}_${fiscalYear}`);
+
+  const counterDoc = await transaction.get(counterRef);
+  const lastNumber = counterDoc.exists ? (counterDoc.data().lastNumber || 0) : 0;
+  const sequence = lastNumber + 1;
+
+  transaction.set(counterRef, {
+    series,
+    prefix,
+    fiscalYear,
+    lastNumber: sequence,
+    updatedAt: new Date().toISOString()
+  }, { merge: true });
+
+  return {
+    invoiceNumber: formatInvoiceNumber({ prefix, fiscalYear, sequence }),
+    sequence,
+    fiscalYear,
+    series
+  };
+}
+
+/**
+ * Find gaps and duplicates in a list of issued invoice numbers
+ * @param {Array<Object>} documents - { id, invoiceNumber }
+ * @param {Object} counters - Optional map of `${series}_${year}` -> lastNumber from the sequence documents
+ * @returns {Object} - Report per series and fiscal year plus legacy (unparseable) numbers
+ */
+function findSequenceIssues(documents, counters = {}) {
+  const sequences = {};
+  const legacy = [];
+
+  documents.forEach(doc => {
+    const parsed = parseInvoiceNumber(doc.invoiceNumber);
+    if (!parsed) {
+      legacy.push({ id: doc.id, invoiceNumber: doc.invoiceNumber || null });
+      return;
+    }
+
+    const key = `${parsed.series}_${parsed.fiscalYear}`;
+    if (!sequences[key]) {
+      sequences[key] = { series: parsed.series, fiscalYear: parsed.fiscalYear, numbers: new Map() };
+    }
+    const ids = sequences[key].numbers.get(parsed.sequence) || [];
+    ids.push(doc.id);
+    sequences[key].numbers.set(parsed.sequence, ids);
+  });
+
+  Object.keys(counters).forEach(key => {
+    if (!sequences[key]) {
+      const [series, year] = [key.slice(0, key.lastIndexOf('_')), key.slice(key.lastIndexOf('_') + 1)];
+      sequences[key] = { series, fiscalYear: parseInt(year, 10), numbers: new Map() };
+    }
+  });
+
+  const report = Object.entries(sequences).map(([key, { series, fiscalYear, numbers }]) => {
+    const prefix = NUMBERING_CONFIG.prefixes[series];
+    const issued = [...numbers.keys()].sort((a, b) => a - b);
+    const highest = Math.max(issued[issued.length - 1] || 0, counters[key] || 0);
+
+    const missing = [];
+    for (let sequence = 1; sequence <= highest; sequence++) {
+      if (!numbers.has(sequence)) {
+        missing.push(formatInvoiceNumber({ prefix, fiscalYear, sequence }));
+      }
+    }
+
+    const duplicates = [...numbers.entries()]
+      .filter(([, ids]) => ids.length > 1)
+      .map(([sequence, ids]) => ({
+        invoiceNumber: formatInvoiceNumber({ prefix, fiscalYear, sequence }),
+        documentIds: ids
+      }));
+
+    return {
+      series,
+      fiscalYear,
+      issuedCount: issued.length,
+      highestSequence: highest,
+      counterValue: counters[key] ?? null,
+      missing,
+      duplicates,
+      ok: missing.length === 0 && duplicates.length === 0
+    };
+  }).sort((a, b) => a.series.localeCompare(b.series) || a.fiscalYear - b.fiscalYear);
+
+  return {
+    ok: report.every(entry => entry.ok),
+    sequences: report,
+    legacy
+  };
+}
+
+module.exports = {
+  SEQUENCES_COLLECTION,
+  NUMBERING_CONFIG,
+  getFiscalYear,
+  getSeries,
+  formatInvoiceNumber,
+  parseInvoiceNumber,
+  reserveInvoiceNumber,
+  findSequenceIssues
+};
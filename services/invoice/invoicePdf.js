@@ -0,0 +1,310 @@
+/**
+ * Invoice PDF Renderer
+ *
+ * Renders a stored invoice document to PDF in-process using PDFKit.
+ * No external service is involved, so the same output can be streamed
+ * to the browser or attached to an email.
+ */
+
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 50;
+const COLORS = {
+  text: '#1f2937',
+  muted: '#6b7280',
+  accent: '#4f46e5',
+  rule: '#e5e7eb'
+};
+
+/**
+ * Format a monetary amount in the invoice currency
+ * @param {number} amount - The amount to format
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string} - The formatted amount
+ */
+function formatMoney(amount, currency = 'USD') {
+  const value = Number(amount) || 0;
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(value);
+  } catch (error) {
+    // Unknown currency code - fall back to a plain amount with the code appended
+    return `${value.toFixed(2)} ${currency}`;
+  }
+}
+
+/**
+ * Format an ISO date string for display on the invoice
+ * @param {string} dateStr - ISO date string
+ * @returns {string} - The formatted date
+ */
+function formatDate(dateStr) {
+  if (!dateStr) return '';
+  const date = new Date(dateStr);
+  if (isNaN(date.getTime())) return '';
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+/**
+ * Build the filename used for downloads and email attachments
+ * @param {Object} invoice - The invoice document
+ * @returns {string} - The PDF filename
+ */
+function getInvoiceFilename(invoice) {
+  const number = (invoice.invoiceNumber || invoice.id || 'invoice').replace(/[^a-z0-9-_]/gi, '_');
+  return `${number}.pdf`;
+}
+
+/**
+ * Derive the tax lines to print below the subtotal
+ * @param {Object} invoice - The invoice document
+ * @returns {Array<Object>} - Tax lines with label and amount
+ */
+function getTaxLines(invoice) {
+  if (Array.isArray(invoice.taxLines) && invoice.taxLines.length > 0) {
+    return invoice.taxLines.map(line => ({
+      label: line.label || `VAT ${((line.rate || 0) * 100).toFixed(1)}%`,
+      amount: line.amount || 0
+    }));
+  }
+
+  const vatRate = invoice.vatRate || 0;
+  const vatAmount = invoice.vatAmount || 0;
+  if (!vatRate && !vatAmount) {
+    return [{ label: 'VAT (0%)', amount: 0 }];
+  }
+
+  return [{ label: `VAT ${(vatRate * 100).toFixed(1)}%`, amount: vatAmount }];
+}
+
+function drawAddressBlock(doc, title, lines, x, y, width) {
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.muted).text(title.toUpperCase(), x, y, { width });
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.text);
+  lines.filter(Boolean).forEach(line => {
+    doc.text(line, x, doc.y + 2, { width });
+  });
+  return doc.y;
+}
+
+function drawHeader(doc, invoice) {
+  const company = invoice.company || {};
+  const rightX = doc.page.width - PAGE_MARGIN - 200;
+
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(COLORS.accent)
+    .text(company.name || 'Invoice', PAGE_MARGIN, PAGE_MARGIN, { width: 250 });
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor(COLORS.text)
+    .text(invoice.documentType === 'credit_note' ? 'CREDIT NOTE' : 'INVOICE', rightX, PAGE_MARGIN, { width: 200, align: 'right' });
+
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.text);
+  const meta = [
+    ['Number', invoice.invoiceNumber],
+    ['Issue date', formatDate(invoice.issueDate)],
+    ['Paid date', formatDate(invoice.paidDate)],
+    ['Currency', invoice.currency]
+  ];
+  if (invoice.order?.id) {
+    meta.push(['Order', invoice.order.id]);
+  }
+  if (invoice.coupon?.code) {
+    meta.push(['Promo code', invoice.coupon.code]);
+  }
+  if (invoice.originalInvoice?.invoiceNumber) {
+    meta.push(['Credits', invoice.originalInvoice.invoiceNumber]);
+  }
+
+  let metaY = PAGE_MARGIN + 26;
+  meta.filter(([, value]) => value).forEach(([label, value]) => {
+    doc.fillColor(COLORS.muted).text(`${label}:`, rightX, metaY, { width: 70 });
+    doc.fillColor(COLORS.text).text(String(value), rightX + 70, metaY, { width: 130, align: 'right' });
+    metaY = doc.y + 2;
+  });
+
+  return Math.max(metaY, PAGE_MARGIN + 40);
+}
+
+function drawParties(doc, invoice, startY) {
+  const company = invoice.company || {};
+  const customer = invoice.customer || {};
+  const columnWidth = (doc.page.width - PAGE_MARGIN * 2 - 40) / 2;
+
+  const sellerEnd = drawAddressBlock(doc, 'From', [
+    company.name,
+    company.address,
+    [company.postalCode, company.city].filter(Boolean).join(' '),
+    company.country,
+    company.taxId ? `Tax ID: ${company.taxId}` : null,
+    company.email,
+    company.phone,
+    company.website
+  ], PAGE_MARGIN, startY, columnWidth);
+
+  const customerEnd = drawAddressBlock(doc, 'Bill to', [
+    customer.companyName,
+    customer.name,
+    customer.address,
+    [customer.postalCode, customer.city].filter(Boolean).join(' '),
+    customer.country,
+    customer.vatId ? `VAT ID: ${customer.vatId}` : null,
+    customer.email
+  ], PAGE_MARGIN + columnWidth + 40, startY, columnWidth);
+
+  return Math.max(sellerEnd, customerEnd) + 25;
+}
+
+function drawLineItems(doc, invoice, startY) {
+  const currency = invoice.currency || 'USD';
+  const tableWidth = doc.page.width - PAGE_MARGIN * 2;
+  const columns = {
+    description: { x: PAGE_MARGIN, width: tableWidth - 230 },
+    quantity: { x: PAGE_MARGIN + tableWidth - 230, width: 50 },
+    unitPrice: { x: PAGE_MARGIN + tableWidth - 180, width: 90 },
+    total: { x: PAGE_MARGIN + tableWidth - 90, width: 90 }
+  };
+
+  const drawRow = (row, y, font) => {
+    doc.font(font).fontSize(10).fillColor(COLORS.text);
+    doc.text(row.description, columns.description.x, y, { width: columns.description.width });
+    const rowBottom = doc.y;
+    doc.text(row.quantity, columns.quantity.x, y, { width: columns.quantity.width, align: 'right' });
+    doc.text(row.unitPrice, columns.unitPrice.x, y, { width: columns.unitPrice.width, align: 'right' });
+    doc.text(row.total, columns.total.x, y, { width: columns.total.width, align: 'right' });
+    return Math.max(rowBottom, doc.y);
+  };
+
+  let y = drawRow({ description: 'Description', quantity: 'Qty', unitPrice: 'Unit price', total: 'Amount' }, startY, 'Helvetica-Bold');
+  doc.moveTo(PAGE_MARGIN, y + 4).lineTo(PAGE_MARGIN + tableWidth, y + 4).strokeColor(COLORS.rule).stroke();
+  y += 10;
+
+  (invoice.lineItems || []).forEach(item => {
+    if (y > doc.page.height - PAGE_MARGIN - 150) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+    y = drawRow({
+      description: item.sku ? `${item.description}\nSKU: ${item.sku}` : String(item.description || ''),
+      quantity: String(item.quantity || 1),
+      unitPrice: formatMoney(item.unitPrice, currency),
+      total: formatMoney(item.totalPrice, currency)
+    }, y, 'Helvetica') + 6;
+  });
+
+  doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + tableWidth, y).strokeColor(COLORS.rule).stroke();
+  return y + 10;
+}
+
+function drawTotals(doc, invoice, startY) {
+  const currency = invoice.currency || 'USD';
+  const labelX = doc.page.width - PAGE_MARGIN - 250;
+  const valueX = doc.page.width - PAGE_MARGIN - 110;
+  let y = startY;
+
+  const drawLine = (label, value, bold = false) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 12 : 10).fillColor(COLORS.text);
+    doc.text(label, labelX, y, { width: 140 });
+    doc.text(value, valueX, y, { width: 110, align: 'right' });
+    y = doc.y + 4;
+  };
+
+  if (invoice.discountTotal) {
+    drawLine('Before discount', formatMoney(invoice.subtotal + invoice.discountTotal, currency));
+    drawLine(`Discount${invoice.coupon?.code ? ` (${invoice.coupon.code})` : ''}`, formatMoney(-invoice.discountTotal, currency));
+  }
+  drawLine('Subtotal', formatMoney(invoice.subtotal, currency));
+  getTaxLines(invoice).forEach(line => drawLine(line.label, formatMoney(line.amount, currency)));
+  drawLine(`Total (${currency})`, formatMoney(invoice.totalAmount, currency), true);
+
+  if (invoice.paidAmount !== undefined && invoice.status === 'paid') {
+    drawLine('Amount paid', formatMoney(invoice.paidAmount, currency));
+  }
+
+  return y + 20;
+}
+
+function drawFooter(doc, invoice, startY) {
+  const payment = invoice.payment || {};
+  const company = invoice.company || {};
+  const width = doc.page.width - PAGE_MARGIN * 2;
+
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted);
+  const paymentLine = [
+    payment.processor ? `Paid via ${payment.processor}` : null,
+    payment.method ? `method: ${payment.method}` : null,
+    payment.transactionId ? `transaction: ${payment.transactionId}` : null
+  ].filter(Boolean).join(' · ');
+
+  if (invoice.documentType === 'credit_note') {
+    const reason = invoice.refund?.reason ? ` Reason: ${invoice.refund.reason}.` : '';
+    doc.text(
+      `This credit note refunds ${formatMoney(invoice.refund?.amount, invoice.currency)} of invoice ${invoice.originalInvoice?.invoiceNumber || ''}.${reason}`,
+      PAGE_MARGIN,
+      startY,
+      { width }
+    );
+  } else if (paymentLine) {
+    doc.text(paymentLine, PAGE_MARGIN, startY, { width });
+  }
+  if (invoice.reverseCharge) {
+    doc.text(
+      'Reverse charge: VAT to be accounted for by the recipient (Article 196, Council Directive 2006/112/EC).',
+      PAGE_MARGIN,
+      doc.y + 8,
+      { width }
+    );
+  }
+  doc.text(
+    `Thank you for your business. Questions? Contact ${company.email || 'our support team'}.`,
+    PAGE_MARGIN,
+    doc.y + 8,
+    { width }
+  );
+}
+
+/**
+ * Create a PDF stream for an invoice
+ * The returned document is a readable stream; it is already finalised
+ * so callers can pipe it straight into a response.
+ * @param {Object} invoice - The stored invoice document
+ * @returns {PDFDocument} - Readable PDF stream
+ */
+function createInvoicePDFStream(invoice) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: {
+      Title: `${invoice.documentType === 'credit_note' ? 'Credit note' : 'Invoice'} ${invoice.invoiceNumber || ''}`.trim(),
+      Author: invoice.company?.name || 'AI Waverider',
+      Subject: 'Invoice'
+    }
+  });
+
+  let y = drawHeader(doc, invoice) + 20;
+  y = drawParties(doc, invoice, y);
+  y = drawLineItems(doc, invoice, y);
+  y = drawTotals(doc, invoice, y);
+  drawFooter(doc, invoice, y);
+
+  doc.end();
+  return doc;
+}
+
+/**
+ * Render an invoice to an in-memory PDF buffer
+ * @param {Object} invoice - The stored invoice document
+ * @returns {Promise<Buffer>} - The PDF file contents
+ */
+function renderInvoicePDF(invoice) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = createInvoicePDFStream(invoice);
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+module.exports = {
+  createInvoicePDFStream,
+  renderInvoicePDF,
+  getInvoiceFilename,
+  formatMoney
+};
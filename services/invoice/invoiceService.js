@@ -7,10 +7,23 @@
 const admin = require('firebase-admin');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../../utils/logger');
+const { createInvoicePDFStream, renderInvoicePDF, getInvoiceFilename } = require('./invoicePdf');
+const { SEQUENCES_COLLECTION, getSeries, reserveInvoiceNumber, findSequenceIssues } = require('./invoiceNumbering');
+const { calculateOrderTax, toVatInfo } = require('../tax/taxEngine');
+const fxRateService = require('../currency/fxRateService');
+const { BASE_CURRENCY, toBaseCurrency } = require('../currency/fxRates');
+const { isSandboxPayment } = require('../payment/providers/paymentProvider');
 
 // Initialize Firestore
 const db = admin.firestore();
 
+/**
+ * Round a monetary amount to two decimal places
+ */
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
 class InvoiceService {
   constructor() {
     this.companyInfo = {
@@ -26,72 +39,111 @@ class InvoiceService {
     };
   }
 
-  /**
-   * Generate unique invoice number
-   */
-  generateInvoiceNumber() {
-    const date = new Date();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const timestamp = Date.now().toString().slice(-6);
-    return `INV-${year}${month}-${timestamp}`;
-  }
-
   /**
    * Create invoice for payment
+   * @param {Object} options - { invoiceId }: pass a reserved ID to make retries store the same invoice
    */
-  async createInvoice(paymentData, orderData, customerInfo = {}) {
+  async createInvoice(paymentData, orderData, customerInfo = {}, options = {}) {
     try {
-      const invoiceId = uuidv4();
-      const invoiceNumber = this.generateInvoiceNumber();
+      const invoiceId = options.invoiceId || uuidv4();
       const issueDate = new Date().toISOString();
       const dueDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(); // 30 days from now
 
-      // Calculate totals
-      const subtotal = orderData.items?.reduce((sum, item) => {
-        return sum + (item.price * (item.quantity || 1));
-      }, 0) || orderData.total || 0;
+      const items = orderData.items || [];
+
+      // Orders carry net/tax/gross per line; invoices created without an order are taxed here
+      const tax = orderData.tax || (paymentData.vatInfo ? null : calculateOrderTax({
+        items,
+        total: orderData.total,
+        country: customerInfo.country,
+        vatId: customerInfo.vatId
+      }));
+      const lineTax = tax?.lines || items.map(item => ({
+        net: item.netAmount,
+        tax: item.taxAmount,
+        gross: item.grossAmount,
+        rate: item.taxRate
+      }));
 
-      const vatAmount = paymentData.vatInfo?.vatAmount || 0;
-      const vatRate = paymentData.vatInfo?.vatRate || 0;
-      const totalAmount = subtotal + vatAmount;
+      // Calculate totals
+      let subtotal;
+      let vatAmount;
+      let vatRate;
+      if (tax) {
+        subtotal = tax.net;
+        vatAmount = tax.tax;
+        vatRate = tax.rate;
+      } else {
+        // Legacy callers pass a precomputed vatInfo
+        subtotal = items.reduce((sum, item) => sum + (item.price * (item.quantity || 1)), 0) || orderData.total || 0;
+        vatAmount = paymentData.vatInfo?.vatAmount || 0;
+        vatRate = paymentData.vatInfo?.vatRate || 0;
+      }
+      const totalAmount = roundAmount(subtotal + vatAmount);
+      const reverseCharge = !!(tax?.reverseCharge || paymentData.vatInfo?.reverseCharge);
 
       // Prepare customer information
       const customer = {
         id: customerInfo.userId || null,
         name: customerInfo.name || customerInfo.firstName || 'Valued Customer',
+        companyName: customerInfo.companyName || null,
         email: customerInfo.email || paymentData.customer?.email || null,
         phone: customerInfo.phone || null,
         address: customerInfo.address || null,
         city: customerInfo.city || null,
         country: customerInfo.country || null,
         postalCode: customerInfo.postalCode || null,
+        vatId: tax ? (tax.vatIdValid !== false ? tax.vatId || null : null) : (customerInfo.vatId || null),
         isRegistered: !!customerInfo.userId
       };
 
-      // Prepare line items
-      const lineItems = orderData.items?.map((item, index) => ({
-        id: item.id || `item_${index + 1}`,
-        description: item.title || item.name || item.description || 'AI Agent Template',
-        quantity: item.quantity || 1,
-        unitPrice: item.price || 0,
-        totalPrice: (item.price || 0) * (item.quantity || 1),
-        category: item.category || 'Digital Product',
-        sku: item.sku || item.id || null
-      })) || [{
+      // Prepare line items - unit and total prices are net, tax is stored per line
+      const lineItems = items.length > 0 ? items.map((item, index) => {
+        const line = lineTax[index] || {};
+        const quantity = item.quantity || 1;
+        const net = line.net ?? (item.price || 0) * quantity;
+        return {
+          id: item.id || `item_${index + 1}`,
+          description: item.title || item.name || item.description || 'AI Agent Template',
+          quantity,
+          unitPrice: roundAmount(net / quantity),
+          totalPrice: net,
+          netAmount: net,
+          taxAmount: line.tax ?? 0,
+          grossAmount: line.gross ?? net,
+          taxRate: line.rate ?? vatRate,
+          discountAmount: item.discountAmount || 0,
+          category: item.category || 'Digital Product',
+          sku: item.sku || item.id || null,
+          ...(item.licenseTier && { licenseTier: item.licenseTier })
+        };
+      }) : [{
         id: 'default_item',
         description: 'AI Agent Template Purchase',
         quantity: 1,
         unitPrice: subtotal,
         totalPrice: subtotal,
+        netAmount: subtotal,
+        taxAmount: vatAmount,
+        grossAmount: totalAmount,
+        taxRate: vatRate,
         category: 'Digital Product'
       }];
 
-      // Create invoice object
+      let taxLabel = `VAT ${(vatRate * 100).toFixed(1)}%`;
+      if (reverseCharge) {
+        taxLabel = 'VAT (reverse charge)';
+      } else if (!vatRate) {
+        taxLabel = 'VAT (0%)';
+      }
+      const taxLines = [{ label: taxLabel, rate: vatRate, amount: vatAmount }];
+
+      // Create invoice object - the number is reserved when the invoice is stored
       const invoice = {
         id: invoiceId,
-        invoiceNumber,
+        invoiceNumber: null,
         status: 'paid', // Since this is created after successful payment
+        sandbox: paymentData.processor === 'fake',
         issueDate,
         dueDate,
         paidDate: issueDate,
@@ -109,6 +161,17 @@ class InvoiceService {
         vatAmount,
         totalAmount,
         paidAmount: totalAmount,
+        taxLines,
+        taxScheme: tax?.scheme || paymentData.vatInfo?.scheme || null,
+        taxCountry: tax?.country || customer.country,
+        reverseCharge,
+        coupon: orderData.coupon ? {
+          code: orderData.coupon.code,
+          type: orderData.coupon.type,
+          value: orderData.coupon.value,
+          discountTotal: orderData.coupon.discountTotal
+        } : null,
+        discountTotal: orderData.coupon?.discountTotal || 0,
         
         // Line items
         lineItems,
@@ -129,10 +192,13 @@ class InvoiceService {
           createdAt: orderData.createdAt || issueDate
         },
         
+        // Subscription renewals have no order document
+        subscription: orderData.subscription || null,
+        
         // Metadata
         metadata: {
           ...orderData.metadata,
-          vatInfo: paymentData.vatInfo || null,
+          vatInfo: paymentData.vatInfo || (tax ? toVatInfo(tax) : null),
           originalAmount: paymentData.vatInfo?.originalAmount || subtotal
         },
         
@@ -141,11 +207,11 @@ class InvoiceService {
         updatedAt: issueDate
       };
 
-      // Save invoice to database
-      await db.collection('invoices').doc(invoiceId).set(invoice);
+      // Reserve the next number and save the invoice atomically so numbers stay gapless
+      const invoiceNumber = await this.storeWithReservedNumber(getSeries('invoice', { sandbox: invoice.sandbox }), invoice);
       
       // Also save a reference in the order
-      if (orderData.orderId || orderData.id) {
+      if ((orderData.orderId || orderData.id) && !orderData.subscription) {
         const orderId = orderData.orderId || orderData.id;
         await db.collection('orders').doc(orderId).update({
           invoiceId,
@@ -190,6 +256,325 @@ class InvoiceService {
     }
   }
 
+  /**
+   * Reserve the next number in a series and store the document in one transaction
+   * A document that is already stored keeps its number; nothing new is reserved.
+   * @param {string} series - From getSeries
+   * @param {Object} document - Invoice or credit note; invoiceNumber and numbering are set on it
+   * @returns {Promise<string>} - The reserved number
+   */
+  async storeWithReservedNumber(series, document) {
+    const documentRef = db.collection('invoices').doc(document.id);
+
+    const reserved = await db.runTransaction(async (transaction) => {
+      const existing = await transaction.get(documentRef);
+      if (existing.exists && existing.data().invoiceNumber) {
+        const { invoiceNumber, numbering = {} } = existing.data();
+        return { invoiceNumber, ...numbering };
+      }
+
+      const reservation = await reserveInvoiceNumber(db, transaction, series, new Date(document.issueDate));
+
+      transaction.set(documentRef, {
+        ...document,
+        invoiceNumber: reservation.invoiceNumber,
+        numbering: {
+          series: reservation.series,
+          fiscalYear: reservation.fiscalYear,
+          sequence: reservation.sequence
+        }
+      });
+
+      return reservation;
+    });
+
+    document.invoiceNumber = reserved.invoiceNumber;
+    document.numbering = {
+      series: reserved.series,
+      fiscalYear: reserved.fiscalYear,
+      sequence: reserved.sequence
+    };
+
+    return reserved.invoiceNumber;
+  }
+
+  /**
+   * Scan the invoices collection for gaps and duplicates in the number sequences
+   */
+  async verifyInvoiceNumbering() {
+    try {
+      const [invoicesSnapshot, countersSnapshot] = await Promise.all([
+        db.collection('invoices').select('invoiceNumber').get(),
+        db.collection(SEQUENCES_COLLECTION).get()
+      ]);
+
+      const documents = invoicesSnapshot.docs.map(doc => ({
+        id: doc.id,
+        invoiceNumber: doc.data().invoiceNumber
+      }));
+
+      const counters = {};
+      countersSnapshot.forEach(doc => {
+        counters[doc.id] = doc.data().lastNumber || 0;
+      });
+
+      const report = findSequenceIssues(documents, counters);
+
+      logger.info(`Invoice numbering verification: ${report.ok ? 'OK' : 'issues found'}`, {
+        documents: documents.length,
+        sequences: report.sequences.length,
+        legacy: report.legacy.length
+      });
+
+      return {
+        success: true,
+        scannedAt: new Date().toISOString(),
+        documentCount: documents.length,
+        ...report
+      };
+    } catch (error) {
+      logger.error('Error verifying invoice numbering:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Credit note document for a credited amount of an invoice (numbered when stored)
+   * @param {Object} original - The invoice being credited
+   * @param {Object} params - { creditNoteId, creditTotal, alreadyCredited, issueDate, refundData }
+   */
+  buildCreditNote(original, { creditNoteId, creditTotal, alreadyCredited, issueDate, refundData }) {
+    const refundable = roundAmount(original.totalAmount - alreadyCredited);
+    const isFullCredit = Math.abs(creditTotal - refundable) < 0.005;
+
+    // Split the credited gross amount into net and VAT in the invoice's proportions
+    const ratio = original.totalAmount > 0 ? creditTotal / original.totalAmount : 1;
+    const creditVat = roundAmount((original.vatAmount || 0) * ratio);
+    const creditSubtotal = roundAmount(creditTotal - creditVat);
+
+    const lineItems = isFullCredit && alreadyCredited === 0
+      ? (original.lineItems || []).map(item => ({
+        ...item,
+        unitPrice: -item.unitPrice,
+        totalPrice: -item.totalPrice,
+        netAmount: -(item.netAmount ?? item.totalPrice),
+        taxAmount: -(item.taxAmount || 0),
+        grossAmount: -(item.grossAmount ?? item.totalPrice)
+      }))
+      : [{
+        id: 'partial_refund',
+        description: `Partial refund of invoice ${original.invoiceNumber}`,
+        quantity: 1,
+        unitPrice: -creditSubtotal,
+        totalPrice: -creditSubtotal,
+        netAmount: -creditSubtotal,
+        taxAmount: -creditVat,
+        grossAmount: -creditTotal,
+        taxRate: original.vatRate || 0,
+        category: 'Refund'
+      }];
+
+    return {
+      id: creditNoteId,
+      invoiceNumber: null,
+      documentType: 'credit_note',
+      status: 'issued',
+      sandbox: !!original.sandbox,
+      issueDate,
+      company: original.company || this.companyInfo,
+      customer: original.customer,
+      currency: original.currency,
+      subtotal: -creditSubtotal,
+      vatRate: original.vatRate || 0,
+      vatAmount: -creditVat,
+      totalAmount: -creditTotal,
+      taxScheme: original.taxScheme || null,
+      taxCountry: original.taxCountry || null,
+      reverseCharge: !!original.reverseCharge,
+      lineItems,
+      originalInvoice: {
+        id: original.id,
+        invoiceNumber: original.invoiceNumber,
+        issueDate: original.issueDate,
+        totalAmount: original.totalAmount
+      },
+      refund: {
+        id: refundData.refundId || null,
+        amount: creditTotal,
+        reason: refundData.reason || null,
+        processor: refundData.processor || original.payment?.processor || null,
+        isPartial: !isFullCredit || alreadyCredited > 0
+      },
+      payment: original.payment || null,
+      order: original.order || null,
+      createdAt: issueDate,
+      updatedAt: issueDate
+    };
+  }
+
+  /**
+   * Issue a credit note for a full or partial refund of an invoice
+   * Credit notes are stored in the invoices collection with negative amounts
+   * so that summing totalAmount yields net revenue.
+   * @param {string} invoiceId - The original invoice ID
+   * @param {Object} refundData - { refundId, amount, reason, processor }
+   */
+  async createCreditNote(invoiceId, refundData = {}) {
+    try {
+      const { invoice: original } = await this.getInvoiceById(invoiceId);
+
+      if (original.documentType === 'credit_note') {
+        throw new Error(`Cannot credit a credit note: ${invoiceId}`);
+      }
+
+      // A redelivered refund event must not issue a second credit note
+      if (refundData.refundId) {
+        const existingSnapshot = await db.collection('invoices')
+          .where('refund.id', '==', refundData.refundId)
+          .limit(1)
+          .get();
+
+        if (!existingSnapshot.empty) {
+          const existing = existingSnapshot.docs[0].data();
+          logger.info(`Credit note already issued for refund ${refundData.refundId}: ${existing.invoiceNumber}`);
+          return {
+            success: true,
+            duplicate: true,
+            creditNote: existing,
+            creditNoteId: existing.id,
+            creditNoteNumber: existing.invoiceNumber
+          };
+        }
+      }
+
+      const creditNoteId = uuidv4();
+      const issueDate = new Date().toISOString();
+      const originalRef = db.collection('invoices').doc(original.id);
+
+      // Check the balance and store the note and the credited amount together,
+      // so concurrent refunds cannot credit more than the invoice
+      const issued = await db.runTransaction(async (transaction) => {
+        const current = { ...(await transaction.get(originalRef)).data(), id: original.id };
+        const previous = refundData.refundId
+          ? (current.creditNotes || []).find(note => note.refundId === refundData.refundId)
+          : null;
+        if (previous) {
+          return { duplicate: true, creditNoteId: previous.id, creditNoteNumber: previous.invoiceNumber };
+        }
+
+        const alreadyCredited = current.creditedAmount || 0;
+        const refundable = roundAmount(current.totalAmount - alreadyCredited);
+        const requested = refundData.amount !== undefined && refundData.amount !== null
+          ? parseFloat(refundData.amount)
+          : refundable;
+
+        if (!(requested > 0)) {
+          throw new Error('Refund amount must be greater than zero');
+        }
+        if (requested > refundable + 0.005) {
+          throw new Error(`Refund amount ${requested} exceeds refundable balance ${refundable} for invoice ${current.invoiceNumber}`);
+        }
+
+        const creditTotal = roundAmount(Math.min(requested, refundable));
+        const creditNote = this.buildCreditNote(current, { creditNoteId, creditTotal, alreadyCredited, issueDate, refundData });
+        const reservation = await reserveInvoiceNumber(db, transaction, getSeries('credit_note', { sandbox: !!current.sandbox }), new Date(issueDate));
+        creditNote.invoiceNumber = reservation.invoiceNumber;
+        creditNote.numbering = {
+          series: reservation.series,
+          fiscalYear: reservation.fiscalYear,
+          sequence: reservation.sequence
+        };
+        transaction.set(db.collection('invoices').doc(creditNoteId), creditNote);
+
+        // Track the credited balance and resulting status on the original invoice
+        const creditedAmount = roundAmount(alreadyCredited + creditTotal);
+        const fullyCredited = creditedAmount >= roundAmount(current.totalAmount) - 0.005;
+        transaction.update(originalRef, {
+          creditedAmount,
+          creditNotes: [...(current.creditNotes || []), {
+            id: creditNoteId,
+            invoiceNumber: reservation.invoiceNumber,
+            refundId: refundData.refundId || null,
+            amount: creditTotal,
+            issueDate
+          }],
+          status: fullyCredited ? 'refunded' : 'partially_refunded',
+          refundedAt: issueDate,
+          updatedAt: issueDate
+        });
+
+        return { duplicate: false, creditNote, creditNoteId, creditNoteNumber: reservation.invoiceNumber, creditTotal };
+      });
+
+      if (issued.duplicate) {
+        logger.info(`Credit note already issued for refund ${refundData.refundId}: ${issued.creditNoteNumber}`);
+        const { invoice: existing } = await this.getInvoiceById(issued.creditNoteId);
+        return { success: true, duplicate: true, creditNote: existing, creditNoteId: issued.creditNoteId, creditNoteNumber: issued.creditNoteNumber };
+      }
+
+      const { creditNote, creditNoteNumber, creditTotal } = issued;
+
+      if (original.customer?.id) {
+        await db.collection('users').doc(original.customer.id).collection('invoices').doc(creditNoteId).set({
+          invoiceId: creditNoteId,
+          invoiceNumber: creditNoteNumber,
+          documentType: 'credit_note',
+          originalInvoiceId: original.id,
+          totalAmount: -creditTotal,
+          currency: creditNote.currency,
+          status: creditNote.status,
+          issueDate,
+          orderId: original.order?.id || null,
+          createdAt: issueDate
+        });
+      }
+
+      logger.info(`Created credit note: ${creditNoteNumber}`, {
+        creditNoteId,
+        originalInvoiceId: original.id,
+        originalInvoiceNumber: original.invoiceNumber,
+        amount: creditTotal,
+        currency: creditNote.currency,
+        refundId: refundData.refundId || null
+      });
+
+      return {
+        success: true,
+        creditNote,
+        creditNoteId,
+        creditNoteNumber
+      };
+    } catch (error) {
+      logger.error(`Error creating credit note for invoice ${invoiceId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get credit notes issued against an invoice
+   */
+  async getCreditNotesForInvoice(invoiceId) {
+    try {
+      const creditNotesSnapshot = await db.collection('invoices')
+        .where('originalInvoice.id', '==', invoiceId)
+        .orderBy('createdAt', 'desc')
+        .get();
+
+      const creditNotes = [];
+      creditNotesSnapshot.forEach(doc => {
+        creditNotes.push(doc.data());
+      });
+
+      return {
+        success: true,
+        creditNotes
+      };
+    } catch (error) {
+      logger.error(`Error getting credit notes for invoice ${invoiceId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get invoice by ID
    */
@@ -321,26 +706,24 @@ class InvoiceService {
   }
 
   /**
-   * Generate invoice PDF (placeholder - you might want to use a PDF library)
+   * Generate invoice PDF
+   * Renders the stored invoice in-process and returns the file contents
    */
   async generateInvoicePDF(invoiceId) {
     try {
       const { invoice } = await this.getInvoiceById(invoiceId);
-      
-      // This is a placeholder - you would integrate with a PDF generation library
-      // like puppeteer, jsPDF, or a service like Invoice Ninja
-      
+
       logger.info(`PDF generation requested for invoice: ${invoice.invoiceNumber}`);
-      
-      // For now, return a download URL that points to a PDF generation endpoint
-      const pdfUrl = `${process.env.API_URL || 'http://localhost:4000'}/api/invoices/${invoiceId}/pdf`;
-      
+
+      const pdf = await renderInvoicePDF(invoice);
+
       return {
         success: true,
         invoiceId,
         invoiceNumber: invoice.invoiceNumber,
-        pdfUrl,
-        message: 'PDF generation endpoint - implement with PDF library'
+        filename: getInvoiceFilename(invoice),
+        contentType: 'application/pdf',
+        pdf
       };
     } catch (error) {
       logger.error(`Error generating PDF for invoice ${invoiceId}:`, error);
@@ -348,6 +731,19 @@ class InvoiceService {
     }
   }
 
+  /**
+   * Create a PDF stream for an invoice (used for HTTP downloads)
+   */
+  async createInvoicePDFStream(invoiceId) {
+    const { invoice } = await this.getInvoiceById(invoiceId);
+
+    return {
+      invoice,
+      filename: getInvoiceFilename(invoice),
+      stream: createInvoicePDFStream(invoice)
+    };
+  }
+
   /**
    * Search invoices
    */
@@ -388,7 +784,9 @@ class InvoiceService {
       }
       
       if (endDate) {
-        query = query.where('createdAt', '<=', endDate);
+        // A bare date (YYYY-MM-DD) should include the whole day
+        const inclusiveEnd = /^\d{4}-\d{2}-\d{2}$/.test(endDate) ? `${endDate}T23:59:59.999Z` : endDate;
+        query = query.where('createdAt', '<=', inclusiveEnd);
       }
 
       query = query.orderBy('createdAt', 'desc').limit(limit);
@@ -433,29 +831,64 @@ class InvoiceService {
           startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
       }
 
-      const invoicesSnapshot = await db.collection('invoices')
-        .where('createdAt', '>=', startDate.toISOString())
-        .get();
+      const [invoicesSnapshot, rateTables] = await Promise.all([
+        db.collection('invoices').where('createdAt', '>=', startDate.toISOString()).get(),
+        fxRateService.getRateTables()
+      ]);
 
+      // Revenue is reported in the base currency, each invoice converted at the
+      // rate in force when it was issued. Invoices in a currency without a rate
+      // at that time are left out of the totals and counted as unconverted.
+      // Credit notes carry negative totals, so totalRevenue is net of refunds
       let totalRevenue = 0;
+      let grossRevenue = 0;
+      let refundedAmount = 0;
       let totalCount = 0;
+      let creditNoteCount = 0;
+      let convertedCount = 0;
+      let unconvertedCount = 0;
       const currencyBreakdown = {};
-      const statusBreakdown = { paid: 0, pending: 0, overdue: 0, cancelled: 0 };
+      const statusBreakdown = { paid: 0, pending: 0, overdue: 0, cancelled: 0, refunded: 0, partially_refunded: 0 };
 
       invoicesSnapshot.forEach(doc => {
         const invoice = doc.data();
-        totalCount++;
-        totalRevenue += invoice.totalAmount;
+        // Sandbox checkouts are not revenue
+        if (isSandboxPayment(invoice)) return;
+        const isCreditNote = invoice.documentType === 'credit_note';
+        const amount = invoice.totalAmount || 0;
+        const baseAmount = toBaseCurrency(amount, invoice.currency, invoice.issueDate || invoice.createdAt, rateTables);
+
+        if (isCreditNote) {
+          creditNoteCount++;
+        } else {
+          totalCount++;
+        }
+        if (baseAmount === null) {
+          unconvertedCount++;
+        } else {
+          totalRevenue += baseAmount;
+          if (isCreditNote) {
+            refundedAmount += Math.abs(baseAmount);
+          } else {
+            convertedCount++;
+            grossRevenue += baseAmount;
+          }
+        }
         
-        // Currency breakdown
+        // Currency breakdown (amounts in the invoice currency)
         if (!currencyBreakdown[invoice.currency]) {
-          currencyBreakdown[invoice.currency] = { count: 0, total: 0 };
+          currencyBreakdown[invoice.currency] = { count: 0, total: 0, refunded: 0, totalInBaseCurrency: 0 };
+        }
+        currencyBreakdown[invoice.currency].total += amount;
+        currencyBreakdown[invoice.currency].totalInBaseCurrency += baseAmount || 0;
+        if (isCreditNote) {
+          currencyBreakdown[invoice.currency].refunded += Math.abs(amount);
+        } else {
+          currencyBreakdown[invoice.currency].count++;
         }
-        currencyBreakdown[invoice.currency].count++;
-        currencyBreakdown[invoice.currency].total += invoice.totalAmount;
         
         // Status breakdown
-        if (statusBreakdown.hasOwnProperty(invoice.status)) {
+        if (!isCreditNote && statusBreakdown.hasOwnProperty(invoice.status)) {
           statusBreakdown[invoice.status]++;
         }
       });
@@ -464,9 +897,14 @@ class InvoiceService {
         success: true,
         period,
         stats: {
-          totalRevenue,
+          baseCurrency: BASE_CURRENCY,
+          totalRevenue: roundAmount(totalRevenue),
+          grossRevenue: roundAmount(grossRevenue),
+          refundedAmount: roundAmount(refundedAmount),
           totalCount,
-          averageAmount: totalCount > 0 ? totalRevenue / totalCount : 0,
+          creditNoteCount,
+          averageAmount: convertedCount > 0 ? roundAmount(grossRevenue / convertedCount) : 0,
+          unconvertedCount,
           currencyBreakdown,
           statusBreakdown
         }
@@ -0,0 +1,185 @@
+/**
+ * Order History - Customer facing order summaries and receipts
+ *
+ * Pure helpers used by OrderController to shape orders for /api/orders.
+ * Internal fields (raw payment data, access tokens, delivery results)
+ * never leave the server; download links come from the template access
+ * records passed in.
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function clampLimit(limit) {
+  return Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+}
+
+/**
+ * Opaque cursor for the next page (orders are sorted by createdAt, then ID)
+ */
+function encodeCursor(order) {
+  return Buffer.from(JSON.stringify({ c: order.createdAt, i: order.id })).toString('base64url');
+}
+
+/**
+ * @returns {Object|null} - { createdAt, id } or null for a missing or malformed cursor
+ */
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const { c, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return typeof c === 'string' && typeof i === 'string' ? { createdAt: c, id: i } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Refund state of an order
+ */
+function toRefundInfo(order) {
+  const refundedAmount = roundAmount(order.refundedAmount || 0);
+  let status = 'none';
+  if (order.status === 'refunded') status = 'refunded';
+  else if (order.status === 'partially_refunded' || refundedAmount > 0) status = 'partially_refunded';
+
+  return {
+    status,
+    refundedAmount,
+    refundableAmount: roundAmount(Math.max(0, (order.total || 0) - refundedAmount)),
+    refunds: (order.refunds || []).map(refund => ({
+      amount: roundAmount(refund.amount),
+      reason: refund.reason || null,
+      creditNoteNumber: refund.creditNoteNumber || null,
+      refundedAt: refund.refundedAt || null
+    }))
+  };
+}
+
+function toInvoiceSummary(invoice) {
+  return {
+    id: invoice.id,
+    invoiceNumber: invoice.invoiceNumber,
+    documentType: invoice.documentType || 'invoice',
+    status: invoice.status,
+    issueDate: invoice.issueDate,
+    currency: invoice.currency,
+    totalAmount: invoice.totalAmount,
+    pdfUrl: `/api/invoices/${invoice.id}/pdf`
+  };
+}
+
+/**
+ * Download entry for an order item
+ * @param {Object} access - { agentId, expiresAt, revoked, downloadUrl, remainingDownloads }
+ */
+function toDownloadSummary(access, now = new Date()) {
+  const isExpired = new Date(access.expiresAt).getTime() < now.getTime();
+  const available = !access.revoked && !isExpired && access.remainingDownloads !== 0;
+  return {
+    agentId: access.agentId,
+    expiresAt: access.expiresAt,
+    isExpired,
+    remainingDownloads: access.remainingDownloads ?? null,
+    downloadUrl: available ? access.downloadUrl : null,
+    bundleUrl: available ? `${access.downloadUrl}&format=zip` : null
+  };
+}
+
+function toLineItem(item) {
+  const quantity = item.quantity || 1;
+  return {
+    agentId: item.id || null,
+    title: item.title || item.name || 'AI Agent',
+    quantity,
+    unitPrice: roundAmount(item.price),
+    netAmount: item.netAmount ?? null,
+    taxAmount: item.taxAmount ?? null,
+    grossAmount: item.grossAmount ?? roundAmount((item.price || 0) * quantity),
+    taxRate: item.taxRate ?? null
+  };
+}
+
+/**
+ * Order entry for the history list
+ * @param {Object} order - Order document
+ * @param {Object} related - { invoices, downloads } (raw invoice docs, download accesses)
+ */
+function toOrderSummary(order, { invoices = [], downloads = [] } = {}, now = new Date()) {
+  const downloadsByAgent = new Map(downloads.map(access => [access.agentId, toDownloadSummary(access, now)]));
+
+  return {
+    id: order.id,
+    status: order.status,
+    createdAt: order.createdAt,
+    currency: order.currency || 'USD',
+    total: roundAmount(order.total),
+    paymentMethod: order.paymentMethod || null,
+    items: (order.items || []).map(item => ({
+      ...toLineItem(item),
+      download: downloadsByAgent.get(item.id) || null
+    })),
+    invoices: invoices.map(toInvoiceSummary),
+    refund: toRefundInfo(order),
+    receiptUrl: `/api/orders/${order.id}/receipt`
+  };
+}
+
+/**
+ * Receipt for a single order
+ * Totals come from the tax snapshot taken at checkout when present.
+ */
+function buildReceipt(order, { invoices = [], downloads = [] } = {}, now = new Date()) {
+  const summary = toOrderSummary(order, { invoices, downloads }, now);
+  const tax = order.tax || {};
+  const invoice = invoices.find(doc => (doc.documentType || 'invoice') === 'invoice') || null;
+
+  return {
+    orderId: order.id,
+    status: order.status,
+    purchasedAt: order.createdAt,
+    currency: summary.currency,
+    items: summary.items,
+    totals: {
+      net: tax.net ?? null,
+      tax: tax.tax ?? null,
+      discount: roundAmount(order.coupon?.discountTotal || 0),
+      total: summary.total
+    },
+    tax: {
+      country: tax.country || null,
+      rate: tax.rate ?? null,
+      reverseCharge: tax.reverseCharge === true,
+      vatId: tax.vatId || null
+    },
+    coupon: order.coupon ? { code: order.coupon.code, discountTotal: roundAmount(order.coupon.discountTotal) } : null,
+    payment: {
+      method: order.paymentMethod || null,
+      processor: order.paymentProcessor || null,
+      paymentId: order.paymentId || null
+    },
+    invoice: invoice ? toInvoiceSummary(invoice) : null,
+    creditNotes: summary.invoices.filter(doc => doc.documentType === 'credit_note'),
+    refund: summary.refund,
+    customer: {
+      email: order.userEmail || null
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  clampLimit,
+  encodeCursor,
+  decodeCursor,
+  toRefundInfo,
+  toInvoiceSummary,
+  toDownloadSummary,
+  toOrderSummary,
+  buildReceipt
+};
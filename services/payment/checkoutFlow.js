@@ -0,0 +1,80 @@
+/**
+ * Checkout Flow - Provider independent capture and fulfilment
+ *
+ * A checkout record is what we store when a checkout is created (the
+ * `paypalOrders` document shape): { orderId, amount, currency, items, tax,
+ * coupon, customerInfo, metadata }. After a provider confirms the capture
+ * the record is handed to processPaymentSuccess, which creates the order,
+ * the invoice and the template access.
+ */
+
+const orderController = require('../../controllers/payment/orderController');
+const { PAYMENT_STATUS, PaymentProviderError } = require('./providers/paymentProvider');
+
+/**
+ * Build the processPaymentSuccess payload for a captured checkout
+ * @param {string} provider - Provider name, used as processor
+ * @param {string} providerOrderId - Provider checkout ID (becomes the payment ID)
+ * @param {Object} record - Stored checkout record
+ * @param {Object} capture - Provider capture result, when known (its captureId is kept for refunds)
+ * @returns {Object} - Payment data
+ */
+function toPaymentData(provider, providerOrderId, record, capture = null) {
+  const customerInfo = record.customerInfo || {};
+
+  return {
+    id: providerOrderId,
+    transaction_id: capture?.captureId || null,
+    amount: Math.round((Number(record.amount) || 0) * 100), // cents
+    currency: (record.currency || 'USD').toLowerCase(),
+    status: 'succeeded',
+    payment_method_types: [provider],
+    customer: {
+      id: customerInfo.userId || null,
+      email: customerInfo.email || null,
+      name: customerInfo.name || null
+    },
+    metadata: {
+      ...record.metadata,
+      payment_method: provider,
+      order_id: record.orderId,
+      customerCountry: record.tax?.country || customerInfo.country || null,
+      customerVatId: record.tax?.vatId || null,
+      customerCompany: customerInfo.companyName || null,
+      clientIp: record.client?.ip || null,
+      ipCountry: record.client?.country || null
+    },
+    items: record.items || [],
+    coupon: record.coupon || null,
+    processor: provider
+  };
+}
+
+/**
+ * Capture a checkout and fulfil the order
+ * @param {PaymentProvider} provider - Provider adapter
+ * @param {string} providerOrderId - Provider checkout ID
+ * @param {Object} record - Stored checkout record
+ * @returns {Promise<Object>} - { capture, orderResult }
+ */
+async function captureAndFulfil(provider, providerOrderId, record) {
+  const capture = await provider.capture(providerOrderId, { amount: record.amount });
+  if (capture.status !== PAYMENT_STATUS.COMPLETED) {
+    throw new PaymentProviderError(`Payment not completed (status: ${capture.status})`, {
+      provider: provider.name,
+      statusCode: 402,
+      details: { providerOrderId, status: capture.status }
+    });
+  }
+
+  const orderResult = await orderController.processPaymentSuccess(
+    toPaymentData(provider.name, providerOrderId, record, capture)
+  );
+
+  return { capture, orderResult };
+}
+
+module.exports = {
+  toPaymentData,
+  captureAndFulfil
+};
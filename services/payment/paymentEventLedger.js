@@ -0,0 +1,232 @@
+/**
+ * Payment Event Ledger - Idempotent webhook processing
+ *
+ * Every payment provider webhook is recorded in the `payment_events`
+ * collection, keyed by provider and provider event ID. A delivery is only
+ * processed after claiming the event in a transaction, so redeliveries of
+ * an event that was already handled (or is being handled) are acknowledged
+ * without running the handler again. Failed events are retried when the
+ * provider redelivers them and end up in dead-letter status after
+ * MAX_ATTEMPTS; admins can list and replay them.
+ */
+
+const admin = require('firebase-admin');
+const logger = require('../../utils/logger');
+const {
+  EVENT_STATUS,
+  MAX_ATTEMPTS,
+  buildEventKey,
+  decideClaim,
+  statusAfterFailure
+} = require('./paymentEvents');
+
+// Initialize Firestore
+const db = admin.firestore();
+
+const EVENTS_COLLECTION = 'payment_events';
+
+class PaymentEventLedger {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * Register the function that processes events of a provider
+   * Routes register their handler at load time so replays can find it.
+   * @param {string} provider - 'paypal', 'unipay', ...
+   * @param {Function} handler - async (payload, context) => result
+   */
+  registerHandler(provider, handler) {
+    this.handlers.set(provider, handler);
+  }
+
+  /**
+   * Claim an event for processing
+   * @returns {Promise<Object>} - { process, reason, attempts, status }
+   */
+  async claimEvent(key, { provider, eventId, type, payload, replay = false, replayedBy = null }) {
+    const ref = db.collection(EVENTS_COLLECTION).doc(key);
+
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const existing = doc.exists ? doc.data() : null;
+      const decision = decideClaim(existing, { replay });
+
+      if (!decision.process) {
+        return { ...decision, attempts: existing.attempts || 0, status: existing.status };
+      }
+
+      const now = new Date().toISOString();
+      const attempts = (existing?.attempts || 0) + 1;
+
+      if (existing) {
+        const update = {
+          status: EVENT_STATUS.PROCESSING,
+          attempts,
+          claimedAt: now,
+          lastDeliveryAt: now,
+          updatedAt: now
+        };
+        if (replay) {
+          update.replayCount = admin.firestore.FieldValue.increment(1);
+          update.lastReplayedBy = replayedBy;
+          update.lastReplayedAt = now;
+        } else {
+          update.deliveryCount = admin.firestore.FieldValue.increment(1);
+        }
+        transaction.update(ref, update);
+      } else {
+        transaction.set(ref, {
+          id: key,
+          provider,
+          eventId: String(eventId),
+          type: type || 'unknown',
+          status: EVENT_STATUS.PROCESSING,
+          attempts,
+          deliveryCount: 1,
+          replayCount: 0,
+          payload: payload || null,
+          lastError: null,
+          receivedAt: now,
+          claimedAt: now,
+          lastDeliveryAt: now,
+          processedAt: null,
+          updatedAt: now
+        });
+      }
+
+      return { ...decision, attempts, status: EVENT_STATUS.PROCESSING };
+    });
+  }
+
+  /**
+   * Run the provider handler for a claimed event and record the outcome
+   */
+  async runHandler(key, provider, payload, { attempts, replay }) {
+    const ref = db.collection(EVENTS_COLLECTION).doc(key);
+    const handler = this.handlers.get(provider);
+
+    try {
+      if (!handler) {
+        throw new Error(`No payment event handler registered for provider: ${provider}`);
+      }
+
+      const result = await handler(payload, { eventKey: key, attempt: attempts, replay });
+
+      await ref.update({
+        status: EVENT_STATUS.PROCESSED,
+        processedAt: new Date().toISOString(),
+        lastError: null,
+        updatedAt: new Date().toISOString()
+      });
+
+      return { processed: true, status: EVENT_STATUS.PROCESSED, result: result || null };
+    } catch (error) {
+      const status = statusAfterFailure(attempts, { replay });
+
+      await ref.update({
+        status,
+        lastError: {
+          message: error.message,
+          at: new Date().toISOString(),
+          attempt: attempts
+        },
+        failedAt: new Date().toISOString(),
+        ...(status === EVENT_STATUS.DEAD_LETTER ? { deadLetteredAt: new Date().toISOString() } : {}),
+        updatedAt: new Date().toISOString()
+      });
+
+      const log = status === EVENT_STATUS.DEAD_LETTER ? logger.error : logger.warn;
+      log(`Payment event ${key} failed (attempt ${attempts}/${MAX_ATTEMPTS}, status ${status}): ${error.message}`);
+
+      return { processed: false, status, error: error.message };
+    }
+  }
+
+  /**
+   * Record a webhook delivery and process it at most once
+   * @param {Object} event - { provider, eventId, type, payload }
+   * @returns {Promise<Object>} - { key, duplicate, processed, status, reason, result, error }
+   */
+  async handleEvent({ provider, eventId, type, payload }) {
+    const key = buildEventKey(provider, eventId);
+    const claim = await this.claimEvent(key, { provider, eventId, type, payload });
+
+    if (!claim.process) {
+      logger.info(`Payment event ${key} not processed again (${claim.reason})`);
+      return { key, duplicate: true, processed: false, status: claim.status, reason: claim.reason };
+    }
+
+    const outcome = await this.runHandler(key, provider, payload, { attempts: claim.attempts, replay: false });
+    return { key, duplicate: false, reason: claim.reason, ...outcome };
+  }
+
+  /**
+   * Replay a failed or dead-lettered event with its stored payload
+   * @param {string} key - Ledger document ID
+   * @param {string} replayedBy - Admin user ID
+   * @returns {Promise<Object>} - Outcome, or null when the event does not exist
+   */
+  async replayEvent(key, replayedBy) {
+    const doc = await db.collection(EVENTS_COLLECTION).doc(key).get();
+    if (!doc.exists) {
+      return null;
+    }
+
+    const event = doc.data();
+    const claim = await this.claimEvent(key, {
+      provider: event.provider,
+      eventId: event.eventId,
+      type: event.type,
+      payload: event.payload,
+      replay: true,
+      replayedBy
+    });
+
+    if (!claim.process) {
+      return { key, replayed: false, status: claim.status, reason: claim.reason };
+    }
+
+    logger.info(`Replaying payment event ${key} (requested by ${replayedBy})`);
+    const outcome = await this.runHandler(key, event.provider, event.payload, { attempts: claim.attempts, replay: true });
+    return { key, replayed: true, ...outcome };
+  }
+
+  /**
+   * Get a single ledger entry
+   */
+  async getEvent(key) {
+    const doc = await db.collection(EVENTS_COLLECTION).doc(key).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  }
+
+  /**
+   * List ledger entries, newest first
+   * @param {Object} filters - { statuses, provider, limit }
+   */
+  async listEvents({ statuses = [EVENT_STATUS.FAILED, EVENT_STATUS.DEAD_LETTER], provider = null, limit = 50 } = {}) {
+    let query = db.collection(EVENTS_COLLECTION);
+
+    if (statuses.length === 1) {
+      query = query.where('status', '==', statuses[0]);
+    } else if (statuses.length > 1) {
+      query = query.where('status', 'in', statuses);
+    }
+    if (provider) {
+      query = query.where('provider', '==', provider);
+    }
+
+    const snapshot = await query
+      .orderBy('updatedAt', 'desc')
+      .limit(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200))
+      .get();
+
+    return snapshot.docs.map(doc => {
+      // The raw payload can be large; fetch a single event to inspect it
+      const { payload, ...event } = doc.data();
+      return { id: doc.id, ...event, hasPayload: Boolean(payload) };
+    });
+  }
+}
+
+module.exports = new PaymentEventLedger();
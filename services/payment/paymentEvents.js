@@ -0,0 +1,138 @@
+/**
+ * Payment Events - State rules for the webhook event ledger
+ *
+ * Pure helpers used by the payment event ledger. Every provider webhook is
+ * recorded once per provider event ID and moves through these states:
+ *
+ *   received -> processing -> processed
+ *                          -> failed -> processing (provider retry or replay)
+ *                          -> dead_letter (after MAX_ATTEMPTS; replay only)
+ */
+
+const crypto = require('crypto');
+
+const EVENT_STATUS = {
+  RECEIVED: 'received',
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  FAILED: 'failed',
+  DEAD_LETTER: 'dead_letter'
+};
+
+const MAX_ATTEMPTS = parseInt(process.env.PAYMENT_EVENT_MAX_ATTEMPTS, 10) || 5;
+
+// A claim older than this is treated as abandoned (crashed instance) and may be taken over
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Build the ledger document ID for a provider event
+ * Firestore document IDs cannot contain slashes, so they are replaced.
+ * @param {string} provider - 'paypal', 'unipay', ...
+ * @param {string} eventId - Provider event ID
+ * @returns {string} - e.g. `paypal_WH-123`
+ */
+function buildEventKey(provider, eventId) {
+  if (!provider || !eventId) {
+    throw new Error('Provider and event ID are required');
+  }
+  return `${provider}_${String(eventId).replace(/\//g, '_')}`;
+}
+
+/**
+ * Derive a stable ID for UniPay events
+ * UniPay does not always send an event ID; the order hash and status
+ * identify a notification well enough to recognise redeliveries.
+ * @param {Object} event - Parsed UniPay webhook payload
+ * @returns {string|null}
+ */
+function resolveUniPayEventId(event = {}) {
+  if (event.id) return String(event.id);
+  if (!event.OrderHashID) return null;
+
+  const status = String(event.Status || 'unknown').toLowerCase();
+  const digest = crypto.createHash('sha256').update(`${event.OrderHashID}:${status}`).digest('hex').slice(0, 32);
+  return `${event.OrderHashID}_${digest}`;
+}
+
+/**
+ * Decide whether an incoming delivery (or an admin replay) may process an event
+ * @param {Object|null} existing - Current ledger document, null when unseen
+ * @param {Object} options - { now, replay }
+ * @returns {Object} - { process: boolean, reason }
+ */
+function decideClaim(existing, { now = new Date(), replay = false } = {}) {
+  if (!existing) {
+    return { process: true, reason: 'new' };
+  }
+
+  switch (existing.status) {
+    case EVENT_STATUS.PROCESSED:
+      return { process: false, reason: 'duplicate' };
+
+    case EVENT_STATUS.PROCESSING: {
+      const claimedAt = existing.claimedAt ? new Date(existing.claimedAt).getTime() : 0;
+      if (now.getTime() - claimedAt < PROCESSING_TIMEOUT_MS) {
+        return { process: false, reason: 'in_progress' };
+      }
+      return { process: true, reason: 'stale_claim' };
+    }
+
+    case EVENT_STATUS.DEAD_LETTER:
+      return replay
+        ? { process: true, reason: 'replay' }
+        : { process: false, reason: 'dead_letter' };
+
+    case EVENT_STATUS.FAILED:
+      return { process: true, reason: replay ? 'replay' : 'retry' };
+
+    default:
+      return { process: true, reason: 'new' };
+  }
+}
+
+/**
+ * Decide whether a checkout record's fulfilment may be claimed
+ * The success redirect and the webhook of a checkout can both try to fulfil
+ * it; a claim older than PROCESSING_TIMEOUT_MS was abandoned and is taken over.
+ * @param {Object} record - { orderProcessed, orderProcessing, processingStartedAt }
+ * @param {Object} options - { now }
+ * @returns {Object} - { process: boolean, reason }
+ */
+function decideFulfilmentClaim(record, { now = new Date() } = {}) {
+  if (record.orderProcessed) {
+    return { process: false, reason: 'duplicate' };
+  }
+  if (record.orderProcessing) {
+    const startedAt = record.processingStartedAt ? new Date(record.processingStartedAt).getTime() : 0;
+    if (now.getTime() - startedAt < PROCESSING_TIMEOUT_MS) {
+      return { process: false, reason: 'in_progress' };
+    }
+    return { process: true, reason: 'stale_claim' };
+  }
+  return { process: true, reason: 'new' };
+}
+
+/**
+ * State after a failed processing attempt
+ * Replays never dead-letter on their own; an admin started them on purpose.
+ * @param {number} attempts - Attempts including the one that just failed
+ * @param {Object} options - { maxAttempts, replay }
+ * @returns {string} - EVENT_STATUS.FAILED or EVENT_STATUS.DEAD_LETTER
+ */
+function statusAfterFailure(attempts, { maxAttempts = MAX_ATTEMPTS, replay = false } = {}) {
+  if (!replay && attempts >= maxAttempts) {
+    return EVENT_STATUS.DEAD_LETTER;
+  }
+  return EVENT_STATUS.FAILED;
+}
+
+module.exports = {
+  EVENT_STATUS,
+  MAX_ATTEMPTS,
+  PROCESSING_TIMEOUT_MS,
+  buildEventKey,
+  resolveUniPayEventId,
+  decideClaim,
+  decideFulfilmentClaim,
+  statusAfterFailure
+};
@@ -0,0 +1,61 @@
+/**
+ * Payment Providers - Registry of payment provider adapters
+ *
+ * Adapters are loaded on first use so a provider's client library is only
+ * required when that provider is actually used. The local fake provider is
+ * only available when PAYMENT_FAKE_PROVIDER=true; NODE_ENV is not relied on
+ * since deployments do not always set it.
+ */
+
+const { PaymentProviderError } = require('./providers/paymentProvider');
+
+const PROVIDER_LOADERS = {
+  paypal: () => require('./providers/paypalProvider'),
+  unipay: () => require('./providers/uniPayProvider'),
+  fake: () => require('./providers/fakeProvider')
+};
+
+function isFakeProviderEnabled() {
+  return process.env.PAYMENT_FAKE_PROVIDER === 'true';
+}
+
+function isProviderAvailable(name) {
+  if (!PROVIDER_LOADERS[name]) return false;
+  return name !== 'fake' || isFakeProviderEnabled();
+}
+
+/**
+ * Get a provider adapter by name
+ * @param {string} name - 'paypal', 'unipay' or 'fake'
+ * @returns {PaymentProvider}
+ */
+function getProvider(name) {
+  const key = String(name || '').toLowerCase();
+  if (!isProviderAvailable(key)) {
+    throw new PaymentProviderError(`Unknown payment provider: ${name}`, { provider: key || null, statusCode: 404 });
+  }
+  return PROVIDER_LOADERS[key]();
+}
+
+/**
+ * Providers that can be used in this environment
+ * @returns {Array<Object>} - [{ name, configured }]
+ */
+function listProviders() {
+  return Object.keys(PROVIDER_LOADERS)
+    .filter(isProviderAvailable)
+    .map(name => {
+      try {
+        return { name, configured: getProvider(name).isConfigured() };
+      } catch (error) {
+        return { name, configured: false, error: error.message };
+      }
+    });
+}
+
+module.exports = {
+  getProvider,
+  listProviders,
+  isProviderAvailable,
+  isFakeProviderEnabled
+};
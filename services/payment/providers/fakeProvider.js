@@ -0,0 +1,191 @@
+/**
+ * Fake Provider - Local payment provider for development and tests
+ *
+ * Keeps checkouts in memory and never touches the network, so the whole
+ * purchase -> order -> invoice -> template access flow can run locally.
+ * Webhooks are signed with an HMAC of the JSON body
+ * (FAKE_PAYMENT_WEBHOOK_SECRET) in the X-Fake-Signature header.
+ *
+ * Test hooks: approve() and decline() simulate the buyer's decision,
+ * buildWebhook() produces a signed delivery and reset() clears state.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { PAYMENT_STATUS, PaymentProvider, PaymentProviderError } = require('./paymentProvider');
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+class FakeProvider extends PaymentProvider {
+  constructor() {
+    super('fake');
+    this.checkouts = new Map();
+  }
+
+  get webhookSecret() {
+    return process.env.FAKE_PAYMENT_WEBHOOK_SECRET || 'fake-provider-webhook-secret';
+  }
+
+  reset() {
+    this.checkouts.clear();
+  }
+
+  getCheckout(providerOrderId) {
+    const checkout = this.checkouts.get(providerOrderId);
+    if (!checkout) {
+      throw new PaymentProviderError(`Fake checkout not found: ${providerOrderId}`, { provider: this.name, statusCode: 404 });
+    }
+    return checkout;
+  }
+
+  async createCheckout(checkout) {
+    if (!(roundAmount(checkout.total) > 0)) {
+      throw new PaymentProviderError('Checkout total must be greater than zero', { provider: this.name, statusCode: 400 });
+    }
+
+    const providerOrderId = `FAKE-${uuidv4()}`;
+    const record = {
+      providerOrderId,
+      orderId: checkout.orderId,
+      currency: checkout.currency.toUpperCase(),
+      total: roundAmount(checkout.total),
+      status: PAYMENT_STATUS.CREATED,
+      captureId: null,
+      refundedAmount: 0,
+      refunds: [],
+      createdAt: new Date().toISOString()
+    };
+    this.checkouts.set(providerOrderId, record);
+
+    return {
+      provider: this.name,
+      providerOrderId,
+      status: record.status,
+      approvalUrl: checkout.returnUrl || null,
+      raw: { ...record }
+    };
+  }
+
+  approve(providerOrderId) {
+    const checkout = this.getCheckout(providerOrderId);
+    if (checkout.status === PAYMENT_STATUS.CREATED) {
+      checkout.status = PAYMENT_STATUS.APPROVED;
+    }
+    return { ...checkout };
+  }
+
+  decline(providerOrderId) {
+    const checkout = this.getCheckout(providerOrderId);
+    checkout.status = PAYMENT_STATUS.DECLINED;
+    return { ...checkout };
+  }
+
+  /**
+   * Captures approved checkouts; unapproved ones are approved implicitly
+   * like a buyer who confirmed on the provider page.
+   */
+  async capture(providerOrderId) {
+    const checkout = this.getCheckout(providerOrderId);
+
+    if (checkout.status === PAYMENT_STATUS.DECLINED) {
+      throw new PaymentProviderError('Payment declined', { provider: this.name, statusCode: 402, details: { providerOrderId } });
+    }
+    if (checkout.status === PAYMENT_STATUS.COMPLETED || checkout.status === PAYMENT_STATUS.REFUNDED ||
+        checkout.status === PAYMENT_STATUS.PARTIALLY_REFUNDED) {
+      throw new PaymentProviderError('Checkout already captured', { provider: this.name, statusCode: 409, details: { providerOrderId } });
+    }
+
+    checkout.status = PAYMENT_STATUS.COMPLETED;
+    checkout.captureId = `FAKE-CAPTURE-${uuidv4()}`;
+    checkout.capturedAt = new Date().toISOString();
+
+    return {
+      provider: this.name,
+      providerOrderId,
+      captureId: checkout.captureId,
+      status: checkout.status,
+      amount: checkout.total,
+      currency: checkout.currency,
+      raw: { ...checkout }
+    };
+  }
+
+  async refund(captureId, { amount = null, reason = null } = {}) {
+    const checkout = [...this.checkouts.values()].find(entry => entry.captureId === captureId);
+    if (!checkout) {
+      throw new PaymentProviderError(`Fake capture not found: ${captureId}`, { provider: this.name, statusCode: 404 });
+    }
+
+    const remaining = roundAmount(checkout.total - checkout.refundedAmount);
+    const refundAmount = amount === null || amount === undefined ? remaining : roundAmount(amount);
+    if (!(refundAmount > 0) || refundAmount > remaining) {
+      throw new PaymentProviderError(`Refund amount must be between 0 and ${remaining}`, { provider: this.name, statusCode: 400 });
+    }
+
+    const refund = {
+      refundId: `FAKE-REFUND-${uuidv4()}`,
+      amount: refundAmount,
+      reason,
+      createdAt: new Date().toISOString()
+    };
+    checkout.refunds.push(refund);
+    checkout.refundedAmount = roundAmount(checkout.refundedAmount + refundAmount);
+    checkout.status = checkout.refundedAmount >= checkout.total
+      ? PAYMENT_STATUS.REFUNDED
+      : PAYMENT_STATUS.PARTIALLY_REFUNDED;
+
+    return {
+      provider: this.name,
+      refundId: refund.refundId,
+      status: PAYMENT_STATUS.REFUNDED,
+      amount: refundAmount,
+      currency: checkout.currency,
+      raw: { ...refund }
+    };
+  }
+
+  sign(body) {
+    const payload = typeof body === 'string' ? body : JSON.stringify(body);
+    return crypto.createHmac('sha256', this.webhookSecret).update(payload).digest('hex');
+  }
+
+  /**
+   * Build a signed webhook delivery, e.g. buildWebhook('PAYMENT.COMPLETED', { providerOrderId })
+   * @returns {Object} - { headers, body }
+   */
+  buildWebhook(type, resource = {}, eventId = `FAKE-EVT-${uuidv4()}`) {
+    const body = { id: eventId, type, resource, createdAt: new Date().toISOString() };
+    return { headers: { [SIGNATURE_HEADER]: this.sign(body) }, body };
+  }
+
+  async verifyWebhook({ headers = {}, body, rawBody }) {
+    const signature = headers[SIGNATURE_HEADER] || '';
+    const expected = this.sign(rawBody !== undefined ? rawBody.toString() : body);
+
+    const verified = signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+    return {
+      verified,
+      eventId: body?.id || null,
+      type: body?.type || 'unknown',
+      payload: body
+    };
+  }
+
+  async getStatus(providerOrderId) {
+    const checkout = this.getCheckout(providerOrderId);
+    return {
+      provider: this.name,
+      providerOrderId,
+      status: checkout.status,
+      raw: { ...checkout }
+    };
+  }
+}
+
+module.exports = new FakeProvider();
@@ -0,0 +1,122 @@
+/**
+ * Payment Provider - Common interface for payment provider adapters
+ *
+ * Adapters translate between our checkout records and a provider API so
+ * routes never call provider endpoints directly. All amounts are major
+ * currency units (9.99), currencies are upper-case ISO codes and statuses
+ * are normalized to PAYMENT_STATUS.
+ */
+
+const PAYMENT_STATUS = {
+  CREATED: 'created',
+  APPROVED: 'approved',
+  COMPLETED: 'completed',
+  DECLINED: 'declined',
+  FAILED: 'failed',
+  REFUNDED: 'refunded',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  UNKNOWN: 'unknown'
+};
+
+// Processor name of the local fake provider behind /api/payments/sandbox
+const SANDBOX_PROCESSOR = 'fake';
+
+/**
+ * Whether an order, invoice or credit note comes from a sandbox checkout
+ * Sandbox documents are kept out of revenue figures and accounting exports.
+ * @param {Object} record - Order (paymentProcessor) or invoice (sandbox, payment.processor)
+ * @returns {boolean}
+ */
+function isSandboxPayment(record = {}) {
+  return record.sandbox === true ||
+    record.paymentProcessor === SANDBOX_PROCESSOR ||
+    record.payment?.processor === SANDBOX_PROCESSOR;
+}
+
+/**
+ * Error raised when a provider rejects a request or cannot be reached
+ */
+class PaymentProviderError extends Error {
+  constructor(message, { provider = null, statusCode = 502, details = null } = {}) {
+    super(message);
+    this.name = 'PaymentProviderError';
+    this.provider = provider;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether credentials for this provider are present
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Create a checkout the customer can approve
+   * @param {Object} checkout - { orderId, currency, items: [{ id, title, price, quantity, tax }],
+   *                              itemTotal, taxTotal, total, returnUrl, cancelUrl, metadata }
+   * @returns {Promise<Object>} - { provider, providerOrderId, status, approvalUrl, raw }
+   */
+  async createCheckout(checkout) {
+    throw this.notSupported('createCheckout');
+  }
+
+  /**
+   * Take the money for an approved checkout
+   * @param {string} providerOrderId
+   * @param {Object} options - Provider specific, e.g. { amount } for UniPay
+   * @returns {Promise<Object>} - { provider, providerOrderId, captureId, status, amount, currency, raw }
+   */
+  async capture(providerOrderId, options = {}) {
+    throw this.notSupported('capture');
+  }
+
+  /**
+   * Refund a captured payment in full or in part
+   * @param {string} captureId - Capture (or order) reference returned by capture()
+   * @param {Object} options - { amount, currency, reason }
+   * @returns {Promise<Object>} - { provider, refundId, status, amount, currency, raw }
+   */
+  async refund(captureId, options = {}) {
+    throw this.notSupported('refund');
+  }
+
+  /**
+   * Check that a webhook request really comes from the provider
+   * @param {Object} request - { headers, body, rawBody }
+   * @returns {Promise<Object>} - { verified, eventId, type, payload }
+   */
+  async verifyWebhook(request) {
+    throw this.notSupported('verifyWebhook');
+  }
+
+  /**
+   * Current status of a checkout at the provider
+   * @returns {Promise<Object>} - { provider, providerOrderId, status, raw }
+   */
+  async getStatus(providerOrderId) {
+    throw this.notSupported('getStatus');
+  }
+
+  notSupported(operation) {
+    return new PaymentProviderError(`${this.name} does not support ${operation}`, {
+      provider: this.name,
+      statusCode: 501
+    });
+  }
+}
+
+module.exports = {
+  PAYMENT_STATUS,
+  SANDBOX_PROCESSOR,
+  isSandboxPayment,
+  PaymentProvider,
+  PaymentProviderError
+};
@@ -0,0 +1,241 @@
+/**
+ * PayPal Provider - Orders v2 API adapter
+ *
+ * Configuration:
+ * - PAYPAL_CLIENT_ID / PAYPAL_CLIENT_SECRET: REST app credentials
+ * - PAYPAL_ENV: 'live' or 'sandbox' (defaults to live in production)
+ * - PAYPAL_WEBHOOK_ID: Webhook ID used for signature verification
+ */
+
+const axios = require('axios');
+const logger = require('../../../utils/logger');
+const { PAYMENT_STATUS, PaymentProvider, PaymentProviderError } = require('./paymentProvider');
+
+const PAYPAL_STATUS_MAP = {
+  CREATED: PAYMENT_STATUS.CREATED,
+  SAVED: PAYMENT_STATUS.CREATED,
+  PAYER_ACTION_REQUIRED: PAYMENT_STATUS.CREATED,
+  APPROVED: PAYMENT_STATUS.APPROVED,
+  COMPLETED: PAYMENT_STATUS.COMPLETED,
+  VOIDED: PAYMENT_STATUS.FAILED,
+  DECLINED: PAYMENT_STATUS.DECLINED,
+  FAILED: PAYMENT_STATUS.FAILED,
+  REFUNDED: PAYMENT_STATUS.REFUNDED,
+  PARTIALLY_REFUNDED: PAYMENT_STATUS.PARTIALLY_REFUNDED
+};
+
+function formatAmount(value) {
+  return (Math.round((Number(value) || 0) * 100) / 100).toFixed(2);
+}
+
+class PayPalProvider extends PaymentProvider {
+  constructor() {
+    super('paypal');
+    this.clientId = process.env.PAYPAL_CLIENT_ID || 'test_client_id';
+    this.clientSecret = process.env.PAYPAL_CLIENT_SECRET || 'test_client_secret';
+    // Determine PayPal environment explicitly: 'live' or 'sandbox'
+    this.env = (process.env.PAYPAL_ENV || '').toLowerCase() || (process.env.NODE_ENV === 'production' ? 'live' : 'sandbox');
+    this.baseUrl = this.env === 'live'
+      ? 'https://api-m.paypal.com'
+      : 'https://api-m.sandbox.paypal.com';
+  }
+
+  isConfigured() {
+    return !!(this.clientId && this.clientId !== 'test_client_id');
+  }
+
+  normalizeStatus(status) {
+    return PAYPAL_STATUS_MAP[String(status || '').toUpperCase()] || PAYMENT_STATUS.UNKNOWN;
+  }
+
+  async getAccessToken() {
+    try {
+      const auth = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+      const response = await axios({
+        method: 'post',
+        url: `${this.baseUrl}/v1/oauth2/token`,
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Authorization': `Basic ${auth}`
+        },
+        data: 'grant_type=client_credentials'
+      });
+      return response.data.access_token;
+    } catch (error) {
+      logger.error('Failed to generate PayPal access token:', error);
+      throw new Error('Failed to generate PayPal access token');
+    }
+  }
+
+  /**
+   * Authenticated call to the PayPal REST API
+   * API errors are rethrown as PaymentProviderError carrying PayPal's response.
+   */
+  async request(method, path, data = undefined) {
+    const accessToken = await this.getAccessToken();
+    try {
+      const response = await axios({
+        method,
+        url: `${this.baseUrl}${path}`,
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${accessToken}`
+        },
+        data
+      });
+      return response.data;
+    } catch (error) {
+      const status = error.response?.status;
+      const details = error.response?.data || error.message;
+      logger.error(`PayPal API error on ${method.toUpperCase()} ${path}`, { status, data: error.response?.data, message: error.message });
+      throw new PaymentProviderError('PayPal API error', { provider: this.name, statusCode: 502, details: { status, details } });
+    }
+  }
+
+  async createCheckout(checkout) {
+    const currency = checkout.currency.toUpperCase();
+
+    // PayPal checks tax_total against the sum of per-unit item tax
+    const lineItems = checkout.items.map(item => ({
+      name: item.title || item.name || 'Product',
+      unit_amount: { currency_code: currency, value: formatAmount(item.price) },
+      ...(item.tax !== undefined ? { tax: { currency_code: currency, value: formatAmount(item.tax) } } : {}),
+      quantity: String(item.quantity || 1),
+      category: 'DIGITAL_GOODS'
+    }));
+
+    const breakdown = {
+      item_total: { currency_code: currency, value: formatAmount(checkout.itemTotal) }
+    };
+    if (checkout.taxTotal !== undefined) {
+      breakdown.tax_total = { currency_code: currency, value: formatAmount(checkout.taxTotal) };
+    }
+
+    const data = await this.request('post', '/v2/checkout/orders', {
+      intent: 'CAPTURE',
+      purchase_units: [{
+        reference_id: checkout.orderId,
+        amount: {
+          currency_code: currency,
+          value: formatAmount(checkout.total),
+          breakdown
+        },
+        items: lineItems
+      }],
+      application_context: {
+        brand_name: 'AI Waverider',
+        landing_page: 'NO_PREFERENCE',
+        user_action: 'PAY_NOW',
+        shipping_preference: 'NO_SHIPPING',
+        return_url: checkout.returnUrl,
+        cancel_url: checkout.cancelUrl
+      }
+    });
+
+    return {
+      provider: this.name,
+      providerOrderId: data.id,
+      status: this.normalizeStatus(data.status),
+      approvalUrl: (data.links || []).find(link => link.rel === 'approve' || link.rel === 'payer-action')?.href || null,
+      raw: data
+    };
+  }
+
+  async capture(providerOrderId) {
+    const data = await this.request('post', `/v2/checkout/orders/${encodeURIComponent(providerOrderId)}/capture`);
+    const capture = data.purchase_units?.[0]?.payments?.captures?.[0] || null;
+
+    return {
+      provider: this.name,
+      providerOrderId: data.id || providerOrderId,
+      captureId: capture?.id || null,
+      status: this.normalizeStatus(capture?.status || data.status),
+      amount: capture ? parseFloat(capture.amount.value) : null,
+      currency: capture?.amount?.currency_code || null,
+      raw: data
+    };
+  }
+
+  async refund(captureId, { amount = null, currency = 'USD', reason = null } = {}) {
+    const body = {};
+    if (amount !== null && amount !== undefined) {
+      body.amount = { value: formatAmount(amount), currency_code: currency.toUpperCase() };
+    }
+    if (reason) {
+      body.note_to_payer = String(reason).slice(0, 255);
+    }
+
+    const data = await this.request('post', `/v2/payments/captures/${encodeURIComponent(captureId)}/refund`, body);
+    return {
+      provider: this.name,
+      refundId: data.id,
+      status: data.status === 'COMPLETED' ? PAYMENT_STATUS.REFUNDED : this.normalizeStatus(data.status),
+      amount: data.amount ? parseFloat(data.amount.value) : amount,
+      currency: data.amount?.currency_code || currency.toUpperCase(),
+      raw: data
+    };
+  }
+
+  async verifyWebhook({ headers = {}, body }) {
+    const webhookId = process.env.PAYPAL_WEBHOOK_ID;
+    if (!webhookId) {
+      throw new PaymentProviderError('Webhook not configured', { provider: this.name, statusCode: 400 });
+    }
+
+    const header = name => headers[name] || headers[name.toLowerCase()];
+    const data = await this.request('post', '/v1/notifications/verify-webhook-signature', {
+      auth_algo: header('paypal-auth-algo'),
+      cert_url: header('paypal-cert-url'),
+      transmission_id: header('paypal-transmission-id'),
+      transmission_sig: header('paypal-transmission-sig'),
+      transmission_time: header('paypal-transmission-time'),
+      webhook_id: webhookId,
+      webhook_event: body
+    });
+
+    return {
+      verified: data?.verification_status === 'SUCCESS',
+      eventId: body?.id || null,
+      type: body?.event_type || '',
+      payload: body,
+      raw: data
+    };
+  }
+
+  async getStatus(providerOrderId) {
+    const data = await this.request('get', `/v2/checkout/orders/${encodeURIComponent(providerOrderId)}`);
+    return {
+      provider: this.name,
+      providerOrderId: data.id || providerOrderId,
+      status: this.normalizeStatus(data.status),
+      raw: data
+    };
+  }
+
+  /**
+   * Subscriptions API (PayPal specific, not part of the provider interface)
+   */
+  async getSubscription(subscriptionId) {
+    return this.request('get', `/v1/billing/subscriptions/${encodeURIComponent(subscriptionId)}`);
+  }
+
+  async suspendSubscription(subscriptionId, reason = 'Cancelled by customer') {
+    await this.request('post', `/v1/billing/subscriptions/${encodeURIComponent(subscriptionId)}/suspend`, {
+      reason: String(reason).slice(0, 128)
+    });
+  }
+
+  async activateSubscription(subscriptionId, reason = 'Resumed by customer') {
+    await this.request('post', `/v1/billing/subscriptions/${encodeURIComponent(subscriptionId)}/activate`, {
+      reason: String(reason).slice(0, 128)
+    });
+  }
+
+  async cancelSubscription(subscriptionId, reason = 'Cancelled by customer') {
+    await this.request('post', `/v1/billing/subscriptions/${encodeURIComponent(subscriptionId)}/cancel`, {
+      reason: String(reason).slice(0, 128)
+    });
+  }
+}
+
+module.exports = new PayPalProvider();
@@ -0,0 +1,131 @@
+/**
+ * UniPay Provider - Adapter over the UniPay v3 service client
+ *
+ * UniPay identifies a checkout by its OrderHashID. Webhooks are not signed,
+ * so verifyWebhook only checks the payload shape and that the order is one
+ * of ours (the caller looks it up in `uniPayOrders`).
+ */
+
+const uniPayService = require('../uniPayService');
+const { PAYMENT_STATUS, PaymentProvider, PaymentProviderError } = require('./paymentProvider');
+const { resolveUniPayEventId } = require('../paymentEvents');
+
+const UNIPAY_STATUS_MAP = {
+  created: PAYMENT_STATUS.CREATED,
+  pending: PAYMENT_STATUS.CREATED,
+  processing: PAYMENT_STATUS.APPROVED,
+  success: PAYMENT_STATUS.COMPLETED,
+  succeeded: PAYMENT_STATUS.COMPLETED,
+  confirmed: PAYMENT_STATUS.COMPLETED,
+  failed: PAYMENT_STATUS.FAILED,
+  error: PAYMENT_STATUS.FAILED,
+  declined: PAYMENT_STATUS.DECLINED,
+  refunded: PAYMENT_STATUS.REFUNDED,
+  partially_refunded: PAYMENT_STATUS.PARTIALLY_REFUNDED
+};
+
+class UniPayProvider extends PaymentProvider {
+  constructor() {
+    super('unipay');
+  }
+
+  isConfigured() {
+    const isProduction = process.env.UNIPAY_ENVIRONMENT === 'production';
+    return isProduction
+      ? !!(process.env.UNIPAY_MERCHANT_ID && process.env.UNIPAY_API_KEY)
+      : !!(process.env.UNIPAY_TEST_MERCHANT_ID && process.env.UNIPAY_TEST_API_KEY);
+  }
+
+  normalizeStatus(status) {
+    return UNIPAY_STATUS_MAP[String(status || '').toLowerCase()] || PAYMENT_STATUS.UNKNOWN;
+  }
+
+  /**
+   * Run a UniPay client call, reporting failures as PaymentProviderError
+   */
+  async call(operation, fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      throw new PaymentProviderError(`UniPay ${operation} failed`, { provider: this.name, statusCode: 502, details: error.message });
+    }
+  }
+
+  async createCheckout(checkout) {
+    const result = await this.call('createOrder', () => uniPayService.createOrder({
+      orderId: checkout.orderId,
+      amount: checkout.total,
+      currency: checkout.currency.toUpperCase(),
+      items: checkout.items,
+      successUrl: checkout.returnUrl,
+      cancelUrl: checkout.cancelUrl,
+      metadata: checkout.metadata || {}
+    }));
+
+    return {
+      provider: this.name,
+      providerOrderId: result.orderHashId,
+      status: PAYMENT_STATUS.CREATED,
+      approvalUrl: result.paymentUrl || null,
+      raw: result
+    };
+  }
+
+  /**
+   * UniPay captures by confirming the pre-authorized order amount
+   */
+  async capture(orderHashId, { amount = 0 } = {}) {
+    const result = await this.call('confirmOrder', () => uniPayService.confirmOrder(orderHashId, amount));
+    return {
+      provider: this.name,
+      providerOrderId: orderHashId,
+      captureId: orderHashId,
+      status: result.success === false ? PAYMENT_STATUS.FAILED : PAYMENT_STATUS.COMPLETED,
+      amount: amount || null,
+      currency: null,
+      raw: result
+    };
+  }
+
+  async refund(orderHashId, { amount, currency = null, reason = null } = {}) {
+    const result = await this.call('createRefund', () => uniPayService.createRefund(orderHashId, amount, reason));
+    return {
+      provider: this.name,
+      refundId: result.refundId || null,
+      status: result.success === false ? PAYMENT_STATUS.FAILED : PAYMENT_STATUS.REFUNDED,
+      amount,
+      currency,
+      raw: result
+    };
+  }
+
+  async verifyWebhook({ body, rawBody }) {
+    let event = body;
+    if (rawBody !== undefined) {
+      try {
+        event = JSON.parse(Buffer.isBuffer(rawBody) ? rawBody.toString() : rawBody);
+      } catch (parseError) {
+        throw new PaymentProviderError('Invalid JSON payload', { provider: this.name, statusCode: 400 });
+      }
+    }
+
+    return {
+      verified: !!(event && event.OrderHashID),
+      eventId: resolveUniPayEventId(event || {}),
+      type: event?.type || event?.Status || 'unknown',
+      payload: event
+    };
+  }
+
+  async getStatus(orderHashId) {
+    const result = await this.call('getPaymentStatus', () => uniPayService.getPaymentStatus(orderHashId));
+    return {
+      provider: this.name,
+      providerOrderId: orderHashId,
+      status: this.normalizeStatus(result.status || result.Status),
+      raw: result
+    };
+  }
+}
+
+module.exports = new UniPayProvider();
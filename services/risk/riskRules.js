@@ -0,0 +1,123 @@
+/**
+ * Risk Rules - Fraud screening score for paid checkouts
+ *
+ * Each rule adds points for a suspicious signal: disposable email domains,
+ * a card/billing country that differs from the IP country, bursts of orders
+ * from one buyer or IP and a history of refunds. Orders scoring at or above
+ * RISK_REVIEW_SCORE are held for review before any template is delivered.
+ * Pure functions; the risk service gathers the signals.
+ */
+
+const RISK_LEVELS = {
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high'
+};
+
+// Well-known throwaway inbox providers; RISK_DISPOSABLE_DOMAINS adds more (comma separated)
+const DISPOSABLE_EMAIL_DOMAINS = [
+  '10minutemail.com', 'burnermail.io', 'dispostable.com', 'emailondeck.com', 'fakeinbox.com',
+  'getnada.com', 'guerrillamail.com', 'guerrillamail.net', 'maildrop.cc', 'mailinator.com',
+  'mintemail.com', 'moakt.com', 'mohmal.com', 'sharklasers.com', 'spamgourmet.com',
+  'temp-mail.org', 'tempmail.com', 'tempmailo.com', 'throwawaymail.com', 'trashmail.com',
+  'yopmail.com'
+];
+
+// Headers set by the CDN / hosting proxy with the visitor's country
+const IP_COUNTRY_HEADERS = ['cf-ipcountry', 'x-vercel-ip-country', 'x-country-code'];
+
+function positiveNumber(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+/**
+ * Thresholds from the environment
+ * RISK_REVIEW_SCORE (70), RISK_MEDIUM_SCORE (40), RISK_HIGH_VALUE_AMOUNT (500)
+ */
+function getRiskSettings(env = process.env) {
+  const extraDomains = String(env.RISK_DISPOSABLE_DOMAINS || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean);
+
+  return {
+    reviewScore: positiveNumber(env.RISK_REVIEW_SCORE, 70),
+    mediumScore: positiveNumber(env.RISK_MEDIUM_SCORE, 40),
+    highValueAmount: positiveNumber(env.RISK_HIGH_VALUE_AMOUNT, 500),
+    disposableDomains: new Set([...DISPOSABLE_EMAIL_DOMAINS, ...extraDomains])
+  };
+}
+
+/**
+ * Country of the client IP as reported by the proxy, or null
+ */
+function getIpCountry(headers = {}) {
+  for (const header of IP_COUNTRY_HEADERS) {
+    const value = String(headers[header] || '').trim().toUpperCase();
+    // Cloudflare reports XX for unknown and T1 for Tor
+    if (/^[A-Z][A-Z0-9]$/.test(value) && value !== 'XX') return value;
+  }
+  return null;
+}
+
+function emailDomain(email) {
+  const at = String(email || '').lastIndexOf('@');
+  return at > 0 ? String(email).slice(at + 1).trim().toLowerCase() : null;
+}
+
+/**
+ * Score the risk of a checkout
+ * @param {Object} signals - { email, country, ipCountry, amount, userOrdersLastHour,
+ *   ipOrdersLastHour, refundedOrders, previousOrders }
+ * @param {Object} settings - From getRiskSettings
+ * @returns {Object} - { score, level, hold, reasons: [{ code, points, detail }] }
+ */
+function scoreOrderRisk(signals = {}, settings = getRiskSettings()) {
+  const reasons = [];
+  const add = (code, points, detail) => reasons.push({ code, points, detail });
+
+  const domain = emailDomain(signals.email);
+  if (!domain) {
+    add('missing_email', 15, 'No email address to deliver to');
+  } else if (settings.disposableDomains.has(domain)) {
+    add('disposable_email', 35, `Disposable email domain ${domain}`);
+  }
+
+  if (signals.ipCountry === 'T1') {
+    add('tor_exit', 30, 'Checkout from a Tor exit node');
+  } else if (signals.country && signals.ipCountry && signals.country.toUpperCase() !== signals.ipCountry) {
+    add('country_mismatch', 25, `Billing country ${signals.country.toUpperCase()} but IP in ${signals.ipCountry}`);
+  }
+
+  const userOrders = signals.userOrdersLastHour || 0;
+  if (userOrders >= 6) add('user_velocity', 40, `${userOrders} orders from this buyer in the last hour`);
+  else if (userOrders >= 3) add('user_velocity', 20, `${userOrders} orders from this buyer in the last hour`);
+
+  const ipOrders = signals.ipOrdersLastHour || 0;
+  if (ipOrders >= 10) add('ip_velocity', 40, `${ipOrders} orders from this IP in the last hour`);
+  else if (ipOrders >= 5) add('ip_velocity', 20, `${ipOrders} orders from this IP in the last hour`);
+
+  const refunded = signals.refundedOrders || 0;
+  if (refunded >= 3) add('refund_history', 40, `${refunded} refunded orders`);
+  else if (refunded >= 1) add('refund_history', 15, `${refunded} refunded order${refunded > 1 ? 's' : ''}`);
+
+  if ((signals.amount || 0) >= settings.highValueAmount && !(signals.previousOrders > 0)) {
+    add('high_value_first_order', 15, `First order of ${signals.amount}`);
+  }
+
+  const score = Math.min(100, reasons.reduce((sum, reason) => sum + reason.points, 0));
+  let level = RISK_LEVELS.LOW;
+  if (score >= settings.reviewScore) level = RISK_LEVELS.HIGH;
+  else if (score >= settings.mediumScore) level = RISK_LEVELS.MEDIUM;
+
+  return { score, level, hold: level === RISK_LEVELS.HIGH, reasons };
+}
+
+module.exports = {
+  RISK_LEVELS,
+  DISPOSABLE_EMAIL_DOMAINS,
+  getRiskSettings,
+  getIpCountry,
+  scoreOrderRisk
+};
@@ -0,0 +1,82 @@
+/**
+ * Risk Service - Gathers the signals scored by riskRules
+ *
+ * Order velocity per buyer and per IP is counted in Redis (one-hour windows);
+ * refund history comes from the buyer's earlier orders. Velocity counting
+ * fails open: without Redis the counters read 0.
+ */
+
+const admin = require('firebase-admin');
+const logger = require('../../utils/logger');
+const { incrementCounter } = require('../../utils/cache');
+const { getRiskSettings, scoreOrderRisk } = require('./riskRules');
+
+// Initialize Firestore
+const db = admin.firestore();
+
+const VELOCITY_WINDOW = 60 * 60;
+
+const REFUNDED_STATUSES = ['refunded', 'partially_refunded', 'rejected'];
+const PAID_STATUSES = ['completed', 'refunded', 'partially_refunded'];
+
+class RiskService {
+  constructor() {
+    this.settings = getRiskSettings();
+  }
+
+  /**
+   * Earlier orders of a buyer, by user ID or else by email
+   * @returns {Promise<Object>} - { previousOrders, refundedOrders }
+   */
+  async getBuyerHistory({ userId, email }) {
+    if (!userId && !email) return { previousOrders: 0, refundedOrders: 0 };
+
+    const query = userId
+      ? db.collection('orders').where('userId', '==', userId)
+      : db.collection('orders').where('userEmail', '==', email);
+    const snapshot = await query.select('status').get();
+    const statuses = snapshot.docs.map(doc => doc.data().status);
+
+    return {
+      previousOrders: statuses.filter(status => PAID_STATUSES.includes(status)).length,
+      refundedOrders: statuses.filter(status => REFUNDED_STATUSES.includes(status)).length
+    };
+  }
+
+  /**
+   * Score a paid checkout before its order is created
+   * Counts the checkout towards the buyer's and the IP's velocity.
+   * @param {Object} checkout - { userId, email, ip, ipCountry, country, amount }
+   * @returns {Promise<Object>} - scoreOrderRisk result with the signals used
+   */
+  async assessCheckout(checkout) {
+    const buyer = checkout.userId || (checkout.email ? String(checkout.email).toLowerCase() : null);
+    const [userOrdersLastHour, ipOrdersLastHour, history] = await Promise.all([
+      buyer ? incrementCounter(`risk:orders:buyer:${buyer}`, VELOCITY_WINDOW) : 0,
+      checkout.ip ? incrementCounter(`risk:orders:ip:${checkout.ip}`, VELOCITY_WINDOW) : 0,
+      this.getBuyerHistory(checkout)
+    ]);
+
+    const signals = {
+      email: checkout.email || null,
+      country: checkout.country || null,
+      ipCountry: checkout.ipCountry || null,
+      amount: checkout.amount || 0,
+      userOrdersLastHour,
+      ipOrdersLastHour,
+      ...history
+    };
+    const assessment = scoreOrderRisk(signals, this.settings);
+
+    if (assessment.level !== 'low') {
+      logger.warn(`Checkout risk ${assessment.level} (${assessment.score})`, {
+        reasons: assessment.reasons.map(reason => reason.code),
+        userId: checkout.userId || null
+      });
+    }
+    return { ...assessment, signals: { ...signals, ip: checkout.ip || null }, assessedAt: new Date().toISOString() };
+  }
+}
+
+// Export singleton instance
+module.exports = new RiskService();
@@ -0,0 +1,128 @@
+/**
+ * Agent Facets - Sidebar counts for the agents catalog
+ *
+ * Each facet is counted over the agents matching every active filter except
+ * the facet's own, so picking a category still shows how many agents the
+ * other categories hold. Price bands and rating buckets carry the
+ * priceMin/priceMax and rating values that select them.
+ * Pure functions; the caller passes the catalog's filter function.
+ */
+
+const PRICE_BANDS = [
+  { key: 'free', label: 'Free', min: 0, max: 0 },
+  { key: 'under-10', label: 'Under $10', min: 0.01, max: 9.99 },
+  { key: '10-25', label: '$10 to $25', min: 10, max: 25 },
+  { key: '25-50', label: '$25 to $50', min: 25.01, max: 50 },
+  { key: '50-100', label: '$50 to $100', min: 50.01, max: 100 },
+  { key: 'over-100', label: 'Over $100', min: 100.01, max: null }
+];
+
+const RATING_BUCKETS = [4, 3, 2, 1];
+
+// Filters each facet ignores when it is counted
+const FACET_FILTERS = {
+  categories: ['category'],
+  integrations: ['integrations'],
+  price: ['priceMin', 'priceMax'],
+  ratings: ['rating']
+};
+
+// Values returned per list facet, most common first
+const MAX_FACET_VALUES = 50;
+
+function agentPrice(agent) {
+  const price = Number(agent.price);
+  return Number.isFinite(price) ? price : 0;
+}
+
+function agentRating(agent) {
+  const rating = Number(agent.rating?.average ?? agent.rating);
+  return Number.isFinite(rating) ? rating : 0;
+}
+
+function agentCategories(agent) {
+  const categories = [agent.category, ...(Array.isArray(agent.categories) ? agent.categories : [])];
+  return [...new Set(categories.filter(category => typeof category === 'string' && category))];
+}
+
+function agentIntegrations(agent) {
+  const integrations = agent.workflowMetadata?.integrations;
+  return [...new Set((Array.isArray(integrations) ? integrations : []).filter(name => typeof name === 'string' && name))];
+}
+
+function withoutFilters(filters, keys) {
+  const rest = { ...filters };
+  keys.forEach(key => { delete rest[key]; });
+  return rest;
+}
+
+/**
+ * Count values over agents, most common first
+ * Selected values are always listed so the sidebar can show them as active.
+ */
+function countValues(agents, valuesOf, selected = []) {
+  const counts = new Map();
+  agents.forEach(agent => {
+    valuesOf(agent).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  });
+  selected.forEach(value => {
+    if (!counts.has(value)) counts.set(value, 0);
+  });
+
+  const listed = [...counts]
+    .map(([value, count]) => ({ value, count, selected: selected.includes(value) }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+  return listed.filter((facet, index) => index < MAX_FACET_VALUES || facet.selected);
+}
+
+function countPriceBands(agents) {
+  return PRICE_BANDS.map(band => ({
+    ...band,
+    count: agents.filter(agent => {
+      const price = agentPrice(agent);
+      return price >= band.min && (band.max === null || price <= band.max);
+    }).length
+  }));
+}
+
+/**
+ * Facet counts for the agents matching a search
+ * @param {Array<Object>} agents - Agents matching the search query (before filters)
+ * @param {Object} filters - Active filters, as passed to filterAgents
+ * @param {Function} applyFilters - (agents, filters) => agents
+ * @returns {Object} - { categories, integrations, priceBands, pricing, ratings }
+ */
+function computeAgentFacets(agents, filters, applyFilters) {
+  const matching = key => applyFilters(agents, withoutFilters(filters, FACET_FILTERS[key]));
+
+  const byCategory = matching('categories');
+  const byIntegration = matching('integrations');
+  const byPrice = matching('price');
+  const byRating = matching('ratings');
+
+  const selectedCategory = filters.category && filters.category !== 'All' ? [filters.category] : [];
+  const freeCount = byPrice.filter(agent => agentPrice(agent) <= 0).length;
+
+  return {
+    categories: countValues(byCategory, agentCategories, selectedCategory),
+    integrations: countValues(byIntegration, agentIntegrations, filters.integrations || []),
+    priceBands: countPriceBands(byPrice),
+    pricing: { free: freeCount, paid: byPrice.length - freeCount },
+    ratings: RATING_BUCKETS.map(min => ({
+      min,
+      count: byRating.filter(agent => agentRating(agent) >= min).length,
+      selected: Number(filters.rating) === min
+    }))
+  };
+}
+
+module.exports = {
+  PRICE_BANDS,
+  RATING_BUCKETS,
+  FACET_FILTERS,
+  agentPrice,
+  agentRating,
+  agentCategories,
+  agentIntegrations,
+  computeAgentFacets
+};
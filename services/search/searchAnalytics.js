@@ -0,0 +1,173 @@
+/**
+ * Search Analytics - Sampled search logs and their report
+ *
+ * First-page searches of the agents and prompts catalogs are logged with a
+ * probability of SEARCH_LOG_SAMPLE_RATE (zero-result searches with
+ * SEARCH_LOG_ZERO_RESULT_SAMPLE_RATE, all of them by default). Each log keeps
+ * its sample rate so reports weight it by 1 / rate and estimate the real
+ * number of searches. A result opened from a logged search is recorded on the
+ * log as its click.
+ * Pure functions; the search analytics service stores the logs.
+ */
+
+const CATALOGS = ['agents', 'prompts'];
+
+const MAX_QUERY_LENGTH = 100;
+
+function sampleRate(value, fallback) {
+  const rate = Number(value);
+  return Number.isFinite(rate) && rate > 0 && rate <= 1 ? rate : fallback;
+}
+
+/**
+ * Sample rates from the environment
+ */
+function getSearchAnalyticsSettings(env = process.env) {
+  return {
+    sampleRate: sampleRate(env.SEARCH_LOG_SAMPLE_RATE, 0.2),
+    zeroResultSampleRate: sampleRate(env.SEARCH_LOG_ZERO_RESULT_SAMPLE_RATE, 1)
+  };
+}
+
+/**
+ * Lowercase query with single spaces, as it is grouped in reports
+ */
+function normalizeQuery(query) {
+  return String(query || '').toLowerCase().replace(/\s+/g, ' ').trim().slice(0, MAX_QUERY_LENGTH);
+}
+
+/**
+ * Sample rate that applies to a search
+ */
+function getSampleRate(resultCount, settings = getSearchAnalyticsSettings()) {
+  return resultCount === 0 ? settings.zeroResultSampleRate : settings.sampleRate;
+}
+
+/**
+ * Decide whether a search is logged
+ * @returns {number|null} - The sample rate to store, or null when not logged
+ */
+function sampleSearch(resultCount, settings = getSearchAnalyticsSettings(), random = Math.random) {
+  const rate = getSampleRate(resultCount, settings);
+  return random() < rate ? rate : null;
+}
+
+/**
+ * Log document of a sampled search
+ * @param {Object} search - { catalog, query, resultCount, filters, sort }
+ */
+function buildSearchLog(search, rate, now = new Date()) {
+  const activeFilters = Object.entries(search.filters || {})
+    .filter(([key, value]) => value !== undefined && value !== null && value !== '' && !(key === 'category' && value === 'All'))
+    .map(([key]) => key)
+    .sort();
+
+  return {
+    catalog: search.catalog,
+    query: normalizeQuery(search.query),
+    resultCount: search.resultCount,
+    filters: activeFilters,
+    sort: search.sort || null,
+    sampleRate: rate,
+    createdAt: now.toISOString(),
+    clickedAt: null,
+    clickedId: null,
+    clickedPosition: null
+  };
+}
+
+function round(value, digits = 4) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Report over search logs, with counts estimated from the sample rates
+ * @param {Array<Object>} logs - Search log documents
+ * @param {Object} options - { top }
+ * @returns {Object} - { totals, topQueries, zeroResultQueries }
+ */
+function summarizeSearchLogs(logs, { top = 20 } = {}) {
+  const byQuery = new Map();
+  const totals = { searches: 0, sampledSearches: 0, zeroResultSearches: 0, clicks: 0 };
+
+  logs.forEach(log => {
+    if (!log.query) return;
+    const weight = 1 / (log.sampleRate || 1);
+    const clicked = log.clickedAt ? weight : 0;
+    const zero = log.resultCount === 0 ? weight : 0;
+
+    totals.searches += weight;
+    totals.sampledSearches++;
+    totals.zeroResultSearches += zero;
+    totals.clicks += clicked;
+
+    const entry = byQuery.get(log.query) || {
+      query: log.query,
+      searches: 0,
+      sampledSearches: 0,
+      zeroResultSearches: 0,
+      clicks: 0,
+      resultTotal: 0,
+      positionTotal: 0,
+      positionCount: 0,
+      lastSearchedAt: null
+    };
+    entry.searches += weight;
+    entry.sampledSearches++;
+    entry.zeroResultSearches += zero;
+    entry.clicks += clicked;
+    entry.resultTotal += (log.resultCount || 0) * weight;
+    if (log.clickedAt && Number.isInteger(log.clickedPosition)) {
+      entry.positionTotal += log.clickedPosition;
+      entry.positionCount++;
+    }
+    if (!entry.lastSearchedAt || log.createdAt > entry.lastSearchedAt) entry.lastSearchedAt = log.createdAt;
+    byQuery.set(log.query, entry);
+  });
+
+  const queries = [...byQuery.values()].map(entry => ({
+    query: entry.query,
+    searches: Math.round(entry.searches),
+    sampledSearches: entry.sampledSearches,
+    averageResults: round(entry.resultTotal / entry.searches, 1),
+    clicks: Math.round(entry.clicks),
+    ctr: entry.searches > entry.zeroResultSearches
+      ? round(entry.clicks / (entry.searches - entry.zeroResultSearches))
+      : null,
+    averageClickPosition: entry.positionCount > 0 ? round(entry.positionTotal / entry.positionCount, 1) : null,
+    zeroResultSearches: Math.round(entry.zeroResultSearches),
+    lastSearchedAt: entry.lastSearchedAt
+  }));
+  const bySearches = (a, b) => b.searches - a.searches || a.query.localeCompare(b.query);
+
+  return {
+    totals: {
+      searches: Math.round(totals.searches),
+      sampledSearches: totals.sampledSearches,
+      uniqueQueries: byQuery.size,
+      zeroResultSearches: Math.round(totals.zeroResultSearches),
+      zeroResultRate: totals.searches > 0 ? round(totals.zeroResultSearches / totals.searches) : 0,
+      clicks: Math.round(totals.clicks),
+      ctr: totals.searches > totals.zeroResultSearches
+        ? round(totals.clicks / (totals.searches - totals.zeroResultSearches))
+        : 0
+    },
+    topQueries: queries.filter(query => query.searches > query.zeroResultSearches).sort(bySearches).slice(0, top),
+    zeroResultQueries: queries
+      .filter(query => query.zeroResultSearches > 0)
+      .map(({ query, zeroResultSearches, searches, lastSearchedAt }) => ({ query, zeroResultSearches, searches, lastSearchedAt }))
+      .sort((a, b) => b.zeroResultSearches - a.zeroResultSearches || a.query.localeCompare(b.query))
+      .slice(0, top)
+  };
+}
+
+module.exports = {
+  CATALOGS,
+  getSearchAnalyticsSettings,
+  normalizeQuery,
+  getSampleRate,
+  sampleSearch,
+  buildSearchLog,
+  summarizeSearchLogs
+};
@@ -0,0 +1,98 @@
+/**
+ * Search Analytics Service - Sampled search logs in `search_logs`
+ *
+ * Logging never delays or fails a search: the log ID is handed out straight
+ * away and the write happens in the background. The ID is returned to the
+ * client as searchId and comes back with /api/recommendations/track-view
+ * when a result is opened, which marks the search as clicked.
+ */
+
+const { db } = require('../../config/firebase');
+const logger = require('../../utils/logger');
+const {
+  getSearchAnalyticsSettings,
+  sampleSearch,
+  buildSearchLog,
+  summarizeSearchLogs
+} = require('./searchAnalytics');
+
+const LOGS_COLLECTION = 'search_logs';
+
+// Logs read for one report
+const MAX_REPORT_LOGS = 20000;
+
+class SearchAnalyticsService {
+  constructor() {
+    this.settings = getSearchAnalyticsSettings();
+  }
+
+  /**
+   * Log a search if it is sampled
+   * @param {Object} search - { catalog, query, resultCount, filters, sort }
+   * @returns {string|null} - searchId for click tracking, or null when not logged
+   */
+  logSearch(search) {
+    try {
+      const rate = sampleSearch(search.resultCount, this.settings);
+      if (rate === null) return null;
+
+      const ref = db.collection(LOGS_COLLECTION).doc();
+      ref.set(buildSearchLog(search, rate)).catch(error => {
+        logger.warn(`Failed to write search log: ${error.message}`);
+      });
+      return ref.id;
+    } catch (error) {
+      logger.warn(`Failed to log search: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Record the first result opened from a logged search
+   * @param {string} searchId - From the search response
+   * @param {string} productId - Opened agent or prompt
+   * @param {number} position - Zero-based position in the results, if known
+   * @returns {Promise<boolean>} - False when the search is unknown or already clicked
+   */
+  async recordClick(searchId, productId, position = null) {
+    if (typeof searchId !== 'string' || !searchId || searchId.includes('/')) return false;
+
+    const ref = db.collection(LOGS_COLLECTION).doc(searchId);
+    const parsedPosition = Number.isInteger(Number(position)) && Number(position) >= 0 ? Number(position) : null;
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists || doc.data().clickedAt) return false;
+      transaction.update(ref, {
+        clickedAt: new Date().toISOString(),
+        clickedId: productId,
+        clickedPosition: parsedPosition
+      });
+      return true;
+    });
+  }
+
+  /**
+   * Search report for a range
+   * @param {Object} options - { from, to, catalog, top }
+   * @returns {Promise<Object>} - summarizeSearchLogs report
+   */
+  async getSearchAnalytics({ from, to, catalog = null, top = 20 }) {
+    const snapshot = await db.collection(LOGS_COLLECTION)
+      .where('createdAt', '>=', from)
+      .where('createdAt', '<=', to)
+      .orderBy('createdAt', 'desc')
+      .limit(MAX_REPORT_LOGS)
+      .get();
+
+    const logs = snapshot.docs
+      .map(doc => doc.data())
+      .filter(log => !catalog || log.catalog === catalog);
+    return {
+      ...summarizeSearchLogs(logs, { top }),
+      truncated: snapshot.size >= MAX_REPORT_LOGS
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new SearchAnalyticsService();
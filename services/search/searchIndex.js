@@ -0,0 +1,365 @@
+/**
+ * Search Index - In-process inverted index with BM25 ranking
+ *
+ * Documents are split into weighted fields, tokenized, stemmed and stored
+ * with their positions. Queries match every term (exactly, by prefix or,
+ * for terms with no match, within one or two typos) and every "quoted
+ * phrase"; matches are ranked with a field-weighted BM25 score.
+ * Pure functions; callers keep the built index next to the data it covers.
+ */
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is',
+  'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'with', 'your', 'you'
+]);
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Weight of a match relative to an exact one
+const PREFIX_WEIGHT = 0.7;
+const FUZZY_WEIGHTS = { 1: 0.5, 2: 0.3 };
+const PHRASE_BOOST = 1.5;
+
+// Expansions kept per query term
+const MAX_EXPANSIONS = 20;
+
+/**
+ * Words of a text with their offsets, lowercased
+ * @returns {Array<Object>} - [{ token, start, end }]
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text || '').toLowerCase().matchAll(TOKEN_PATTERN)) {
+    tokens.push({ token: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Light English stemmer: plural, verb and common noun endings
+ * automation, automated, automates and automating all stem to "automat".
+ */
+function stem(word) {
+  let w = word;
+  if (w.length <= 3 || /\d/.test(w)) return w;
+
+  if (w.endsWith('ies') && w.length > 4) w = `${w.slice(0, -3)}y`;
+  else if (w.endsWith('sses')) w = w.slice(0, -2);
+  else if (/[^siu]s$/.test(w)) w = w.slice(0, -1);
+
+  const suffix = ['ational', 'ization', 'ingly', 'edly', 'ment', 'ness', 'ing', 'ion', 'ful', 'ed', 'er', 'ly']
+    .find(ending => w.endsWith(ending) && w.length - ending.length >= 3);
+  if (suffix) {
+    w = w.slice(0, -suffix.length);
+    if (suffix === 'ational') w += 'ate';
+    if (suffix === 'ization') w += 'ize';
+    // running -> runn -> run
+    if (/([^aeiouls])\1$/.test(w)) w = w.slice(0, -1);
+  }
+
+  if (w.endsWith('e') && w.length > 4) w = w.slice(0, -1);
+  return w;
+}
+
+/**
+ * Edit distance with adjacent transpositions, or Infinity past maxDistance
+ */
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return Infinity;
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > maxDistance) return Infinity;
+    previousPrevious = previous;
+    previous = current;
+  }
+  return previous[b.length] <= maxDistance ? previous[b.length] : Infinity;
+}
+
+/**
+ * Build an index over documents
+ * @param {Array<Object>} docs - Documents to index
+ * @param {Array<Object>} fields - [{ name, weight, get(doc) -> string | string[] }]
+ * @param {Object} options - { getId }
+ * @returns {Object} - Index for search()
+ */
+function buildSearchIndex(docs, fields, { getId = doc => doc.id } = {}) {
+  const postings = new Map();
+  const fieldLengths = fields.map(() => new Array(docs.length).fill(0));
+
+  docs.forEach((doc, docIndex) => {
+    fields.forEach((field, fieldIndex) => {
+      const values = [].concat(field.get(doc) ?? []).filter(value => typeof value === 'string' && value);
+      let position = 0;
+      values.forEach(value => {
+        tokenize(value).forEach(({ token }) => {
+          const term = stem(token);
+          if (!postings.has(term)) postings.set(term, new Map());
+          const docs = postings.get(term);
+          if (!docs.has(docIndex)) docs.set(docIndex, []);
+          const positions = docs.get(docIndex);
+          (positions[fieldIndex] = positions[fieldIndex] || []).push(position);
+          position++;
+        });
+        // Keep separate values of an array field from forming phrases
+        position++;
+      });
+      fieldLengths[fieldIndex][docIndex] = position;
+    });
+  });
+
+  const averageLengths = fieldLengths.map(lengths => {
+    const total = lengths.reduce((sum, length) => sum + length, 0);
+    return docs.length > 0 ? Math.max(total / docs.length, 1) : 1;
+  });
+
+  return {
+    ids: docs.map(getId),
+    fields: fields.map(({ name, weight }) => ({ name, weight })),
+    postings,
+    vocabulary: [...postings.keys()].sort(),
+    fieldLengths,
+    averageLengths,
+    docCount: docs.length
+  };
+}
+
+/**
+ * Split a query into "quoted phrases" and loose terms
+ * Stopwords are dropped from loose terms unless the query has nothing else.
+ * @returns {Object} - { phrases: [[stem]], terms: [{ token, stem }] }
+ */
+function parseQuery(query) {
+  const phrases = [];
+  const rest = String(query || '').replace(/"([^"]*)"/g, (match, phrase) => {
+    const stems = tokenize(phrase).map(({ token }) => stem(token));
+    if (stems.length > 0) phrases.push(stems);
+    return ' ';
+  });
+
+  const tokens = tokenize(rest).map(({ token }) => token);
+  const meaningful = tokens.filter(token => !STOPWORDS.has(token));
+  const terms = [...new Set(meaningful.length > 0 || phrases.length > 0 ? meaningful : tokens)]
+    .map(token => ({ token, stem: stem(token) }));
+
+  return { phrases, terms };
+}
+
+/**
+ * Indexed terms a query term can match, with their weights
+ * @returns {Array<Object>} - [{ term, weight }]
+ */
+function expandTerm(index, { token, stem: termStem }) {
+  const expansions = new Map();
+  const add = (term, weight) => {
+    if ((expansions.get(term) || 0) < weight) expansions.set(term, weight);
+  };
+
+  if (index.postings.has(termStem)) add(termStem, 1);
+
+  // Words still being typed: "integ" matches "integrat"
+  if (token.length >= 3) {
+    [...new Set([termStem, token])].forEach(prefix => {
+      let low = 0;
+      let high = index.vocabulary.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (index.vocabulary[mid] < prefix) low = mid + 1;
+        else high = mid;
+      }
+      for (let i = low; i < index.vocabulary.length && index.vocabulary[i].startsWith(prefix); i++) {
+        if (expansions.size >= MAX_EXPANSIONS) break;
+        add(index.vocabulary[i], PREFIX_WEIGHT);
+      }
+    });
+  }
+
+  // Typos are only looked for when nothing matched as typed
+  if (expansions.size === 0 && token.length >= 4) {
+    const maxDistance = token.length >= 8 ? 2 : 1;
+    for (const term of index.vocabulary) {
+      const distance = editDistance(termStem, term, maxDistance);
+      if (distance !== Infinity) add(term, FUZZY_WEIGHTS[distance]);
+      if (expansions.size >= MAX_EXPANSIONS) break;
+    }
+  }
+
+  return [...expansions].map(([term, weight]) => ({ term, weight }));
+}
+
+function idf(index, term) {
+  const df = index.postings.get(term)?.size || 0;
+  return Math.log(1 + (index.docCount - df + 0.5) / (df + 0.5));
+}
+
+/**
+ * Field-weighted BM25 of a term in one document
+ * @param {Array<number>} termFrequencies - Frequency per field index
+ */
+function scoreTerm(index, term, docIndex, termFrequencies) {
+  const termIdf = idf(index, term);
+  return index.fields.reduce((sum, field, fieldIndex) => {
+    const tf = termFrequencies[fieldIndex] || 0;
+    if (!tf) return sum;
+    const norm = 1 - B + B * (index.fieldLengths[fieldIndex][docIndex] / index.averageLengths[fieldIndex]);
+    return sum + field.weight * termIdf * ((tf * (K1 + 1)) / (tf + K1 * norm));
+  }, 0);
+}
+
+function addMatch(matches, fieldName, term) {
+  if (!matches[fieldName]) matches[fieldName] = [];
+  if (!matches[fieldName].includes(term)) matches[fieldName].push(term);
+}
+
+/**
+ * Occurrences of a phrase per field of a document
+ * @returns {Array<number>} - Count per field index
+ */
+function phraseFrequencies(index, phrase, docIndex) {
+  const positionLists = phrase.map(term => index.postings.get(term)?.get(docIndex));
+  if (positionLists.some(list => !list)) return null;
+
+  return index.fields.map((field, fieldIndex) => {
+    const lists = positionLists.map(list => list[fieldIndex]);
+    if (lists.some(list => !list)) return 0;
+    const following = lists.slice(1).map(list => new Set(list));
+    return lists[0].filter(start => following.every((set, offset) => set.has(start + offset + 1))).length;
+  });
+}
+
+/**
+ * Search an index
+ * Documents must match every term and every phrase of the query.
+ * @param {Object} index - From buildSearchIndex
+ * @param {string} query - Free text, "quoted phrases" allowed
+ * @returns {Array<Object>} - [{ id, docIndex, score, matches: { field: [terms] } }], best first
+ */
+function search(index, query) {
+  const { phrases, terms } = parseQuery(query);
+  if (phrases.length === 0 && terms.length === 0) return [];
+
+  const scores = new Map();
+  const matchesByDoc = new Map();
+  let candidates = null;
+
+  const narrow = docIndexes => {
+    candidates = candidates === null
+      ? docIndexes
+      : new Set([...candidates].filter(docIndex => docIndexes.has(docIndex)));
+  };
+
+  terms.forEach(term => {
+    const termScores = new Map();
+    expandTerm(index, term).forEach(({ term: indexed, weight }) => {
+      index.postings.get(indexed).forEach((positions, docIndex) => {
+        const score = weight * scoreTerm(index, indexed, docIndex, positions.map(list => (list ? list.length : 0)));
+        if (score > (termScores.get(docIndex) || 0)) termScores.set(docIndex, score);
+
+        const matches = matchesByDoc.get(docIndex) || {};
+        positions.forEach((list, fieldIndex) => {
+          if (list) addMatch(matches, index.fields[fieldIndex].name, indexed);
+        });
+        matchesByDoc.set(docIndex, matches);
+      });
+    });
+    termScores.forEach((score, docIndex) => scores.set(docIndex, (scores.get(docIndex) || 0) + score));
+    narrow(new Set(termScores.keys()));
+  });
+
+  phrases.forEach(phrase => {
+    const phraseDocs = new Set();
+    const firstPostings = index.postings.get(phrase[0]);
+    (firstPostings ? [...firstPostings.keys()] : []).forEach(docIndex => {
+      const frequencies = phraseFrequencies(index, phrase, docIndex);
+      if (!frequencies || frequencies.every(count => count === 0)) return;
+
+      phraseDocs.add(docIndex);
+      const score = phrase.reduce((sum, term) => sum + scoreTerm(index, term, docIndex, frequencies), 0) * PHRASE_BOOST;
+      scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+
+      const matches = matchesByDoc.get(docIndex) || {};
+      frequencies.forEach((count, fieldIndex) => {
+        if (count > 0) phrase.forEach(term => addMatch(matches, index.fields[fieldIndex].name, term));
+      });
+      matchesByDoc.set(docIndex, matches);
+    });
+    narrow(phraseDocs);
+  });
+
+  return [...(candidates || [])]
+    .map(docIndex => ({
+      id: index.ids[docIndex],
+      docIndex,
+      score: Math.round(scores.get(docIndex) * 10000) / 10000,
+      matches: matchesByDoc.get(docIndex) || {}
+    }))
+    .sort((a, b) => b.score - a.score || a.docIndex - b.docIndex);
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Snippet of a text with the words matching indexed terms wrapped in <mark>
+ * The text is HTML-escaped; long texts are cut to a window around the first match.
+ * @param {string} text - Field text
+ * @param {Array<string>} terms - Indexed (stemmed) terms, from a search hit's matches
+ * @param {Object} options - { maxLength }
+ * @returns {string|null} - null when nothing in the text matches
+ */
+function highlight(text, terms, { maxLength = 160 } = {}) {
+  if (typeof text !== 'string' || !terms || terms.length === 0) return null;
+  const wanted = new Set(terms);
+  const marked = tokenize(text).filter(({ token }) => wanted.has(stem(token)));
+  if (marked.length === 0) return null;
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > maxLength) {
+    start = Math.max(0, marked[0].start - Math.floor(maxLength / 4));
+    const space = text.lastIndexOf(' ', start);
+    if (start > 0 && space > start - 20) start = space + 1;
+    end = Math.min(text.length, start + maxLength);
+    const endSpace = text.indexOf(' ', end);
+    if (end < text.length && endSpace !== -1 && endSpace - end < 20) end = endSpace;
+  }
+
+  let snippet = '';
+  let cursor = start;
+  marked.filter(token => token.start >= start && token.end <= end).forEach(token => {
+    snippet += `${escapeHtml(text.slice(cursor, token.start))}<mark>${escapeHtml(text.slice(token.start, token.end))}</mark>`;
+    cursor = token.end;
+  });
+  snippet += escapeHtml(text.slice(cursor, end));
+
+  return `${start > 0 ? '…' : ''}${snippet.trim()}${end < text.length ? '…' : ''}`;
+}
+
+module.exports = {
+  STOPWORDS,
+  tokenize,
+  stem,
+  editDistance,
+  buildSearchIndex,
+  parseQuery,
+  expandTerm,
+  search,
+  highlight
+};
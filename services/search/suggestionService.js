@@ -0,0 +1,125 @@
+/**
+ * Suggestion Service - Autocomplete behind /api/agents/suggest and /api/prompts/suggest
+ *
+ * Each catalog (agents, prompts) registers its suggestion groups (titles,
+ * categories, integrations or tags) whenever its in-memory cache is refreshed.
+ * Searches that found results are counted per catalog by the distinct
+ * clients (signed-in user or IP) that made them; once MIN_QUERY_CLIENTS
+ * clients searched a query it is offered as a popular query, so no single
+ * visitor can publish one. Counts live in this process and start over on
+ * restart.
+ */
+
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const { normalizeSuggestion, buildSuggestionTrie, suggestFromTrie } = require('./suggestionTrie');
+
+// Distinct clients that must search a query before it is suggested to other visitors
+const MIN_QUERY_CLIENTS = 3;
+
+// Clients remembered per query; the popularity of a query stops growing there
+const MAX_CLIENTS_PER_QUERY = 50;
+
+// Distinct queries counted per catalog
+const MAX_TRACKED_QUERIES = 2000;
+
+// The popular-query trie is rebuilt at most this often
+const QUERY_TRIE_TTL = 60 * 1000;
+
+const MAX_QUERY_LENGTH = 80;
+
+class SuggestionService {
+  constructor() {
+    this.catalogs = new Map();
+  }
+
+  getCatalog(name) {
+    if (!this.catalogs.has(name)) {
+      this.catalogs.set(name, { groups: {}, queries: new Map(), queryTrie: null, queryTrieBuiltAt: 0, queriesChanged: false });
+    }
+    return this.catalogs.get(name);
+  }
+
+  /**
+   * Replace the suggestion groups of a catalog
+   * @param {string} name - Catalog name
+   * @param {Object} groups - { groupName: [{ text, weight, ... }] }
+   */
+  setCatalog(name, groups) {
+    const catalog = this.getCatalog(name);
+    const startTime = Date.now();
+    catalog.groups = Object.fromEntries(
+      Object.entries(groups).map(([group, entries]) => [group, buildSuggestionTrie(entries)])
+    );
+    logger.info(`Built ${name} suggestion tries in ${Date.now() - startTime}ms`, {
+      entries: Object.fromEntries(Object.entries(groups).map(([group, entries]) => [group, entries.length]))
+    });
+  }
+
+  /**
+   * Count a search that returned results
+   * @param {string} name - Catalog name
+   * @param {string} query - Search text
+   * @param {string|null} client - User ID or client IP; searches without one are not counted
+   */
+  recordQuery(name, query, client) {
+    const key = normalizeSuggestion(query);
+    if (!key || key.length > MAX_QUERY_LENGTH || !client) return;
+
+    // Only a short hash of the client is kept
+    const clientHash = crypto.createHash('sha256').update(String(client)).digest('hex').slice(0, 16);
+    const catalog = this.getCatalog(name);
+    const { queries } = catalog;
+    const tracked = queries.get(key);
+    if (tracked) {
+      if (tracked.clients.has(clientHash) || tracked.clients.size >= MAX_CLIENTS_PER_QUERY) return;
+      tracked.clients.add(clientHash);
+      tracked.count = tracked.clients.size;
+    } else {
+      if (queries.size >= MAX_TRACKED_QUERIES) {
+        // Make room by forgetting the query the fewest clients searched
+        let leastKey = null;
+        let leastCount = Infinity;
+        queries.forEach((entry, entryKey) => {
+          if (entry.count < leastCount) {
+            leastKey = entryKey;
+            leastCount = entry.count;
+          }
+        });
+        queries.delete(leastKey);
+      }
+      queries.set(key, { text: key, count: 1, clients: new Set([clientHash]) });
+    }
+    catalog.queriesChanged = true;
+  }
+
+  getQueryTrie(catalog) {
+    const stale = Date.now() - catalog.queryTrieBuiltAt > QUERY_TRIE_TTL;
+    if (!catalog.queryTrie || (catalog.queriesChanged && stale)) {
+      const popular = [...catalog.queries.values()]
+        .filter(entry => entry.count >= MIN_QUERY_CLIENTS)
+        .map(({ text, count }) => ({ text, count, weight: count }));
+      catalog.queryTrie = buildSuggestionTrie(popular);
+      catalog.queryTrieBuiltAt = Date.now();
+      catalog.queriesChanged = false;
+    }
+    return catalog.queryTrie;
+  }
+
+  /**
+   * Suggestions for a prefix, per group plus popular queries
+   * @returns {Object} - { groupName: [entries], queries: [{ text, count }] }
+   */
+  suggest(name, prefix, limit = 5) {
+    const catalog = this.getCatalog(name);
+    const suggestions = {};
+    Object.entries(catalog.groups).forEach(([group, trie]) => {
+      suggestions[group] = suggestFromTrie(trie, prefix, limit);
+    });
+    suggestions.queries = suggestFromTrie(this.getQueryTrie(catalog), prefix, limit);
+    return suggestions;
+  }
+}
+
+// Export singleton instance
+module.exports = new SuggestionService();
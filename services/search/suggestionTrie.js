@@ -0,0 +1,118 @@
+/**
+ * Suggestion Trie - Prefix lookup for search autocomplete
+ *
+ * Every entry is stored under its full text and under the text starting at
+ * each later word, so "auto" finds "Email Automation Agent". Entries are
+ * inserted best first and each node keeps the first few that pass through
+ * it, so a lookup only walks the characters of the prefix.
+ * Pure functions; the suggestion service keeps the built tries.
+ */
+
+// Entries kept per node
+const MAX_PER_NODE = 10;
+
+// Characters of an entry that are indexed
+const MAX_KEY_LENGTH = 48;
+
+// Later words an entry is also indexed from
+const MAX_WORD_KEYS = 6;
+
+/**
+ * Lowercase, accent-free text with single spaces between words
+ */
+function normalizeSuggestion(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function createNode() {
+  return { children: new Map(), entries: [] };
+}
+
+/**
+ * Keys an entry is reachable from: its text and the text from each later word
+ */
+function suggestionKeys(text) {
+  const words = normalizeSuggestion(text).split(' ').filter(Boolean);
+  return words.slice(0, MAX_WORD_KEYS).map((word, index) => words.slice(index).join(' ').slice(0, MAX_KEY_LENGTH));
+}
+
+/**
+ * Build a trie over suggestion entries
+ * @param {Array<Object>} entries - [{ text, weight, ...anything returned with it }]
+ * @returns {Object} - Root node, for suggestFromTrie
+ */
+function buildSuggestionTrie(entries) {
+  const root = createNode();
+  const ranked = entries
+    .filter(entry => entry && normalizeSuggestion(entry.text))
+    .sort((a, b) => (b.weight || 0) - (a.weight || 0) || String(a.text).localeCompare(String(b.text)));
+
+  ranked.forEach(entry => {
+    const { weight, ...suggestion } = entry;
+    suggestionKeys(entry.text).forEach(key => {
+      let node = root;
+      for (const char of key) {
+        if (!node.children.has(char)) node.children.set(char, createNode());
+        node = node.children.get(char);
+        if (node.entries.length < MAX_PER_NODE && !node.entries.includes(suggestion)) {
+          node.entries.push(suggestion);
+        }
+      }
+    });
+  });
+
+  return root;
+}
+
+/**
+ * Best entries whose text (or a later word of it) starts with a prefix
+ * @returns {Array<Object>} - Entries without their weight, best first
+ */
+function suggestFromTrie(trie, prefix, limit = 5) {
+  const key = normalizeSuggestion(prefix).slice(0, MAX_KEY_LENGTH);
+  if (!trie || !key) return [];
+
+  let node = trie;
+  for (const char of key) {
+    node = node.children.get(char);
+    if (!node) return [];
+  }
+  return node.entries.slice(0, limit);
+}
+
+/**
+ * Entries for values shared by many documents (categories, integrations, tags)
+ * Values are merged case-insensitively and weighted by how many documents use them.
+ * @param {Array<Object>} docs - Documents
+ * @param {Function} valuesOf - doc => Array of strings
+ * @returns {Array<Object>} - [{ text, count, weight }]
+ */
+function countedEntries(docs, valuesOf) {
+  const counts = new Map();
+  docs.forEach(doc => {
+    const seen = new Set();
+    (valuesOf(doc) || []).forEach(value => {
+      const key = normalizeSuggestion(value);
+      if (typeof value !== 'string' || !key || seen.has(key)) return;
+      seen.add(key);
+      const entry = counts.get(key) || { text: value.trim(), count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    });
+  });
+  return [...counts.values()].map(entry => ({ ...entry, weight: entry.count }));
+}
+
+module.exports = {
+  MAX_PER_NODE,
+  normalizeSuggestion,
+  suggestionKeys,
+  buildSuggestionTrie,
+  suggestFromTrie,
+  countedEntries
+};
@@ -0,0 +1,303 @@
+/**
+ * Subscription Lifecycle - State machine for PayPal subscriptions
+ *
+ * Pure helpers used by the subscription service. PayPal webhook events are
+ * applied to the stored subscription document and yield the fields to
+ * merge plus, for payment events, a billing history record.
+ *
+ *   approval_pending -> active
+ *   active   -> past_due (payment failed, access kept until graceUntil)
+ *   past_due -> active (renewal paid) | suspended (PayPal gave up)
+ *   active | past_due -> cancelled (access kept until currentPeriodEnd)
+ *   cancelled (by the user) | suspended -> active (resumed)
+ *   any -> expired (terminal)
+ *
+ * Cancelling from our side suspends the PayPal subscription so the user can
+ * resume until the paid period ends; after that it is cancelled at PayPal
+ * too, so it cannot be reactivated from the PayPal side.
+ */
+
+const SUBSCRIPTION_STATUS = {
+  APPROVAL_PENDING: 'approval_pending',
+  ACTIVE: 'active',
+  PAST_DUE: 'past_due',
+  SUSPENDED: 'suspended',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired'
+};
+
+const GRACE_PERIOD_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS, 10) || 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PAYPAL_STATUS_MAP = {
+  APPROVAL_PENDING: SUBSCRIPTION_STATUS.APPROVAL_PENDING,
+  APPROVED: SUBSCRIPTION_STATUS.APPROVAL_PENDING,
+  ACTIVE: SUBSCRIPTION_STATUS.ACTIVE,
+  SUSPENDED: SUBSCRIPTION_STATUS.SUSPENDED,
+  CANCELLED: SUBSCRIPTION_STATUS.CANCELLED,
+  EXPIRED: SUBSCRIPTION_STATUS.EXPIRED
+};
+
+/**
+ * Error for lifecycle actions that are not allowed in the current state
+ */
+function subscriptionStateError(message) {
+  const error = new Error(message);
+  error.name = 'SubscriptionStateError';
+  return error;
+}
+
+function normalizePayPalStatus(status) {
+  return PAYPAL_STATUS_MAP[String(status || '').toUpperCase()] || SUBSCRIPTION_STATUS.APPROVAL_PENDING;
+}
+
+function toTime(value) {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isFinite(time) ? time : null;
+}
+
+function parseAmount(amount) {
+  if (!amount) return { amount: 0, currency: 'USD' };
+  return {
+    amount: Math.round((parseFloat(amount.total ?? amount.value) || 0) * 100) / 100,
+    currency: (amount.currency || amount.currency_code || 'USD').toUpperCase()
+  };
+}
+
+/**
+ * Whether a subscription currently grants subscriber access
+ * @param {Object} subscription - Subscription document or the summary on the user
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function hasSubscriptionAccess(subscription, now = new Date()) {
+  if (!subscription) return false;
+  const nowTs = now.getTime();
+  const periodEnd = toTime(subscription.currentPeriodEnd) || 0;
+  const graceUntil = toTime(subscription.graceUntil) || 0;
+
+  switch (subscription.status) {
+    case SUBSCRIPTION_STATUS.ACTIVE:
+    case 'trialing':
+      return periodEnd > nowTs || graceUntil > nowTs;
+    case SUBSCRIPTION_STATUS.PAST_DUE:
+      return graceUntil > nowTs;
+    case SUBSCRIPTION_STATUS.CANCELLED:
+      return periodEnd > nowTs;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Apply a PayPal webhook event to a subscription
+ * @param {Object} subscription - Stored subscription document ({} when unknown)
+ * @param {Object} event - PayPal webhook body ({ id, event_type, create_time, resource })
+ * @param {Object} options - { now, graceDays }
+ * @returns {Object} - { ignored, status, changes, payment }
+ */
+function applySubscriptionEvent(subscription = {}, event = {}, { now = new Date(), graceDays = GRACE_PERIOD_DAYS } = {}) {
+  const type = event.event_type || '';
+  const resource = event.resource || {};
+  const current = subscription.status || SUBSCRIPTION_STATUS.APPROVAL_PENDING;
+  const eventAt = event.create_time || now.toISOString();
+  const isPaymentEvent = type.startsWith('PAYMENT.SALE');
+
+  const result = (status, changes = {}, payment = null) => ({
+    ignored: null,
+    status,
+    changes: {
+      status,
+      ...changes,
+      lastEvent: type,
+      lastEventId: event.id || null,
+      ...(isPaymentEvent ? {} : { lastEventAt: eventAt }),
+      updatedAt: now.toISOString()
+    },
+    payment
+  });
+  const ignore = reason => ({ ignored: reason, status: current, changes: {}, payment: null });
+
+  if (current === SUBSCRIPTION_STATUS.EXPIRED && !isPaymentEvent) {
+    return ignore('terminal');
+  }
+
+  // PayPal does not guarantee ordering; an older status event must not undo a newer one
+  const lastEventAt = toTime(subscription.lastEventAt);
+  if (!isPaymentEvent && lastEventAt && toTime(eventAt) !== null && toTime(eventAt) < lastEventAt) {
+    return ignore('stale');
+  }
+
+  const nextBillingTime = resource.billing_info?.next_billing_time || null;
+
+  switch (type) {
+    case 'BILLING.SUBSCRIPTION.CREATED':
+      return result(current, { planId: resource.plan_id || subscription.planId || null });
+
+    case 'BILLING.SUBSCRIPTION.ACTIVATED':
+    case 'BILLING.SUBSCRIPTION.RE-ACTIVATED':
+      return result(SUBSCRIPTION_STATUS.ACTIVE, {
+        planId: resource.plan_id || subscription.planId || null,
+        currentPeriodEnd: nextBillingTime || subscription.currentPeriodEnd || null,
+        graceUntil: null,
+        failedPayments: 0,
+        cancelAtPeriodEnd: false,
+        cancelledAt: null
+      });
+
+    case 'BILLING.SUBSCRIPTION.UPDATED': {
+      // Plan or billing changes; PayPal keeps reporting ACTIVE while we hold a cancel or a grace period
+      const reported = normalizePayPalStatus(resource.status);
+      const keepCurrent = !resource.status || subscription.cancelAtPeriodEnd ||
+        (current === SUBSCRIPTION_STATUS.PAST_DUE && reported === SUBSCRIPTION_STATUS.ACTIVE);
+      return result(keepCurrent ? current : reported, {
+        planId: resource.plan_id || subscription.planId || null,
+        currentPeriodEnd: nextBillingTime || subscription.currentPeriodEnd || null
+      });
+    }
+
+    case 'BILLING.SUBSCRIPTION.PAYMENT.FAILED': {
+      if (current !== SUBSCRIPTION_STATUS.ACTIVE && current !== SUBSCRIPTION_STATUS.PAST_DUE) {
+        return ignore('not_billing');
+      }
+      const lastFailed = resource.billing_info?.last_failed_payment || {};
+      const failedPayments = resource.billing_info?.failed_payments_count ?? (subscription.failedPayments || 0) + 1;
+      const graceUntil = subscription.graceUntil || new Date(now.getTime() + graceDays * DAY_MS).toISOString();
+      return result(SUBSCRIPTION_STATUS.PAST_DUE, { failedPayments, graceUntil }, {
+        id: `failed_${event.id || now.getTime()}`,
+        type: 'payment_failed',
+        status: 'failed',
+        ...parseAmount(lastFailed.amount),
+        reason: lastFailed.reason_code || null,
+        occurredAt: lastFailed.time || eventAt
+      });
+    }
+
+    case 'BILLING.SUBSCRIPTION.SUSPENDED':
+      // Our own cancel suspends at PayPal; the subscription stays cancelled until resumed
+      if (subscription.cancelAtPeriodEnd) {
+        return result(SUBSCRIPTION_STATUS.CANCELLED);
+      }
+      return result(SUBSCRIPTION_STATUS.SUSPENDED, { graceUntil: null });
+
+    case 'BILLING.SUBSCRIPTION.CANCELLED':
+      return result(SUBSCRIPTION_STATUS.CANCELLED, {
+        cancelledAt: subscription.cancelledAt || eventAt,
+        cancelAtPeriodEnd: false,
+        graceUntil: null
+      });
+
+    case 'BILLING.SUBSCRIPTION.EXPIRED':
+      return result(SUBSCRIPTION_STATUS.EXPIRED, { expiredAt: eventAt, graceUntil: null });
+
+    case 'PAYMENT.SALE.COMPLETED': {
+      const payment = {
+        id: resource.id,
+        type: 'renewal',
+        status: 'completed',
+        saleId: resource.id,
+        ...parseAmount(resource.amount),
+        occurredAt: resource.create_time || eventAt
+      };
+      // A late renewal after the user cancelled is recorded but does not reactivate
+      if (current === SUBSCRIPTION_STATUS.CANCELLED || current === SUBSCRIPTION_STATUS.SUSPENDED) {
+        return result(current, { lastPaymentAt: payment.occurredAt }, payment);
+      }
+      return result(SUBSCRIPTION_STATUS.ACTIVE, {
+        lastPaymentAt: payment.occurredAt,
+        graceUntil: null,
+        failedPayments: 0
+      }, payment);
+    }
+
+    case 'PAYMENT.SALE.REFUNDED':
+    case 'PAYMENT.SALE.REVERSED':
+      return result(current, {}, {
+        id: resource.id,
+        type: type === 'PAYMENT.SALE.REFUNDED' ? 'refund' : 'reversal',
+        status: 'completed',
+        saleId: resource.sale_id || resource.id,
+        ...parseAmount(resource.amount),
+        occurredAt: resource.create_time || eventAt
+      });
+
+    default:
+      return ignore('unhandled');
+  }
+}
+
+/**
+ * Changes for a user cancelling; access continues until the paid period ends
+ */
+function cancelSubscriptionChanges(subscription, { now = new Date(), reason = null } = {}) {
+  if (![SUBSCRIPTION_STATUS.ACTIVE, SUBSCRIPTION_STATUS.PAST_DUE].includes(subscription.status)) {
+    throw subscriptionStateError(`Subscription cannot be cancelled while ${subscription.status}`);
+  }
+  return {
+    status: SUBSCRIPTION_STATUS.CANCELLED,
+    cancelAtPeriodEnd: true,
+    cancelledAt: now.toISOString(),
+    cancelReason: reason,
+    graceUntil: null,
+    updatedAt: now.toISOString()
+  };
+}
+
+/**
+ * Whether a subscription cancelled by the user is due to be cancelled at PayPal
+ * @param {Object} subscription - Subscription document
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isProviderCancelDue(subscription, now = new Date()) {
+  if (subscription.status !== SUBSCRIPTION_STATUS.CANCELLED || !subscription.cancelAtPeriodEnd) return false;
+  const periodEnd = toTime(subscription.currentPeriodEnd);
+  return periodEnd === null || periodEnd <= now.getTime();
+}
+
+/**
+ * Changes for a user resuming a subscription they cancelled (or one PayPal suspended)
+ */
+function resumeSubscriptionChanges(subscription, { now = new Date() } = {}) {
+  const resumable = (subscription.status === SUBSCRIPTION_STATUS.CANCELLED && subscription.cancelAtPeriodEnd) ||
+    subscription.status === SUBSCRIPTION_STATUS.SUSPENDED;
+  if (!resumable) {
+    throw subscriptionStateError(`Subscription cannot be resumed while ${subscription.status}`);
+  }
+  return {
+    status: SUBSCRIPTION_STATUS.ACTIVE,
+    cancelAtPeriodEnd: false,
+    cancelledAt: null,
+    cancelReason: null,
+    resumedAt: now.toISOString(),
+    updatedAt: now.toISOString()
+  };
+}
+
+/**
+ * Summary mirrored on the user document (read by getUserEntitlements)
+ */
+function toUserSubscriptionSummary(subscription) {
+  return {
+    provider: subscription.provider || 'paypal',
+    id: subscription.id,
+    planId: subscription.planId || null,
+    status: subscription.status,
+    currentPeriodEnd: subscription.currentPeriodEnd || null,
+    graceUntil: subscription.graceUntil || null,
+    cancelAtPeriodEnd: subscription.cancelAtPeriodEnd === true
+  };
+}
+
+module.exports = {
+  SUBSCRIPTION_STATUS,
+  GRACE_PERIOD_DAYS,
+  normalizePayPalStatus,
+  hasSubscriptionAccess,
+  applySubscriptionEvent,
+  cancelSubscriptionChanges,
+  isProviderCancelDue,
+  resumeSubscriptionChanges,
+  toUserSubscriptionSummary
+};
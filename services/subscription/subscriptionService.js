@@ -0,0 +1,334 @@
+/**
+ * Subscription Service - PayPal subscription lifecycle
+ *
+ * Subscriptions live in the `subscriptions` collection (doc ID = PayPal
+ * subscription ID) with their billing history in a `payments` subcollection.
+ * Webhook events are applied through the lifecycle state machine, every
+ * renewal gets an invoice, and a summary is mirrored on the user document
+ * for getUserEntitlements.
+ */
+
+const admin = require('firebase-admin');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../../utils/logger');
+const { deleteCache } = require('../../utils/cache');
+const invoiceService = require('../invoice/invoiceService');
+const paypalProvider = require('../payment/providers/paypalProvider');
+const { calculateTax } = require('../tax/taxEngine');
+const {
+  normalizePayPalStatus,
+  applySubscriptionEvent,
+  cancelSubscriptionChanges,
+  isProviderCancelDue,
+  resumeSubscriptionChanges,
+  toUserSubscriptionSummary
+} = require('./subscriptionLifecycle');
+
+// Initialize Firestore
+const db = admin.firestore();
+
+const SUBSCRIPTIONS_COLLECTION = 'subscriptions';
+const PAYMENTS_SUBCOLLECTION = 'payments';
+
+class SubscriptionService {
+  getRef(subscriptionId) {
+    return db.collection(SUBSCRIPTIONS_COLLECTION).doc(subscriptionId);
+  }
+
+  async getSubscription(subscriptionId) {
+    const doc = await this.getRef(subscriptionId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  }
+
+  /**
+   * Store a subscription after the buyer approved it in PayPal
+   * @param {string} subscriptionId - PayPal subscription ID
+   * @param {Object} customer - { userId, email, country, vatId }
+   * @returns {Promise<Object>} - Stored subscription
+   */
+  async confirmSubscription(subscriptionId, { userId = null, email = null, country = null, vatId = null } = {}) {
+    const sub = await paypalProvider.getSubscription(subscriptionId);
+    const now = new Date().toISOString();
+
+    const subscription = {
+      id: subscriptionId,
+      provider: 'paypal',
+      planId: sub.plan_id || process.env.PAYPAL_SUBS_PLAN_ID || null,
+      userId,
+      email,
+      customerCountry: country,
+      customerVatId: vatId,
+      status: normalizePayPalStatus(sub.status),
+      startTime: sub.start_time || now,
+      currentPeriodEnd: sub.billing_info?.next_billing_time || null,
+      // Kept for clients reading the previous field name
+      nextBillingTime: sub.billing_info?.next_billing_time || null,
+      graceUntil: null,
+      failedPayments: sub.billing_info?.failed_payments_count || 0,
+      cancelAtPeriodEnd: false,
+      raw: sub,
+      updatedAt: now
+    };
+
+    await this.getRef(subscriptionId).set(subscription, { merge: true });
+    await this.syncUser({ ...subscription });
+
+    return subscription;
+  }
+
+  /**
+   * Apply a verified PayPal webhook event
+   * Called through the payment event ledger, so each event ID arrives once.
+   * @param {Object} event - PayPal webhook body
+   * @returns {Promise<Object>} - { subscriptionId, status, ignored, invoiceId }
+   */
+  async handleWebhookEvent(event) {
+    const resource = event.resource || {};
+    const subscriptionId = (event.event_type || '').startsWith('PAYMENT.SALE')
+      ? resource.billing_agreement_id
+      : resource.id;
+
+    if (!subscriptionId) {
+      return { subscriptionId: null, ignored: 'no_subscription' };
+    }
+
+    const ref = this.getRef(subscriptionId);
+    const outcome = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const current = doc.exists ? doc.data() : {};
+      const applied = applySubscriptionEvent(current, event);
+
+      if (applied.ignored) {
+        return { applied, subscription: { id: subscriptionId, ...current } };
+      }
+
+      const changes = {
+        id: subscriptionId,
+        provider: 'paypal',
+        ...applied.changes,
+        nextBillingTime: applied.changes.currentPeriodEnd ?? current.nextBillingTime ?? null,
+        rawLastEvent: event
+      };
+      transaction.set(ref, changes, { merge: true });
+
+      if (applied.payment) {
+        transaction.set(ref.collection(PAYMENTS_SUBCOLLECTION).doc(applied.payment.id), {
+          ...applied.payment,
+          subscriptionId,
+          eventId: event.id || null,
+          createdAt: new Date().toISOString()
+        }, { merge: true });
+      }
+
+      return { applied, subscription: { ...current, ...changes } };
+    });
+
+    const { applied, subscription } = outcome;
+    if (applied.ignored) {
+      logger.info(`PayPal event ${event.event_type} ignored for subscription ${subscriptionId} (${applied.ignored})`);
+      return { subscriptionId, status: applied.status, ignored: applied.ignored };
+    }
+
+    let invoiceId = null;
+    if (applied.payment?.type === 'renewal') {
+      invoiceId = await this.invoiceRenewal(subscription, applied.payment);
+      await this.refreshBillingPeriod(subscription);
+    }
+
+    await this.syncUser(subscription);
+    logger.info(`Subscription ${subscriptionId} is ${applied.status} after ${event.event_type}`);
+
+    return { subscriptionId, status: applied.status, ignored: null, invoiceId };
+  }
+
+  /**
+   * Issue the invoice for a renewal payment, once per sale
+   * The invoice ID is reserved on the payment first, so a retry after a
+   * failure stores the same invoice instead of taking another number.
+   * @returns {Promise<string|null>} - Invoice ID
+   */
+  async invoiceRenewal(subscription, payment) {
+    const paymentRef = this.getRef(subscription.id).collection(PAYMENTS_SUBCOLLECTION).doc(payment.id);
+    const reservation = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(paymentRef);
+      const data = doc.exists ? doc.data() : {};
+      if (data.invoiceId) {
+        return { invoiceId: data.invoiceId, invoiced: true };
+      }
+      const invoiceId = data.reservedInvoiceId || uuidv4();
+      if (!data.reservedInvoiceId) {
+        transaction.set(paymentRef, { reservedInvoiceId: invoiceId }, { merge: true });
+      }
+      return { invoiceId, invoiced: false };
+    });
+    if (reservation.invoiced) {
+      return reservation.invoiceId;
+    }
+
+    // Subscription prices are charged as billed by PayPal, i.e. tax inclusive
+    const items = [{
+      id: subscription.planId || 'subscription',
+      title: 'AI Waverider subscription renewal',
+      price: payment.amount,
+      quantity: 1,
+      category: 'Subscription'
+    }];
+    const tax = calculateTax({
+      items,
+      country: subscription.customerCountry || null,
+      vatId: subscription.customerVatId || null,
+      pricesIncludeTax: true
+    });
+
+    const result = await invoiceService.createInvoice(
+      {
+        id: payment.saleId,
+        processor: 'paypal',
+        paymentMethod: 'paypal',
+        transaction_id: payment.saleId
+      },
+      {
+        orderId: `sub_${subscription.id}_${payment.saleId}`,
+        items,
+        total: payment.amount,
+        currency: payment.currency,
+        tax,
+        subscription: {
+          id: subscription.id,
+          planId: subscription.planId || null,
+          periodEnd: subscription.currentPeriodEnd || null
+        },
+        metadata: {
+          type: 'subscription_renewal',
+          subscriptionId: subscription.id,
+          saleId: payment.saleId
+        }
+      },
+      {
+        userId: subscription.userId || null,
+        email: subscription.email || null,
+        country: subscription.customerCountry || null,
+        vatId: subscription.customerVatId || null
+      },
+      { invoiceId: reservation.invoiceId }
+    );
+
+    await paymentRef.set({
+      invoiceId: result.invoiceId,
+      invoiceNumber: result.invoiceNumber
+    }, { merge: true });
+
+    logger.info(`Invoiced renewal ${payment.saleId} of subscription ${subscription.id}`, { invoiceNumber: result.invoiceNumber });
+    return result.invoiceId;
+  }
+
+  /**
+   * Renewals do not carry the next billing date; read it from PayPal
+   */
+  async refreshBillingPeriod(subscription) {
+    try {
+      const sub = await paypalProvider.getSubscription(subscription.id);
+      const nextBillingTime = sub.billing_info?.next_billing_time || null;
+      if (nextBillingTime) {
+        await this.getRef(subscription.id).update({ currentPeriodEnd: nextBillingTime, nextBillingTime });
+        subscription.currentPeriodEnd = nextBillingTime;
+      }
+    } catch (error) {
+      logger.warn(`Could not refresh billing period of subscription ${subscription.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel at period end: PayPal stops billing, access lasts until currentPeriodEnd
+   * The PayPal subscription is suspended now and cancelled by
+   * cancelEndedSubscriptions once the period is over.
+   */
+  async cancelSubscription(subscription, reason = null) {
+    const changes = cancelSubscriptionChanges(subscription, { reason });
+    await paypalProvider.suspendSubscription(subscription.id, reason || 'Cancelled by customer');
+    await this.getRef(subscription.id).update(changes);
+
+    const updated = { ...subscription, ...changes };
+    await this.syncUser(updated);
+    logger.info(`Subscription ${subscription.id} cancelled at period end`, { userId: subscription.userId });
+    return updated;
+  }
+
+  /**
+   * Cancel at PayPal the subscriptions whose paid period ended after the user cancelled
+   * Until then they are only suspended there, so the user can still resume.
+   * @returns {Promise<Object>} - { cancelled, failed }
+   */
+  async cancelEndedSubscriptions(now = new Date()) {
+    const snapshot = await db.collection(SUBSCRIPTIONS_COLLECTION)
+      .where('cancelAtPeriodEnd', '==', true)
+      .get();
+
+    const result = { cancelled: [], failed: [] };
+    for (const doc of snapshot.docs) {
+      const subscription = { id: doc.id, ...doc.data() };
+      if (!isProviderCancelDue(subscription, now)) continue;
+
+      try {
+        await paypalProvider.cancelSubscription(subscription.id, subscription.cancelReason || 'Cancelled by customer');
+        await doc.ref.update({
+          cancelAtPeriodEnd: false,
+          providerCancelledAt: now.toISOString(),
+          updatedAt: now.toISOString()
+        });
+        await this.syncUser({ ...subscription, cancelAtPeriodEnd: false });
+        result.cancelled.push(subscription.id);
+      } catch (error) {
+        logger.error(`Failed to cancel ended subscription ${subscription.id} at PayPal: ${error.message}`);
+        result.failed.push(subscription.id);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Resume a cancelled (not yet re-subscribed) or suspended subscription
+   */
+  async resumeSubscription(subscription) {
+    const changes = resumeSubscriptionChanges(subscription);
+    await paypalProvider.activateSubscription(subscription.id);
+    await this.getRef(subscription.id).update(changes);
+
+    const updated = { ...subscription, ...changes };
+    await this.syncUser(updated);
+    logger.info(`Subscription ${subscription.id} resumed`, { userId: subscription.userId });
+    return updated;
+  }
+
+  /**
+   * Billing history (renewals, failed payments, refunds), newest first
+   */
+  async getBillingHistory(subscriptionId, limit = 50) {
+    const snapshot = await this.getRef(subscriptionId)
+      .collection(PAYMENTS_SUBCOLLECTION)
+      .orderBy('occurredAt', 'desc')
+      .limit(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100))
+      .get();
+
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Mirror the subscription summary on its user and drop cached entitlements
+   */
+  async syncUser(subscription) {
+    if (!subscription.userId) return;
+
+    await db.collection('users').doc(subscription.userId).set({
+      subscription: toUserSubscriptionSummary(subscription)
+    }, { merge: true });
+
+    try {
+      await deleteCache(`user:${subscription.userId}:entitlements`);
+    } catch (e) {
+      logger.warn('Failed to invalidate entitlement cache after subscription change:', e.message);
+    }
+  }
+}
+
+module.exports = new SubscriptionService();
@@ -0,0 +1,300 @@
+/**
+ * Tax Engine - EU VAT and reverse charge
+ *
+ * Catalog prices are stored net. The customer's country decides the VAT
+ * rate, a valid-format EU VAT ID from another member state switches the
+ * sale to B2B reverse charge (no VAT charged), and customers outside the
+ * EU are not charged VAT. Amounts are rounded per line so the stored
+ * net/tax/gross of every line adds up to the order totals.
+ */
+
+// Standard VAT rates for electronically supplied services, by ISO 3166 country code
+const EU_VAT_RATES = {
+  AT: 0.20, BE: 0.21, BG: 0.20, CY: 0.19, CZ: 0.21, DE: 0.19, DK: 0.25,
+  EE: 0.24, ES: 0.21, FI: 0.255, FR: 0.20, GR: 0.24, HR: 0.25, HU: 0.27,
+  IE: 0.23, IT: 0.22, LT: 0.21, LU: 0.17, LV: 0.21, MT: 0.18, NL: 0.21,
+  PL: 0.23, PT: 0.23, RO: 0.21, SE: 0.25, SI: 0.22, SK: 0.23
+};
+
+// VAT ID number formats (without the country prefix), as used by VIES
+const VAT_ID_PATTERNS = {
+  AT: /^U\d{8}$/,
+  BE: /^[01]\d{9}$/,
+  BG: /^\d{9,10}$/,
+  CY: /^\d{8}[A-Z]$/,
+  CZ: /^\d{8,10}$/,
+  DE: /^\d{9}$/,
+  DK: /^\d{8}$/,
+  EE: /^\d{9}$/,
+  ES: /^[A-Z0-9]\d{7}[A-Z0-9]$/,
+  FI: /^\d{8}$/,
+  FR: /^[A-HJ-NP-Z0-9]{2}\d{9}$/,
+  GR: /^\d{9}$/,
+  HR: /^\d{11}$/,
+  HU: /^\d{8}$/,
+  IE: /^(\d{7}[A-W][A-I]?|\d[A-Z+*]\d{5}[A-W])$/,
+  IT: /^\d{11}$/,
+  LT: /^(\d{9}|\d{12})$/,
+  LU: /^\d{8}$/,
+  LV: /^\d{11}$/,
+  MT: /^\d{8}$/,
+  NL: /^\d{9}B\d{2}$/,
+  PL: /^\d{10}$/,
+  PT: /^\d{9}$/,
+  RO: /^\d{2,10}$/,
+  SE: /^\d{12}$/,
+  SI: /^\d{8}$/,
+  SK: /^\d{10}$/
+};
+
+// Country code aliases: Greece uses EL in VAT IDs, UK is a common non-ISO spelling
+const COUNTRY_ALIASES = { EL: 'GR', UK: 'GB' };
+
+const TAX_CONFIG = {
+  sellerCountry: (process.env.TAX_SELLER_COUNTRY || 'GE').toUpperCase(),
+  // Countries outside the EU where prices are also shown including tax
+  inclusiveCountries: (process.env.TAX_INCLUSIVE_COUNTRIES || '')
+    .split(',')
+    .map(code => code.trim().toUpperCase())
+    .filter(Boolean)
+};
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Normalize a country to an upper-case ISO 3166 alpha-2 code
+ * @param {string} country - Country code as supplied by the customer
+ * @returns {string|null} - The country code or null when not a two letter code
+ */
+function normalizeCountryCode(country) {
+  if (typeof country !== 'string') return null;
+  const code = country.trim().toUpperCase();
+  if (!/^[A-Z]{2}$/.test(code)) return null;
+  return COUNTRY_ALIASES[code] || code;
+}
+
+function isEuCountry(country) {
+  const code = normalizeCountryCode(country);
+  return !!code && Object.prototype.hasOwnProperty.call(EU_VAT_RATES, code);
+}
+
+/**
+ * Validate the format of an EU VAT ID
+ * Only the syntax is checked; this does not query VIES.
+ * @param {string} vatId - VAT ID with or without the country prefix
+ * @param {string} country - Customer country, used when the ID has no prefix
+ * @returns {Object} - { valid, vatId (normalized, with prefix), countryCode }
+ */
+function validateVatId(vatId, country = null) {
+  if (typeof vatId !== 'string' || !vatId.trim()) {
+    return { valid: false, vatId: null, countryCode: null };
+  }
+
+  const compact = vatId.toUpperCase().replace(/[\s.\-]/g, '');
+  const prefix = compact.slice(0, 2);
+  const hasPrefix = /^[A-Z]{2}$/.test(prefix) && isEuCountry(prefix);
+
+  const countryCode = hasPrefix ? normalizeCountryCode(prefix) : normalizeCountryCode(country);
+  const number = hasPrefix ? compact.slice(2) : compact;
+  const pattern = countryCode && VAT_ID_PATTERNS[countryCode];
+
+  if (!pattern || !pattern.test(number)) {
+    return { valid: false, vatId: compact, countryCode: countryCode || null };
+  }
+
+  const vatPrefix = countryCode === 'GR' ? 'EL' : countryCode;
+  return { valid: true, vatId: `${vatPrefix}${number}`, countryCode };
+}
+
+/**
+ * Decide how a sale to a customer is taxed
+ * @param {Object} customer - { country, vatId }
+ * @returns {Object} - { country, rate, scheme, reverseCharge, vatId, vatIdValid }
+ *   scheme is one of 'eu_vat', 'domestic', 'reverse_charge', 'outside_scope'
+ */
+function determineTaxTreatment({ country, vatId } = {}) {
+  const countryCode = normalizeCountryCode(country);
+  const vat = validateVatId(vatId, countryCode);
+  // A valid VAT ID only counts when it belongs to the customer's country (or the country is unknown)
+  const vatIdValid = vat.valid && (!countryCode || vat.countryCode === countryCode);
+  const customerCountry = countryCode || (vatIdValid ? vat.countryCode : null);
+
+  const treatment = {
+    country: customerCountry,
+    rate: 0,
+    scheme: 'outside_scope',
+    reverseCharge: false,
+    vatId: vat.vatId,
+    vatIdValid
+  };
+
+  if (!isEuCountry(customerCountry)) {
+    return treatment;
+  }
+
+  if (customerCountry === TAX_CONFIG.sellerCountry) {
+    return { ...treatment, rate: EU_VAT_RATES[customerCountry], scheme: 'domestic' };
+  }
+
+  if (vatIdValid) {
+    return { ...treatment, scheme: 'reverse_charge', reverseCharge: true };
+  }
+
+  return { ...treatment, rate: EU_VAT_RATES[customerCountry], scheme: 'eu_vat' };
+}
+
+/**
+ * Whether prices for a country are quoted including tax
+ * EU consumer prices must be shown with VAT; elsewhere tax is added at checkout.
+ * @param {string} country - Customer country code
+ * @returns {string} - 'inclusive' or 'exclusive'
+ */
+function getPriceDisplayMode(country) {
+  const code = normalizeCountryCode(country);
+  return code && (isEuCountry(code) || TAX_CONFIG.inclusiveCountries.includes(code))
+    ? 'inclusive'
+    : 'exclusive';
+}
+
+/**
+ * Split an amount into net, tax and gross
+ * @param {number} amount - The amount
+ * @param {number} rate - Tax rate as a fraction (0.19 = 19%)
+ * @param {boolean} includesTax - Whether amount is gross
+ * @returns {Object} - { net, tax, gross }
+ */
+function splitAmount(amount, rate, includesTax = false) {
+  if (includesTax) {
+    const gross = roundAmount(amount);
+    const net = roundAmount(gross / (1 + rate));
+    return { net, tax: roundAmount(gross - net), gross };
+  }
+
+  const net = roundAmount(amount);
+  const tax = roundAmount(net * rate);
+  return { net, tax, gross: roundAmount(net + tax) };
+}
+
+/**
+ * Calculate tax for a set of line items
+ * @param {Object} params
+ * @param {Array<Object>} params.items - Items with price (per unit) and quantity
+ * @param {string} params.country - Customer country code
+ * @param {string} params.vatId - Customer VAT ID (optional)
+ * @param {boolean} params.pricesIncludeTax - Whether item prices are gross (default: net)
+ * @returns {Object} - Treatment plus lines [{ id, quantity, unitNet, net, tax, gross, rate }] and net/tax/gross totals
+ */
+function calculateTax({ items = [], country = null, vatId = null, pricesIncludeTax = false } = {}) {
+  const treatment = determineTaxTreatment({ country, vatId });
+
+  const lines = items.map((item, index) => {
+    const quantity = item.quantity || 1;
+    const amounts = splitAmount((parseFloat(item.price) || 0) * quantity, treatment.rate, pricesIncludeTax);
+    return {
+      id: item.id || item.agentId || `item_${index + 1}`,
+      quantity,
+      unitNet: roundAmount(amounts.net / quantity),
+      ...amounts,
+      rate: treatment.rate
+    };
+  });
+
+  const totals = lines.reduce((sum, line) => ({
+    net: sum.net + line.net,
+    tax: sum.tax + line.tax,
+    gross: sum.gross + line.gross
+  }), { net: 0, tax: 0, gross: 0 });
+
+  return {
+    ...treatment,
+    pricesIncludeTax,
+    lines,
+    net: roundAmount(totals.net),
+    tax: roundAmount(totals.tax),
+    gross: roundAmount(totals.gross)
+  };
+}
+
+/**
+ * Calculate tax for an order that has already been charged
+ * Item prices are treated as net. When the charged total does not match
+ * net + tax but does match the item prices, the prices were gross (the
+ * client quoted tax-inclusive), so tax is extracted from them instead.
+ * Orders without items are taxed as a single gross line.
+ * @param {Object} params - { items, total, country, vatId }
+ * @returns {Object} - Result of calculateTax plus totalMismatch when neither reading matches the charged total
+ */
+function calculateOrderTax({ items = [], total = null, country = null, vatId = null } = {}) {
+  const charged = total !== null && total !== undefined ? roundAmount(total) : null;
+
+  if (items.length === 0) {
+    return calculateTax({ items: [{ id: 'order', price: charged || 0 }], country, vatId, pricesIncludeTax: true });
+  }
+
+  const exclusive = calculateTax({ items, country, vatId });
+  if (!charged || Math.abs(exclusive.gross - charged) <= 0.01) {
+    return exclusive;
+  }
+
+  const inclusive = calculateTax({ items, country, vatId, pricesIncludeTax: true });
+  if (Math.abs(inclusive.gross - charged) <= 0.01) {
+    return inclusive;
+  }
+
+  return { ...exclusive, totalMismatch: roundAmount(charged - exclusive.gross) };
+}
+
+/**
+ * Quote a net catalog price for a customer's region
+ * @param {number} netPrice - Net price from the catalog
+ * @param {Object} customer - { country, vatId }
+ * @returns {Object} - { net, tax, gross, rate, scheme, reverseCharge, taxInclusive, displayPrice }
+ */
+function quotePrice(netPrice, { country = null, vatId = null } = {}) {
+  const treatment = determineTaxTreatment({ country, vatId });
+  const amounts = splitAmount(netPrice, treatment.rate);
+  const taxInclusive = getPriceDisplayMode(treatment.country) === 'inclusive';
+
+  return {
+    ...amounts,
+    rate: treatment.rate,
+    country: treatment.country,
+    scheme: treatment.scheme,
+    reverseCharge: treatment.reverseCharge,
+    taxInclusive,
+    displayPrice: taxInclusive ? amounts.gross : amounts.net
+  };
+}
+
+/**
+ * Convert a tax calculation into the vatInfo shape used by orders and emails
+ * @param {Object} taxResult - Result of calculateTax
+ * @returns {Object} - { vatAmount, vatRate, originalAmount, reverseCharge, country, vatId, scheme }
+ */
+function toVatInfo(taxResult) {
+  return {
+    vatAmount: taxResult.tax,
+    vatRate: taxResult.rate,
+    originalAmount: taxResult.net,
+    reverseCharge: taxResult.reverseCharge,
+    country: taxResult.country,
+    vatId: taxResult.vatIdValid ? taxResult.vatId : null,
+    scheme: taxResult.scheme
+  };
+}
+
+module.exports = {
+  EU_VAT_RATES,
+  TAX_CONFIG,
+  normalizeCountryCode,
+  isEuCountry,
+  validateVatId,
+  determineTaxTreatment,
+  getPriceDisplayMode,
+  calculateTax,
+  calculateOrderTax,
+  quotePrice,
+  toVatInfo
+};
@@ -0,0 +1,104 @@
+/**
+ * Signed Download URLs - Stateless template download links
+ *
+ * A signed link encodes the agent, the order, the access key of its
+ * `templateAccess` token, an expiry and the token's URL version, and is
+ * signed with HMAC-SHA256. The signature and expiry can be checked without
+ * any lookup (e.g. at a CDN edge holding TEMPLATE_URL_SECRET); bumping the
+ * version on the token revokes every link signed before.
+ *
+ *   /api/templates/download/:agentId?orderId=..&key=..&exp=..&v=..&sig=..
+ */
+
+const crypto = require('crypto');
+
+const DEV_SECRET = 'template-url-dev-secret';
+
+/**
+ * Signing secret; outside production a development secret is used when unset
+ * @returns {string|null} - null when signed links are disabled
+ */
+function getUrlSecret() {
+  if (process.env.TEMPLATE_URL_SECRET) return process.env.TEMPLATE_URL_SECRET;
+  return process.env.NODE_ENV === 'production' ? null : DEV_SECRET;
+}
+
+/**
+ * Random access key stored on the token; the token ID itself never goes into a link
+ */
+function generateUrlKey() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+function canonicalize({ agentId, orderId, key, exp, v }) {
+  return [agentId, orderId, key, exp, v].join('|');
+}
+
+function sign(claims, secret) {
+  return crypto.createHmac('sha256', secret).update(canonicalize(claims)).digest('base64url');
+}
+
+/**
+ * Build a signed download URL for a token
+ * @param {Object} access - { agentId, orderId, urlKey, urlVersion, expiresAt }
+ * @param {Object} options - { secret }
+ * @returns {string|null} - null when the token has no access key or signing is disabled
+ */
+function buildSignedDownloadUrl(access, { secret = getUrlSecret() } = {}) {
+  if (!access.urlKey || !secret) return null;
+
+  const claims = {
+    agentId: access.agentId,
+    orderId: access.orderId,
+    key: access.urlKey,
+    exp: Math.floor(new Date(access.expiresAt).getTime() / 1000),
+    v: access.urlVersion || 1
+  };
+  const query = new URLSearchParams({
+    orderId: claims.orderId,
+    key: claims.key,
+    exp: String(claims.exp),
+    v: String(claims.v),
+    sig: sign(claims, secret)
+  });
+
+  return `/api/templates/download/${encodeURIComponent(claims.agentId)}?${query.toString()}`;
+}
+
+/**
+ * Verify the signature and expiry of a download URL
+ * @param {Object} params - { agentId, orderId, key, exp, v, sig } from the request
+ * @param {Object} options - { secret, now }
+ * @returns {Object} - { valid, reason, claims }
+ */
+function verifySignedDownload(params, { secret = getUrlSecret(), now = new Date() } = {}) {
+  const invalid = reason => ({ valid: false, reason, claims: null });
+  if (!secret) return invalid('signing_disabled');
+
+  const { agentId, orderId, key, sig } = params;
+  const exp = parseInt(params.exp, 10);
+  const v = parseInt(params.v, 10);
+  if (!agentId || !orderId || !key || !sig || !Number.isInteger(exp) || !Number.isInteger(v)) {
+    return invalid('malformed');
+  }
+
+  const claims = { agentId, orderId, key, exp, v };
+  const expected = Buffer.from(sign(claims, secret));
+  const given = Buffer.from(String(sig));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return invalid('bad_signature');
+  }
+
+  if (exp * 1000 < now.getTime()) {
+    return { valid: false, reason: 'expired', claims };
+  }
+
+  return { valid: true, reason: null, claims };
+}
+
+module.exports = {
+  getUrlSecret,
+  generateUrlKey,
+  buildSignedDownloadUrl,
+  verifySignedDownload
+};
@@ -0,0 +1,176 @@
+/**
+ * Template Access Policy - Download limits for template access tokens
+ *
+ * Pure helpers used by the template access service. An agent may carry a
+ * `downloadPolicy`; it is merged over the defaults and snapshotted on every
+ * `templateAccess` token when the token is issued, so changing a policy
+ * applies to new and re-issued links only.
+ *
+ * Policy fields:
+ * - expiryDays: days until the link expires
+ * - maxDownloads: downloads allowed per link (0 = unlimited)
+ * - singleUse: the link dies after its first download
+ * - bindToIp: only the IP of the first download may use the link
+ * - ipWindowMinutes / maxDownloadsPerIp: per-IP throttle on a link
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_POLICY = {
+  expiryDays: parseInt(process.env.TEMPLATE_ACCESS_EXPIRY_DAYS, 10) || 30,
+  maxDownloads: parseInt(process.env.TEMPLATE_MAX_DOWNLOADS, 10) || 20,
+  singleUse: false,
+  bindToIp: false,
+  ipWindowMinutes: 60,
+  maxDownloadsPerIp: 5
+};
+
+const POLICY_LIMITS = {
+  expiryDays: { min: 1, max: 365 },
+  maxDownloads: { min: 0, max: 1000 },
+  ipWindowMinutes: { min: 1, max: 24 * 60 },
+  maxDownloadsPerIp: { min: 0, max: 1000 }
+};
+
+const DENIAL_REASONS = {
+  REVOKED: 'revoked',
+  EXPIRED: 'expired',
+  USED: 'single_use_consumed',
+  LIMIT: 'download_limit_reached',
+  IP_MISMATCH: 'ip_mismatch',
+  THROTTLED: 'ip_throttled'
+};
+
+/**
+ * Validate a policy submitted by an admin
+ * @param {Object} input - Partial policy
+ * @returns {Object} - { valid, errors, policy } where policy only holds the given fields
+ */
+function validatePolicy(input = {}) {
+  const errors = [];
+  const policy = {};
+
+  Object.entries(POLICY_LIMITS).forEach(([field, { min, max }]) => {
+    if (input[field] === undefined || input[field] === null) return;
+    const value = Number(input[field]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      errors.push(`${field} must be an integer between ${min} and ${max}`);
+    } else {
+      policy[field] = value;
+    }
+  });
+
+  ['singleUse', 'bindToIp'].forEach(field => {
+    if (input[field] === undefined || input[field] === null) return;
+    if (typeof input[field] !== 'boolean') {
+      errors.push(`${field} must be a boolean`);
+    } else {
+      policy[field] = input[field];
+    }
+  });
+
+  return { valid: errors.length === 0, errors, policy };
+}
+
+/**
+ * Effective policy for an agent
+ * @param {Object|null} agentPolicy - The agent's downloadPolicy field
+ * @returns {Object} - Complete policy
+ */
+function resolvePolicy(agentPolicy = null) {
+  const { policy } = validatePolicy(agentPolicy || {});
+  return { ...DEFAULT_POLICY, ...policy };
+}
+
+/**
+ * Hash an IP for storage on the token (the audit log keeps the raw IP)
+ */
+function hashIp(ip) {
+  if (!ip) return null;
+  return crypto.createHash('sha256').update(String(ip)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Fields for a new templateAccess token
+ * @param {Object} policy - Effective policy
+ * @param {Date} now
+ * @returns {Object} - { expiresAt, policy, downloadCount, used, recentDownloads }
+ */
+function buildAccessFields(policy, now = new Date()) {
+  return {
+    expiresAt: new Date(now.getTime() + policy.expiryDays * 24 * 60 * 60 * 1000).toISOString(),
+    policy,
+    downloadCount: 0,
+    used: false,
+    boundIpHash: null,
+    recentDownloads: []
+  };
+}
+
+/**
+ * Decide whether a token may be used for a download
+ * Tokens issued before policies existed have no snapshot and get the defaults.
+ * @param {Object} access - templateAccess document
+ * @param {Object} options - { ip, now }
+ * @returns {Object} - { allowed, reason, changes } where changes update the token on success
+ */
+function evaluateDownload(access, { ip = null, now = new Date() } = {}) {
+  const policy = resolvePolicy(access.policy);
+  const nowTs = now.getTime();
+  const ipHash = hashIp(ip);
+  const deny = reason => ({ allowed: false, reason, changes: null });
+
+  if (access.revoked) return deny(DENIAL_REASONS.REVOKED);
+  if (new Date(access.expiresAt).getTime() < nowTs) return deny(DENIAL_REASONS.EXPIRED);
+
+  // Legacy tokens counted downloads in useCount
+  const downloadCount = access.downloadCount ?? access.useCount ?? 0;
+  if (policy.singleUse && (access.used === true || downloadCount > 0)) return deny(DENIAL_REASONS.USED);
+  if (policy.maxDownloads > 0 && downloadCount >= policy.maxDownloads) return deny(DENIAL_REASONS.LIMIT);
+
+  if (policy.bindToIp && access.boundIpHash && ipHash !== access.boundIpHash) {
+    return deny(DENIAL_REASONS.IP_MISMATCH);
+  }
+
+  const windowStart = nowTs - policy.ipWindowMinutes * 60 * 1000;
+  const recentDownloads = (access.recentDownloads || [])
+    .filter(entry => new Date(entry.at).getTime() > windowStart);
+  if (policy.maxDownloadsPerIp > 0 &&
+      recentDownloads.filter(entry => entry.ipHash === ipHash).length >= policy.maxDownloadsPerIp) {
+    return deny(DENIAL_REASONS.THROTTLED);
+  }
+
+  return {
+    allowed: true,
+    reason: null,
+    changes: {
+      downloadCount: downloadCount + 1,
+      useCount: downloadCount + 1,
+      used: true,
+      lastUsed: now.toISOString(),
+      boundIpHash: access.boundIpHash || (policy.bindToIp ? ipHash : null),
+      recentDownloads: [...recentDownloads, { ipHash, at: now.toISOString() }]
+    }
+  };
+}
+
+/**
+ * Downloads left on a token (null when unlimited)
+ */
+function remainingDownloads(access) {
+  const policy = resolvePolicy(access.policy);
+  if (policy.singleUse) return access.used ? 0 : 1;
+  if (!policy.maxDownloads) return null;
+  return Math.max(0, policy.maxDownloads - (access.downloadCount ?? access.useCount ?? 0));
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  DENIAL_REASONS,
+  validatePolicy,
+  resolvePolicy,
+  hashIp,
+  buildAccessFields,
+  evaluateDownload,
+  remainingDownloads
+};
@@ -0,0 +1,477 @@
+/**
+ * Template Access Service - Download enforcement, audit log and re-issue
+ *
+ * Every download attempt against a `templateAccess` token is checked
+ * against the policy snapshotted on the token and recorded in the
+ * `template_downloads` collection, whether it was served or denied.
+ *
+ * Signed download links are validated against token state (version,
+ * revocation, counters) kept in Redis and loaded from Firestore on a cache
+ * miss. Downloads on links with limits are counted in a transaction on the
+ * token. Revoking a token bumps its URL version and drops the cached state.
+ */
+
+const admin = require('firebase-admin');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../../utils/logger');
+const { getCache, setCache, deleteCache } = require('../../utils/cache');
+const {
+  resolvePolicy,
+  buildAccessFields,
+  evaluateDownload
+} = require('./templateAccessPolicy');
+const { generateUrlKey, buildSignedDownloadUrl } = require('./signedDownloadUrl');
+
+// Initialize Firestore
+const db = admin.firestore();
+
+const ACCESS_COLLECTION = 'templateAccess';
+const DOWNLOADS_COLLECTION = 'template_downloads';
+
+// Cached link state is refreshed at least hourly
+const URL_STATE_TTL = 60 * 60;
+
+// Orders whose downloads were delivered; held and rejected orders never were
+const REISSUABLE_ORDER_STATUSES = ['completed', 'partially_refunded'];
+
+const urlStateKey = urlKey => `template:url:${urlKey}`;
+
+/**
+ * Error for an access change the order does not allow
+ */
+function templateAccessError(message, reason) {
+  const error = new Error(message);
+  error.name = 'TemplateAccessError';
+  error.reason = reason;
+  return error;
+}
+
+function maskToken(token) {
+  return `${String(token).substring(0, 8)}...`;
+}
+
+// Fields of a token that signed links are checked against
+function toUrlState(accessId, access) {
+  return {
+    accessId,
+    agentId: access.agentId,
+    orderId: access.orderId,
+    userId: access.userId || null,
+    email: access.email || null,
+    urlVersion: access.urlVersion || 1,
+    revoked: access.revoked === true,
+    revokedReason: access.revokedReason || null,
+    expiresAt: access.expiresAt,
+    licenseTier: access.licenseTier || null,
+    policy: access.policy || null,
+    used: access.used === true,
+    downloadCount: access.downloadCount ?? access.useCount ?? 0,
+    boundIpHash: access.boundIpHash || null,
+    recentDownloads: access.recentDownloads || []
+  };
+}
+
+// Policies whose limits must not be checked against a cached counter
+function hasExactLimits(policy) {
+  const effective = resolvePolicy(policy);
+  return effective.singleUse || effective.maxDownloads > 0 || effective.bindToIp;
+}
+
+class TemplateAccessService {
+  /**
+   * Effective download policy of an agent
+   */
+  async getAgentPolicy(agentId) {
+    const agentDoc = await db.collection('agents').doc(agentId).get();
+    return resolvePolicy(agentDoc.exists ? agentDoc.data().downloadPolicy : null);
+  }
+
+  /**
+   * Set (merge) the download policy of an agent
+   * @param {string} agentId
+   * @param {Object} policy - Validated partial policy
+   * @returns {Promise<Object>} - Effective policy
+   */
+  async setAgentPolicy(agentId, policy) {
+    const ref = db.collection('agents').doc(agentId);
+    const doc = await ref.get();
+    if (!doc.exists) {
+      return null;
+    }
+
+    const downloadPolicy = { ...(doc.data().downloadPolicy || {}), ...policy };
+    await ref.update({ downloadPolicy, updatedAt: new Date().toISOString() });
+    return resolvePolicy(downloadPolicy);
+  }
+
+  /**
+   * Build a templateAccess record under the given policy
+   * @param {Object} base - { orderId, agentId, userId, email, ... }
+   * @param {Object} policy - Effective policy
+   */
+  buildAccessRecord(base, policy) {
+    return {
+      ...base,
+      createdAt: new Date().toISOString(),
+      ...buildAccessFields(policy),
+      urlKey: generateUrlKey(),
+      urlVersion: 1
+    };
+  }
+
+  /**
+   * Download URL of a token: signed when possible, the token link for older tokens
+   * @param {string} token - templateAccess document ID
+   * @param {Object} access - templateAccess document
+   */
+  getDownloadUrl(token, access) {
+    return buildSignedDownloadUrl(access) ||
+      `/api/templates/download/${access.agentId}?orderId=${access.orderId}&token=${token}`;
+  }
+
+  /**
+   * State a signed link is checked against, from Redis or (on a miss) Firestore
+   * @returns {Promise<Object|null>} - { accessId, ...token fields } or null for an unknown key
+   */
+  async getUrlState(urlKey) {
+    const cached = await getCache(urlStateKey(urlKey));
+    if (cached) return cached;
+
+    const snapshot = await db.collection(ACCESS_COLLECTION).where('urlKey', '==', urlKey).limit(1).get();
+    if (snapshot.empty) return null;
+
+    const doc = snapshot.docs[0];
+    const state = toUrlState(doc.id, doc.data());
+    await this.cacheUrlState(urlKey, state);
+    return state;
+  }
+
+  async cacheUrlState(urlKey, state) {
+    const remaining = Math.floor((new Date(state.expiresAt).getTime() - Date.now()) / 1000);
+    if (remaining > 0) {
+      await setCache(urlStateKey(urlKey), state, Math.min(URL_STATE_TTL, remaining));
+    }
+  }
+
+  /**
+   * Authorize a download through a verified signed link
+   * Unknown, superseded and exhausted links are rejected from the cached
+   * state. Links with a single-use, download-count or IP binding limit are
+   * then decided in a transaction on the token, like the token path; only
+   * unlimited links are counted from the cached state.
+   * @param {Object} claims - Verified claims { agentId, orderId, key, v }
+   * @param {Object} request - { ip, userAgent, format }
+   * @returns {Promise<Object>} - { allowed, reason, access }
+   */
+  async authorizeSignedDownload(claims, { ip = null, userAgent = null, format = null } = {}) {
+    const state = await this.getUrlState(claims.key);
+
+    let decision;
+    if (!state || state.agentId !== claims.agentId || state.orderId !== claims.orderId) {
+      decision = { allowed: false, reason: 'invalid_token', access: state };
+    } else if (state.urlVersion !== claims.v) {
+      decision = { allowed: false, reason: 'revoked', access: { ...state, revokedReason: state.revokedReason || 'link_superseded' } };
+    } else {
+      const evaluation = evaluateDownload(state, { ip });
+      decision = { allowed: evaluation.allowed, reason: evaluation.reason, access: { ...state, ...evaluation.changes } };
+
+      // Counters only grow, so a denial from the cached state stands
+      if (evaluation.allowed && hasExactLimits(state.policy)) {
+        decision = await this.authorizeSignedDownloadExact(claims, state, ip);
+      } else if (evaluation.allowed) {
+        try {
+          await db.collection(ACCESS_COLLECTION).doc(state.accessId).update(evaluation.changes);
+          await this.cacheUrlState(claims.key, decision.access);
+        } catch (error) {
+          // The next download reloads the counters from the token
+          logger.error(`Failed to record download on template access ${maskToken(state.accessId)}:`, error);
+          await deleteCache(urlStateKey(claims.key));
+        }
+      }
+    }
+
+    await this.logDownload({
+      token: state?.accessId || claims.key,
+      agentId: claims.agentId,
+      orderId: claims.orderId,
+      userId: state?.userId || null,
+      email: state?.email || null,
+      ip,
+      userAgent,
+      format,
+      signed: true,
+      outcome: decision.allowed ? 'served' : 'denied',
+      reason: decision.reason
+    });
+
+    if (!decision.allowed) {
+      logger.warn(`Signed template download denied for key ${maskToken(claims.key)}: ${decision.reason}`, {
+        agentId: claims.agentId,
+        orderId: claims.orderId
+      });
+    }
+
+    return decision;
+  }
+
+  /**
+   * Decide a signed download against the token itself
+   * The cached state is refreshed with what the transaction saw, so a
+   * consumed or revoked link is rejected from Redis next time.
+   */
+  async authorizeSignedDownloadExact(claims, state, ip) {
+    const ref = db.collection(ACCESS_COLLECTION).doc(state.accessId);
+
+    const decision = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) {
+        return { allowed: false, reason: 'invalid_token', access: state, fresh: null };
+      }
+
+      const fresh = toUrlState(doc.id, doc.data());
+      if (fresh.urlVersion !== claims.v) {
+        return {
+          allowed: false,
+          reason: 'revoked',
+          access: { ...fresh, revokedReason: fresh.revokedReason || 'link_superseded' },
+          fresh
+        };
+      }
+
+      const evaluation = evaluateDownload(fresh, { ip });
+      if (evaluation.allowed) {
+        transaction.update(ref, evaluation.changes);
+      }
+      const access = { ...fresh, ...evaluation.changes };
+      return { allowed: evaluation.allowed, reason: evaluation.reason, access, fresh: access };
+    });
+
+    if (decision.fresh) {
+      await this.cacheUrlState(claims.key, decision.fresh);
+    } else {
+      await deleteCache(urlStateKey(claims.key));
+    }
+
+    const { fresh, ...result } = decision;
+    return result;
+  }
+
+  /**
+   * Revoke tokens and every link signed for them
+   * @param {Array<string>} tokens - templateAccess document IDs
+   * @param {Object} options - { reason, revokedBy, revokedAt }
+   * @returns {Promise<number>} - Number of tokens revoked
+   */
+  async revokeAccess(tokens, { reason, revokedBy = null, revokedAt = new Date().toISOString() } = {}) {
+    if (!tokens || tokens.length === 0) return 0;
+
+    const refs = tokens.map(token => db.collection(ACCESS_COLLECTION).doc(token));
+    const docs = await db.getAll(...refs);
+    const existing = docs.filter(doc => doc.exists);
+
+    const batch = db.batch();
+    existing.forEach(doc => {
+      batch.update(doc.ref, {
+        revoked: true,
+        revokedAt,
+        revokedReason: reason,
+        ...(revokedBy ? { revokedBy } : {}),
+        urlVersion: admin.firestore.FieldValue.increment(1)
+      });
+    });
+    await batch.commit();
+
+    await this.dropUrlState(existing.map(doc => doc.data()));
+    return existing.length;
+  }
+
+  async dropUrlState(accessRecords) {
+    await Promise.all(accessRecords
+      .filter(access => access.urlKey)
+      .map(access => deleteCache(urlStateKey(access.urlKey))));
+  }
+
+  /**
+   * Authorize a download and count it against the token
+   * Runs in a transaction so concurrent downloads cannot exceed the limits.
+   * @param {string} token - templateAccess document ID
+   * @param {Object} request - { agentId, orderId, ip, userAgent, format }
+   * @returns {Promise<Object>} - { allowed, reason, access }
+   */
+  async authorizeDownload(token, { agentId, orderId, ip = null, userAgent = null, format = null }) {
+    const ref = db.collection(ACCESS_COLLECTION).doc(token);
+
+    const decision = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) {
+        return { allowed: false, reason: 'invalid_token', access: null };
+      }
+
+      const access = doc.data();
+      if (access.orderId !== orderId || access.agentId !== agentId) {
+        return { allowed: false, reason: 'token_mismatch', access };
+      }
+
+      const evaluation = evaluateDownload(access, { ip });
+      if (evaluation.allowed) {
+        transaction.update(ref, evaluation.changes);
+      }
+      return { allowed: evaluation.allowed, reason: evaluation.reason, access: { ...access, ...evaluation.changes } };
+    });
+
+    // Signed links of this token must see the new counters
+    if (decision.allowed) {
+      await this.dropUrlState([decision.access]);
+    }
+
+    await this.logDownload({
+      token,
+      agentId,
+      orderId,
+      userId: decision.access?.userId || null,
+      email: decision.access?.email || null,
+      ip,
+      userAgent,
+      format,
+      outcome: decision.allowed ? 'served' : 'denied',
+      reason: decision.reason
+    });
+
+    if (!decision.allowed) {
+      logger.warn(`Template download denied for token ${maskToken(token)}: ${decision.reason}`, { agentId, orderId });
+    }
+
+    return decision;
+  }
+
+  /**
+   * Append a download attempt to the audit log
+   * A failed audit write is logged but never blocks the download.
+   */
+  async logDownload(entry) {
+    try {
+      await db.collection(DOWNLOADS_COLLECTION).add({
+        ...entry,
+        token: maskToken(entry.token),
+        tokenId: entry.token,
+        createdAt: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Failed to record template download:', error);
+    }
+  }
+
+  /**
+   * Whether the links of an order may be re-issued
+   * @param {Object} order - Order document
+   */
+  canReissue(order) {
+    return REISSUABLE_ORDER_STATUSES.includes(order.status);
+  }
+
+  /**
+   * Revoke the active links of an order item and issue a fresh one
+   * @param {Object} order - Order document
+   * @param {string} agentId
+   * @param {Object} requestedBy - { userId, email }
+   * @returns {Promise<Object>} - { accessToken, expiresAt, downloadUrl, revokedTokens }
+   * @throws {TemplateAccessError} when the order was never delivered or was refunded
+   */
+  async reissueAccess(order, agentId, { userId = null, email = null } = {}) {
+    if (!this.canReissue(order)) {
+      throw templateAccessError(`Order ${order.id} is ${order.status || 'not delivered'}`, 'order_not_delivered');
+    }
+
+    const policy = await this.getAgentPolicy(agentId);
+    const existing = await db.collection(ACCESS_COLLECTION)
+      .where('orderId', '==', order.id)
+      .where('agentId', '==', agentId)
+      .get();
+
+    const now = new Date().toISOString();
+    const accessToken = uuidv4();
+    const revokedTokens = [];
+    const revokedRecords = [];
+    const batch = db.batch();
+
+    existing.docs.forEach(doc => {
+      if (doc.data().revoked) return;
+      revokedTokens.push(doc.id);
+      revokedRecords.push(doc.data());
+      batch.update(doc.ref, {
+        revoked: true,
+        revokedAt: now,
+        revokedBy: userId || email || 'customer',
+        revokedReason: 'reissued',
+        replacedBy: accessToken,
+        urlVersion: admin.firestore.FieldValue.increment(1)
+      });
+    });
+
+    // The new link delivers the licence tier the replaced links did
+    const item = (order.items || []).find(entry => entry.id === agentId);
+    const licenseTier = existing.docs.map(doc => doc.data().licenseTier).find(Boolean) || item?.licenseTier || null;
+
+    const record = this.buildAccessRecord({
+      orderId: order.id,
+      agentId,
+      userId: order.userId || userId,
+      email: order.userEmail || email,
+      invoiceId: order.invoiceId || null,
+      licenseTier,
+      reissuedFrom: revokedTokens,
+      uniPayOrderHashId: order.uniPayOrderHashId || null,
+      merchantOrderId: order.merchantOrderId || null
+    }, policy);
+    batch.set(db.collection(ACCESS_COLLECTION).doc(accessToken), record);
+
+    const tokens = (order.templateAccessTokens || []).filter(token => !revokedTokens.includes(token));
+    batch.update(db.collection('orders').doc(order.id), {
+      templateAccessTokens: [...tokens, accessToken],
+      updatedAt: now
+    });
+    await batch.commit();
+    await this.dropUrlState(revokedRecords);
+
+    logger.info(`Re-issued template access for agent ${agentId} in order ${order.id}`, {
+      revoked: revokedTokens.length,
+      requestedBy: userId || email
+    });
+
+    return {
+      accessToken,
+      expiresAt: record.expiresAt,
+      policy,
+      downloadUrl: this.getDownloadUrl(accessToken, record),
+      revokedTokens: revokedTokens.map(maskToken)
+    };
+  }
+
+  /**
+   * Query the download audit log, newest first
+   * @param {Object} filters - { agentId, orderId, userId, email, outcome, since, until, limit }
+   */
+  async listDownloads({ agentId, orderId, userId, email, outcome, since, until, limit = 100 } = {}) {
+    let query = db.collection(DOWNLOADS_COLLECTION);
+
+    if (agentId) query = query.where('agentId', '==', agentId);
+    if (orderId) query = query.where('orderId', '==', orderId);
+    if (userId) query = query.where('userId', '==', userId);
+    if (email) query = query.where('email', '==', email);
+    if (outcome) query = query.where('outcome', '==', outcome);
+    if (since) query = query.where('createdAt', '>=', new Date(since).toISOString());
+    if (until) query = query.where('createdAt', '<=', new Date(until).toISOString());
+
+    const snapshot = await query
+      .orderBy('createdAt', 'desc')
+      .limit(Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500))
+      .get();
+
+    return snapshot.docs.map(doc => {
+      const { tokenId, ...entry } = doc.data();
+      return { id: doc.id, ...entry };
+    });
+  }
+}
+
+module.exports = new TemplateAccessService();
@@ -0,0 +1,243 @@
+/**
+ * Template Bundle - ZIP packaging of an agent's deliverables
+ *
+ * A bundle holds the agent template (template.json), every deliverable
+ * listed on the agent under files/, a generated README.md and a
+ * manifest.json with sizes and SHA-256 checksums. Deliverables are fetched
+ * one at a time while the archive streams out; a deliverable that cannot
+ * be fetched is left out and marked unavailable in the manifest and README.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const archiver = require('archiver');
+
+const MAX_DELIVERABLE_BYTES = parseInt(process.env.TEMPLATE_BUNDLE_MAX_FILE_BYTES || String(50 * 1024 * 1024), 10);
+const FETCH_TIMEOUT_MS = 30000;
+
+/**
+ * Make a deliverable file name safe for a ZIP entry
+ */
+function sanitizeFileName(name, fallback = 'file') {
+  const base = String(name || '').split(/[\\/]/).pop()
+    .replace(/[^A-Za-z0-9._ -]/g, '-')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^[-.]+/, '');
+  return base || fallback;
+}
+
+function slugify(value) {
+  return String(value || 'ai-agent')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '') || 'ai-agent';
+}
+
+/**
+ * Plan the files of a bundle
+ * @param {Object} agent - Agent document (with deliverables)
+ * @param {string} templateJson - Agent template from getAgentTemplate
+ * @returns {Object} - { name, files: [{ path, description, contentType, url | content }] }
+ */
+function planBundle(agent, templateJson) {
+  const files = [{
+    path: 'template.json',
+    description: 'Agent template',
+    contentType: 'application/json',
+    content: templateJson
+  }];
+
+  const used = new Set(files.map(file => file.path));
+  (Array.isArray(agent.deliverables) ? agent.deliverables : []).forEach((deliverable, index) => {
+    const url = deliverable.downloadUrl || deliverable.url || null;
+    const content = typeof deliverable.content === 'string' ? deliverable.content : null;
+    if (!content && !(url && /^https?:\/\//i.test(url))) return;
+
+    // Keep names unique: workflow.json, workflow-2.json, ...
+    const fileName = sanitizeFileName(deliverable.fileName, `deliverable-${index + 1}`);
+    const dot = fileName.lastIndexOf('.');
+    const [stem, ext] = dot > 0 ? [fileName.slice(0, dot), fileName.slice(dot)] : [fileName, ''];
+    let path = `files/${fileName}`;
+    for (let n = 2; used.has(path); n++) {
+      path = `files/${stem}-${n}${ext}`;
+    }
+    used.add(path);
+
+    files.push({
+      path,
+      description: deliverable.description || null,
+      contentType: deliverable.contentType || 'application/octet-stream',
+      ...(content ? { content } : { url })
+    });
+  });
+
+  return { name: `${slugify(agent.title || agent.name)}-bundle`, files };
+}
+
+/**
+ * Manifest of a finished bundle
+ * @param {Object} agent - Agent document
+ * @param {Array<Object>} results - [{ path, description, contentType, size, sha256, status }]
+ * @param {Object} context - { agentId, orderId, generatedAt }
+ */
+function buildManifest(agent, results, { agentId, orderId = null, generatedAt = new Date().toISOString() } = {}) {
+  return {
+    manifestVersion: 1,
+    agent: {
+      id: agentId || agent.id || null,
+      title: agent.title || agent.name || 'AI Agent',
+      version: agent.version || '1.0'
+    },
+    orderId,
+    generatedAt,
+    files: results.map(result => ({
+      path: result.path,
+      description: result.description || null,
+      contentType: result.contentType,
+      size: result.size ?? null,
+      sha256: result.sha256 || null,
+      status: result.status
+    }))
+  };
+}
+
+/**
+ * README for a bundle
+ */
+function buildReadme(agent, results, { orderId = null, generatedAt = new Date().toISOString() } = {}) {
+  const title = agent.title || agent.name || 'AI Agent';
+  const lines = [
+    `# ${title}`,
+    '',
+    agent.description || 'Thank you for your purchase.',
+    '',
+    '## Contents',
+    '',
+    ...results.map(result => {
+      const note = result.status === 'included' ? '' : ' (unavailable - download it again later or contact support)';
+      return `- \`${result.path}\`${result.description ? ` - ${result.description}` : ''}${note}`;
+    }),
+    '- `manifest.json` - File list with sizes and SHA-256 checksums',
+    ''
+  ];
+
+  if (Array.isArray(agent.features) && agent.features.length > 0) {
+    lines.push('## Features', '', ...agent.features.map(feature => `- ${feature}`), '');
+  }
+
+  lines.push(
+    '## Getting started',
+    '',
+    '1. Import `template.json` (or the workflow files in `files/`) into your automation platform.',
+    '2. Follow any guides included in `files/` to set up credentials.',
+    '3. Adjust the settings to your needs and run a test.',
+    '',
+    '---',
+    '',
+    `Order: ${orderId || 'n/a'}`,
+    `Generated: ${generatedAt}`,
+    ''
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Fetch a deliverable as a stream, enforcing the size limit
+ */
+async function fetchDeliverable(url) {
+  const response = await axios.get(url, {
+    responseType: 'stream',
+    timeout: FETCH_TIMEOUT_MS,
+    maxContentLength: MAX_DELIVERABLE_BYTES,
+    maxRedirects: 3
+  });
+  const declared = parseInt(response.headers['content-length'], 10);
+  if (declared > MAX_DELIVERABLE_BYTES) {
+    response.data.destroy();
+    throw new Error(`Deliverable exceeds ${MAX_DELIVERABLE_BYTES} bytes`);
+  }
+  return response.data;
+}
+
+function digestBuffer(buffer) {
+  return { buffer, size: buffer.length, sha256: crypto.createHash('sha256').update(buffer).digest('hex') };
+}
+
+/**
+ * Buffer a source stream while hashing it; the archive gets the bytes only once complete
+ */
+function readWithDigest(source) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    const chunks = [];
+    let size = 0;
+    source.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_DELIVERABLE_BYTES) {
+        source.destroy(new Error(`Deliverable exceeds ${MAX_DELIVERABLE_BYTES} bytes`));
+        return;
+      }
+      hash.update(chunk);
+      chunks.push(chunk);
+    });
+    source.on('error', reject);
+    source.on('end', () => resolve({ buffer: Buffer.concat(chunks), size, sha256: hash.digest('hex') }));
+  });
+}
+
+/**
+ * Stream a bundle as a ZIP archive
+ * @param {Object} agent - Agent document
+ * @param {Object} bundle - From planBundle
+ * @param {stream.Writable} output - Destination stream (e.g. the HTTP response)
+ * @param {Object} options - { agentId, orderId, fetchFile, onFileError }
+ * @returns {Promise<Array<Object>>} - Per-file results, resolved when the archive has been finalised
+ */
+async function streamTemplateBundle(agent, bundle, output, options = {}) {
+  const { fetchFile = fetchDeliverable, onFileError = () => {} } = options;
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const finished = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    output.on('close', resolve);
+    output.on('finish', resolve);
+  });
+
+  archive.pipe(output);
+
+  // Sequential fetches keep at most one deliverable in memory
+  const results = [];
+  for (const file of bundle.files) {
+    const base = { path: file.path, description: file.description, contentType: file.contentType };
+    try {
+      const { buffer, size, sha256 } = file.content !== undefined
+        ? digestBuffer(Buffer.from(file.content))
+        : await readWithDigest(await fetchFile(file.url));
+      archive.append(buffer, { name: file.path });
+      results.push({ ...base, size, sha256, status: 'included' });
+    } catch (error) {
+      onFileError(file, error);
+      results.push({ ...base, status: 'unavailable' });
+    }
+  }
+
+  const generatedAt = new Date().toISOString();
+  const context = { agentId: options.agentId, orderId: options.orderId, generatedAt };
+  archive.append(buildReadme(agent, results, context), { name: 'README.md' });
+  archive.append(JSON.stringify(buildManifest(agent, results, context), null, 2), { name: 'manifest.json' });
+
+  await archive.finalize();
+  await finished;
+  return results;
+}
+
+module.exports = {
+  MAX_DELIVERABLE_BYTES,
+  sanitizeFileName,
+  planBundle,
+  buildManifest,
+  buildReadme,
+  streamTemplateBundle
+};
@@ -0,0 +1,61 @@
+/**
+ * Agent facet tests
+ *
+ * Counts per category, integration, price band, rating and free/paid,
+ * each respecting every active filter but its own.
+ */
+
+const { PRICE_BANDS, agentRating, computeAgentFacets } = require('../services/search/agentFacets');
+
+const agents = [
+  { id: 'a', category: 'Marketing', price: 0, rating: { average: 4.6 }, workflowMetadata: { integrations: ['Gmail', 'Slack'] } },
+  { id: 'b', categories: ['Marketing', 'Sales'], price: 19, rating: 3.2, workflowMetadata: { integrations: ['Gmail'] } },
+  { id: 'c', category: 'Sales', price: 49, rating: { average: 4.1 }, workflowMetadata: { integrations: ['HubSpot'] } },
+  { id: 'd', category: 'Support', price: 150 }
+];
+
+// Minimal stand-in for the controller's filterAgents
+const applyFilters = (list, filters) => list.filter(agent => {
+  if (filters.category && filters.category !== 'All' &&
+      agent.category !== filters.category && !(agent.categories || []).includes(filters.category)) return false;
+  if (filters.priceMax !== undefined && (agent.price || 0) > Number(filters.priceMax)) return false;
+  if (filters.rating && agentRating(agent) < Number(filters.rating)) return false;
+  if (filters.integrations && !(agent.workflowMetadata?.integrations || []).some(name => filters.integrations.includes(name))) return false;
+  return true;
+});
+
+const countsOf = list => Object.fromEntries(list.map(facet => [facet.value, facet.count]));
+
+describe('Agent facets', () => {
+  it('counts every facet over the whole result set without filters', () => {
+    const facets = computeAgentFacets(agents, {}, applyFilters);
+
+    expect(countsOf(facets.categories)).toEqual({ Marketing: 2, Sales: 2, Support: 1 });
+    expect(facets.integrations[0]).toEqual({ value: 'Gmail', count: 2, selected: false });
+    expect(facets.priceBands.map(band => band.count)).toEqual([1, 0, 1, 1, 0, 1]);
+    expect(facets.priceBands).toHaveLength(PRICE_BANDS.length);
+    expect(facets.pricing).toEqual({ free: 1, paid: 3 });
+    expect(facets.ratings.map(bucket => bucket.count)).toEqual([2, 3, 3, 3]);
+  });
+
+  it('counts each facet with the other filters applied but not its own', () => {
+    const facets = computeAgentFacets(agents, { category: 'Marketing', priceMax: 20, integrations: ['HubSpot'] }, applyFilters);
+
+    // Categories ignore the category filter: only c has HubSpot, and it costs over 20
+    expect(facets.categories).toEqual([{ value: 'Marketing', count: 0, selected: true }]);
+    // Integrations ignore the integration filter
+    expect(countsOf(facets.integrations)).toEqual({ Gmail: 2, Slack: 1, HubSpot: 0 });
+    expect(facets.integrations.find(facet => facet.value === 'HubSpot').selected).toBe(true);
+    // Price ignores priceMax but keeps category and integration
+    expect(facets.pricing).toEqual({ free: 0, paid: 0 });
+
+    const rated = computeAgentFacets(agents, { rating: 4, category: 'Sales' }, applyFilters);
+    expect(rated.ratings).toEqual([
+      { min: 4, count: 1, selected: true },
+      { min: 3, count: 2, selected: false },
+      { min: 2, count: 2, selected: false },
+      { min: 1, count: 2, selected: false }
+    ]);
+    expect(countsOf(rated.categories)).toEqual({ Marketing: 1, Sales: 1 });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Campaign rule tests
+ *
+ * Validation, targeting, price changes and scheduling of price campaigns.
+ */
+
+const {
+  CAMPAIGN_STATUS,
+  validateCampaign,
+  checkUpdateAllowed,
+  matchesCampaign,
+  getSkipReason,
+  buildCampaignPriceFields,
+  restorePriceFields,
+  getDueTransitions
+} = require('../services/campaign/campaignRules');
+
+const input = {
+  name: ' Spring Sale ',
+  discountType: 'percentage',
+  discountValue: '25',
+  categories: ['Marketing', ''],
+  tags: ['crm'],
+  startsAt: '2026-05-01T00:00:00Z',
+  endsAt: '2026-05-08T00:00:00Z'
+};
+
+describe('Campaign rules', () => {
+  it('validates campaigns and limits changes to running ones', () => {
+    const { valid, campaign } = validateCampaign(input);
+    expect(valid).toBe(true);
+    expect(campaign).toMatchObject({ name: 'Spring Sale', discountValue: 25, currency: null, categories: ['Marketing'], agentIds: [] });
+
+    const invalid = validateCampaign({ ...input, discountValue: 100, categories: [], tags: [], endsAt: '2026-04-01' });
+    expect(invalid.errors).toEqual(['percentage discounts must be below 100', 'target at least one of agentIds, categories or tags']);
+    expect(validateCampaign({ ...input, endsAt: '2026-04-01' }).errors).toEqual(['endsAt must be after startsAt']);
+
+    expect(() => checkUpdateAllowed({ status: CAMPAIGN_STATUS.ACTIVE }, { endsAt: '2026-05-09' })).not.toThrow();
+    expect(() => checkUpdateAllowed({ status: CAMPAIGN_STATUS.ACTIVE }, { discountValue: 50 })).toThrow('discountValue');
+    expect(() => checkUpdateAllowed({ status: CAMPAIGN_STATUS.ENDED }, {})).toThrow('ended');
+  });
+
+  it('targets agents by ID, category or tag', () => {
+    const campaign = { ...validateCampaign(input).campaign, agentIds: ['agent-9'] };
+    expect(matchesCampaign({ id: 'agent-1', categories: ['marketing'] }, campaign)).toBe(true);
+    expect(matchesCampaign({ id: 'agent-2', category: 'Sales', tags: ['CRM'] }, campaign)).toBe(true);
+    expect(matchesCampaign({ id: 'agent-9' }, campaign)).toBe(true);
+    expect(matchesCampaign({ id: 'agent-3', category: 'Sales', tags: ['email'] }, campaign)).toBe(false);
+  });
+
+  it('discounts prices and restores them afterwards', () => {
+    const campaign = { id: 'c1', ...validateCampaign(input).campaign };
+    const price = { basePrice: 40, finalPrice: 36, discountedPrice: 36, discountPercentage: 10, currency: 'USD', discount: { percentage: 10 } };
+
+    const fields = buildCampaignPriceFields(price, campaign);
+    expect(fields).toMatchObject({
+      finalPrice: 30,
+      discountedPrice: 30,
+      discountPercentage: 25,
+      discount: { percentage: 25, validUntil: '2026-05-08T00:00:00.000Z', campaignId: 'c1' },
+      campaign: { id: 'c1', name: 'Spring Sale' }
+    });
+
+    const running = { ...price, ...fields };
+    expect(restorePriceFields(running)).toEqual({ discount: { percentage: 10 }, finalPrice: 36, discountedPrice: 36, discountPercentage: 10 });
+    // A base price changed during the campaign is kept, without the old discount
+    expect(restorePriceFields({ ...running, basePrice: 50 })).toEqual({ discount: null, finalPrice: 50, discountedPrice: 50, discountPercentage: 0 });
+
+    const fixed = { id: 'c2', ...validateCampaign({ ...input, discountType: 'fixed', discountValue: 5, currency: 'eur' }).campaign };
+    expect(getSkipReason(price, fixed)).toBe('currency_mismatch');
+    expect(getSkipReason({ basePrice: 0, isFree: true }, campaign)).toBe('free');
+    expect(getSkipReason({ ...price, pricingModel: 'pay_what_you_want' }, campaign)).toBe('customer_priced');
+    expect(getSkipReason(running, fixed)).toBe('in_other_campaign');
+    expect(getSkipReason(price, campaign)).toBeNull();
+  });
+
+  it('starts, ends and expires campaigns on schedule', () => {
+    const campaigns = [
+      { id: 'due', status: 'scheduled', startsAt: '2026-05-01T00:00:00Z', endsAt: '2026-05-08T00:00:00Z' },
+      { id: 'later', status: 'scheduled', startsAt: '2026-06-01T00:00:00Z', endsAt: '2026-06-08T00:00:00Z' },
+      { id: 'missed', status: 'scheduled', startsAt: '2026-04-01T00:00:00Z', endsAt: '2026-04-02T00:00:00Z' },
+      { id: 'over', status: 'active', startsAt: '2026-04-01T00:00:00Z', endsAt: '2026-05-02T00:00:00Z' },
+      { id: 'running', status: 'active', startsAt: '2026-04-01T00:00:00Z', endsAt: '2026-05-09T00:00:00Z' }
+    ];
+    const { toStart, toEnd, toExpire } = getDueTransitions(campaigns, new Date('2026-05-03T00:00:00Z'));
+
+    expect(toStart.map(c => c.id)).toEqual(['due']);
+    expect(toEnd.map(c => c.id)).toEqual(['over']);
+    expect(toExpire.map(c => c.id)).toEqual(['missed']);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Campaign service tests
+ *
+ * Scheduled campaign processing against an in-memory Firestore: a failing
+ * campaign does not stop the others, and a rollback that fails part-way is
+ * finished by a later run.
+ */
+
+const { createMemoryFirestore } = require('./memoryFirestore');
+
+const mockDb = createMemoryFirestore();
+
+jest.mock('firebase-admin', () => require('./memoryFirestore').createFirebaseAdminMock(mockDb));
+jest.mock('../config/firebase', () => ({ db: mockDb, admin: require('firebase-admin') }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../controllers/agent/priceController', () => ({ recordPriceHistory: jest.fn(async () => true) }));
+jest.mock('../controllers/agent/agentsController', () => ({ invalidateAgentsCache: jest.fn(async () => true) }));
+
+const campaignService = require('../services/campaign/campaignService');
+
+const now = new Date('2026-05-10T12:00:00Z');
+
+const campaign = (id, fields) => ({
+  name: id,
+  discountType: 'percentage',
+  discountValue: 20,
+  currency: null,
+  categories: ['Marketing'],
+  tags: [],
+  agentIds: [],
+  startsAt: '2026-05-01T00:00:00Z',
+  endsAt: '2026-05-20T00:00:00Z',
+  status: 'scheduled',
+  ...fields
+});
+
+const seed = (campaigns) => {
+  mockDb.reset();
+  ['agent-1', 'agent-2'].forEach(id => {
+    mockDb.collection('agents').doc(id).set({ name: id, category: 'Marketing', price: 100 });
+    mockDb.collection('prices').doc(id).set({ agentId: id, basePrice: 100, finalPrice: 100, discountedPrice: 100, discountPercentage: 0, currency: 'USD' });
+  });
+  Object.entries(campaigns).forEach(([id, fields]) => mockDb.collection('price_campaigns').doc(id).set(campaign(id, fields)));
+};
+
+// Every batch commit fails, as when Firestore is unavailable
+const failBatchCommits = () => jest.spyOn(mockDb, 'batch').mockImplementation(() => ({
+  set() { return this; },
+  update() { return this; },
+  delete() { return this; },
+  commit: async () => { throw new Error('DEADLINE_EXCEEDED'); }
+}));
+
+describe('Campaign processing', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('keeps processing the other campaigns when one fails', async () => {
+    seed({ first: { categories: ['Marketing'] }, second: { categories: [], agentIds: ['agent-2'] } });
+    jest.spyOn(campaignService, 'applyCampaign').mockRejectedValueOnce(new Error('unavailable'));
+
+    const result = await campaignService.processDueCampaigns(now);
+
+    expect(result.failed).toHaveLength(1);
+    expect(result.started).toEqual(['first', 'second']);
+    const campaigns = mockDb.dump('price_campaigns');
+    expect(campaigns.first.status).toBe('active');
+    expect(campaigns.second.status).toBe('active');
+  });
+
+  it('restores the prices of an ended campaign whose rollback failed on a later run', async () => {
+    seed({ sale: { status: 'active', endsAt: '2026-05-10T00:00:00Z' }, next: { startsAt: '2026-05-11T00:00:00Z' } });
+    await campaignService.applyCampaign({ id: 'sale', ...campaign('sale', { status: 'active' }) });
+
+    const batch = failBatchCommits();
+    const first = await campaignService.processDueCampaigns(now);
+    batch.mockRestore();
+
+    expect(first.ended).toEqual(['sale']);
+    expect(first.failed).toEqual(['sale']);
+    expect(mockDb.dump('price_campaigns').sale.status).toBe('ended');
+    expect(mockDb.dump('prices')['agent-1'].campaign.id).toBe('sale');
+
+    const second = await campaignService.processDueCampaigns(now);
+    expect(second).toMatchObject({ ended: [], restored: ['sale'], failed: [] });
+    Object.values(mockDb.dump('prices')).forEach(price => {
+      expect(price).not.toHaveProperty('campaign');
+      expect(price.discountedPrice).toBe(100);
+    });
+
+    // The agents are free for the next campaign
+    const started = await campaignService.processDueCampaigns(new Date('2026-05-11T00:00:00Z'));
+    expect(started.started).toEqual(['next']);
+    expect(mockDb.dump('prices')['agent-1'].campaign.id).toBe('next');
+  });
+});
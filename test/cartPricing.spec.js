@@ -0,0 +1,66 @@
+/**
+ * Cart pricing tests
+ *
+ * Carts store only agent IDs and quantities; these checks cover the
+ * re-pricing from price documents and the guest cart merge.
+ */
+
+const {
+  MAX_QUANTITY,
+  resolveAgentPrice,
+  mergeCartItems,
+  priceCartItems,
+  toCheckoutItems
+} = require('../services/cart/cartPricing');
+
+describe('Cart pricing', () => {
+  it('prices from the price document and honours active discounts only', () => {
+    expect(resolveAgentPrice({ basePrice: 20, currency: 'eur' }))
+      .toMatchObject({ unitPrice: 20, currency: 'EUR', discounted: false });
+
+    expect(resolveAgentPrice({ basePrice: 20, discount: { percentage: 25 } }).unitPrice).toBe(15);
+    expect(resolveAgentPrice({ basePrice: 20, discount: { percentage: 25, validUntil: '2000-01-01T00:00:00Z' } }).unitPrice).toBe(20);
+    expect(resolveAgentPrice({ basePrice: 20, isFree: true }).unitPrice).toBe(0);
+  });
+
+  it('falls back to legacy prices on the agent', () => {
+    expect(resolveAgentPrice(null, { priceDetails: { basePrice: 12, discountedPrice: 9 } }).unitPrice).toBe(9);
+    expect(resolveAgentPrice(null, { price: '$4.50' }).unitPrice).toBe(4.5);
+  });
+
+  it('re-prices items on read and flags price changes and removed agents', () => {
+    const cart = priceCartItems(
+      [
+        { agentId: 'a', quantity: 2, priceAtAdd: 10 },
+        { agentId: 'b', quantity: 1, priceAtAdd: 5 },
+        { agentId: 'gone', quantity: 1 }
+      ],
+      {
+        agents: new Map([['a', { title: 'Agent A' }], ['b', { title: 'Agent B' }]]),
+        prices: new Map([['a', { basePrice: 12 }], ['b', { basePrice: 5 }]])
+      }
+    );
+
+    expect(cart.items[0]).toMatchObject({ agentId: 'a', unitPrice: 12, lineTotal: 24, priceChanged: true });
+    expect(cart.items[1]).toMatchObject({ agentId: 'b', priceChanged: false });
+    expect(cart.items[2]).toMatchObject({ agentId: 'gone', available: false });
+    expect(cart).toMatchObject({ subtotal: 29, itemCount: 3, currency: 'USD', mixedCurrencies: false });
+
+    expect(toCheckoutItems(cart)).toEqual([
+      { id: 'a', title: 'Agent A', price: 12, quantity: 2 },
+      { id: 'b', title: 'Agent B', price: 5, quantity: 1 }
+    ]);
+  });
+
+  it('merges guest items into the user cart without exceeding the quantity cap', () => {
+    const merged = mergeCartItems(
+      [{ agentId: 'a', quantity: 1 }],
+      [{ agentId: 'a', quantity: 50 }, { agentId: 'b', quantity: 1 }]
+    );
+
+    expect(merged).toEqual([
+      { agentId: 'a', quantity: MAX_QUANTITY },
+      { agentId: 'b', quantity: 1 }
+    ]);
+  });
+});
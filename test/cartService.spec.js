@@ -0,0 +1,46 @@
+/**
+ * Cart service tests
+ *
+ * Consuming a cart after payment against an in-memory Firestore: only the
+ * buyer's own cart loses the purchased agents.
+ */
+
+const { createMemoryFirestore } = require('./memoryFirestore');
+
+const mockDb = createMemoryFirestore();
+
+jest.mock('firebase-admin', () => require('./memoryFirestore').createFirebaseAdminMock(mockDb));
+jest.mock('../config/firebase', () => ({ db: mockDb, admin: require('firebase-admin') }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const cartService = require('../services/cart/cartService');
+
+const GUEST_ID = '6f1c2a4e-8b3d-4f5a-9c7e-1d2b3a4c5e6f';
+const items = [{ agentId: 'agent-1', quantity: 1 }, { agentId: 'agent-2', quantity: 1 }];
+const cartItems = (docId) => mockDb.dump('carts')[docId].items.map(item => item.agentId);
+
+describe('Consuming carts', () => {
+  beforeEach(async () => {
+    mockDb.reset();
+    await mockDb.collection('carts').doc('user_user-1').set({ userId: 'user-1', guestId: null, items });
+    await mockDb.collection('carts').doc(`guest_${GUEST_ID}`).set({ userId: null, guestId: GUEST_ID, items });
+  });
+
+  it('removes the purchased agents from the buyer\'s cart', async () => {
+    expect(await cartService.consumeCart('user_user-1', ['agent-1'], { id: 'order-1', userId: 'user-1' })).toBe(true);
+    expect(await cartService.consumeCart(`guest_${GUEST_ID}`, ['agent-2'], { id: 'order-2', userId: null })).toBe(true);
+
+    expect(cartItems('user_user-1')).toEqual(['agent-2']);
+    expect(cartItems(`guest_${GUEST_ID}`)).toEqual(['agent-1']);
+  });
+
+  it('leaves a cart named in another buyer\'s checkout alone', async () => {
+    expect(await cartService.consumeCart('user_user-1', ['agent-1'], { id: 'order-1', userId: 'user-2' })).toBe(false);
+    expect(await cartService.consumeCart('user_user-1', ['agent-1'], { id: 'order-2', userId: null })).toBe(false);
+    expect(await cartService.consumeCart(`guest_${GUEST_ID}`, ['agent-1'], { id: 'order-3', userId: 'user-2' })).toBe(false);
+
+    expect(cartItems('user_user-1')).toEqual(['agent-1', 'agent-2']);
+    expect(cartItems(`guest_${GUEST_ID}`)).toEqual(['agent-1', 'agent-2']);
+    expect(mockDb.dump('carts')['user_user-1']).not.toHaveProperty('lastOrderId');
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Checkout fulfilment tests
+ *
+ * Captures a sandbox checkout through the fake provider and runs the real
+ * processPaymentSuccess against an in-memory Firestore: order, invoice,
+ * purchase entitlement and template access. Only email sending is mocked.
+ */
+
+const { createMemoryFirestore } = require('./memoryFirestore');
+
+const mockDb = createMemoryFirestore();
+
+jest.mock('firebase-admin', () => require('./memoryFirestore').createFirebaseAdminMock(mockDb));
+jest.mock('../config/firebase', () => ({ db: mockDb, admin: require('firebase-admin') }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/cache', () => ({
+  getCache: jest.fn(async () => null),
+  setCache: jest.fn(async () => true),
+  deleteCache: jest.fn(async () => true),
+  deleteCacheByPattern: jest.fn(async () => true)
+}));
+jest.mock('../services/email/emailService', () => new Proxy({}, {
+  get: (target, name) => {
+    if (!target[name]) target[name] = jest.fn(async () => ({ success: true, messageId: `mail-${String(name)}` }));
+    return target[name];
+  }
+}));
+
+const fakeProvider = require('../services/payment/providers/fakeProvider');
+const { captureAndFulfil } = require('../services/payment/checkoutFlow');
+
+const record = {
+  orderId: 'order-1',
+  amount: 23.8,
+  currency: 'EUR',
+  items: [{ id: 'agent-1', title: 'Agent One', price: 20, quantity: 1 }],
+  tax: { country: 'DE', vatId: null, rate: 0.19 },
+  coupon: null,
+  customerInfo: { userId: 'user-1', email: 'buyer@example.com', country: 'DE' },
+  metadata: {}
+};
+
+describe('Checkout fulfilment', () => {
+  beforeAll(() => {
+    process.env.PAYMENT_FAKE_PROVIDER = 'true';
+  });
+
+  afterAll(() => {
+    delete process.env.PAYMENT_FAKE_PROVIDER;
+  });
+
+  beforeEach(() => {
+    mockDb.reset();
+    fakeProvider.reset();
+    mockDb.collection('agents').doc('agent-1').set({
+      title: 'Agent One',
+      description: 'Sorts the inbox',
+      price: 20,
+      template: '{"nodes":[]}'
+    });
+    mockDb.collection('users').doc('user-1').set({ email: 'buyer@example.com' });
+  });
+
+  it('creates the order, a sandbox invoice, the purchase and template access', async () => {
+    const checkout = await fakeProvider.createCheckout({
+      orderId: record.orderId,
+      currency: record.currency,
+      items: record.items,
+      itemTotal: 20,
+      taxTotal: 3.8,
+      total: record.amount
+    });
+
+    const { capture, orderResult } = await captureAndFulfil(fakeProvider, checkout.providerOrderId, record);
+
+    expect(orderResult).toMatchObject({ success: true, orderId: 'order-1', heldForReview: false });
+    expect(orderResult.templates).toHaveLength(1);
+
+    const order = (await mockDb.collection('orders').doc('order-1').get()).data();
+    expect(order).toMatchObject({ status: 'completed', total: 23.8, currency: 'EUR', invoiceId: orderResult.invoiceId });
+    expect(order.templateAccessTokens).toEqual([orderResult.templates[0].accessToken]);
+
+    const invoice = (await mockDb.collection('invoices').doc(orderResult.invoiceId).get()).data();
+    expect(invoice).toMatchObject({ sandbox: true, totalAmount: 23.8, payment: { transactionId: capture.captureId } });
+    expect(invoice.invoiceNumber).toMatch(/^SBX-\d{4}-000001$/);
+    expect(Object.keys(mockDb.dump('invoiceSequences'))).toEqual([expect.stringMatching(/^sandbox_invoice_/)]);
+
+    const access = (await mockDb.collection('templateAccess').doc(orderResult.templates[0].accessToken).get()).data();
+    expect(access).toMatchObject({ orderId: 'order-1', agentId: 'agent-1', userId: 'user-1', invoiceId: orderResult.invoiceId });
+
+    const user = (await mockDb.collection('users').doc('user-1').get()).data();
+    expect(user.purchases).toEqual([expect.objectContaining({ agentId: 'agent-1', orderId: 'order-1' })]);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Checkout recovery tests
+ *
+ * Session snapshots, signed resume and opt-out links, scheduling of recovery emails
+ * and attribution of the orders that follow.
+ */
+
+const {
+  buildCheckoutSession,
+  createResumeToken,
+  verifyResumeToken,
+  createOptOutToken,
+  verifyOptOutToken,
+  planRecovery,
+  attributeConversion,
+  summarizeRecovery
+} = require('../services/checkout/checkoutRecovery');
+
+const settings = { delayMinutes: 60, maxAgeHours: 72, linkTtlDays: 7, attributionDays: 7 };
+const secret = 'test-secret';
+
+describe('Checkout recovery', () => {
+  it('keeps checkouts that have an email and items', () => {
+    expect(buildCheckoutSession({
+      email: ' Buyer@Example.com ',
+      items: [{ id: 'agent-1', title: 'CRM Agent', price: '19.999', tier: 'commercial' }, { price: 5 }],
+      currency: 'eur',
+      fromCart: 1
+    })).toEqual({
+      email: 'buyer@example.com',
+      userId: null,
+      items: [{ id: 'agent-1', title: 'CRM Agent', price: 20, quantity: 1, licenseTier: 'commercial' }],
+      currency: 'EUR',
+      couponCode: null,
+      fromCart: true
+    });
+    expect(buildCheckoutSession({ email: 'not-an-email', items: [{ id: 'agent-1' }] })).toBeNull();
+    expect(buildCheckoutSession({ email: 'buyer@example.com', items: [] })).toBeNull();
+  });
+
+  it('signs resume links that expire', () => {
+    const token = createResumeToken('order-1', new Date('2026-05-08T00:00:00Z'), { secret });
+    const now = new Date('2026-05-01T00:00:00Z');
+
+    expect(verifyResumeToken(token, { secret, now })).toEqual({ valid: true, reason: null, checkoutId: 'order-1' });
+    expect(verifyResumeToken(token, { secret, now: new Date('2026-05-09T00:00:00Z') })).toMatchObject({ valid: false, reason: 'expired' });
+    expect(verifyResumeToken(token, { secret: 'other', now }).reason).toBe('bad_signature');
+    expect(verifyResumeToken('garbage', { secret, now }).reason).toBe('malformed');
+    expect(createResumeToken('order-1', now, { secret: null })).toBeNull();
+  });
+
+  it('signs opt-out links that cannot be used as resume links', () => {
+    const token = createOptOutToken(' Buyer@Example.com ', { secret });
+
+    expect(verifyOptOutToken(token, { secret })).toEqual({ valid: true, reason: null, email: 'buyer@example.com' });
+    expect(verifyOptOutToken(token, { secret: 'other' }).reason).toBe('bad_signature');
+    expect(verifyResumeToken(token, { secret }).reason).toBe('malformed');
+    expect(verifyOptOutToken(createResumeToken('order-1', new Date('2026-05-08T00:00:00Z'), { secret }), { secret }).reason).toBe('malformed');
+  });
+
+  it('emails pending checkouts after the delay and expires old ones', () => {
+    const now = new Date('2026-05-01T12:00:00Z');
+    const session = { status: 'pending', createdAt: '2026-05-01T10:00:00Z' };
+
+    expect(planRecovery(session, now, settings)).toBe('send');
+    expect(planRecovery({ ...session, createdAt: '2026-05-01T11:30:00Z' }, now, settings)).toBe('skip');
+    expect(planRecovery({ ...session, createdAt: '2026-04-20T00:00:00Z' }, now, settings)).toBe('expire');
+    expect(planRecovery({ ...session, status: 'converted' }, now, settings)).toBe('skip');
+  });
+
+  it('attributes orders placed after the email to the recovery', () => {
+    const emailed = { recoveryEmailSentAt: '2026-05-01T12:00:00Z' };
+    expect(attributeConversion(emailed, '2026-05-03T00:00:00Z', settings)).toEqual({ recovered: true, via: 'email' });
+    expect(attributeConversion({ ...emailed, resumedAt: '2026-05-02T00:00:00Z' }, '2026-05-03T00:00:00Z', settings).via).toBe('link');
+    expect(attributeConversion(emailed, '2026-05-20T00:00:00Z', settings).recovered).toBe(false);
+    expect(attributeConversion({}, '2026-05-03T00:00:00Z', settings).recovered).toBe(false);
+
+    expect(summarizeRecovery([
+      { ...emailed, resumedAt: '2026-05-02T00:00:00Z', attribution: { recovered: true }, orderTotal: 19.5, orderCurrency: 'EUR' },
+      { ...emailed, attribution: { recovered: true }, orderTotal: 10, orderCurrency: 'EUR' },
+      emailed,
+      { status: 'pending' }
+    ])).toEqual({ emailsSent: 3, resumed: 1, recovered: 2, conversionRate: 66.67, recoveredRevenue: { EUR: 29.5 } });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Checkout recovery service tests
+ *
+ * Sessions against an in-memory Firestore: one waiting session per address,
+ * opt-out links and the emails the scheduled job sends.
+ */
+
+const { createMemoryFirestore } = require('./memoryFirestore');
+
+const mockDb = createMemoryFirestore();
+
+jest.mock('firebase-admin', () => require('./memoryFirestore').createFirebaseAdminMock(mockDb));
+jest.mock('../config/firebase', () => ({ db: mockDb, admin: require('firebase-admin') }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../services/email/emailService', () => ({
+  sendCheckoutRecoveryEmail: jest.fn(async () => ({ messageId: 'message-1' }))
+}));
+
+const emailService = require('../services/email/emailService');
+const checkoutRecoveryService = require('../services/checkout/checkoutRecoveryService');
+const { buildCheckoutSession } = require('../services/checkout/checkoutRecovery');
+
+const session = buildCheckoutSession({ email: 'buyer@example.com', userId: 'user-1', items: [{ id: 'agent-1', price: 19 }] });
+const statuses = () => Object.fromEntries(Object.entries(mockDb.dump('checkout_sessions')).map(([id, data]) => [id, data.status]));
+
+describe('Checkout recovery sessions', () => {
+  beforeEach(() => {
+    mockDb.reset();
+    jest.clearAllMocks();
+  });
+
+  it('keeps one session per address waiting for its email', async () => {
+    await checkoutRecoveryService.trackCheckout('order-1', session);
+    await checkoutRecoveryService.trackCheckout('order-2', session);
+    await checkoutRecoveryService.trackCheckout('order-3', session);
+
+    expect(statuses()).toEqual({ 'order-1': 'superseded', 'order-2': 'superseded', 'order-3': 'pending' });
+    const later = new Date(Date.now() + 2 * 60 * 60 * 1000);
+    expect(await checkoutRecoveryService.sendDueRecoveryEmails(later)).toMatchObject({ sent: 1 });
+    expect(emailService.sendCheckoutRecoveryEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops tracking an address through the opt-out link of its email', async () => {
+    await checkoutRecoveryService.trackCheckout('order-1', session);
+    await checkoutRecoveryService.sendDueRecoveryEmails(new Date(Date.now() + 2 * 60 * 60 * 1000));
+
+    const { unsubscribeUrl } = emailService.sendCheckoutRecoveryEmail.mock.calls[0][0];
+    const token = decodeURIComponent(new URL(unsubscribeUrl).searchParams.get('token'));
+    expect(await checkoutRecoveryService.optOut(token)).toEqual({ email: 'buyer@example.com' });
+    expect(statuses()).toEqual({ 'order-1': 'opted_out' });
+
+    expect(await checkoutRecoveryService.trackCheckout('order-2', session)).toBe(false);
+    expect(statuses()).toEqual({ 'order-1': 'opted_out' });
+    await expect(checkoutRecoveryService.optOut('forged.token')).rejects.toMatchObject({ name: 'CheckoutRecoveryError' });
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Client IP tests
+ *
+ * req.ip behind the configured number of trusted proxies, with and without
+ * a forged X-Forwarded-For header.
+ */
+
+const express = require('express');
+const { parseTrustProxy, getClientIp } = require('../utils/clientIp');
+
+function requestThrough(trustProxy, { remoteAddress, forwardedFor }) {
+  const app = express();
+  app.set('trust proxy', trustProxy);
+  const req = Object.create(app.request);
+  req.app = app;
+  req.headers = forwardedFor ? { 'x-forwarded-for': forwardedFor } : {};
+  req.connection = req.socket = { remoteAddress };
+  return req;
+}
+
+describe('Client IP', () => {
+  it('parses the trust proxy setting', () => {
+    expect(parseTrustProxy(undefined)).toBe(1);
+    expect(parseTrustProxy('2')).toBe(2);
+    expect(parseTrustProxy('false')).toBe(false);
+    expect(parseTrustProxy('10.0.0.0/8, 127.0.0.1')).toEqual(['10.0.0.0/8', '127.0.0.1']);
+  });
+
+  it('takes the address added by the trusted proxy, not one the client sent', () => {
+    // The client forged 1.1.1.1; our proxy appended the real address
+    const req = requestThrough(1, { remoteAddress: '10.0.0.5', forwardedFor: '1.1.1.1, 203.0.113.7' });
+    expect(getClientIp(req)).toBe('203.0.113.7');
+
+    expect(getClientIp(requestThrough(1, { remoteAddress: '10.0.0.5', forwardedFor: '203.0.113.7' }))).toBe('203.0.113.7');
+  });
+
+  it('ignores X-Forwarded-For when no proxy is trusted', () => {
+    const req = requestThrough(false, { remoteAddress: '::ffff:203.0.113.9', forwardedFor: '1.1.1.1' });
+    expect(getClientIp(req)).toBe('203.0.113.9');
+  });
+});
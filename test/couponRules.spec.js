@@ -0,0 +1,69 @@
+/**
+ * Coupon rule tests
+ *
+ * Eligibility checks and discount distribution for promo codes.
+ */
+
+const {
+  REJECTION_REASONS,
+  normalizeCode,
+  validateCouponData,
+  checkCouponEligibility,
+  applyCouponToItems
+} = require('../services/coupon/couponRules');
+
+const items = [
+  { id: 'agent-a', price: 30 },
+  { id: 'agent-b', price: 10, quantity: 2 }
+];
+
+describe('Coupon rules', () => {
+  it('normalizes codes and rejects invalid coupon data', () => {
+    expect(normalizeCode(' launch20 ')).toBe('LAUNCH20');
+    expect(normalizeCode('a b')).toBeNull();
+
+    expect(validateCouponData({ code: 'save5', type: 'fixed', value: '5' }))
+      .toMatchObject({ code: 'SAVE5', type: 'fixed', value: 5, currency: 'USD', agentIds: [], active: true });
+    expect(() => validateCouponData({ code: 'BIG', type: 'percentage', value: 150 })).toThrow('cannot exceed 100');
+    expect(() => validateCouponData({ code: 'X1Y', type: 'bogus', value: 1 })).toThrow(/type must be one of/);
+  });
+
+  it('rejects expired, capped, per-user limited and first-purchase codes', () => {
+    const base = { code: 'TEST', type: 'percentage', value: 10, active: true };
+    const now = new Date('2026-06-01T00:00:00Z');
+
+    expect(checkCouponEligibility(null, { items }).reason).toBe(REJECTION_REASONS.NOT_FOUND);
+    expect(checkCouponEligibility({ ...base, expiresAt: '2026-05-31T00:00:00Z' }, { items, now }).reason)
+      .toBe(REJECTION_REASONS.EXPIRED);
+    expect(checkCouponEligibility({ ...base, maxRedemptions: 2, redemptionCount: 2 }, { items, now }).reason)
+      .toBe(REJECTION_REASONS.USAGE_LIMIT_REACHED);
+    expect(checkCouponEligibility({ ...base, perUserLimit: 1 }, { items, now, userRedemptions: 1 }).reason)
+      .toBe(REJECTION_REASONS.USER_LIMIT_REACHED);
+    expect(checkCouponEligibility({ ...base, firstPurchaseOnly: true }, { items, now, hasPreviousPurchase: true }).reason)
+      .toBe(REJECTION_REASONS.FIRST_PURCHASE_ONLY);
+    expect(checkCouponEligibility({ ...base, agentIds: ['other'] }, { items, now }).reason)
+      .toBe(REJECTION_REASONS.NOT_APPLICABLE);
+    expect(checkCouponEligibility(base, { items, now })).toEqual({ valid: true, reason: null });
+  });
+
+  it('applies percentage codes to eligible agents only', () => {
+    const result = applyCouponToItems({ code: 'HALF', type: 'percentage', value: 50, agentIds: ['agent-b'] }, items);
+
+    expect(result.items[0]).toBe(items[0]);
+    expect(result.items[1]).toMatchObject({ price: 5, originalPrice: 10, discountAmount: 10, couponCode: 'HALF' });
+    expect(result).toMatchObject({ discountTotal: 10, originalSubtotal: 50, subtotal: 40 });
+  });
+
+  it('spreads fixed discounts proportionally and caps them at the order amount', () => {
+    const result = applyCouponToItems({ code: 'TEN', type: 'fixed', value: 10 }, items);
+    expect(result.lines).toEqual([
+      { id: 'agent-a', discount: 6 },
+      { id: 'agent-b', discount: 4 }
+    ]);
+    expect(result.subtotal).toBe(40);
+
+    const capped = applyCouponToItems({ code: 'HUGE', type: 'fixed', value: 500 }, items);
+    expect(capped.discountTotal).toBe(50);
+    expect(capped.subtotal).toBe(0);
+  });
+});
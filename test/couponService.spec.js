@@ -0,0 +1,50 @@
+/**
+ * Coupon service tests
+ *
+ * Per-customer checks against an in-memory Firestore: limited codes need a
+ * signed-in customer, and earlier use is found by user ID or email.
+ */
+
+const { createMemoryFirestore } = require('./memoryFirestore');
+
+const mockDb = createMemoryFirestore();
+
+jest.mock('firebase-admin', () => require('./memoryFirestore').createFirebaseAdminMock(mockDb));
+jest.mock('../config/firebase', () => ({ db: mockDb, admin: require('firebase-admin') }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const couponService = require('../services/coupon/couponService');
+const { REJECTION_REASONS } = require('../services/coupon/couponRules');
+
+const items = [{ id: 'agent-1', price: 20 }];
+const validate = (code, customer = {}) => couponService.validateCoupon({ code, items, ...customer });
+
+describe('Coupon customer checks', () => {
+  beforeEach(async () => {
+    mockDb.reset();
+    await couponService.createCoupon({ code: 'ONCE', type: 'percentage', value: 10, perUserLimit: 1 });
+    await couponService.createCoupon({ code: 'WELCOME', type: 'percentage', value: 10, firstPurchaseOnly: true });
+    await couponService.createCoupon({ code: 'OPEN', type: 'percentage', value: 10 });
+  });
+
+  it('requires a signed-in customer for per-user and first-purchase codes', async () => {
+    expect(await validate('ONCE', { email: 'guest@example.com' })).toMatchObject({ valid: false, reason: REJECTION_REASONS.SIGN_IN_REQUIRED });
+    expect(await validate('WELCOME')).toMatchObject({ valid: false, reason: REJECTION_REASONS.SIGN_IN_REQUIRED });
+    expect(await validate('OPEN')).toMatchObject({ valid: true, discountTotal: 2 });
+  });
+
+  it('counts redemptions recorded under the email only', async () => {
+    await couponService.redeemCoupon({ code: 'ONCE', orderId: 'order-1', email: 'Buyer@example.com', discountTotal: 2 });
+
+    expect(await validate('ONCE', { userId: 'user-2', email: 'buyer@example.com' }))
+      .toMatchObject({ valid: false, reason: REJECTION_REASONS.USER_LIMIT_REACHED });
+    expect(await validate('ONCE', { userId: 'user-3', email: 'other@example.com' })).toMatchObject({ valid: true });
+  });
+
+  it('finds an earlier purchase under the email of another account', async () => {
+    await mockDb.collection('orders').doc('order-1').set({ userId: null, userEmail: 'buyer@example.com', status: 'completed' });
+
+    expect(await validate('WELCOME', { userId: 'user-2', email: 'buyer@example.com' }))
+      .toMatchObject({ valid: false, reason: REJECTION_REASONS.FIRST_PURCHASE_ONLY });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Cursor pagination tests
+ *
+ * Stable sort keys, opaque cursors and paging forwards and backwards over
+ * lists that change between requests.
+ */
+
+const {
+  toTimeValue,
+  compareSortKeys,
+  sortByKeys,
+  encodeCursor,
+  decodeCursor,
+  paginateSorted
+} = require('../utils/cursorPagination');
+
+const sort = { keyOf: item => [toTimeValue(item.createdAt), item.id], directions: ['desc', 'desc'] };
+const context = { sort: 'newest', filters: { category: 'All' } };
+
+const item = (id, day) => ({ id, createdAt: day ? new Date(`2026-10-${String(day).padStart(2, '0')}T00:00:00Z`) : null });
+
+describe('Cursor pagination', () => {
+  it('orders by every key with missing values last when descending', () => {
+    expect(toTimeValue({ _seconds: 10, _nanoseconds: 5000000 })).toBe(10005);
+    expect(toTimeValue('2026-10-01T00:00:00.000Z')).toBe(Date.UTC(2026, 9, 1));
+    expect(toTimeValue('not a date')).toBeNull();
+
+    expect(compareSortKeys([1, 'a'], [1, 'b'], ['desc', 'desc'])).toBeGreaterThan(0);
+    const sorted = sortByKeys([item('a', 2), item('c', null), item('b', 2), item('d', 5)], sort);
+    expect(sorted.map(entry => entry.id)).toEqual(['d', 'b', 'a', 'c']);
+  });
+
+  it('rejects malformed cursors and cursors issued for another context', () => {
+    const cursor = encodeCursor([123, 'a'], { context });
+    expect(decodeCursor(cursor, context)).toEqual({ key: [123, 'a'], direction: 'next' });
+    expect(decodeCursor(encodeCursor([123, 'a'], { direction: 'prev', context }), context).direction).toBe('prev');
+    expect(decodeCursor(cursor, { ...context, sort: 'price-low' })).toBeNull();
+    expect(decodeCursor('not-a-cursor', context)).toBeNull();
+    expect(decodeCursor(Buffer.from('{"v":1,"d":"n","k":"x"}').toString('base64url'), null)).toBeNull();
+  });
+
+  it('pages forwards and backwards', () => {
+    const items = sortByKeys(Array.from({ length: 7 }, (_, i) => item(`id-${i}`, i + 1)), sort);
+    const first = paginateSorted(items, { sort, limit: 3, context });
+    expect(first.items.map(entry => entry.id)).toEqual(['id-6', 'id-5', 'id-4']);
+    expect(first).toMatchObject({ offset: 0, hasMore: true, hasPrevious: false, prevCursor: null });
+
+    const second = paginateSorted(items, { sort, limit: 3, cursor: decodeCursor(first.nextCursor, context), context });
+    expect(second.items.map(entry => entry.id)).toEqual(['id-3', 'id-2', 'id-1']);
+    expect(second).toMatchObject({ offset: 3, hasMore: true, hasPrevious: true });
+
+    const last = paginateSorted(items, { sort, limit: 3, cursor: decodeCursor(second.nextCursor, context), context });
+    expect(last.items.map(entry => entry.id)).toEqual(['id-0']);
+    expect(last.nextCursor).toBeNull();
+
+    const back = paginateSorted(items, { sort, limit: 3, cursor: decodeCursor(second.prevCursor, context), context });
+    expect(back.items.map(entry => entry.id)).toEqual(['id-6', 'id-5', 'id-4']);
+    expect(back.prevCursor).toBeNull();
+  });
+
+  it('resumes after the cursor item even when the list changed', () => {
+    const items = sortByKeys(Array.from({ length: 6 }, (_, i) => item(`id-${i}`, i + 1)), sort);
+    const first = paginateSorted(items, { sort, limit: 2, context });
+
+    // A newer item is added and the last item of the first page is deleted
+    const changed = sortByKeys([item('new', 20), ...items.filter(entry => entry.id !== 'id-4')], sort);
+    const next = paginateSorted(changed, { sort, limit: 2, cursor: decodeCursor(first.nextCursor, context), context });
+    expect(next.items.map(entry => entry.id)).toEqual(['id-3', 'id-2']);
+
+    // Paging by offset instead repeats an item once a newer one is added
+    const added = sortByKeys([item('new', 20), ...items], sort);
+    expect(paginateSorted(added, { sort, limit: 2, offset: 2, context }).items.map(entry => entry.id)).toEqual(['id-4', 'id-3']);
+    expect(paginateSorted(added, { sort, limit: 2, cursor: decodeCursor(first.nextCursor, context), context }).items.map(entry => entry.id))
+      .toEqual(['id-3', 'id-2']);
+  });
+});
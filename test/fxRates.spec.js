@@ -0,0 +1,68 @@
+/**
+ * FX rate tests
+ *
+ * Rate tables with effective dates, per-currency price overrides and
+ * conversion of dated amounts to the base currency.
+ */
+
+const {
+  validateRateTable,
+  selectRateTable,
+  convertAmount,
+  validateCurrencyOverrides,
+  resolveCurrencyPrice,
+  toBaseCurrency
+} = require('../services/currency/fxRates');
+
+const tables = [
+  { id: 'may', base: 'USD', effectiveFrom: '2026-05-01T00:00:00.000Z', rates: { EUR: 0.9, GBP: 0.8 } },
+  { id: 'jan', base: 'USD', effectiveFrom: '2026-01-01T00:00:00.000Z', rates: { EUR: 0.8 } },
+  { id: 'dec', base: 'USD', effectiveFrom: '2026-12-01T00:00:00.000Z', rates: { EUR: 1 } }
+];
+
+describe('FX rates', () => {
+  it('validates rate tables', () => {
+    const { valid, table } = validateRateTable({ effectiveFrom: '2026-05-01', rates: { eur: '0.9' } });
+    expect(valid).toBe(true);
+    expect(table).toMatchObject({ base: 'USD', effectiveFrom: '2026-05-01T00:00:00.000Z', rates: { EUR: 0.9 } });
+
+    const invalid = validateRateTable({ effectiveFrom: 'soon', rates: { USD: 1, EURO: 1, GBP: -1 } });
+    expect(invalid.valid).toBe(false);
+    expect(invalid.errors).toHaveLength(4);
+  });
+
+  it('selects the table in force at a moment and converts through the base currency', () => {
+    expect(selectRateTable(tables, '2026-03-15').id).toBe('jan');
+    expect(selectRateTable(tables, '2026-06-01').id).toBe('may');
+    expect(selectRateTable(tables, '2025-12-31')).toBeNull();
+
+    const may = selectRateTable(tables, '2026-06-01');
+    expect(convertAmount(100, 'USD', 'EUR', may)).toBe(90);
+    expect(convertAmount(90, 'EUR', 'GBP', may)).toBe(80);
+    expect(convertAmount(10, 'USD', 'JPY', may)).toBeNull();
+  });
+
+  it('prefers per-currency overrides over converted prices', () => {
+    const { valid, overrides } = validateCurrencyOverrides({ eur: { basePrice: 19, discountedPrice: 15 } }, 'USD');
+    expect(valid).toBe(true);
+    expect(validateCurrencyOverrides({ USD: { basePrice: 1 } }, 'USD').valid).toBe(false);
+    expect(validateCurrencyOverrides({ EUR: { basePrice: 5, discountedPrice: 6 } }).valid).toBe(false);
+
+    const price = { currency: 'USD', basePrice: 20, finalPrice: 10, discount: { amount: 10 }, currencyOverrides: overrides };
+    expect(resolveCurrencyPrice(price, 'eur', tables[0])).toMatchObject({
+      currency: 'EUR', basePrice: 19, finalPrice: 15, discount: null, fx: { source: 'override' }
+    });
+    expect(resolveCurrencyPrice(price, 'GBP', tables[0])).toMatchObject({
+      currency: 'GBP', basePrice: 16, finalPrice: 8, discount: { amount: 8 }, fx: { source: 'rate', rate: 0.8 }
+    });
+    expect(resolveCurrencyPrice(price, 'JPY', tables[0])).toBeNull();
+    expect(resolveCurrencyPrice(price, 'USD', null).fx).toBeUndefined();
+  });
+
+  it('converts invoice amounts at the rate of their issue date', () => {
+    expect(toBaseCurrency(90, 'EUR', '2026-06-01', tables)).toBe(100);
+    expect(toBaseCurrency(80, 'EUR', '2026-02-01', tables)).toBe(100);
+    expect(toBaseCurrency(12.345, 'USD', '2020-01-01', tables)).toBe(12.35);
+    expect(toBaseCurrency(10, 'GBP', '2026-02-01', tables)).toBeNull();
+  });
+});
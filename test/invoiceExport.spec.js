@@ -0,0 +1,133 @@
+/**
+ * Invoice export format tests
+ *
+ * Exercises the CSV, DATEV and UBL converters and the ZIP stream
+ * without touching Firebase.
+ */
+
+const { Writable } = require('stream');
+
+jest.mock('../services/invoice/invoicePdf', () => ({
+  ...jest.requireActual('../services/invoice/invoicePdf'),
+  renderInvoicePDF: jest.fn()
+}));
+
+const { renderInvoicePDF } = require('../services/invoice/invoicePdf');
+const {
+  convertInvoicesToCSV,
+  convertInvoicesToDATEV,
+  convertInvoiceToUBL,
+  buildExportFiles,
+  streamExportZip
+} = require('../services/invoice/invoiceExport');
+
+const invoice = {
+  id: 'invoice-1',
+  invoiceNumber: 'INV-202601-123456',
+  status: 'paid',
+  issueDate: '2026-01-15T10:00:00.000Z',
+  dueDate: '2026-02-14T10:00:00.000Z',
+  paidDate: '2026-01-15T10:00:00.000Z',
+  company: { name: 'AI Waverider Ltd', country: 'GE', taxId: 'GE123456789', email: 'support@aiwaverider.com' },
+  customer: { name: 'Doe, "Jane"', email: 'jane@example.com', country: 'DE' },
+  currency: 'EUR',
+  subtotal: 20,
+  vatRate: 0.19,
+  vatAmount: 3.8,
+  totalAmount: 23.8,
+  paidAmount: 23.8,
+  lineItems: [{ id: 'agent-1', description: 'Email <Assistant>', quantity: 1, unitPrice: 20, totalPrice: 20, sku: 'agent-1' }],
+  payment: { method: 'paypal', processor: 'paypal', transactionId: 'txn-1' },
+  order: { id: 'order-1' }
+};
+
+const creditNote = {
+  ...invoice,
+  id: 'credit-1',
+  invoiceNumber: 'CN-202601-000001',
+  documentType: 'credit_note',
+  status: 'issued',
+  subtotal: -10,
+  vatAmount: -1.9,
+  totalAmount: -11.9,
+  lineItems: [{ id: 'partial_refund', description: 'Partial refund', quantity: 1, unitPrice: -10, totalPrice: -10 }],
+  originalInvoice: { id: 'invoice-1', invoiceNumber: 'INV-202601-123456', issueDate: '2026-01-15T10:00:00.000Z' }
+};
+
+describe('Invoice export formats', () => {
+  it('escapes quotes and commas in CSV fields', () => {
+    const csv = convertInvoicesToCSV([invoice]);
+    const [header, row] = csv.split('\n');
+
+    expect(header.startsWith('Invoice Number,Invoice ID')).toBe(true);
+    expect(row).toContain('"Doe, ""Jane"""');
+    expect(row).toContain('23.80');
+  });
+
+  it('books invoices as debit and credit notes as credit in DATEV', () => {
+    const lines = convertInvoicesToDATEV([invoice, creditNote]).replace('\uFEFF', '').split('\r\n');
+
+    expect(lines).toHaveLength(3);
+    expect(lines[1].split(';').slice(0, 3)).toEqual(['23,80', 'S', 'EUR']);
+    expect(lines[2].split(';').slice(0, 3)).toEqual(['11,90', 'H', 'EUR']);
+    expect(lines[1]).toContain(';1501;');
+  });
+
+  it('produces a UBL 2.1 invoice with escaped content', () => {
+    const xml = convertInvoiceToUBL(invoice);
+
+    expect(xml).toContain('<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"');
+    expect(xml).toContain('<cbc:InvoiceTypeCode>380</cbc:InvoiceTypeCode>');
+    expect(xml).toContain('<cbc:TaxAmount currencyID="EUR">3.80</cbc:TaxAmount>');
+    expect(xml).toContain('Email &lt;Assistant&gt;');
+    expect(xml).toContain('<cbc:IdentificationCode>DE</cbc:IdentificationCode>');
+  });
+
+  it('produces a UBL credit note referencing the original invoice', () => {
+    const xml = convertInvoiceToUBL(creditNote);
+
+    expect(xml).toContain('<CreditNote xmlns="urn:oasis:names:specification:ubl:schema:xsd:CreditNote-2"');
+    expect(xml).toContain('<cbc:CreditNoteTypeCode>381</cbc:CreditNoteTypeCode>');
+    expect(xml).toContain('<cac:InvoiceDocumentReference><cbc:ID>INV-202601-123456</cbc:ID>');
+    expect(xml).toContain('<cbc:PayableAmount currencyID="EUR">11.90</cbc:PayableAmount>');
+  });
+
+  it('leaves sandbox invoices and credit notes out of every format', () => {
+    const sandboxInvoice = { ...invoice, id: 'invoice-2', invoiceNumber: 'SBX-2026-000001', sandbox: true, payment: { processor: 'fake' } };
+    const sandboxCreditNote = { ...creditNote, id: 'credit-2', invoiceNumber: 'SBX-CN-2026-000001', sandbox: true };
+    const documents = [invoice, sandboxInvoice, sandboxCreditNote];
+
+    expect(buildExportFiles(documents, 'ubl').map(file => file.name)).toEqual(['INV-202601-123456.xml']);
+    const datev = buildExportFiles(documents, 'datev')[0].content.replace('\uFEFF', '').split('\r\n').filter(Boolean);
+    expect(datev).toHaveLength(2);
+    expect(buildExportFiles(documents, 'csv')[0].content).not.toContain('SBX-');
+  });
+
+  it('streams a ZIP archive with one UBL file per invoice', async () => {
+    const chunks = [];
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      }
+    });
+
+    await streamExportZip([invoice, creditNote], 'ubl', output);
+    const zip = Buffer.concat(chunks);
+
+    expect(zip.slice(0, 2).toString()).toBe('PK');
+    expect(zip.includes(Buffer.from('INV-202601-123456.xml'))).toBe(true);
+    expect(zip.includes(Buffer.from('CN-202601-000001.xml'))).toBe(true);
+  });
+
+  it('rejects and closes the output when the archive fails while rendering PDFs', async () => {
+    const output = new Writable({ write(chunk, encoding, callback) { callback(); } });
+    // Not a Buffer or stream, so the archive errors on the first PDF
+    renderInvoicePDF.mockResolvedValue(42);
+
+    await expect(streamExportZip([invoice, creditNote], 'csv', output, { includePdf: true }))
+      .rejects.toMatchObject({ code: 'INPUTSTEAMBUFFERREQUIRED' });
+    expect(output.destroyed).toBe(true);
+    expect(renderInvoicePDF).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Invoice numbering tests
+ *
+ * Uses an in-memory transaction stand-in to check that numbers are
+ * sequential per series and fiscal year.
+ */
+
+const {
+  getFiscalYear,
+  getSeries,
+  formatInvoiceNumber,
+  parseInvoiceNumber,
+  reserveInvoiceNumber,
+  findSequenceIssues
+} = require('../services/invoice/invoiceNumbering');
+
+function createFakeDb() {
+  const store = {};
+  const db = {
+    collection: (name) => ({
+      doc: (id) => ({ path: `${name}/${id}` })
+    })
+  };
+  const runTransaction = async (fn) => {
+    const writes = [];
+    const transaction = {
+      get: async (ref) => ({
+        exists: !!store[ref.path],
+        data: () => store[ref.path]
+      }),
+      set: (ref, data, options = {}) => writes.push({ ref, data, options })
+    };
+    const result = await fn(transaction);
+    writes.forEach(({ ref, data, options }) => {
+      store[ref.path] = options.merge ? { ...store[ref.path], ...data } : data;
+    });
+    return result;
+  };
+  return { db, store, runTransaction };
+}
+
+describe('Invoice numbering', () => {
+  it('formats and parses numbers with the default format', () => {
+    const number = formatInvoiceNumber({ prefix: 'AIW', fiscalYear: 2026, sequence: 123 });
+
+    expect(number).toBe('AIW-2026-000123');
+    expect(parseInvoiceNumber(number)).toEqual({ series: 'invoice', prefix: 'AIW', fiscalYear: 2026, sequence: 123 });
+    expect(parseInvoiceNumber('AIW-CN-2026-000007')).toMatchObject({ series: 'credit_note', sequence: 7 });
+    expect(parseInvoiceNumber('INV-202601-123456')).toBeNull();
+  });
+
+  it('assigns dates to fiscal years by start month', () => {
+    expect(getFiscalYear(new Date('2026-03-31T12:00:00Z'), 1)).toBe(2026);
+    expect(getFiscalYear(new Date('2026-03-31T12:00:00Z'), 4)).toBe(2025);
+    expect(getFiscalYear(new Date('2026-04-01T12:00:00Z'), 4)).toBe(2026);
+  });
+
+  it('reserves consecutive numbers per series and year', async () => {
+    const { db, runTransaction } = createFakeDb();
+    const reserve = (series, date) => runTransaction(tx => reserveInvoiceNumber(db, tx, series, new Date(date)));
+
+    expect((await reserve('invoice', '2026-05-01T00:00:00Z')).invoiceNumber).toBe('AIW-2026-000001');
+    expect((await reserve('invoice', '2026-05-02T00:00:00Z')).invoiceNumber).toBe('AIW-2026-000002');
+    expect((await reserve('credit_note', '2026-05-02T00:00:00Z')).invoiceNumber).toBe('AIW-CN-2026-000001');
+    expect((await reserve('invoice', '2027-01-02T00:00:00Z')).invoiceNumber).toBe('AIW-2027-000001');
+  });
+
+  it('numbers sandbox documents outside the legal sequence', async () => {
+    const { db, runTransaction } = createFakeDb();
+    const reserve = (series) => runTransaction(tx => reserveInvoiceNumber(db, tx, series, new Date('2026-05-01T00:00:00Z')));
+
+    expect(getSeries('invoice')).toBe('invoice');
+    expect((await reserve(getSeries('invoice', { sandbox: true }))).invoiceNumber).toBe('SBX-2026-000001');
+    expect((await reserve(getSeries('credit_note', { sandbox: true }))).invoiceNumber).toBe('SBX-CN-2026-000001');
+    expect((await reserve(getSeries('invoice'))).invoiceNumber).toBe('AIW-2026-000001');
+    expect(parseInvoiceNumber('SBX-CN-2026-000001')).toMatchObject({ series: 'sandbox_credit_note', sequence: 1 });
+  });
+
+  it('reports gaps, duplicates and legacy numbers', () => {
+    const report = findSequenceIssues([
+      { id: 'a', invoiceNumber: 'AIW-2026-000001' },
+      { id: 'b', invoiceNumber: 'AIW-2026-000002' },
+      { id: 'c', invoiceNumber: 'AIW-2026-000002' },
+      { id: 'd', invoiceNumber: 'AIW-2026-000004' },
+      { id: 'e', invoiceNumber: 'INV-202601-123456' }
+    ], { invoice_2026: 5 });
+
+    expect(report.ok).toBe(false);
+    expect(report.sequences[0].missing).toEqual(['AIW-2026-000003', 'AIW-2026-000005']);
+    expect(report.sequences[0].duplicates).toEqual([{ invoiceNumber: 'AIW-2026-000002', documentIds: ['b', 'c'] }]);
+    expect(report.legacy).toEqual([{ id: 'e', invoiceNumber: 'INV-202601-123456' }]);
+  });
+
+  it('passes a clean sequence', () => {
+    const report = findSequenceIssues([
+      { id: 'a', invoiceNumber: 'AIW-2026-000001' },
+      { id: 'b', invoiceNumber: 'AIW-2026-000002' }
+    ], { invoice_2026: 2 });
+
+    expect(report.ok).toBe(true);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Invoice PDF renderer tests
+ *
+ * The renderer is a pure function of the invoice document, so these tests
+ * run without Firebase.
+ */
+
+const { renderInvoicePDF, getInvoiceFilename, formatMoney } = require('../services/invoice/invoicePdf');
+
+const sampleInvoice = {
+  id: 'invoice-1',
+  invoiceNumber: 'INV-202601-123456',
+  status: 'paid',
+  issueDate: '2026-01-15T10:00:00.000Z',
+  paidDate: '2026-01-15T10:00:00.000Z',
+  company: {
+    name: 'AI Waverider Ltd',
+    address: '123 Tech Street',
+    city: 'Tbilisi',
+    country: 'Georgia',
+    postalCode: '0108',
+    taxId: 'GE123456789',
+    email: 'support@aiwaverider.com'
+  },
+  customer: {
+    name: 'Jane Doe',
+    email: 'jane@example.com',
+    country: 'DE'
+  },
+  currency: 'EUR',
+  subtotal: 20,
+  vatRate: 0.19,
+  vatAmount: 3.8,
+  totalAmount: 23.8,
+  paidAmount: 23.8,
+  lineItems: [
+    { id: 'agent-1', description: 'Email Assistant', quantity: 1, unitPrice: 20, totalPrice: 20, sku: 'agent-1' }
+  ],
+  payment: { processor: 'paypal', method: 'paypal', transactionId: 'txn-1' },
+  order: { id: 'order-1' }
+};
+
+describe('Invoice PDF renderer', () => {
+  it('renders a PDF document for an invoice', async () => {
+    const pdf = await renderInvoicePDF(sampleInvoice);
+
+    expect(Buffer.isBuffer(pdf)).toBe(true);
+    expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+    expect(pdf.length).toBeGreaterThan(1000);
+  });
+
+  it('renders invoices without line items or VAT', async () => {
+    const pdf = await renderInvoicePDF({ ...sampleInvoice, lineItems: [], vatRate: 0, vatAmount: 0 });
+
+    expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+  });
+
+  it('renders credit notes with negative amounts', async () => {
+    const pdf = await renderInvoicePDF({
+      ...sampleInvoice,
+      invoiceNumber: 'CN-202601-654321',
+      documentType: 'credit_note',
+      subtotal: -10,
+      vatAmount: -1.9,
+      totalAmount: -11.9,
+      lineItems: [{ id: 'partial_refund', description: 'Partial refund', quantity: 1, unitPrice: -10, totalPrice: -10 }],
+      originalInvoice: { id: 'invoice-1', invoiceNumber: 'INV-202601-123456' },
+      refund: { amount: 11.9, reason: 'Customer request' }
+    });
+
+    expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+  });
+
+  it('builds a safe filename from the invoice number', () => {
+    expect(getInvoiceFilename(sampleInvoice)).toBe('INV-202601-123456.pdf');
+    expect(getInvoiceFilename({ invoiceNumber: 'INV/2026 01' })).toBe('INV_2026_01.pdf');
+  });
+
+  it('formats amounts in the invoice currency', () => {
+    expect(formatMoney(23.8, 'EUR')).toBe('€23.80');
+    expect(formatMoney(5, 'XYZ1')).toBe('5.00 XYZ1');
+  });
+});
@@ -0,0 +1,358 @@
+// In-memory Firestore for tests that need writes to be readable again
+// Supports documents, subcollections, field transforms, simple queries,
+// transactions and batches. Transactions retry when a document they read was
+// written before they commit, as Firestore does. Use createFirebaseAdminMock()
+// with jest.mock('firebase-admin').
+
+const TRANSFORM = Symbol('transform');
+
+const FieldValue = {
+  serverTimestamp: () => ({ [TRANSFORM]: 'serverTimestamp' }),
+  increment: (value) => ({ [TRANSFORM]: 'increment', value }),
+  arrayUnion: (...items) => ({ [TRANSFORM]: 'arrayUnion', items }),
+  arrayRemove: (...items) => ({ [TRANSFORM]: 'arrayRemove', items }),
+  delete: () => ({ [TRANSFORM]: 'delete' })
+};
+
+const DOCUMENT_ID = '__name__';
+const FieldPath = { documentId: () => DOCUMENT_ID };
+
+class Timestamp {
+  constructor(seconds, nanoseconds) {
+    this.seconds = seconds;
+    this.nanoseconds = nanoseconds;
+  }
+
+  static fromDate(date) {
+    const millis = date.getTime();
+    return new Timestamp(Math.floor(millis / 1000), (millis % 1000) * 1e6);
+  }
+
+  static fromMillis(millis) {
+    return Timestamp.fromDate(new Date(millis));
+  }
+
+  static now() {
+    return Timestamp.fromDate(new Date());
+  }
+
+  toDate() {
+    return new Date(this.toMillis());
+  }
+
+  toMillis() {
+    return this.seconds * 1000 + Math.floor(this.nanoseconds / 1e6);
+  }
+}
+
+const clone = (value) => {
+  if (value instanceof Timestamp) return new Timestamp(value.seconds, value.nanoseconds);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+  }
+  return value;
+};
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const getPath = (data, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+const applyTransform = (current, transform) => {
+  switch (transform[TRANSFORM]) {
+    case 'serverTimestamp': return new Date();
+    case 'increment': return (typeof current === 'number' ? current : 0) + transform.value;
+    case 'arrayUnion': {
+      const result = Array.isArray(current) ? [...current] : [];
+      transform.items.forEach(item => {
+        if (!result.some(existing => isEqual(existing, item))) result.push(clone(item));
+      });
+      return result;
+    }
+    case 'arrayRemove':
+      return (Array.isArray(current) ? current : []).filter(existing => !transform.items.some(item => isEqual(existing, item)));
+    default: return undefined;
+  }
+};
+
+const setPath = (data, path, value) => {
+  const keys = path.split('.');
+  let target = data;
+  keys.slice(0, -1).forEach(key => {
+    if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+    target = target[key];
+  });
+  const last = keys[keys.length - 1];
+  if (value && value[TRANSFORM] === 'delete') {
+    delete target[last];
+  } else if (value && value[TRANSFORM]) {
+    target[last] = applyTransform(target[last], value);
+  } else {
+    target[last] = clone(value);
+  }
+};
+
+// Merge nested objects field by field, as set(..., { merge: true }) does
+const mergeInto = (data, value, prefix = '') => {
+  Object.entries(value).forEach(([key, entry]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const plain = entry && typeof entry === 'object' && !entry[TRANSFORM] && !Array.isArray(entry)
+      && !(entry instanceof Date) && !(entry instanceof Timestamp);
+    if (plain && Object.keys(entry).length > 0) {
+      mergeInto(data, entry, path);
+    } else {
+      setPath(data, path, entry);
+    }
+  });
+};
+
+const comparable = (value) => {
+  if (value instanceof Timestamp) return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+const compare = (a, b) => {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return 0;
+  if (left === undefined || left === null) return -1;
+  if (right === undefined || right === null) return 1;
+  return left < right ? -1 : 1;
+};
+
+const matches = (value, op, expected) => {
+  switch (op) {
+    case '==': return isEqual(comparable(value), comparable(expected));
+    // Documents without the field never match != or not-in
+    case '!=': return value !== undefined && !isEqual(comparable(value), comparable(expected));
+    case '<': return value != null && compare(value, expected) < 0;
+    case '<=': return value != null && compare(value, expected) <= 0;
+    case '>': return value != null && compare(value, expected) > 0;
+    case '>=': return value != null && compare(value, expected) >= 0;
+    case 'in': return expected.some(item => isEqual(comparable(value), comparable(item)));
+    case 'not-in': return value !== undefined && !expected.some(item => isEqual(comparable(value), comparable(item)));
+    case 'array-contains': return Array.isArray(value) && value.some(item => isEqual(item, expected));
+    case 'array-contains-any': return Array.isArray(value) && value.some(item => expected.some(other => isEqual(item, other)));
+    default: throw new Error(`Unsupported query operator: ${op}`);
+  }
+};
+
+function createMemoryFirestore(seed = {}) {
+  // Documents keyed by full path ('orders/o1', 'users/u1/invoices/i1')
+  const store = new Map();
+  // Write count per path, checked by transactions before they commit
+  const versions = new Map();
+  let autoId = 0;
+
+  const touch = (path) => versions.set(path, (versions.get(path) || 0) + 1);
+
+  const snapshotOf = (path) => {
+    const data = store.get(path);
+    const id = path.split('/').pop();
+    return {
+      id,
+      exists: data !== undefined,
+      ref: docRef(path),
+      data: () => (data === undefined ? undefined : clone(data)),
+      get: (field) => (data === undefined ? undefined : clone(getPath(data, field)))
+    };
+  };
+
+  const writeDoc = (path, value, { merge = false } = {}) => {
+    const data = merge && store.has(path) ? store.get(path) : {};
+    if (merge) {
+      mergeInto(data, value);
+    } else {
+      Object.entries(value).forEach(([key, entry]) => setPath(data, key, entry));
+    }
+    store.set(path, data);
+    touch(path);
+  };
+
+  const updateDoc = (path, value) => {
+    if (!store.has(path)) {
+      const error = new Error(`No document to update: ${path}`);
+      error.code = 5;
+      throw error;
+    }
+    const data = store.get(path);
+    Object.entries(value).forEach(([key, entry]) => setPath(data, key, entry));
+    touch(path);
+  };
+
+  const createDoc = (path, value) => {
+    if (store.has(path)) {
+      const error = new Error(`Document already exists: ${path}`);
+      error.code = 6;
+      throw error;
+    }
+    writeDoc(path, value);
+  };
+
+  const deleteDoc = (path) => {
+    store.delete(path);
+    touch(path);
+  };
+
+  function docRef(path) {
+    return {
+      id: path.split('/').pop(),
+      path,
+      get: async () => snapshotOf(path),
+      set: async (value, options) => writeDoc(path, value, options),
+      update: async (value) => updateDoc(path, value),
+      create: async (value) => createDoc(path, value),
+      delete: async () => deleteDoc(path),
+      collection: (name) => collectionRef(`${path}/${name}`)
+    };
+  }
+
+  function query(collectionPath, { filters = [], orders = [], limit = null, limitToLast = null, startAfter = null, endBefore = null } = {}) {
+    const state = { filters, orders, limit, limitToLast, startAfter, endBefore };
+    const next = (changes) => query(collectionPath, { ...state, ...changes });
+
+    const valueOf = (path, field) => (field === DOCUMENT_ID ? path.split('/').pop() : getPath(store.get(path), field));
+    const cursorCompare = (path, cursor) => {
+      for (let i = 0; i < cursor.length && i < state.orders.length; i++) {
+        const { field, direction } = state.orders[i];
+        const result = compare(valueOf(path, field), cursor[i]);
+        if (result !== 0) return direction === 'desc' ? -result : result;
+      }
+      return 0;
+    };
+
+    const run = async () => {
+      const depth = collectionPath.split('/').length + 1;
+      let paths = [...store.keys()].filter(path => path.startsWith(`${collectionPath}/`) && path.split('/').length === depth);
+      paths = paths.filter(path => state.filters.every(({ field, op, value }) => matches(valueOf(path, field), op, value)));
+      paths.sort((a, b) => {
+        for (const { field, direction } of state.orders) {
+          const result = compare(valueOf(a, field), valueOf(b, field));
+          if (result !== 0) return direction === 'desc' ? -result : result;
+        }
+        return a < b ? -1 : (a > b ? 1 : 0);
+      });
+      if (state.startAfter) paths = paths.filter(path => cursorCompare(path, state.startAfter) > 0);
+      if (state.endBefore) paths = paths.filter(path => cursorCompare(path, state.endBefore) < 0);
+      if (state.limit !== null) paths = paths.slice(0, state.limit);
+      if (state.limitToLast !== null) paths = paths.slice(-state.limitToLast);
+      const docs = paths.map(snapshotOf);
+      return { docs, empty: docs.length === 0, size: docs.length, forEach: (fn) => docs.forEach(fn) };
+    };
+
+    const cursorValues = (values) => (values.length === 1 && values[0] && typeof values[0].data === 'function'
+      ? state.orders.map(({ field }) => valueOf(values[0].ref.path, field))
+      : values);
+
+    return {
+      where: (field, op, value) => next({ filters: [...state.filters, { field, op, value }] }),
+      orderBy: (field, direction = 'asc') => next({ orders: [...state.orders, { field, direction }] }),
+      limit: (count) => next({ limit: count }),
+      limitToLast: (count) => next({ limitToLast: count }),
+      startAfter: (...values) => next({ startAfter: cursorValues(values) }),
+      endBefore: (...values) => next({ endBefore: cursorValues(values) }),
+      count: () => ({
+        get: async () => {
+          const { size } = await run();
+          return { data: () => ({ count: size }) };
+        }
+      }),
+      get: run
+    };
+  }
+
+  function collectionRef(path) {
+    return {
+      id: path.split('/').pop(),
+      path,
+      doc: (id) => docRef(`${path}/${id || `auto_${++autoId}`}`),
+      add: async (value) => {
+        const ref = docRef(`${path}/auto_${++autoId}`);
+        writeDoc(ref.path, value);
+        return ref;
+      },
+      ...query(path)
+    };
+  }
+
+  const db = {
+    collection: collectionRef,
+    doc: docRef,
+    getAll: async (...refs) => refs.map(ref => snapshotOf(ref.path)),
+    runTransaction: async (fn, { maxAttempts = 5 } = {}) => {
+      for (let attempt = 1; ; attempt++) {
+        const reads = new Map();
+        const writes = [];
+        const read = (path) => {
+          if (!reads.has(path)) reads.set(path, versions.get(path) || 0);
+        };
+        const result = await fn({
+          get: async (refOrQuery) => {
+            const snapshot = await (refOrQuery.get ? refOrQuery.get() : refOrQuery);
+            (snapshot.docs || [snapshot]).forEach(doc => read(doc.ref.path));
+            return snapshot;
+          },
+          set: (ref, value, options) => writes.push(() => writeDoc(ref.path, value, options)),
+          update: (ref, value) => writes.push(() => updateDoc(ref.path, value)),
+          create: (ref, value) => writes.push(() => createDoc(ref.path, value)),
+          delete: (ref) => writes.push(() => deleteDoc(ref.path))
+        });
+        const contended = [...reads].some(([path, version]) => (versions.get(path) || 0) !== version);
+        if (!contended) {
+          writes.forEach(write => write());
+          return result;
+        }
+        if (attempt >= maxAttempts) {
+          const error = new Error('Transaction aborted after too much contention');
+          error.code = 10;
+          throw error;
+        }
+      }
+    },
+    batch: () => {
+      const writes = [];
+      const batch = {
+        set: (ref, value, options) => { writes.push(() => writeDoc(ref.path, value, options)); return batch; },
+        update: (ref, value) => { writes.push(() => updateDoc(ref.path, value)); return batch; },
+        create: (ref, value) => { writes.push(() => createDoc(ref.path, value)); return batch; },
+        delete: (ref) => { writes.push(() => deleteDoc(ref.path)); return batch; },
+        commit: async () => writes.forEach(write => write())
+      };
+      return batch;
+    },
+    // Test helpers
+    dump: (collectionPath) => Object.fromEntries([...store.entries()]
+      .filter(([path]) => path.startsWith(`${collectionPath}/`) && path.split('/').length === collectionPath.split('/').length + 1)
+      .map(([path, data]) => [path.split('/').pop(), clone(data)])),
+    reset: () => {
+      store.clear();
+      versions.clear();
+    }
+  };
+
+  Object.entries(seed).forEach(([collectionPath, docs]) => {
+    Object.entries(docs).forEach(([id, data]) => writeDoc(`${collectionPath}/${id}`, data));
+  });
+
+  return db;
+}
+
+/**
+ * firebase-admin stand-in whose firestore() is the given in-memory database
+ */
+function createFirebaseAdminMock(db) {
+  const firestore = () => db;
+  Object.assign(firestore, { FieldValue, FieldPath, Timestamp });
+  return {
+    apps: [{}],
+    initializeApp: () => ({}),
+    credential: { cert: () => ({}), applicationDefault: () => ({}) },
+    firestore,
+    auth: () => ({ verifyIdToken: async () => ({ uid: 'test-user' }) }),
+    storage: () => ({ bucket: () => ({ file: () => ({ save: async () => {}, getSignedUrl: async () => ['https://storage.test/file'] }) }) })
+  };
+}
+
+module.exports = { createMemoryFirestore, createFirebaseAdminMock, FieldValue, FieldPath, Timestamp };
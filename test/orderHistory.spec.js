@@ -0,0 +1,80 @@
+/**
+ * Order history tests
+ *
+ * Shaping orders, invoices and download links for /api/orders.
+ */
+
+const {
+  clampLimit,
+  encodeCursor,
+  decodeCursor,
+  toRefundInfo,
+  toOrderSummary,
+  buildReceipt
+} = require('../services/order/orderHistory');
+
+const now = new Date('2026-05-10T00:00:00Z');
+const order = {
+  id: 'order-1',
+  userId: 'user-1',
+  userEmail: 'buyer@example.com',
+  status: 'partially_refunded',
+  createdAt: '2026-05-01T10:00:00Z',
+  currency: 'EUR',
+  total: 24.2,
+  refundedAmount: 12.1,
+  refunds: [{ amount: 12.1, reason: 'duplicate', creditNoteNumber: 'CN-2026-0001', refundedAt: '2026-05-02T00:00:00Z' }],
+  paymentMethod: 'paypal',
+  paymentProcessor: 'paypal',
+  paymentId: 'PAY-1',
+  tax: { country: 'DE', rate: 0.19, net: 20.34, tax: 3.86, gross: 24.2 },
+  templateAccessTokens: ['secret-token'],
+  items: [
+    { id: 'agent-1', title: 'Agent One', price: 12.1, quantity: 1, netAmount: 10.17, taxAmount: 1.93, grossAmount: 12.1, taxRate: 0.19 },
+    { id: 'agent-2', title: 'Agent Two', price: 12.1, quantity: 1 }
+  ]
+};
+const invoices = [
+  { id: 'cn-1', invoiceNumber: 'CN-2026-0001', documentType: 'credit_note', status: 'issued', totalAmount: -12.1, currency: 'EUR' },
+  { id: 'inv-1', invoiceNumber: 'INV-2026-0007', status: 'paid', totalAmount: 24.2, currency: 'EUR' }
+];
+const downloads = [
+  { agentId: 'agent-1', expiresAt: '2026-05-31T00:00:00Z', revoked: false, remainingDownloads: 3, downloadUrl: '/api/templates/download/agent-1?sig=a' },
+  { agentId: 'agent-2', expiresAt: '2026-05-05T00:00:00Z', revoked: false, remainingDownloads: 3, downloadUrl: '/api/templates/download/agent-2?sig=b' }
+];
+
+describe('Order history', () => {
+  it('paginates with opaque cursors', () => {
+    expect(clampLimit(undefined)).toBe(20);
+    expect(clampLimit('500')).toBe(50);
+    expect(decodeCursor(encodeCursor(order))).toEqual({ createdAt: order.createdAt, id: 'order-1' });
+    expect(decodeCursor('not-a-cursor')).toBeNull();
+  });
+
+  it('summarizes orders with invoices, downloads and refunds', () => {
+    const summary = toOrderSummary(order, { invoices, downloads }, now);
+
+    expect(summary.items[0]).toMatchObject({ agentId: 'agent-1', grossAmount: 12.1, download: { remainingDownloads: 3 } });
+    expect(summary.items[0].download.downloadUrl).toContain('sig=a');
+    expect(summary.items[0].download.bundleUrl).toBe('/api/templates/download/agent-1?sig=a&format=zip');
+    // Expired links are listed without a URL
+    expect(summary.items[1].download).toMatchObject({ isExpired: true, downloadUrl: null, bundleUrl: null });
+    expect(summary.invoices.map(doc => doc.documentType)).toEqual(['credit_note', 'invoice']);
+    expect(summary.refund).toMatchObject({ status: 'partially_refunded', refundedAmount: 12.1, refundableAmount: 12.1 });
+    expect(JSON.stringify(summary)).not.toContain('secret-token');
+  });
+
+  it('builds receipts from the checkout tax snapshot', () => {
+    const receipt = buildReceipt(order, { invoices, downloads }, now);
+
+    expect(receipt.totals).toEqual({ net: 20.34, tax: 3.86, discount: 0, total: 24.2 });
+    expect(receipt.invoice).toMatchObject({ invoiceNumber: 'INV-2026-0007', pdfUrl: '/api/invoices/inv-1/pdf' });
+    expect(receipt.creditNotes).toHaveLength(1);
+    expect(receipt.payment).toEqual({ method: 'paypal', processor: 'paypal', paymentId: 'PAY-1' });
+  });
+
+  it('reports refund status of unrefunded and fully refunded orders', () => {
+    expect(toRefundInfo({ status: 'completed', total: 10 })).toMatchObject({ status: 'none', refundableAmount: 10 });
+    expect(toRefundInfo({ status: 'refunded', total: 10, refundedAmount: 10 })).toMatchObject({ status: 'refunded', refundableAmount: 0 });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Order refund tests
+ *
+ * Refunds against an in-memory Firestore: credit notes, partial refunds,
+ * redelivered refund IDs, amounts the order cannot take, concurrent
+ * refunds and the refund of a held order rejected after review.
+ */
+
+const { createMemoryFirestore } = require('./memoryFirestore');
+
+const mockDb = createMemoryFirestore();
+
+jest.mock('firebase-admin', () => require('./memoryFirestore').createFirebaseAdminMock(mockDb));
+jest.mock('../config/firebase', () => ({ db: mockDb, admin: require('firebase-admin') }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/cache', () => ({
+  getCache: jest.fn(async () => null),
+  setCache: jest.fn(async () => true),
+  deleteCache: jest.fn(async () => true),
+  deleteCacheByPattern: jest.fn(async () => true)
+}));
+
+const mockProviderRefund = jest.fn(async () => ({ refundId: 'provider-refund-1' }));
+jest.mock('../services/payment/paymentProviders', () => ({
+  getProvider: jest.fn(() => ({ refund: mockProviderRefund }))
+}));
+
+const orderController = require('../controllers/payment/orderController');
+const invoiceService = require('../services/invoice/invoiceService');
+
+const seed = ({ invoiced = true } = {}) => {
+  mockDb.reset();
+  mockDb.collection('orders').doc('order-1').set({
+    orderId: 'order-1',
+    userId: 'user-1',
+    status: 'completed',
+    total: 119,
+    currency: 'EUR',
+    paymentProcessor: 'paypal',
+    invoiceId: invoiced ? 'invoice-1' : null,
+    createdAt: '2026-10-01T10:00:00.000Z',
+    templateAccessTokens: []
+  });
+  if (invoiced) {
+    mockDb.collection('invoices').doc('invoice-1').set({
+      id: 'invoice-1',
+      invoiceNumber: 'AIW-2026-000001',
+      documentType: 'invoice',
+      issueDate: '2026-10-01T10:00:00.000Z',
+      currency: 'EUR',
+      subtotal: 100,
+      vatRate: 0.19,
+      vatAmount: 19,
+      totalAmount: 119,
+      customer: { id: 'user-1', email: 'buyer@example.com' },
+      lineItems: [{ id: 'agent-1', description: 'Agent One', quantity: 1, unitPrice: 100, totalPrice: 100 }]
+    });
+  }
+};
+
+describe('Order refunds', () => {
+  it('applies a redelivered refund only once', async () => {
+    seed();
+    const first = await orderController.processOrderRefund('order-1', { refund_id: 'refund-1', amount: 19 });
+    const replay = await orderController.processOrderRefund('order-1', { refund_id: 'refund-1', amount: 19 });
+
+    expect(first).toMatchObject({ refundAmount: 19, isFullRefund: false });
+    expect(first.creditNoteNumber).toBeTruthy();
+    expect(replay).toMatchObject({ duplicate: true, creditNoteNumber: first.creditNoteNumber });
+
+    const order = (await mockDb.collection('orders').doc('order-1').get()).data();
+    expect(order).toMatchObject({ status: 'partially_refunded', refundedAmount: 19 });
+    expect(order.refunds).toHaveLength(1);
+    expect(Object.keys(mockDb.dump('invoices'))).toHaveLength(2);
+  });
+
+  it('dedupes refund IDs on orders without an invoice', async () => {
+    seed({ invoiced: false });
+    await orderController.processOrderRefund('order-1', { refund_id: 'refund-1', amount: 50 });
+    const replay = await orderController.processOrderRefund('order-1', { refund_id: 'refund-1', amount: 50 });
+
+    expect(replay.duplicate).toBe(true);
+    const order = (await mockDb.collection('orders').doc('order-1').get()).data();
+    expect(order).toMatchObject({ status: 'partially_refunded', refundedAmount: 50 });
+    expect(order.refunds).toHaveLength(1);
+  });
+
+  it('rejects amounts that are not positive or exceed the remaining balance', async () => {
+    seed();
+    await orderController.processOrderRefund('order-1', { refund_id: 'refund-1', amount: 100 });
+
+    for (const amount of [0, -5, 'abc', 20]) {
+      await expect(orderController.processOrderRefund('order-1', { refund_id: `refund-${amount}`, amount }))
+        .rejects.toMatchObject({ name: 'OrderRefundError' });
+    }
+    await expect(orderController.checkRefund('order-1', 20)).rejects.toMatchObject({ reason: 'exceeds_remaining' });
+    await expect(orderController.checkRefund('order-1')).resolves.toBe(19);
+
+    const full = await orderController.processOrderRefund('order-1', { refund_id: 'refund-2' });
+    expect(full).toMatchObject({ refundAmount: 19, isFullRefund: true });
+    const order = (await mockDb.collection('orders').doc('order-1').get()).data();
+    expect(order).toMatchObject({ status: 'refunded', refundedAmount: 119 });
+  });
+
+  it('lets concurrent partial refunds take no more than the order total', async () => {
+    seed();
+    const results = await Promise.allSettled([70, 70].map((amount, index) =>
+      orderController.processOrderRefund('order-1', { refund_id: `refund-${index}`, amount })));
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason).toMatchObject({ reason: 'exceeds_remaining' });
+    const order = (await mockDb.collection('orders').doc('order-1').get()).data();
+    expect(order).toMatchObject({ status: 'partially_refunded', refundedAmount: 70 });
+    expect(mockDb.dump('invoices')['invoice-1'].creditedAmount).toBe(70);
+    expect(Object.keys(mockDb.dump('invoices'))).toHaveLength(2);
+  });
+
+  it('credits every concurrent refund that fits on the invoice', async () => {
+    seed();
+    await Promise.all([40, 50].map((amount, index) =>
+      orderController.processOrderRefund('order-1', { refund_id: `refund-${index}`, amount })));
+
+    const invoice = mockDb.dump('invoices')['invoice-1'];
+    expect(invoice).toMatchObject({ creditedAmount: 90, status: 'partially_refunded' });
+    expect(invoice.creditNotes.map(note => note.refundId).sort()).toEqual(['refund-0', 'refund-1']);
+    const order = (await mockDb.collection('orders').doc('order-1').get()).data();
+    expect(order.refundedAmount).toBe(90);
+    expect(order.refunds.every(refund => refund.creditNoteNumber)).toBe(true);
+  });
+
+  it('hands the amount back when the credit note cannot be issued', async () => {
+    seed();
+    jest.spyOn(invoiceService, 'createCreditNote').mockRejectedValueOnce(new Error('unavailable'));
+
+    await expect(orderController.processOrderRefund('order-1', { refund_id: 'refund-1', amount: 19 })).rejects.toThrow('unavailable');
+    const order = (await mockDb.collection('orders').doc('order-1').get()).data();
+    expect(order).toMatchObject({ status: 'completed', refundedAmount: 0, refunds: [] });
+    jest.restoreAllMocks();
+  });
+});
+
+describe('Rejecting held orders', () => {
+  const hold = (fields = {}) => mockDb.collection('orders').doc('order-1').update({
+    status: 'review',
+    paymentProcessor: 'unipay',
+    uniPayOrderHashId: 'hash-1',
+    risk: { hold: true, score: 90, reasons: [] },
+    ...fields
+  });
+
+  beforeEach(() => mockProviderRefund.mockClear());
+
+  it('refunds through the capture reference stored with the payment', async () => {
+    seed();
+    await hold({ metadata: { originalPaymentData: { transaction_id: 'capture-1' } } });
+
+    const result = await orderController.rejectHeldOrder('order-1', { reviewedBy: 'admin-1' });
+
+    expect(mockProviderRefund).toHaveBeenCalledWith('capture-1', expect.objectContaining({ amount: 119 }));
+    expect(result.refund).toEqual({ status: 'refunded', refundId: 'provider-refund-1' });
+    const order = (await mockDb.collection('orders').doc('order-1').get()).data();
+    expect(order).toMatchObject({ status: 'rejected', refundedAmount: 119 });
+    // Neither the held payment nor its refund is revenue
+    expect(mockDb.dump('revenue_aggregates')).toEqual({});
+  });
+
+  it('refunds UniPay orders held without a stored reference by order hash', async () => {
+    seed();
+    await hold();
+
+    const result = await orderController.rejectHeldOrder('order-1', { reviewedBy: 'admin-1' });
+
+    expect(mockProviderRefund).toHaveBeenCalledWith('hash-1', expect.objectContaining({ amount: 119 }));
+    expect(result.refund.status).toBe('refunded');
+  });
+});
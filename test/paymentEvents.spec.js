@@ -0,0 +1,65 @@
+/**
+ * Payment event ledger tests
+ *
+ * Claim and failure rules that keep webhook redeliveries from being
+ * processed twice.
+ */
+
+const {
+  EVENT_STATUS,
+  PROCESSING_TIMEOUT_MS,
+  buildEventKey,
+  resolveUniPayEventId,
+  decideClaim,
+  decideFulfilmentClaim,
+  statusAfterFailure
+} = require('../services/payment/paymentEvents');
+
+describe('Payment event ledger rules', () => {
+  it('builds ledger keys and stable UniPay event IDs', () => {
+    expect(buildEventKey('paypal', 'WH-1/2')).toBe('paypal_WH-1_2');
+    expect(() => buildEventKey('paypal')).toThrow('required');
+
+    expect(resolveUniPayEventId({ id: 'evt_1', OrderHashID: 'abc' })).toBe('evt_1');
+    const first = resolveUniPayEventId({ OrderHashID: 'abc', Status: 'Success' });
+    expect(resolveUniPayEventId({ OrderHashID: 'abc', Status: 'success' })).toBe(first);
+    expect(resolveUniPayEventId({ OrderHashID: 'abc', Status: 'Failed' })).not.toBe(first);
+    expect(resolveUniPayEventId({})).toBeNull();
+  });
+
+  it('processes new and failed events but skips processed ones', () => {
+    expect(decideClaim(null)).toEqual({ process: true, reason: 'new' });
+    expect(decideClaim({ status: EVENT_STATUS.PROCESSED })).toEqual({ process: false, reason: 'duplicate' });
+    expect(decideClaim({ status: EVENT_STATUS.FAILED })).toEqual({ process: true, reason: 'retry' });
+    expect(decideClaim({ status: EVENT_STATUS.PROCESSED }, { replay: true }).process).toBe(false);
+  });
+
+  it('only lets a stale processing claim be taken over', () => {
+    const now = new Date('2026-06-01T12:00:00Z');
+    const recent = { status: EVENT_STATUS.PROCESSING, claimedAt: new Date(now.getTime() - 1000).toISOString() };
+    const stale = { status: EVENT_STATUS.PROCESSING, claimedAt: new Date(now.getTime() - PROCESSING_TIMEOUT_MS - 1).toISOString() };
+
+    expect(decideClaim(recent, { now })).toEqual({ process: false, reason: 'in_progress' });
+    expect(decideClaim(stale, { now })).toEqual({ process: true, reason: 'stale_claim' });
+  });
+
+  it('dead-letters after the attempt limit and replays dead letters on request only', () => {
+    expect(statusAfterFailure(1, { maxAttempts: 3 })).toBe(EVENT_STATUS.FAILED);
+    expect(statusAfterFailure(3, { maxAttempts: 3 })).toBe(EVENT_STATUS.DEAD_LETTER);
+    expect(statusAfterFailure(7, { maxAttempts: 3, replay: true })).toBe(EVENT_STATUS.FAILED);
+
+    expect(decideClaim({ status: EVENT_STATUS.DEAD_LETTER })).toEqual({ process: false, reason: 'dead_letter' });
+    expect(decideClaim({ status: EVENT_STATUS.DEAD_LETTER }, { replay: true })).toEqual({ process: true, reason: 'replay' });
+  });
+
+  it('takes over a fulfilment claim that was left behind', () => {
+    const now = new Date('2026-06-01T12:00:00Z');
+    const claimed = ago => ({ orderProcessing: true, processingStartedAt: new Date(now.getTime() - ago).toISOString() });
+
+    expect(decideFulfilmentClaim({}, { now })).toEqual({ process: true, reason: 'new' });
+    expect(decideFulfilmentClaim({ orderProcessed: true }, { now })).toEqual({ process: false, reason: 'duplicate' });
+    expect(decideFulfilmentClaim(claimed(1000), { now })).toEqual({ process: false, reason: 'in_progress' });
+    expect(decideFulfilmentClaim(claimed(PROCESSING_TIMEOUT_MS + 1), { now })).toEqual({ process: true, reason: 'stale_claim' });
+    expect(decideFulfilmentClaim({ orderProcessing: true }, { now })).toEqual({ process: true, reason: 'stale_claim' });
+  });
+});
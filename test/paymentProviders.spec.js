@@ -0,0 +1,132 @@
+/**
+ * Payment provider tests
+ *
+ * Exercises the local fake provider: checkout, capture, declines, refunds
+ * and signed webhooks, and the payload handed to processPaymentSuccess.
+ * processPaymentSuccess is mocked here; checkoutFulfilment.spec.js runs the
+ * real order, invoice and template access flow.
+ */
+
+jest.mock('../controllers/payment/orderController', () => ({
+  processPaymentSuccess: jest.fn()
+}));
+
+const orderController = require('../controllers/payment/orderController');
+const fakeProvider = require('../services/payment/providers/fakeProvider');
+const { getProvider, listProviders } = require('../services/payment/paymentProviders');
+const { captureAndFulfil, toPaymentData } = require('../services/payment/checkoutFlow');
+const { PAYMENT_STATUS } = require('../services/payment/providers/paymentProvider');
+
+const record = {
+  orderId: 'order-1',
+  amount: 24.2,
+  currency: 'EUR',
+  items: [{ id: 'agent-1', title: 'Agent One', price: 20, quantity: 1 }],
+  tax: { country: 'DE', vatId: null, rate: 0.19 },
+  coupon: null,
+  customerInfo: { userId: 'user-1', email: 'buyer@example.com' },
+  metadata: { cartId: 'user_user-1' }
+};
+
+async function createCheckout() {
+  return fakeProvider.createCheckout({
+    orderId: record.orderId,
+    currency: record.currency,
+    items: record.items,
+    itemTotal: 20,
+    taxTotal: 4.2,
+    total: record.amount
+  });
+}
+
+describe('Payment providers', () => {
+  beforeAll(() => {
+    process.env.PAYMENT_FAKE_PROVIDER = 'true';
+  });
+
+  afterAll(() => {
+    delete process.env.PAYMENT_FAKE_PROVIDER;
+  });
+
+  beforeEach(() => {
+    fakeProvider.reset();
+    orderController.processPaymentSuccess.mockResolvedValue({
+      success: true,
+      orderId: 'firestore-order-1',
+      invoiceId: 'invoice-1',
+      templates: [{ agentId: 'agent-1', accessToken: 'token-1' }]
+    });
+  });
+
+  it('lists the fake provider only when PAYMENT_FAKE_PROVIDER is set', () => {
+    expect(getProvider('fake')).toBe(fakeProvider);
+    expect(listProviders().map(provider => provider.name)).toContain('fake');
+    expect(() => getProvider('stripe')).toThrow('Unknown payment provider');
+
+    // Not tied to NODE_ENV, which deployments may leave unset
+    process.env.PAYMENT_FAKE_PROVIDER = 'false';
+    try {
+      expect(() => getProvider('fake')).toThrow('Unknown payment provider');
+      expect(listProviders().map(provider => provider.name)).not.toContain('fake');
+    } finally {
+      process.env.PAYMENT_FAKE_PROVIDER = 'true';
+    }
+  });
+
+  it('captures a checkout and fulfils the order', async () => {
+    const checkout = await createCheckout();
+    expect(checkout.status).toBe(PAYMENT_STATUS.CREATED);
+
+    const { capture, orderResult } = await captureAndFulfil(fakeProvider, checkout.providerOrderId, record);
+
+    expect(capture).toMatchObject({ status: PAYMENT_STATUS.COMPLETED, amount: 24.2, currency: 'EUR' });
+    expect(orderResult).toMatchObject({ invoiceId: 'invoice-1', templates: [{ agentId: 'agent-1' }] });
+    expect(orderController.processPaymentSuccess).toHaveBeenCalledWith(
+      toPaymentData('fake', checkout.providerOrderId, record, capture)
+    );
+    expect(orderController.processPaymentSuccess.mock.calls[0][0].transaction_id).toBe(capture.captureId);
+    expect(toPaymentData('fake', checkout.providerOrderId, record)).toMatchObject({
+      amount: 2420,
+      currency: 'eur',
+      processor: 'fake',
+      customer: { id: 'user-1', email: 'buyer@example.com' },
+      metadata: { order_id: 'order-1', cartId: 'user_user-1', customerCountry: 'DE' }
+    });
+
+    await expect(fakeProvider.capture(checkout.providerOrderId)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('does not fulfil declined checkouts', async () => {
+    const checkout = await createCheckout();
+    fakeProvider.decline(checkout.providerOrderId);
+
+    await expect(captureAndFulfil(fakeProvider, checkout.providerOrderId, record))
+      .rejects.toMatchObject({ name: 'PaymentProviderError', statusCode: 402 });
+    expect(orderController.processPaymentSuccess).not.toHaveBeenCalled();
+  });
+
+  it('refunds partially and then the remaining balance', async () => {
+    const checkout = await createCheckout();
+    const capture = await fakeProvider.capture(checkout.providerOrderId);
+
+    expect((await fakeProvider.refund(capture.captureId, { amount: 10 })).amount).toBe(10);
+    expect((await fakeProvider.getStatus(checkout.providerOrderId)).status).toBe(PAYMENT_STATUS.PARTIALLY_REFUNDED);
+
+    await expect(fakeProvider.refund(capture.captureId, { amount: 50 })).rejects.toThrow('Refund amount');
+    expect((await fakeProvider.refund(capture.captureId)).amount).toBe(14.2);
+    expect((await fakeProvider.getStatus(checkout.providerOrderId)).status).toBe(PAYMENT_STATUS.REFUNDED);
+  });
+
+  it('verifies signed webhooks and rejects tampered ones', async () => {
+    const delivery = fakeProvider.buildWebhook('CHECKOUT.APPROVED', { providerOrderId: 'FAKE-1' }, 'evt-1');
+
+    await expect(fakeProvider.verifyWebhook(delivery)).resolves.toMatchObject({
+      verified: true,
+      eventId: 'evt-1',
+      type: 'CHECKOUT.APPROVED'
+    });
+
+    const tampered = { ...delivery, body: { ...delivery.body, resource: { providerOrderId: 'FAKE-2' } } };
+    expect((await fakeProvider.verifyWebhook(tampered)).verified).toBe(false);
+  });
+});
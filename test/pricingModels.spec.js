@@ -0,0 +1,88 @@
+/**
+ * Pricing model tests
+ *
+ * Free with tip, pay-what-you-want and tiered licences: validation,
+ * display data and the price enforced at checkout.
+ */
+
+const {
+  validatePrice,
+  validatePricingModel,
+  resolvePricingChoice,
+  getPricingDisplay,
+  getTierDeliverables
+} = require('../models/priceModel');
+const { enforceItemPricing } = require('../services/cart/cartPricing');
+
+const tiered = validatePrice({
+  agentId: 'agent-1',
+  pricingModel: 'tiered',
+  discount: { percentage: 10 },
+  pricingTiers: [
+    { id: 'agency', price: 199, deliverables: ['workflow.json', 'white-label.md'] },
+    { id: 'personal', price: 29, deliverables: ['workflow.json'] },
+    { id: 'commercial', price: 79 }
+  ]
+});
+const pwyw = validatePrice({ agentId: 'agent-2', pricingModel: 'pay_what_you_want', minimumPrice: 5, suggestedPrice: 12 });
+const tip = validatePrice({ agentId: 'agent-3', pricingModel: 'free_tip', suggestedTips: [2, 5] });
+
+describe('Pricing models', () => {
+  it('validates models and derives the base price', () => {
+    expect(tiered).toMatchObject({ basePrice: 29, isFree: false, pricingModel: 'tiered' });
+    expect(tiered.pricingTiers.map(tier => tier.id)).toEqual(['personal', 'commercial', 'agency']);
+    expect(pwyw).toMatchObject({ basePrice: 5, minimumPrice: 5, suggestedPrice: 12, maximumPrice: 10000 });
+    expect(tip).toMatchObject({ basePrice: 0, isFree: true, suggestedTips: [2, 5] });
+    expect(validatePrice({ agentId: 'agent-4', basePrice: 10 }).pricingModel).toBe('fixed');
+
+    expect(() => validatePricingModel({ pricingModel: 'auction' })).toThrow('pricingModel');
+    expect(() => validatePricingModel({ pricingModel: 'pay_what_you_want' })).toThrow('minimumPrice is required');
+    expect(() => validatePricingModel({ pricingModel: 'pay_what_you_want', minimumPrice: 10, suggestedPrice: 5 })).toThrow('minimumPrice <= suggestedPrice');
+    expect(() => validatePricingModel({ pricingModel: 'tiered', pricingTiers: [{ id: 'personal', price: 1 }, { id: 'personal', price: 2 }] }))
+      .toThrow('unique id');
+  });
+
+  it('resolves the price of the customer choice', () => {
+    expect(resolvePricingChoice(tiered, { tier: 'commercial' })).toMatchObject({ valid: true, unitPrice: 71.1, tier: 'commercial' });
+    expect(resolvePricingChoice(tiered, {}).reason).toBe('tier_required');
+    expect(resolvePricingChoice(tiered, { tier: 'enterprise' }).reason).toBe('unknown_tier');
+
+    expect(resolvePricingChoice(pwyw, { amount: '7.5' }).unitPrice).toBe(7.5);
+    expect(resolvePricingChoice(pwyw, { amount: 4 }).reason).toBe('below_minimum');
+    expect(resolvePricingChoice(pwyw, {}).reason).toBe('amount_required');
+    expect(resolvePricingChoice(pwyw, { amount: -1 }).reason).toBe('invalid_amount');
+
+    expect(resolvePricingChoice(tip, {}).unitPrice).toBe(0);
+    expect(resolvePricingChoice(tip, { amount: 3 }).unitPrice).toBe(3);
+    expect(resolvePricingChoice(tip, { amount: 20000 }).reason).toBe('above_maximum');
+  });
+
+  it('builds display data and tier deliverables', () => {
+    const display = getPricingDisplay(tiered);
+    expect(display).toMatchObject({ model: 'tiered', fromPrice: 26.1 });
+    expect(display.tiers[2]).toMatchObject({ id: 'agency', name: 'Agency licence', price: 199, finalPrice: 179.1 });
+    expect(getPricingDisplay(pwyw)).toMatchObject({ fromPrice: 5, suggestedPrice: 12 });
+    expect(getPricingDisplay(tip)).toMatchObject({ isFree: true, tipsEnabled: true });
+
+    const deliverables = [{ fileName: 'workflow.json' }, { fileName: 'white-label.md' }];
+    expect(getTierDeliverables(deliverables, tiered.pricingTiers[0])).toEqual([{ fileName: 'workflow.json' }]);
+    expect(getTierDeliverables(deliverables, tiered.pricingTiers[1])).toEqual(deliverables);
+    // Accesses without a known tier get the cheapest licence, not every file
+    expect(getTierDeliverables(deliverables, null, tiered.pricingTiers)).toEqual([{ fileName: 'workflow.json' }]);
+    expect(getTierDeliverables(deliverables, null)).toEqual(deliverables);
+  });
+
+  it('enforces model prices on checkout items', () => {
+    const prices = new Map([['agent-1', tiered], ['agent-2', pwyw], ['agent-5', { basePrice: 9 }]]);
+    const items = enforceItemPricing([
+      { id: 'agent-1', price: 1, quantity: 1, tier: 'personal' },
+      { id: 'agent-2', price: 8, quantity: 2 },
+      { id: 'agent-5', price: 9, quantity: 1 }
+    ], { prices });
+
+    expect(items[0]).toMatchObject({ price: 26.1, pricingModel: 'tiered', licenseTier: 'personal' });
+    expect(items[1]).toMatchObject({ price: 8, pricingModel: 'pay_what_you_want' });
+    expect(items[2]).toEqual({ id: 'agent-5', price: 9, quantity: 1 });
+    expect(() => enforceItemPricing([{ id: 'agent-2', price: 1 }], { prices })).toThrow('below_minimum');
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Revenue aggregate tests
+ *
+ * Period keys, order and refund contributions and the summaries returned
+ * by /api/admin/analytics/revenue.
+ */
+
+const {
+  periodKey,
+  listPeriods,
+  parseRangeQuery,
+  buyerKey,
+  buildOrderContribution,
+  buildRefundContribution,
+  mapAmounts,
+  addInto,
+  summarizeRange
+} = require('../services/analytics/revenueAggregates');
+
+const order = {
+  id: 'order-1',
+  userId: 'user-1',
+  total: 120,
+  currency: 'USD',
+  paymentMethod: 'paypal',
+  items: [
+    { id: 'agent-1', title: 'CRM Agent', price: 50, quantity: 2, grossAmount: 100 },
+    { id: 'agent-2', title: 'SEO Agent', price: 50, quantity: 1, grossAmount: 50 }
+  ]
+};
+
+describe('Revenue aggregates', () => {
+  it('keys days, ISO weeks and months', () => {
+    expect(periodKey('2026-05-04T23:30:00Z', 'day')).toBe('2026-05-04');
+    expect(periodKey('2026-05-04T00:00:00Z', 'week')).toBe('2026-W19');
+    expect(periodKey('2027-01-01T00:00:00Z', 'week')).toBe('2026-W53');
+    expect(periodKey('2026-05-31T00:00:00Z', 'month')).toBe('2026-05');
+
+    expect(listPeriods('2026-05-06', '2026-05-18', 'week')).toEqual([
+      { key: '2026-W19', start: '2026-05-04T00:00:00.000Z' },
+      { key: '2026-W20', start: '2026-05-11T00:00:00.000Z' },
+      { key: '2026-W21', start: '2026-05-18T00:00:00.000Z' }
+    ]);
+    expect(listPeriods('2025-01-01', '2026-12-31', 'day')).toBeNull();
+  });
+
+  it('validates the requested range', () => {
+    const range = parseRangeQuery({ granularity: 'month' }, new Date('2026-05-10T00:00:00Z'));
+    expect(range).toMatchObject({ valid: true, from: '2025-06-01T00:00:00.000Z', top: 10 });
+    expect(range.periods).toHaveLength(12);
+
+    expect(parseRangeQuery({ granularity: 'hour', to: 'later', top: 0 }).errors).toHaveLength(3);
+    expect(parseRangeQuery({ from: '2026-05-10', to: '2026-05-01' }).errors).toEqual(['from must be before to']);
+  });
+
+  it('splits order revenue over agents and payment methods', () => {
+    expect(buyerKey(order)).toBe(buyerKey({ userId: 'user-1', userEmail: 'other@example.com' }));
+    expect(buyerKey({ userEmail: ' Buyer@Example.com' })).toBe(buyerKey({ userEmail: 'buyer@example.com' }));
+    expect(buyerKey({})).toBeNull();
+
+    // Charged 120 for 150 of list price: lines keep their share of the total
+    expect(buildOrderContribution(order, { baseAmount: 120, isNewBuyer: true })).toEqual({
+      orders: 1,
+      grossRevenue: 120,
+      newBuyers: 1,
+      paymentMethods: { paypal: { orders: 1, revenue: 120 } },
+      agents: {
+        'agent-1': { title: 'CRM Agent', units: 2, orders: 1, revenue: 80 },
+        'agent-2': { title: 'SEO Agent', units: 1, orders: 1, revenue: 40 }
+      }
+    });
+    expect(buildOrderContribution(order, { baseAmount: null, isNewBuyer: false })).toEqual({
+      orders: 1, unconvertedOrders: 1, returningBuyers: 1, paymentMethods: { paypal: { orders: 1 } }
+    });
+    expect(mapAmounts(buildRefundContribution(30), value => value * 2)).toEqual({ refundCount: 2, refunds: 60 });
+  });
+
+  it('summarizes a range into a series, totals and rankings', () => {
+    const day1 = addInto(
+      addInto({}, buildOrderContribution(order, { baseAmount: 120, isNewBuyer: true })),
+      buildRefundContribution(40)
+    );
+    const day3 = addInto({}, buildOrderContribution(
+      { ...order, paymentMethod: 'google_direct', items: [{ id: 'agent-2', title: 'SEO Agent', price: 60 }] },
+      { baseAmount: 60, isNewBuyer: false }
+    ));
+    const periods = listPeriods('2026-05-01', '2026-05-03', 'day');
+    const summary = summarizeRange(new Map([['2026-05-01', day1], ['2026-05-03', day3]]), periods, { top: 1 });
+
+    expect(summary.series.map(point => point.netRevenue)).toEqual([80, 0, 60]);
+    expect(summary.series[1]).toMatchObject({ period: '2026-05-02', orders: 0, averageOrderValue: 0 });
+    expect(summary.totals).toMatchObject({
+      grossRevenue: 180, refunds: 40, netRevenue: 140, orders: 2, averageOrderValue: 90, newBuyers: 1, returningBuyers: 1
+    });
+    expect(summary.topAgents).toEqual([{ agentId: 'agent-2', title: 'SEO Agent', units: 2, orders: 2, revenue: 100 }]);
+    expect(summary.paymentMethods).toEqual([
+      { method: 'paypal', orders: 1, revenue: 120, share: 66.67 },
+      { method: 'google_direct', orders: 1, revenue: 60, share: 33.33 }
+    ]);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Revenue analytics service tests
+ *
+ * Recording orders and refunds against an in-memory Firestore: redelivered
+ * refunds and orders counted by a rebuild are not added twice, and sandbox
+ * orders and orders held for review but never approved are not counted at
+ * all.
+ */
+
+const { createMemoryFirestore } = require('./memoryFirestore');
+
+const mockDb = createMemoryFirestore();
+
+jest.mock('firebase-admin', () => require('./memoryFirestore').createFirebaseAdminMock(mockDb));
+jest.mock('../config/firebase', () => ({ db: mockDb, admin: require('firebase-admin') }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/cache', () => ({
+  getCache: jest.fn(async () => null),
+  setCache: jest.fn(async () => true),
+  deleteCache: jest.fn(async () => true),
+  deleteCacheByPattern: jest.fn(async () => true)
+}));
+
+const revenueAnalyticsService = require('../services/analytics/revenueAnalyticsService');
+
+const order = {
+  id: 'order-1',
+  userId: 'user-1',
+  status: 'completed',
+  total: 100,
+  currency: 'USD',
+  paymentMethod: 'paypal',
+  items: [{ id: 'agent-1', price: 100, quantity: 1 }],
+  createdAt: '2026-05-04T10:00:00.000Z'
+};
+
+const monthAggregate = () => mockDb.dump('revenue_aggregates')['month_2026-05'];
+
+describe('Revenue analytics recording', () => {
+  beforeEach(async () => {
+    mockDb.reset();
+    await mockDb.collection('orders').doc(order.id).set(order);
+  });
+
+  it('counts a redelivered refund once', async () => {
+    await revenueAnalyticsService.recordOrder(order);
+
+    expect(await revenueAnalyticsService.recordRefund(order, 40, '2026-05-06T10:00:00.000Z', 'REFUND-1')).toBe(true);
+    expect(await revenueAnalyticsService.recordRefund(order, 40, '2026-05-06T10:05:00.000Z', 'REFUND-1')).toBe(false);
+    expect(await revenueAnalyticsService.recordRefund(order, 10, '2026-05-07T10:00:00.000Z', 'REFUND-2')).toBe(true);
+
+    expect(monthAggregate()).toMatchObject({ orders: 1, refundCount: 2, refunds: 50 });
+    expect(mockDb.dump('orders')[order.id].analytics.refundIds).toEqual(['REFUND-1', 'REFUND-2']);
+  });
+
+  it('marks the orders and refunds a rebuild counted', async () => {
+    await mockDb.collection('orders').doc(order.id).update({
+      status: 'partially_refunded',
+      refundedAmount: 40,
+      refunds: [{ refundId: 'REFUND-1', amount: 40, refundedAt: '2026-05-06T10:00:00.000Z' }]
+    });
+
+    await revenueAnalyticsService.rebuildAggregates();
+    expect(mockDb.dump('orders')[order.id].analytics).toMatchObject({ baseAmount: 100, refundIds: ['REFUND-1'] });
+
+    // Late deliveries of the order and its refund change nothing
+    expect(await revenueAnalyticsService.recordOrder(order)).toBe(false);
+    expect(await revenueAnalyticsService.recordRefund(order, 40, '2026-05-06T10:00:00.000Z', 'REFUND-1')).toBe(false);
+    expect(monthAggregate()).toMatchObject({ orders: 1, refundCount: 1, refunds: 40 });
+  });
+
+  it('leaves sandbox orders and their refunds out', async () => {
+    const sandboxOrder = { ...order, id: 'order-2', paymentProcessor: 'fake', status: 'partially_refunded', refundedAmount: 10 };
+    await mockDb.collection('orders').doc(sandboxOrder.id).set(sandboxOrder);
+
+    expect(await revenueAnalyticsService.recordOrder(sandboxOrder)).toBe(false);
+    expect(await revenueAnalyticsService.recordRefund(sandboxOrder, 10, '2026-05-06T10:00:00.000Z', 'REFUND-9')).toBe(false);
+    expect(mockDb.dump('revenue_aggregates')).toEqual({});
+
+    expect(await revenueAnalyticsService.rebuildAggregates()).toMatchObject({ orders: 1 });
+    expect(monthAggregate()).toMatchObject({ orders: 1 });
+    expect(monthAggregate().refundCount || 0).toBe(0);
+    expect(mockDb.dump('orders')[sandboxOrder.id]).not.toHaveProperty('analytics');
+  });
+});
+
+describe('Revenue analytics of held orders', () => {
+  const held = { ...order, status: 'review', risk: { hold: true, score: 90, reasons: [] } };
+
+  beforeEach(() => mockDb.reset());
+
+  it('counts a held order only once it is approved', async () => {
+    await mockDb.collection('orders').doc(order.id).set(held);
+    expect(await revenueAnalyticsService.recordOrder(held)).toBe(false);
+    expect(mockDb.dump('revenue_aggregates')).toEqual({});
+
+    const approved = { ...held, status: 'completed', review: { decision: 'approved' } };
+    expect(await revenueAnalyticsService.recordOrder(approved)).toBe(true);
+    expect(monthAggregate()).toMatchObject({ orders: 1 });
+  });
+
+  it('leaves rejected orders and their refunds out', async () => {
+    const rejected = {
+      ...held,
+      status: 'rejected',
+      review: { decision: 'rejected' },
+      refundedAmount: 100,
+      refunds: [{ refundId: 'REFUND-1', amount: 100, refundedAt: '2026-05-06T10:00:00.000Z' }]
+    };
+    await mockDb.collection('orders').doc(order.id).set(rejected);
+
+    expect(await revenueAnalyticsService.recordRefund(rejected, 100, '2026-05-06T10:00:00.000Z', 'REFUND-1')).toBe(false);
+    expect(await revenueAnalyticsService.rebuildAggregates()).toMatchObject({ orders: 0 });
+    expect(mockDb.dump('revenue_aggregates')).toEqual({});
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Risk rule tests
+ *
+ * Scoring of checkout signals and the country header that feeds them;
+ * client IPs come from utils/clientIp (see clientIp.spec.js).
+ */
+
+const { RISK_LEVELS, getRiskSettings, getIpCountry, scoreOrderRisk } = require('../services/risk/riskRules');
+
+const settings = getRiskSettings({ RISK_DISPOSABLE_DOMAINS: 'burner.example' });
+
+describe('Risk rules', () => {
+  it('lets ordinary checkouts through', () => {
+    expect(scoreOrderRisk({ email: 'buyer@example.com', country: 'de', ipCountry: 'DE', amount: 29, previousOrders: 2 }, settings))
+      .toEqual({ score: 0, level: RISK_LEVELS.LOW, hold: false, reasons: [] });
+  });
+
+  it('adds up suspicious signals and holds high-risk checkouts', () => {
+    const risk = scoreOrderRisk({
+      email: 'someone@Mailinator.com',
+      country: 'US',
+      ipCountry: 'NG',
+      userOrdersLastHour: 3
+    }, settings);
+    expect(risk).toMatchObject({ score: 80, level: RISK_LEVELS.HIGH, hold: true });
+    expect(risk.reasons.map(reason => reason.code)).toEqual(['disposable_email', 'country_mismatch', 'user_velocity']);
+
+    expect(scoreOrderRisk({ email: 'x@burner.example' }, settings).reasons[0].code).toBe('disposable_email');
+    expect(scoreOrderRisk({ email: 'buyer@example.com', ipOrdersLastHour: 10, refundedOrders: 1 }, settings))
+      .toMatchObject({ score: 55, level: RISK_LEVELS.MEDIUM, hold: false });
+    expect(scoreOrderRisk({ email: 'buyer@example.com', refundedOrders: 3, amount: 900 }, settings))
+      .toMatchObject({ score: 55, reasons: [{ code: 'refund_history', points: 40 }, { code: 'high_value_first_order', points: 15 }] });
+    expect(scoreOrderRisk({ ipCountry: 'T1', userOrdersLastHour: 6 }, settings).score).toBe(85);
+  });
+
+  it('reads the client country from proxy headers', () => {
+    expect(getIpCountry({ 'cf-ipcountry': 'XX', 'x-vercel-ip-country': 'de' })).toBe('DE');
+    expect(getIpCountry({})).toBeNull();
+  });
+});
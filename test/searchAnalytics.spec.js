@@ -0,0 +1,96 @@
+/**
+ * Search analytics tests
+ *
+ * Sampling of search logs and the report estimated from them.
+ */
+
+const {
+  getSearchAnalyticsSettings,
+  normalizeQuery,
+  sampleSearch,
+  buildSearchLog,
+  summarizeSearchLogs
+} = require('../services/search/searchAnalytics');
+
+const log = (query, resultCount, fields = {}) => ({
+  query,
+  resultCount,
+  sampleRate: 0.5,
+  createdAt: '2026-10-01T10:00:00.000Z',
+  clickedAt: null,
+  ...fields
+});
+
+describe('Search analytics', () => {
+  it('samples searches, keeping every zero-result search by default', () => {
+    const settings = getSearchAnalyticsSettings({ SEARCH_LOG_SAMPLE_RATE: '0.25' });
+    expect(settings).toEqual({ sampleRate: 0.25, zeroResultSampleRate: 1 });
+    expect(getSearchAnalyticsSettings({ SEARCH_LOG_SAMPLE_RATE: '3' }).sampleRate).toBe(0.2);
+
+    expect(sampleSearch(12, settings, () => 0.1)).toBe(0.25);
+    expect(sampleSearch(12, settings, () => 0.3)).toBeNull();
+    expect(sampleSearch(0, settings, () => 0.99)).toBe(1);
+  });
+
+  it('builds logs with the normalized query and active filter names', () => {
+    expect(normalizeQuery('  Gmail   AUTO reply ')).toBe('gmail auto reply');
+    expect(buildSearchLog({
+      catalog: 'agents',
+      query: 'Gmail  Bot',
+      resultCount: 3,
+      filters: { category: 'All', priceMax: '20', tags: ['crm'], rating: undefined },
+      sort: 'relevance'
+    }, 0.2, new Date('2026-10-01T10:00:00Z'))).toEqual({
+      catalog: 'agents',
+      query: 'gmail bot',
+      resultCount: 3,
+      filters: ['priceMax', 'tags'],
+      sort: 'relevance',
+      sampleRate: 0.2,
+      createdAt: '2026-10-01T10:00:00.000Z',
+      clickedAt: null,
+      clickedId: null,
+      clickedPosition: null
+    });
+  });
+
+  it('estimates searches, CTR and zero-result queries from the sample', () => {
+    const report = summarizeSearchLogs([
+      log('gmail', 8, { clickedAt: '2026-10-01T10:01:00.000Z', clickedPosition: 0 }),
+      log('gmail', 8, { clickedAt: '2026-10-01T10:02:00.000Z', clickedPosition: 2 }),
+      log('gmail', 8),
+      log('gmail', 6, { createdAt: '2026-10-03T10:00:00.000Z' }),
+      log('crm', 2),
+      log('tiktok scheduler', 0, { sampleRate: 1 }),
+      log('tiktok scheduler', 0, { sampleRate: 1, createdAt: '2026-10-02T10:00:00.000Z' }),
+      log('', 3)
+    ]);
+
+    expect(report.totals).toEqual({
+      searches: 12,
+      sampledSearches: 7,
+      uniqueQueries: 3,
+      zeroResultSearches: 2,
+      zeroResultRate: 0.1667,
+      clicks: 4,
+      ctr: 0.4
+    });
+    expect(report.topQueries).toEqual([
+      {
+        query: 'gmail',
+        searches: 8,
+        sampledSearches: 4,
+        averageResults: 7.5,
+        clicks: 4,
+        ctr: 0.5,
+        averageClickPosition: 1,
+        zeroResultSearches: 0,
+        lastSearchedAt: '2026-10-03T10:00:00.000Z'
+      },
+      expect.objectContaining({ query: 'crm', searches: 2, clicks: 0, ctr: 0 })
+    ]);
+    expect(report.zeroResultQueries).toEqual([
+      { query: 'tiktok scheduler', zeroResultSearches: 2, searches: 2, lastSearchedAt: '2026-10-02T10:00:00.000Z' }
+    ]);
+  });
+});
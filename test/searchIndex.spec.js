@@ -0,0 +1,72 @@
+/**
+ * Search index tests
+ *
+ * Stemming, field-weighted ranking, typo and prefix matching, phrase
+ * queries and highlighted snippets.
+ */
+
+const { stem, editDistance, buildSearchIndex, parseQuery, search, highlight } = require('../services/search/searchIndex');
+
+const fields = [
+  { name: 'title', weight: 3, get: doc => doc.title },
+  { name: 'tags', weight: 2, get: doc => doc.tags },
+  { name: 'description', weight: 1, get: doc => doc.description }
+];
+
+const docs = [
+  { id: 'inbox', title: 'Email Automation Agent', tags: ['email', 'marketing'], description: 'Automates your inbox and sends follow-up emails.' },
+  { id: 'crm', title: 'CRM Sync', tags: ['crm', 'sales'], description: 'Keeps your CRM in sync with email marketing tools.' },
+  { id: 'social', title: 'Social Media Manager', tags: ['social'], description: 'Schedules posts for email marketing campaigns and socials.' }
+];
+
+const index = buildSearchIndex(docs, fields);
+
+describe('Search index', () => {
+  it('stems word forms to one term and measures typos', () => {
+    expect(['automation', 'automated', 'automates', 'automating'].map(stem)).toEqual(Array(4).fill('automat'));
+    expect(stem('categories')).toBe('category');
+    expect(stem('running')).toBe('run');
+    expect(editDistance('emial', 'email', 1)).toBe(1);
+    expect(editDistance('email', 'gmail', 1)).toBe(1);
+    expect(editDistance('email', 'slack', 2)).toBe(Infinity);
+    expect(parseQuery('the "Email marketing" tools')).toEqual({
+      phrases: [['email', 'market']],
+      terms: [{ token: 'tools', stem: 'tool' }]
+    });
+  });
+
+  it('ranks title matches above tag and description matches', () => {
+    const hits = search(index, 'email');
+    expect(hits).toHaveLength(3);
+    expect(hits[0].id).toBe('inbox');
+    expect(hits[0].score).toBeGreaterThan(hits[1].score * 2);
+    expect(hits[0].matches).toEqual({ title: ['email'], tags: ['email'], description: ['email'] });
+
+    expect(search(index, 'automating').map(hit => hit.id)).toEqual(['inbox']);
+    expect(search(index, 'email crm').map(hit => hit.id)).toEqual(['crm']);
+  });
+
+  it('matches prefixes, typos and phrases', () => {
+    expect(search(index, 'schedul').map(hit => hit.id)).toEqual(['social']);
+    const typo = search(index, 'emial');
+    expect(typo.map(hit => hit.id)).toEqual(search(index, 'email').map(hit => hit.id));
+    expect(typo[0].score).toBeLessThan(search(index, 'email')[0].score);
+
+    // Separate tags do not form a phrase
+    expect(search(index, '"email marketing"').map(hit => hit.id).sort()).toEqual(['crm', 'social']);
+    expect(search(index, '"marketing email"')).toEqual([]);
+    expect(search(index, '   ')).toEqual([]);
+  });
+
+  it('highlights matched words in escaped snippets', () => {
+    expect(highlight('Send <b>emails</b> & more', ['email'])).toBe('Send &#60;b&#62;<mark>emails</mark>&#60;/b&#62; &#38; more');
+    expect(highlight('Nothing here', ['email'])).toBeNull();
+
+    const long = `${'filler words '.repeat(30)}then email marketing ${'and more '.repeat(30)}`;
+    const snippet = highlight(long, ['market'], { maxLength: 60 });
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(snippet).toContain('<mark>marketing</mark>');
+    expect(snippet.length).toBeLessThan(100);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Signed download URL tests
+ *
+ * Template download links are validated from their HMAC signature and
+ * expiry alone; the version lets a token revoke links signed before.
+ */
+
+const {
+  generateUrlKey,
+  buildSignedDownloadUrl,
+  verifySignedDownload
+} = require('../services/template/signedDownloadUrl');
+
+const secret = 'test-secret';
+const now = new Date('2026-05-01T10:00:00Z');
+const access = {
+  agentId: 'agent-1',
+  orderId: 'order-1',
+  urlKey: 'a1b2c3d4e5f6a1b2c3d4e5f6',
+  urlVersion: 2,
+  expiresAt: '2026-05-31T10:00:00Z'
+};
+
+function paramsOf(url) {
+  const [path, query] = url.split('?');
+  return { agentId: decodeURIComponent(path.split('/').pop()), ...Object.fromEntries(new URLSearchParams(query)) };
+}
+
+describe('Signed download URLs', () => {
+  it('builds links that verify and carry their claims', () => {
+    const url = buildSignedDownloadUrl(access, { secret });
+    expect(url.startsWith('/api/templates/download/agent-1?orderId=order-1&key=')).toBe(true);
+    expect(url).not.toContain('token=');
+
+    const result = verifySignedDownload(paramsOf(url), { secret, now });
+    expect(result).toEqual({
+      valid: true,
+      reason: null,
+      claims: { agentId: 'agent-1', orderId: 'order-1', key: access.urlKey, exp: 1780221600, v: 2 }
+    });
+  });
+
+  it('rejects tampered, foreign and expired links', () => {
+    const params = paramsOf(buildSignedDownloadUrl(access, { secret }));
+
+    expect(verifySignedDownload({ ...params, agentId: 'agent-2' }, { secret, now }).reason).toBe('bad_signature');
+    expect(verifySignedDownload({ ...params, v: '3' }, { secret, now }).reason).toBe('bad_signature');
+    expect(verifySignedDownload({ ...params, exp: String(Number(params.exp) + 3600) }, { secret, now }).reason).toBe('bad_signature');
+    expect(verifySignedDownload(params, { secret: 'other-secret', now }).reason).toBe('bad_signature');
+    expect(verifySignedDownload({ ...params, sig: undefined }, { secret, now }).reason).toBe('malformed');
+    expect(verifySignedDownload(params, { secret, now: new Date('2026-06-01T00:00:00Z') }).reason).toBe('expired');
+  });
+
+  it('only signs tokens with an access key when a secret is set', () => {
+    expect(buildSignedDownloadUrl({ ...access, urlKey: undefined }, { secret })).toBeNull();
+    expect(buildSignedDownloadUrl(access, { secret: null })).toBeNull();
+    expect(verifySignedDownload({}, { secret: null }).reason).toBe('signing_disabled');
+    expect(generateUrlKey()).toMatch(/^[0-9a-f]{24}$/);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Subscription lifecycle tests
+ *
+ * PayPal webhook events moving a subscription through grace periods,
+ * cancellation and renewal.
+ */
+
+const {
+  SUBSCRIPTION_STATUS,
+  hasSubscriptionAccess,
+  applySubscriptionEvent,
+  cancelSubscriptionChanges,
+  isProviderCancelDue,
+  resumeSubscriptionChanges
+} = require('../services/subscription/subscriptionLifecycle');
+
+const now = new Date('2026-03-10T12:00:00Z');
+const event = (type, resource = {}, createTime = '2026-03-10T11:00:00Z') => ({
+  id: `WH-${type}`,
+  event_type: type,
+  create_time: createTime,
+  resource
+});
+
+describe('Subscription lifecycle', () => {
+  it('activates and starts a grace period when a renewal fails', () => {
+    const activated = applySubscriptionEvent({}, event('BILLING.SUBSCRIPTION.ACTIVATED', {
+      id: 'I-1',
+      plan_id: 'P-1',
+      billing_info: { next_billing_time: '2026-04-10T00:00:00Z' }
+    }), { now });
+    expect(activated.status).toBe(SUBSCRIPTION_STATUS.ACTIVE);
+    expect(activated.changes.currentPeriodEnd).toBe('2026-04-10T00:00:00Z');
+
+    const failed = applySubscriptionEvent(
+      { status: 'active', currentPeriodEnd: '2026-03-10T00:00:00Z' },
+      event('BILLING.SUBSCRIPTION.PAYMENT.FAILED', {
+        id: 'I-1',
+        billing_info: { failed_payments_count: 1, last_failed_payment: { amount: { value: '9.99', currency_code: 'usd' } } }
+      }),
+      { now, graceDays: 3 }
+    );
+    expect(failed.status).toBe(SUBSCRIPTION_STATUS.PAST_DUE);
+    expect(failed.changes.graceUntil).toBe('2026-03-13T12:00:00.000Z');
+    expect(failed.payment).toMatchObject({ type: 'payment_failed', amount: 9.99, currency: 'USD' });
+
+    const pastDue = { status: 'past_due', currentPeriodEnd: '2026-03-10T00:00:00Z', graceUntil: failed.changes.graceUntil };
+    expect(hasSubscriptionAccess(pastDue, now)).toBe(true);
+    expect(hasSubscriptionAccess(pastDue, new Date('2026-03-14T00:00:00Z'))).toBe(false);
+  });
+
+  it('records renewals and clears the grace period', () => {
+    const renewed = applySubscriptionEvent(
+      { status: 'past_due', graceUntil: '2026-03-13T00:00:00Z', failedPayments: 1 },
+      event('PAYMENT.SALE.COMPLETED', { id: 'SALE-1', billing_agreement_id: 'I-1', amount: { total: '9.99', currency: 'USD' } }),
+      { now }
+    );
+    expect(renewed.status).toBe(SUBSCRIPTION_STATUS.ACTIVE);
+    expect(renewed.changes).toMatchObject({ graceUntil: null, failedPayments: 0 });
+    expect(renewed.payment).toMatchObject({ id: 'SALE-1', type: 'renewal', saleId: 'SALE-1', amount: 9.99 });
+  });
+
+  it('ignores stale status events and events after expiry', () => {
+    const sub = { status: 'active', lastEventAt: '2026-03-10T11:30:00Z' };
+    expect(applySubscriptionEvent(sub, event('BILLING.SUBSCRIPTION.SUSPENDED'), { now }).ignored).toBe('stale');
+    expect(applySubscriptionEvent({ status: 'expired' }, event('BILLING.SUBSCRIPTION.ACTIVATED'), { now }).ignored).toBe('terminal');
+    expect(applySubscriptionEvent({ status: 'active' }, event('BILLING.PLAN.CREATED'), { now }).ignored).toBe('unhandled');
+  });
+
+  it('cancels at period end and resumes', () => {
+    const active = { status: 'active', currentPeriodEnd: '2026-04-10T00:00:00Z' };
+    const cancelled = { ...active, ...cancelSubscriptionChanges(active, { now, reason: 'too expensive' }) };
+    expect(cancelled).toMatchObject({ status: 'cancelled', cancelAtPeriodEnd: true, cancelReason: 'too expensive' });
+    expect(hasSubscriptionAccess(cancelled, now)).toBe(true);
+    expect(hasSubscriptionAccess(cancelled, new Date('2026-04-11T00:00:00Z'))).toBe(false);
+
+    // Our cancel suspends at PayPal; the echoed event keeps it cancelled
+    const suspended = applySubscriptionEvent(cancelled, event('BILLING.SUBSCRIPTION.SUSPENDED'), { now });
+    expect(suspended.status).toBe(SUBSCRIPTION_STATUS.CANCELLED);
+
+    // Cancelled at PayPal only once the paid period is over
+    expect(isProviderCancelDue(cancelled, now)).toBe(false);
+    expect(isProviderCancelDue(cancelled, new Date('2026-04-10T00:00:00Z'))).toBe(true);
+    expect(isProviderCancelDue({ ...cancelled, cancelAtPeriodEnd: false }, new Date('2026-05-01T00:00:00Z'))).toBe(false);
+    expect(isProviderCancelDue(active, new Date('2026-05-01T00:00:00Z'))).toBe(false);
+
+    expect(resumeSubscriptionChanges(cancelled, { now }).status).toBe(SUBSCRIPTION_STATUS.ACTIVE);
+    expect(() => cancelSubscriptionChanges(cancelled)).toThrow('cannot be cancelled');
+    expect(() => resumeSubscriptionChanges(active)).toThrow('cannot be resumed');
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Subscription renewal tests
+ *
+ * Renewal invoicing and cancellation at PayPal against an in-memory
+ * Firestore, with the PayPal API mocked.
+ */
+
+const { createMemoryFirestore, FieldValue } = require('./memoryFirestore');
+
+const mockDb = createMemoryFirestore();
+
+jest.mock('firebase-admin', () => require('./memoryFirestore').createFirebaseAdminMock(mockDb));
+jest.mock('../config/firebase', () => ({ db: mockDb, admin: require('firebase-admin') }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/cache', () => ({
+  getCache: jest.fn(async () => null),
+  setCache: jest.fn(async () => true),
+  deleteCache: jest.fn(async () => true),
+  deleteCacheByPattern: jest.fn(async () => true)
+}));
+jest.mock('../services/payment/providers/paypalProvider', () => ({
+  getSubscription: jest.fn(),
+  suspendSubscription: jest.fn(async () => {}),
+  activateSubscription: jest.fn(async () => {}),
+  cancelSubscription: jest.fn(async () => {})
+}));
+
+const paypalProvider = require('../services/payment/providers/paypalProvider');
+const subscriptionService = require('../services/subscription/subscriptionService');
+
+const subscription = {
+  id: 'I-SUB1',
+  provider: 'paypal',
+  planId: 'P-1',
+  userId: 'user-1',
+  email: 'buyer@example.com',
+  customerCountry: 'DE',
+  status: 'active',
+  currentPeriodEnd: '2026-04-10T00:00:00.000Z'
+};
+
+const payment = { id: 'SALE-1', saleId: 'SALE-1', type: 'renewal', amount: 11.9, currency: 'EUR' };
+
+describe('Subscription renewals', () => {
+  beforeEach(() => {
+    mockDb.reset();
+    mockDb.collection('subscriptions').doc(subscription.id).set(subscription);
+  });
+
+  it('keeps one invoice number when a renewal is invoiced again after a lost write', async () => {
+    const invoiceId = await subscriptionService.invoiceRenewal(subscription, payment);
+
+    // The invoice was stored but recording it on the payment failed
+    const paymentRef = mockDb.collection('subscriptions').doc(subscription.id).collection('payments').doc('SALE-1');
+    await paymentRef.update({ invoiceId: FieldValue.delete() });
+
+    expect(await subscriptionService.invoiceRenewal(subscription, payment)).toBe(invoiceId);
+    expect(await subscriptionService.invoiceRenewal(subscription, payment)).toBe(invoiceId);
+
+    expect(Object.keys(mockDb.dump('invoices'))).toEqual([invoiceId]);
+    expect(Object.values(mockDb.dump('invoiceSequences'))).toEqual([expect.objectContaining({ lastNumber: 1 })]);
+    expect((await paymentRef.get()).data()).toMatchObject({ invoiceId, invoiceNumber: expect.stringMatching(/-000001$/) });
+  });
+
+  it('cancels at PayPal once the paid period of a cancelled subscription ends', async () => {
+    await subscriptionService.cancelSubscription(subscription, 'too expensive');
+    expect(paypalProvider.suspendSubscription).toHaveBeenCalledWith('I-SUB1', 'too expensive');
+
+    expect(await subscriptionService.cancelEndedSubscriptions(new Date('2026-04-01T00:00:00Z')))
+      .toEqual({ cancelled: [], failed: [] });
+    expect(await subscriptionService.cancelEndedSubscriptions(new Date('2026-04-10T01:00:00Z')))
+      .toEqual({ cancelled: ['I-SUB1'], failed: [] });
+    expect(paypalProvider.cancelSubscription).toHaveBeenCalledWith('I-SUB1', 'too expensive');
+
+    const stored = (await mockDb.collection('subscriptions').doc('I-SUB1').get()).data();
+    expect(stored).toMatchObject({ status: 'cancelled', cancelAtPeriodEnd: false });
+    expect(await subscriptionService.cancelEndedSubscriptions(new Date('2026-04-11T00:00:00Z')))
+      .toEqual({ cancelled: [], failed: [] });
+  });
+});
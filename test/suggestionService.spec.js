@@ -0,0 +1,35 @@
+/**
+ * Suggestion service tests
+ *
+ * Popular queries are only suggested once enough distinct clients searched
+ * them, however often one client repeats a search.
+ */
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const suggestionService = require('../services/search/suggestionService');
+
+describe('Suggestion service', () => {
+  beforeEach(() => suggestionService.catalogs.clear());
+
+  it('does not suggest a query one client searched repeatedly', () => {
+    for (let i = 0; i < 10; i++) {
+      suggestionService.recordQuery('agents', 'buy cheap followers', '203.0.113.7');
+    }
+    suggestionService.recordQuery('agents', 'buy cheap followers', null);
+
+    expect(suggestionService.suggest('agents', 'buy').queries).toEqual([]);
+  });
+
+  it('suggests a query once three clients searched it, ranked by clients', () => {
+    ['user-1', 'user-2', '203.0.113.7'].forEach(client => suggestionService.recordQuery('agents', 'CRM sync', client));
+    ['user-1', 'user-2', '203.0.113.7', '198.51.100.4'].forEach(client => suggestionService.recordQuery('agents', 'crm email', client));
+    suggestionService.recordQuery('agents', 'crm email', 'user-1');
+
+    expect(suggestionService.suggest('agents', 'crm').queries.map(({ text, count }) => ({ text, count }))).toEqual([
+      { text: 'crm email', count: 4 },
+      { text: 'crm sync', count: 3 }
+    ]);
+    expect(suggestionService.suggest('prompts', 'crm').queries).toEqual([]);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Suggestion trie tests
+ *
+ * Prefix lookup from the start of an entry or of a later word, ranking by
+ * weight and counting shared values.
+ */
+
+const {
+  MAX_PER_NODE,
+  normalizeSuggestion,
+  suggestionKeys,
+  buildSuggestionTrie,
+  suggestFromTrie,
+  countedEntries
+} = require('../services/search/suggestionTrie');
+
+describe('Suggestion trie', () => {
+  it('normalizes text and indexes it from each word', () => {
+    expect(normalizeSuggestion('  Café -- CRM/Sync!  ')).toBe('cafe crm sync');
+    expect(suggestionKeys('Email Automation Agent')).toEqual(['email automation agent', 'automation agent', 'agent']);
+  });
+
+  it('returns prefix matches best first', () => {
+    const trie = buildSuggestionTrie([
+      { text: 'Gmail Auto Reply', id: 'a', weight: 5 },
+      { text: 'Email Automation Agent', id: 'b', weight: 20 },
+      { text: 'Slack Digest', id: 'c', weight: 50 },
+      { text: '', id: 'empty', weight: 99 }
+    ]);
+
+    expect(suggestFromTrie(trie, 'auto')).toEqual([
+      { text: 'Email Automation Agent', id: 'b' },
+      { text: 'Gmail Auto Reply', id: 'a' }
+    ]);
+    expect(suggestFromTrie(trie, 'GMAIL a')).toEqual([{ text: 'Gmail Auto Reply', id: 'a' }]);
+    expect(suggestFromTrie(trie, 'auto', 1)).toEqual([{ text: 'Email Automation Agent', id: 'b' }]);
+    expect(suggestFromTrie(trie, 'zapier')).toEqual([]);
+    expect(suggestFromTrie(trie, '  ')).toEqual([]);
+  });
+
+  it('keeps the best entries per node', () => {
+    const entries = Array.from({ length: MAX_PER_NODE + 5 }, (_, i) => ({ text: `Report ${i}`, weight: i }));
+    const results = suggestFromTrie(buildSuggestionTrie(entries), 'rep', 50);
+    expect(results).toHaveLength(MAX_PER_NODE);
+    expect(results[0].text).toBe(`Report ${MAX_PER_NODE + 4}`);
+  });
+
+  it('counts shared values once per document', () => {
+    const entries = countedEntries([
+      { tags: ['Gmail', 'gmail', 'Slack'] },
+      { tags: ['GMAIL '] },
+      { tags: null }
+    ], doc => doc.tags);
+    expect(entries).toEqual([
+      { text: 'Gmail', count: 2, weight: 2 },
+      { text: 'Slack', count: 1, weight: 1 }
+    ]);
+  });
+});
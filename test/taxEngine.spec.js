@@ -0,0 +1,69 @@
+/**
+ * Tax engine tests
+ *
+ * Covers VAT rate selection by country, reverse charge for valid-format
+ * EU VAT IDs and the per-line net/tax/gross split.
+ */
+
+const {
+  validateVatId,
+  determineTaxTreatment,
+  calculateTax,
+  calculateOrderTax,
+  quotePrice
+} = require('../services/tax/taxEngine');
+
+describe('Tax engine', () => {
+  it('validates VAT ID formats with and without prefix', () => {
+    expect(validateVatId('DE 123 456 789')).toEqual({ valid: true, vatId: 'DE123456789', countryCode: 'DE' });
+    expect(validateVatId('EL123456789').countryCode).toBe('GR');
+    expect(validateVatId('123456789B01', 'NL').vatId).toBe('NL123456789B01');
+    expect(validateVatId('DE12345').valid).toBe(false);
+    expect(validateVatId('').valid).toBe(false);
+  });
+
+  it('charges the customer country VAT to EU consumers', () => {
+    const treatment = determineTaxTreatment({ country: 'fr' });
+    expect(treatment).toMatchObject({ country: 'FR', rate: 0.2, scheme: 'eu_vat', reverseCharge: false });
+  });
+
+  it('applies reverse charge for a valid VAT ID matching the country', () => {
+    expect(determineTaxTreatment({ country: 'FR', vatId: 'FR40303265045' }))
+      .toMatchObject({ rate: 0, scheme: 'reverse_charge', reverseCharge: true, vatIdValid: true });
+
+    // A VAT ID from a different member state does not qualify
+    expect(determineTaxTreatment({ country: 'FR', vatId: 'DE123456789' }))
+      .toMatchObject({ rate: 0.2, reverseCharge: false, vatIdValid: false });
+  });
+
+  it('does not charge VAT outside the EU', () => {
+    expect(determineTaxTreatment({ country: 'US' })).toMatchObject({ rate: 0, scheme: 'outside_scope' });
+  });
+
+  it('stores net, tax and gross per line', () => {
+    const result = calculateTax({
+      items: [{ id: 'a', price: 10, quantity: 2 }, { id: 'b', price: 4.99 }],
+      country: 'DE'
+    });
+
+    expect(result.lines).toEqual([
+      { id: 'a', quantity: 2, unitNet: 10, net: 20, tax: 3.8, gross: 23.8, rate: 0.19 },
+      { id: 'b', quantity: 1, unitNet: 4.99, net: 4.99, tax: 0.95, gross: 5.94, rate: 0.19 }
+    ]);
+    expect(result).toMatchObject({ net: 24.99, tax: 4.75, gross: 29.74 });
+  });
+
+  it('extracts tax from item prices when the charged total already included it', () => {
+    const result = calculateOrderTax({ items: [{ id: 'a', price: 11.9 }], total: 11.9, country: 'DE' });
+    expect(result).toMatchObject({ pricesIncludeTax: true, net: 10, tax: 1.9, gross: 11.9 });
+
+    const exclusive = calculateOrderTax({ items: [{ id: 'a', price: 10 }], total: 11.9, country: 'DE' });
+    expect(exclusive).toMatchObject({ pricesIncludeTax: false, gross: 11.9 });
+    expect(exclusive.totalMismatch).toBeUndefined();
+  });
+
+  it('quotes EU prices tax-inclusive and other regions tax-exclusive', () => {
+    expect(quotePrice(10, { country: 'IE' })).toMatchObject({ gross: 12.3, taxInclusive: true, displayPrice: 12.3 });
+    expect(quotePrice(10, { country: 'US' })).toMatchObject({ gross: 10, taxInclusive: false, displayPrice: 10 });
+  });
+});
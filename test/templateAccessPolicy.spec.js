@@ -0,0 +1,79 @@
+/**
+ * Template access policy tests
+ *
+ * Download limits, single-use links, IP binding and per-IP throttling
+ * for template access tokens.
+ */
+
+const {
+  DEFAULT_POLICY,
+  DENIAL_REASONS,
+  validatePolicy,
+  resolvePolicy,
+  buildAccessFields,
+  evaluateDownload,
+  remainingDownloads
+} = require('../services/template/templateAccessPolicy');
+
+const now = new Date('2026-05-01T10:00:00Z');
+const token = (policy = {}, extra = {}) => ({
+  ...buildAccessFields(resolvePolicy(policy), now),
+  ...extra
+});
+const download = (access, ip, at = now) => {
+  const result = evaluateDownload(access, { ip, now: at });
+  return { result, access: result.allowed ? { ...access, ...result.changes } : access };
+};
+
+describe('Template access policy', () => {
+  it('validates admin policies and merges them over the defaults', () => {
+    expect(validatePolicy({ maxDownloads: 3, singleUse: true })).toEqual({
+      valid: true,
+      errors: [],
+      policy: { maxDownloads: 3, singleUse: true }
+    });
+    const invalid = validatePolicy({ expiryDays: 0, bindToIp: 'yes' });
+    expect(invalid.valid).toBe(false);
+    expect(invalid.errors).toHaveLength(2);
+
+    expect(resolvePolicy({ maxDownloads: 3, expiryDays: -1 })).toEqual({ ...DEFAULT_POLICY, maxDownloads: 3 });
+    expect(token({ expiryDays: 2 }).expiresAt).toBe('2026-05-03T10:00:00.000Z');
+  });
+
+  it('enforces download limits and single-use links', () => {
+    let access = token({ maxDownloads: 2, maxDownloadsPerIp: 0 });
+    ({ access } = download(access, '1.1.1.1'));
+    ({ access } = download(access, '1.1.1.1'));
+    expect(access.downloadCount).toBe(2);
+    expect(remainingDownloads(access)).toBe(0);
+    expect(download(access, '1.1.1.1').result.reason).toBe(DENIAL_REASONS.LIMIT);
+
+    let single = token({ singleUse: true });
+    expect(remainingDownloads(single)).toBe(1);
+    ({ access: single } = download(single, '1.1.1.1'));
+    expect(download(single, '1.1.1.1').result.reason).toBe(DENIAL_REASONS.USED);
+  });
+
+  it('binds links to the first IP and throttles per IP', () => {
+    let bound = token({ bindToIp: true });
+    ({ access: bound } = download(bound, '1.1.1.1'));
+    expect(download(bound, '2.2.2.2').result.reason).toBe(DENIAL_REASONS.IP_MISMATCH);
+    expect(download(bound, '1.1.1.1').result.allowed).toBe(true);
+
+    let throttled = token({ maxDownloadsPerIp: 2, ipWindowMinutes: 10 });
+    ({ access: throttled } = download(throttled, '1.1.1.1'));
+    ({ access: throttled } = download(throttled, '1.1.1.1'));
+    expect(download(throttled, '1.1.1.1').result.reason).toBe(DENIAL_REASONS.THROTTLED);
+    expect(download(throttled, '2.2.2.2').result.allowed).toBe(true);
+    expect(download(throttled, '1.1.1.1', new Date('2026-05-01T10:11:00Z')).result.allowed).toBe(true);
+  });
+
+  it('rejects revoked and expired tokens and handles legacy tokens', () => {
+    expect(evaluateDownload(token({}, { revoked: true }), { now }).reason).toBe(DENIAL_REASONS.REVOKED);
+    expect(evaluateDownload(token(), { now: new Date('2026-07-01T00:00:00Z') }).reason).toBe(DENIAL_REASONS.EXPIRED);
+
+    // Issued before policies: no snapshot, downloads counted in useCount
+    const legacy = { expiresAt: '2026-05-20T00:00:00Z', used: false, useCount: DEFAULT_POLICY.maxDownloads };
+    expect(evaluateDownload(legacy, { now }).reason).toBe(DENIAL_REASONS.LIMIT);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Template access service tests
+ *
+ * Signed download links against an in-memory Firestore and a Redis stand-in:
+ * limited links must not be served past their limits from cached state, and
+ * links are only re-issued for delivered orders, for the licence tier bought.
+ */
+
+const { createMemoryFirestore } = require('./memoryFirestore');
+
+const mockDb = createMemoryFirestore();
+const mockCache = new Map();
+
+jest.mock('firebase-admin', () => require('./memoryFirestore').createFirebaseAdminMock(mockDb));
+jest.mock('../config/firebase', () => ({ db: mockDb, admin: require('firebase-admin') }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/cache', () => ({
+  getCache: jest.fn(async key => (mockCache.has(key) ? JSON.parse(mockCache.get(key)) : null)),
+  setCache: jest.fn(async (key, value) => { mockCache.set(key, JSON.stringify(value)); return true; }),
+  deleteCache: jest.fn(async key => { mockCache.delete(key); return true; }),
+  deleteCacheByPattern: jest.fn(async () => true)
+}));
+
+const templateAccessService = require('../services/template/templateAccessService');
+const { resolvePolicy } = require('../services/template/templateAccessPolicy');
+
+const claims = { agentId: 'agent-1', orderId: 'order-1', key: 'url-key-1', v: 1 };
+
+const seed = (policy) => {
+  mockDb.reset();
+  mockCache.clear();
+  mockDb.collection('templateAccess').doc('access-1').set({
+    ...templateAccessService.buildAccessRecord({ agentId: 'agent-1', orderId: 'order-1', userId: 'user-1' }, resolvePolicy(policy)),
+    urlKey: 'url-key-1',
+    urlVersion: 1
+  });
+};
+
+const servedCount = decisions => decisions.filter(decision => decision.allowed).length;
+
+describe('Signed template downloads', () => {
+  it('serves a single-use link once to concurrent requests', async () => {
+    seed({ singleUse: true });
+    // Warm the cache so every request sees an unused link
+    await templateAccessService.getUrlState('url-key-1');
+
+    const decisions = await Promise.all([1, 2, 3].map(() =>
+      templateAccessService.authorizeSignedDownload(claims, { ip: '203.0.113.5' })));
+
+    expect(servedCount(decisions)).toBe(1);
+    expect(decisions.filter(decision => !decision.allowed).map(decision => decision.reason))
+      .toEqual(['single_use_consumed', 'single_use_consumed']);
+    expect(mockDb.dump('templateAccess')['access-1'].downloadCount).toBe(1);
+  });
+
+  it('stops concurrent downloads at maxDownloads', async () => {
+    seed({ maxDownloads: 2, maxDownloadsPerIp: 0 });
+    await templateAccessService.getUrlState('url-key-1');
+
+    const decisions = await Promise.all([1, 2, 3, 4].map(() =>
+      templateAccessService.authorizeSignedDownload(claims, { ip: '203.0.113.5' })));
+
+    expect(servedCount(decisions)).toBe(2);
+    expect(mockDb.dump('templateAccess')['access-1'].downloadCount).toBe(2);
+  });
+
+  it('checks limits against the token when the cached state is stale', async () => {
+    seed({ singleUse: true });
+    await templateAccessService.getUrlState('url-key-1');
+    await mockDb.collection('templateAccess').doc('access-1').update({ used: true, downloadCount: 1 });
+
+    const decision = await templateAccessService.authorizeSignedDownload(claims, { ip: '203.0.113.5' });
+
+    expect(decision).toMatchObject({ allowed: false, reason: 'single_use_consumed' });
+    // The cached state now rejects the link without a transaction
+    expect((await templateAccessService.getUrlState('url-key-1')).used).toBe(true);
+  });
+
+  it('rejects a link revoked after its state was cached', async () => {
+    seed({ maxDownloads: 5 });
+    await templateAccessService.getUrlState('url-key-1');
+    await mockDb.collection('templateAccess').doc('access-1').update({ revoked: true, revokedReason: 'refunded', urlVersion: 2 });
+
+    const decision = await templateAccessService.authorizeSignedDownload(claims, { ip: '203.0.113.5' });
+
+    expect(decision).toMatchObject({ allowed: false, reason: 'revoked' });
+    expect(decision.access.revokedReason).toBe('refunded');
+  });
+
+  it('records every download on an unlimited link', async () => {
+    seed({ maxDownloads: 0, maxDownloadsPerIp: 0 });
+
+    for (let i = 0; i < 3; i++) {
+      const decision = await templateAccessService.authorizeSignedDownload(claims, { ip: '203.0.113.5' });
+      expect(decision.allowed).toBe(true);
+    }
+
+    expect(mockDb.dump('templateAccess')['access-1'].downloadCount).toBe(3);
+    expect(Object.values(mockDb.dump('template_downloads')).every(entry => entry.outcome === 'served')).toBe(true);
+  });
+});
+
+describe('Re-issuing template links', () => {
+  const order = status => ({ id: 'order-1', userId: 'user-1', status, items: [{ id: 'agent-1', price: 19 }] });
+
+  beforeEach(async () => {
+    seed({});
+    await mockDb.collection('orders').doc('order-1').set({ userId: 'user-1', templateAccessTokens: ['access-1'] });
+  });
+
+  it.each(['review', 'rejected', 'refunded'])('refuses a %s order', async status => {
+    await expect(templateAccessService.reissueAccess(order(status), 'agent-1', { userId: 'user-1' }))
+      .rejects.toMatchObject({ name: 'TemplateAccessError', reason: 'order_not_delivered' });
+    expect(mockDb.dump('templateAccess')['access-1']).not.toHaveProperty('revoked');
+    expect(Object.keys(mockDb.dump('templateAccess'))).toEqual(['access-1']);
+  });
+
+  it('replaces the links of a delivered order', async () => {
+    const result = await templateAccessService.reissueAccess(order('partially_refunded'), 'agent-1', { userId: 'user-1' });
+
+    const records = mockDb.dump('templateAccess');
+    expect(records['access-1']).toMatchObject({ revoked: true, revokedReason: 'reissued' });
+    expect(records[result.accessToken]).toMatchObject({ orderId: 'order-1', reissuedFrom: ['access-1'] });
+  });
+
+  it('keeps the licence tier of the replaced link', async () => {
+    await mockDb.collection('templateAccess').doc('access-1').update({ licenseTier: 'commercial' });
+
+    const result = await templateAccessService.reissueAccess(order('completed'), 'agent-1', { userId: 'user-1' });
+    expect(mockDb.dump('templateAccess')[result.accessToken].licenseTier).toBe('commercial');
+  });
+
+  it('takes the licence tier from the order item when no link recorded one', async () => {
+    const tiered = { ...order('completed'), items: [{ id: 'agent-1', price: 99, licenseTier: 'agency' }] };
+
+    const result = await templateAccessService.reissueAccess(tiered, 'agent-1', { userId: 'user-1' });
+    const reissued = mockDb.dump('templateAccess')[result.accessToken];
+    expect(reissued.licenseTier).toBe('agency');
+    expect((await templateAccessService.getUrlState(reissued.urlKey)).licenseTier).toBe('agency');
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Template bundle tests
+ *
+ * ZIP bundles of an agent template and its deliverables with a generated
+ * README and manifest.
+ */
+
+const crypto = require('crypto');
+const { Readable, Writable } = require('stream');
+const {
+  sanitizeFileName,
+  planBundle,
+  buildManifest,
+  buildReadme,
+  streamTemplateBundle
+} = require('../services/template/templateBundle');
+
+const agent = {
+  title: 'Lead Router Pro',
+  description: 'Routes inbound leads to the right rep.',
+  features: ['CRM sync'],
+  deliverables: [
+    { fileName: 'workflow.json', description: 'n8n workflow', downloadUrl: 'https://files.example.com/workflow.json', contentType: 'application/json' },
+    { fileName: '../../workflow.json', description: 'Alternate workflow', downloadUrl: 'https://files.example.com/alt.json' },
+    { fileName: 'credentials guide.md', description: 'Credentials setup', content: '# Credentials' },
+    { fileName: 'local.csv', downloadUrl: 'file:///etc/passwd' }
+  ]
+};
+const templateJson = JSON.stringify({ id: 'agent-1' });
+
+describe('Template bundles', () => {
+  it('plans unique, safe entries and skips unusable deliverables', () => {
+    const bundle = planBundle(agent, templateJson);
+
+    expect(bundle.name).toBe('lead-router-pro-bundle');
+    expect(bundle.files.map(file => file.path)).toEqual([
+      'template.json',
+      'files/workflow.json',
+      'files/workflow-2.json',
+      'files/credentials-guide.md'
+    ]);
+    expect(sanitizeFileName('..\\secret')).toBe('secret');
+    expect(sanitizeFileName('')).toBe('file');
+  });
+
+  it('describes files in the manifest and README', () => {
+    const results = [
+      { path: 'template.json', contentType: 'application/json', size: 10, sha256: 'abc', status: 'included' },
+      { path: 'files/workflow.json', description: 'n8n workflow', contentType: 'application/json', status: 'unavailable' }
+    ];
+
+    const manifest = buildManifest(agent, results, { agentId: 'agent-1', orderId: 'order-1', generatedAt: '2026-05-01T00:00:00Z' });
+    expect(manifest.agent).toEqual({ id: 'agent-1', title: 'Lead Router Pro', version: '1.0' });
+    expect(manifest.files[1]).toMatchObject({ path: 'files/workflow.json', size: null, status: 'unavailable' });
+
+    const readme = buildReadme(agent, results, { orderId: 'order-1' });
+    expect(readme).toContain('# Lead Router Pro');
+    expect(readme).toContain('- `files/workflow.json` - n8n workflow (unavailable');
+    expect(readme).toContain('- CRM sync');
+  });
+
+  it('streams a ZIP with every file, README and manifest', async () => {
+    const chunks = [];
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      }
+    });
+    const fetchFile = async url => {
+      if (url.endsWith('alt.json')) throw new Error('404');
+      return Readable.from([Buffer.from('{"nodes":[]}')]);
+    };
+    const failed = [];
+
+    const results = await streamTemplateBundle(agent, planBundle(agent, templateJson), output, {
+      agentId: 'agent-1',
+      fetchFile,
+      onFileError: file => failed.push(file.path)
+    });
+    const zip = Buffer.concat(chunks);
+
+    expect(zip.slice(0, 2).toString()).toBe('PK');
+    ['template.json', 'files/workflow.json', 'files/credentials-guide.md', 'README.md', 'manifest.json']
+      .forEach(name => expect(zip.includes(Buffer.from(name))).toBe(true));
+    expect(failed).toEqual(['files/workflow-2.json']);
+    expect(results.find(result => result.path === 'files/workflow.json')).toMatchObject({
+      status: 'included',
+      size: 12,
+      sha256: crypto.createHash('sha256').update('{"nodes":[]}').digest('hex')
+    });
+  });
+});
@@ -70,11 +70,12 @@ const PROMPT_TTL = {
  * @param {Object} params - Parameters for generating the cache key
  * @param {string} params.category - Post category (default: 'All')
  * @param {number} params.limit - Number of posts per page
- * @param {string} params.startAfter - Cursor for pagination
+ * @param {string} params.startAfter - ID of the post to start after (legacy pagination)
+ * @param {string} params.cursor - Opaque page cursor
  * @returns {string} Cache key
  */
-const generatePostsCacheKey = ({ category, limit, startAfter }) => {
-  return `posts:${category || 'All'}:${limit}:${startAfter || 'start'}`;
+const generatePostsCacheKey = ({ category, limit, startAfter, cursor }) => {
+  return `posts:${category || 'All'}:${limit}:${cursor ? `cursor=${cursor}` : (startAfter || 'start')}`;
 };
 
 /**
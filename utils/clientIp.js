@@ -0,0 +1,37 @@
+/**
+ * Client address of a request
+ *
+ * Always read through req.ip. Express only takes addresses from
+ * X-Forwarded-For for the proxy hops configured with `trust proxy`, so a
+ * client cannot pick its own address by sending the header itself.
+ */
+
+/**
+ * Value for app.set('trust proxy') from TRUST_PROXY
+ * A hop count ('1'), 'false', or a comma-separated list of proxy addresses or
+ * subnets. Defaults to one hop (the Cloud Run / load balancer front end).
+ * @param {string} value - Raw setting
+ * @returns {number|boolean|Array<string>}
+ */
+function parseTrustProxy(value = process.env.TRUST_PROXY) {
+  const setting = String(value ?? '').trim();
+  if (!setting) return 1;
+  if (/^\d+$/.test(setting)) return parseInt(setting, 10);
+  if (setting === 'false') return false;
+  return setting.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Client IP of a request, without the IPv4-mapped IPv6 prefix
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function getClientIp(req) {
+  const ip = req.ip || req.socket?.remoteAddress || null;
+  return ip ? ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '') : null;
+}
+
+module.exports = {
+  parseTrustProxy,
+  getClientIp
+};
@@ -0,0 +1,140 @@
+/**
+ * Cursor pagination shared by the catalog list endpoints
+ * (/api/agents, /api/prompts, /api/posts, /api/videos)
+ *
+ * A cursor is opaque to clients. It holds the sort key of the item it points
+ * at, never a position, so paging resumes in the right place after items are
+ * added or removed or the in-memory caches are rebuilt. Every sort key ends
+ * with the item ID so the order is total. A cursor also carries a fingerprint
+ * of the sort and filters it was issued for and is rejected with any other.
+ */
+
+const crypto = require('crypto');
+
+const CURSOR_VERSION = 1;
+
+/**
+ * Milliseconds of a Date, Firestore Timestamp, serialized Timestamp or date string
+ * @returns {number|null}
+ */
+const toTimeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.getTime();
+  if (typeof value._seconds === 'number') return value._seconds * 1000 + Math.floor((value._nanoseconds || 0) / 1e6);
+  if (typeof value === 'number') return value;
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Compare two sort values; missing values sort below everything else
+ */
+const compareValues = (a, b) => {
+  const aMissing = a === undefined || a === null;
+  const bMissing = b === undefined || b === null;
+  if (aMissing || bMissing) return aMissing === bMissing ? 0 : (aMissing ? -1 : 1);
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  const aText = String(a);
+  const bText = String(b);
+  return aText < bText ? -1 : (aText > bText ? 1 : 0);
+};
+
+/**
+ * Compare two sort keys
+ * @param {Array} a - Sort key values
+ * @param {Array} b - Sort key values
+ * @param {Array<string>} directions - 'asc' or 'desc' per value
+ */
+const compareSortKeys = (a, b, directions) => {
+  for (let i = 0; i < directions.length; i++) {
+    const result = compareValues(a[i], b[i]);
+    if (result !== 0) return directions[i] === 'desc' ? -result : result;
+  }
+  return 0;
+};
+
+/**
+ * Items sorted by their sort keys (a new array)
+ * @param {Object} sort - { keyOf(item) -> Array, directions }
+ */
+const sortByKeys = (items, { keyOf, directions }) => items
+  .map(item => ({ item, key: keyOf(item) }))
+  .sort((a, b) => compareSortKeys(a.key, b.key, directions))
+  .map(({ item }) => item);
+
+/**
+ * Short hash of what a cursor was issued for (sort name, filters, search)
+ */
+const cursorFingerprint = (context) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(context === undefined ? null : context))
+  .digest('base64url')
+  .slice(0, 12);
+
+/**
+ * Opaque cursor pointing at an item
+ * @param {Array} key - The item's sort key
+ * @param {Object} options - { direction: 'next' (items after) or 'prev' (items before), context }
+ */
+const encodeCursor = (key, { direction = 'next', context = null } = {}) => Buffer
+  .from(JSON.stringify({ v: CURSOR_VERSION, d: direction === 'prev' ? 'p' : 'n', k: key, f: cursorFingerprint(context) }))
+  .toString('base64url');
+
+/**
+ * @returns {Object|null} - { key, direction }, or null for a malformed cursor
+ *   or one issued for another sort or filters
+ */
+const decodeCursor = (cursor, context = null) => {
+  if (!cursor || typeof cursor !== 'string') return null;
+  try {
+    const { v, d, k, f } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (v !== CURSOR_VERSION || !Array.isArray(k) || (d !== 'n' && d !== 'p')) return null;
+    if (f !== cursorFingerprint(context)) return null;
+    return { key: k, direction: d === 'p' ? 'prev' : 'next' };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * One page of a sorted in-memory list
+ * Without a cursor the page starts at offset (for clients still paging by offset).
+ * @param {Array} items - Items sorted with sortByKeys and the same sort
+ * @param {Object} options - { sort: { keyOf, directions }, limit, cursor (decoded), offset, context }
+ * @returns {Object} - { items, offset, hasMore, hasPrevious, nextCursor, prevCursor }
+ */
+const paginateSorted = (items, { sort, limit, cursor = null, offset = 0, context = null }) => {
+  let start = Math.max(0, offset);
+  if (cursor) {
+    const { key, direction } = cursor;
+    if (direction === 'next') {
+      const index = items.findIndex(item => compareSortKeys(sort.keyOf(item), key, sort.directions) > 0);
+      start = index === -1 ? items.length : index;
+    } else {
+      const index = items.findIndex(item => compareSortKeys(sort.keyOf(item), key, sort.directions) >= 0);
+      start = Math.max(0, (index === -1 ? items.length : index) - limit);
+    }
+  }
+
+  const page = items.slice(start, start + limit);
+  const hasMore = start + page.length < items.length;
+  const hasPrevious = start > 0;
+  return {
+    items: page,
+    offset: start,
+    hasMore,
+    hasPrevious,
+    nextCursor: hasMore && page.length > 0 ? encodeCursor(sort.keyOf(page[page.length - 1]), { context }) : null,
+    prevCursor: hasPrevious && page.length > 0 ? encodeCursor(sort.keyOf(page[0]), { direction: 'prev', context }) : null
+  };
+};
+
+module.exports = {
+  toTimeValue,
+  compareSortKeys,
+  sortByKeys,
+  encodeCursor,
+  decodeCursor,
+  paginateSorted
+};